@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+require('../lib/cli.js').run(process.argv.slice(2)).then(function(code) {
+  process.exitCode = code;
+});
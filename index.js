@@ -1,5 +1,30 @@
 module.exports = {
   Encoder: require('./lib/encoder.js'),
   Decoder: require('./lib/decoder.js'),
+  MultistreamEncoder: require('./lib/multistreamencoder.js'),
+  MultistreamDecoder: require('./lib/multistreamdecoder.js'),
+  AsyncEncoder: require('./lib/asyncencoder.js'),
+  AsyncDecoder: require('./lib/asyncdecoder.js'),
+  WorkerPool: require('./lib/workerpool.js'),
+  OggOpusWriter: require('./lib/oggwriter.js'),
+  OggOpusReader: require('./lib/oggreader.js'),
+  WavReader: require('./lib/wavreader.js'),
+  WavWriter: require('./lib/wavwriter.js'),
+  WebmOpusReader: require('./lib/webmreader.js'),
+  WebmOpusWriter: require('./lib/webmwriter.js'),
+  Packet: require('./lib/packet.js'),
+  Repacketizer: require('./lib/repacketizer.js'),
+  RtpPacketizer: require('./lib/rtppacketizer.js'),
+  RtpDepacketizer: require('./lib/rtpdepacketizer.js'),
+  JitterBuffer: require('./lib/jitterbuffer.js'),
+  Mixer: require('./lib/mixer.js'),
+  OpusRecorderNode: require('./lib/recordernode.js'),
+  OpusPlayerNode: require('./lib/playernode.js'),
+  Resampler: require('./lib/resampler.js'),
+  OpusError: require('./lib/opuserror.js'),
+  compare: require('./lib/compare.js'),
+  conformance: require('./lib/conformance.js'),
+  rtp: require('./lib/rtp.js'),
+  getLiveAllocations: require('./lib/utils.js').getLiveAllocations,
   libopus: require('./build/libopus.js').instance
 };
@@ -0,0 +1,131 @@
+// Adapters exposing the node streams of codecs as WHATWG TransformStreams and
+// async iterables
+
+/**
+ * Writes a chunk to a node stream.
+ *
+ * @param {Writable} stream - The stream
+ * @param {*} chunk - The chunk
+ * @returns {Promise} Resolved once the chunk has been processed
+ */
+function write(stream, chunk) {
+  return new Promise(function(resolve, reject) {
+    stream.write(chunk, function(err) {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Ends a node transform stream.
+ *
+ * @param {Transform} stream - The stream, its output has to be consumed
+ * @returns {Promise} Resolved once all output has been emitted
+ */
+function end(stream) {
+  return new Promise(function(resolve, reject) {
+    stream.on('error', reject);
+    stream.on('end', resolve);
+    stream.end();
+  });
+}
+
+/**
+ * Wraps a node transform stream into a WHATWG TransformStream.
+ *
+ * @param {Transform} stream - The node stream
+ * @param {function} toInput - Converts the chunks written to the
+ *    TransformStream to those of the node stream, may throw
+ * @param {function} toOutput - Converts the output chunks of the node stream
+ * @returns {TransformStream}
+ */
+function toTransformStream(stream, toInput, toOutput) {
+  if (typeof TransformStream === 'undefined') {
+    throw new Error('TransformStream is not supported in this environment');
+  }
+  return new TransformStream({
+    start: function(controller) {
+      stream.on('data', function(chunk) {
+        controller.enqueue(toOutput(chunk));
+      });
+      stream.on('error', function(err) {
+        controller.error(err);
+      });
+    },
+    transform: function(chunk) {
+      return write(stream, toInput(chunk));
+    },
+    flush: function() {
+      return end(stream);
+    }
+  });
+}
+
+/**
+ * Passes all values of an iterable through a node transform stream.
+ *
+ * @param {Transform} stream - The node stream
+ * @param {Iterable|AsyncIterable} input - The input chunks
+ * @param {function} toInput - Converts the input chunks to those of the node
+ *    stream, may throw
+ * @param {function} toOutput - Converts the output chunks of the node stream
+ * @returns {AsyncIterable} The output chunks
+ */
+function transformAll(stream, input, toInput, toOutput) {
+  var iterable = {};
+  iterable[Symbol.asyncIterator] = function() {
+    var source = input[Symbol.asyncIterator] ?
+        input[Symbol.asyncIterator]() : input[Symbol.iterator]();
+    var queue = [];
+    // Whether all output has been returned or an error was thrown
+    var done = false;
+    var ended = false;
+    stream.on('data', function(chunk) {
+      queue.push(toOutput(chunk));
+    });
+    // Errors are passed on by write and end
+    stream.on('error', function() {});
+
+    function next() {
+      if (queue.length > 0) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (done || ended) {
+        done = true;
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return Promise.resolve(source.next()).then(function(result) {
+        if (result.done) {
+          return end(stream).then(function() {
+            ended = true;
+          });
+        }
+        return write(stream, toInput(result.value));
+      }).then(next, function(err) {
+        done = true;
+        queue = [];
+        throw err;
+      });
+    }
+
+    return {
+      next: next,
+      return: function(value) {
+        // Stopped early, e.g. by break in a for await loop
+        done = true;
+        queue = [];
+        stream.destroy();
+        return Promise.resolve(source.return && source.return()).then(function() {
+          return { value: value, done: true };
+        });
+      }
+    };
+  };
+  return iterable;
+}
+
+module.exports = {
+  toTransformStream: toTransformStream,
+  transformAll: transformAll
+};
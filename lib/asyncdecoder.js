@@ -0,0 +1,119 @@
+var extend = require('extend');
+var Decoder = require('./decoder');
+var WorkerPool = require('./workerpool');
+
+/**
+ * Decoder for opus streams running off the main thread.
+ * <br>
+ * Takes the same options as {@link Decoder} and provides the same methods,
+ * except that all of them return a Promise. Requests are processed in the
+ * order they were made, so packets can be decoded without waiting for the
+ * previous ones to finish.
+ * <br>
+ * Packets passed to the decode methods are transferred to the worker, i.e.
+ * they are no longer usable afterwards. Buffers which only cover part of
+ * their memory (such as most small Buffers in node) are copied instead.
+ *
+ * @param {object} [opts={}] - Options for the decoder, see {@link Decoder}
+ * @param {WorkerPool} [opts.pool] - Pool of workers to use, the shared
+ *    default pool if omitted
+ * @constructor
+ */
+function AsyncDecoder(opts) {
+  // Allow use without new
+  if (!(this instanceof AsyncDecoder)) return new AsyncDecoder(opts);
+
+  opts = extend({
+    rate: 48000,
+    channels: 1
+  }, opts);
+
+  this._pool = opts.pool || WorkerPool.getDefault();
+  delete opts.pool;
+  this._rate = opts.rate;
+  this._channels = opts.channels;
+  this._codec = this._pool._createCodec('Decoder', opts);
+
+  /**
+   * @member {Promise} - Resolved once the decoder has been created, rejected
+   *    if the options are invalid
+   */
+  this.ready = this._codec.ready.then(function() {});
+  // Errors are reported by all subsequent requests as well
+  this.ready.catch(function() {});
+}
+
+/**
+ * Destroy this decoder and free its memory in the worker.
+ * Unlike {@link Decoder#destroy}, this has to be called in safe mode as well.
+ *
+ * @returns {Promise} Resolved once the decoder has been destroyed
+ */
+AsyncDecoder.prototype.destroy = function() {
+  return this._pool._destroyCodec(this._codec);
+};
+
+/**
+ * Decodes an opus packet.
+ * See {@link Decoder#decodeInt16}.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @returns {Promise<Int16Array>} The decoded output
+ */
+AsyncDecoder.prototype.decodeInt16 = function(data) {
+  return this._pool._call(this._codec, 'decodeInt16', [data]);
+};
+
+/**
+ * Decodes an opus packet.
+ * See {@link Decoder#decodeFloat32}.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @returns {Promise<Float32Array>} The decoded output
+ */
+AsyncDecoder.prototype.decodeFloat32 = function(data) {
+  return this._pool._call(this._codec, 'decodeFloat32', [data]);
+};
+
+/**
+ * Decodes the frame lost before a packet using its FEC data.
+ * See {@link Decoder#decodeFECInt16}.
+ *
+ * @param {Buffer} data - The packet following the lost one
+ * @param {number} [samples] - Number of lost samples
+ * @returns {Promise<Int16Array>} The decoded output
+ */
+AsyncDecoder.prototype.decodeFECInt16 = function(data, samples) {
+  return this._pool._call(this._codec, 'decodeFECInt16', [data, samples]);
+};
+
+/**
+ * Decodes the frame lost before a packet using its FEC data.
+ * See {@link Decoder#decodeFECFloat32}.
+ *
+ * @param {Buffer} data - The packet following the lost one
+ * @param {number} [samples] - Number of lost samples
+ * @returns {Promise<Float32Array>} The decoded output
+ */
+AsyncDecoder.prototype.decodeFECFloat32 = function(data, samples) {
+  return this._pool._call(this._codec, 'decodeFECFloat32', [data, samples]);
+};
+
+// All settings of the Decoder are available as well, returning a Promise.
+// decodeInto is not, since the worker cannot write to memory of this thread, and
+// neither is clone, since the copy would have to live in this thread.
+// transformStream and decodeAll return objects which cannot be sent between
+// threads.
+var unsupported = ['stream', 'decodeInto', 'clone', 'transformStream', 'decodeAll'];
+Object.keys(Decoder.prototype).forEach(function(name) {
+  if (name.charAt(0) === '_' || AsyncDecoder.prototype[name] ||
+      unsupported.indexOf(name) !== -1) {
+    return;
+  }
+  AsyncDecoder.prototype[name] = function() {
+    var args = Array.prototype.slice.call(arguments);
+    return this._pool._call(this._codec, name, args);
+  };
+});
+
+module.exports = AsyncDecoder;
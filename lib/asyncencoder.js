@@ -0,0 +1,98 @@
+var extend = require('extend');
+var Encoder = require('./encoder');
+var WorkerPool = require('./workerpool');
+var formats = require('./formats');
+
+/**
+ * Encoder for opus streams running off the main thread.
+ * <br>
+ * Takes the same options as {@link Encoder} and provides the same methods,
+ * except that all of them return a Promise. Requests are processed in the
+ * order they were made, so packets can be encoded without waiting for the
+ * previous ones to finish.
+ * <br>
+ * The memory of pcm arrays passed to {@link #encode} is transferred to the
+ * worker, i.e. the arrays are no longer usable afterwards. Arrays which only
+ * cover part of their memory are copied instead.
+ *
+ * @param {object} [opts={}] - Options for the encoder, see {@link Encoder}
+ * @param {WorkerPool} [opts.pool] - Pool of workers to use, the shared
+ *    default pool if omitted
+ * @constructor
+ */
+function AsyncEncoder(opts) {
+  // Allow use without new
+  if (!(this instanceof AsyncEncoder)) return new AsyncEncoder(opts);
+
+  opts = extend({
+    rate: 48000,
+    channels: 1
+  }, opts);
+
+  this._pool = opts.pool || WorkerPool.getDefault();
+  delete opts.pool;
+  this._rate = opts.rate;
+  this._channels = opts.channels;
+  this._codec = this._pool._createCodec('Encoder', opts);
+
+  /**
+   * @member {Promise} - Resolved once the encoder has been created, rejected
+   *    if the options are invalid
+   */
+  this.ready = this._codec.ready.then(function() {});
+  // Errors are reported by all subsequent requests as well
+  this.ready.catch(function() {});
+}
+
+/**
+ * Destroy this encoder and free its memory in the worker.
+ * Unlike {@link Encoder#destroy}, this has to be called in safe mode as well.
+ *
+ * @returns {Promise} Resolved once the encoder has been destroyed
+ */
+AsyncEncoder.prototype.destroy = function() {
+  return this._pool._destroyCodec(this._codec);
+};
+
+/**
+ * Encodes an array of (interleaved) pcm samples.
+ * See {@link Encoder#encode}.
+ *
+ * @param {ArrayBufferView|ArrayBufferView[]} pcm - Input samples, transferred
+ *    to the worker
+ * @param {string} [format] - Format of the samples, see {@link Encoder#encode}
+ * @returns {Promise<Buffer>} The encoded output
+ */
+AsyncEncoder.prototype.encode = function(pcm, format) {
+  // Uint8Arrays arrive as Buffers, so the format is always passed on
+  format = format || formats.detect(Array.isArray(pcm) ? pcm[0] : pcm);
+  if (!format) {
+    return Promise.reject(new TypeError(
+        'pcm must be a typed array of samples or an array of channels'));
+  }
+  return this._pool._call(this._codec, 'encode', [pcm, format]);
+};
+
+// All settings of the Encoder are available as well, returning a Promise.
+// encodeInto is not, since the worker cannot write to memory of this thread, and
+// neither is clone, since the copy would have to live in this thread.
+// transformStream and encodeAll return objects which cannot be sent between
+// threads.
+var unsupported = ['stream', 'encodeInto', 'clone', 'transformStream', 'encodeAll'];
+Object.keys(Encoder.prototype).forEach(function(name) {
+  if (name.charAt(0) === '_' || AsyncEncoder.prototype[name] ||
+      unsupported.indexOf(name) !== -1) {
+    return;
+  }
+  AsyncEncoder.prototype[name] = function() {
+    var args = Array.prototype.slice.call(arguments);
+    return this._pool._call(this._codec, name, args);
+  };
+});
+
+AsyncEncoder.Application = Encoder.Application;
+AsyncEncoder.Bandwidth = Encoder.Bandwidth;
+AsyncEncoder.Signal = Encoder.Signal;
+AsyncEncoder.AUTO = Encoder.AUTO;
+AsyncEncoder.BITRATE_MAX = Encoder.BITRATE_MAX;
+module.exports = AsyncEncoder;
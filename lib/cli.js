@@ -0,0 +1,454 @@
+// Implementation of the libopus-js command line tool
+
+var fs = require('fs');
+var path = require('path');
+var extend = require('extend');
+var PassThrough = require('stream').PassThrough;
+var Encoder = require('./encoder');
+var Decoder = require('./decoder');
+var MultistreamEncoder = require('./multistreamencoder');
+var MultistreamDecoder = require('./multistreamdecoder');
+var OggOpusReader = require('./oggreader');
+var OggOpusWriter = require('./oggwriter');
+var WebmOpusReader = require('./webmreader');
+var WebmOpusWriter = require('./webmwriter');
+var WavReader = require('./wavreader');
+var WavWriter = require('./wavwriter');
+var Packet = require('./packet');
+var OpusError = require('./opuserror');
+var formats = require('./formats');
+
+var USAGE = [
+  'Usage: libopus-js encode [options] [input] [output]',
+  '       libopus-js decode [options] [input] [output]',
+  '',
+  'Input and output are files, stdin and stdout if omitted or -.',
+  '',
+  'encode reads WAVE files or raw samples and writes Ogg Opus or WebM files:',
+  '  -b, --bitrate <bps>          Target bitrate in bits per second',
+  '  -a, --application <mode>     audio (default), voip or lowdelay',
+  '  -f, --frame-size <ms>        2.5, 5, 10, 20 (default), 40 or 60',
+  '  -r, --rate <hz>              Sampling rate of raw input (default 48000)',
+  '  -c, --channels <n>           Number of channels of raw input (default 1)',
+  '',
+  'decode reads Ogg Opus or WebM files and writes WAVE files or raw samples:',
+  '  -r, --rate <hz>              Output sampling rate (default 48000)',
+  '  -c, --channels <n>           Number of output channels (default: those',
+  '                               of the input)',
+  '',
+  'Common options:',
+  '  -s, --sample-format <name>   Format of raw or WAVE samples: Int8, Uint8,',
+  '                               Int16 (default), Int24, Int32, Float32 or',
+  '                               Float64',
+  '  -t, --type <type>            Type of the output: ogg, webm, wav or raw',
+  '                               (default: by extension of the output file,',
+  '                               otherwise ogg for encode and wav for decode)',
+  '  -q, --quiet                  Do not print a summary to stderr',
+  '  -h, --help                   Show this help'
+].join('\n');
+
+var OPTIONS = {
+  bitrate: { short: 'b', number: true },
+  application: { short: 'a' },
+  frameSize: { short: 'f', long: 'frame-size', number: true },
+  rate: { short: 'r', number: true },
+  channels: { short: 'c', number: true },
+  sampleFormat: { short: 's', long: 'sample-format' },
+  type: { short: 't' },
+  quiet: { short: 'q', flag: true },
+  help: { short: 'h', flag: true }
+};
+
+var APPLICATIONS = {
+  audio: Encoder.Application.AUDIO,
+  voip: Encoder.Application.VOIP,
+  lowdelay: Encoder.Application.RESTRICTED_LOWDELAY
+};
+
+var EXTENSIONS = {
+  '.opus': 'ogg',
+  '.ogg': 'ogg',
+  '.oga': 'ogg',
+  '.webm': 'webm',
+  '.weba': 'webm',
+  '.wav': 'wav',
+  '.raw': 'raw',
+  '.pcm': 'raw'
+};
+
+var OUTPUT_TYPES = {
+  encode: ['ogg', 'webm'],
+  decode: ['wav', 'raw']
+};
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {string[]} args - The arguments
+ * @returns {object} The options (by their key in {@link OPTIONS}) and the
+ *    remaining arguments as _
+ */
+function parseArgs(args) {
+  var byName = {};
+  Object.keys(OPTIONS).forEach(function(key) {
+    var option = extend({ key: key }, OPTIONS[key]);
+    byName['--' + (option.long || key)] = option;
+    byName['-' + option.short] = option;
+  });
+
+  var opts = { _: [] };
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg === '--') {
+      Array.prototype.push.apply(opts._, args.slice(i + 1));
+      break;
+    }
+    if (arg === '-' || arg[0] !== '-') {
+      opts._.push(arg);
+      continue;
+    }
+    var value = null;
+    var equals = arg.indexOf('=');
+    if (arg.slice(0, 2) === '--' && equals !== -1) {
+      value = arg.slice(equals + 1);
+      arg = arg.slice(0, equals);
+    }
+    if (!byName.hasOwnProperty(arg)) {
+      throw new TypeError('unknown option ' + arg);
+    }
+    var option = byName[arg];
+    if (option.flag) {
+      opts[option.key] = true;
+      continue;
+    }
+    if (value === null) {
+      if (i + 1 >= args.length) {
+        throw new TypeError('option ' + arg + ' requires a value');
+      }
+      value = args[++i];
+    }
+    if (option.number) {
+      if (value === '' || !isFinite(value)) {
+        throw new TypeError('option ' + arg + ' must be a number');
+      }
+      value = Number(value);
+    }
+    opts[option.key] = value;
+  }
+  return opts;
+}
+
+/**
+ * Reads the first bytes of a stream without consuming them.
+ *
+ * @param {Readable} input - The stream
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<object>} Object with the first bytes as head (fewer if
+ *    the stream ended before) and a stream with the whole input
+ */
+function peek(input, length) {
+  return new Promise(function(resolve, reject) {
+    var head = Buffer.alloc(0);
+    function onData(chunk) {
+      head = Buffer.concat([head, chunk]);
+      if (head.length >= length) {
+        done(false);
+      }
+    }
+    function onEnd() {
+      done(true);
+    }
+    function done(ended) {
+      input.removeListener('data', onData);
+      input.removeListener('end', onEnd);
+      input.removeListener('error', reject);
+      input.pause();
+      var stream = new PassThrough();
+      input.on('error', function(err) {
+        stream.emit('error', err);
+      });
+      if (ended) {
+        stream.end(head);
+      } else {
+        stream.write(head);
+        input.pipe(stream);
+      }
+      resolve({ head: head.slice(0, length), stream: stream });
+    }
+    input.on('data', onData);
+    input.on('end', onEnd);
+    input.on('error', reject);
+  });
+}
+
+/**
+ * Collects statistics about Opus packets.
+ *
+ * @param {boolean} multistream - Whether the packets are multistream packets
+ * @constructor
+ */
+function Stats(multistream) {
+  this._multistream = multistream;
+  this.packets = 0;
+  this.bytes = 0;
+  this.samples = 0;
+  this.minSize = Infinity;
+  this.maxSize = 0;
+}
+
+Stats.prototype.add = function(packet) {
+  this.packets++;
+  this.bytes += packet.length;
+  this.minSize = Math.min(this.minSize, packet.length);
+  this.maxSize = Math.max(this.maxSize, packet.length);
+  try {
+    this.samples += new Packet(packet, this._multistream).duration;
+  } catch (err) {
+    // Invalid packets do not contribute to the duration
+  }
+};
+
+Stats.prototype.toString = function() {
+  var seconds = this.samples / 48000;
+  var bitrate = seconds > 0 ? this.bytes * 8 / seconds / 1000 : 0;
+  return this.packets + ' packets (' + seconds.toFixed(2) + ' s), ' +
+      bitrate.toFixed(1) + ' kbit/s average, ' +
+      (this.packets ? this.minSize + '-' + this.maxSize : 0) + ' bytes per packet';
+};
+
+/**
+ * Sets up encoding of the input.
+ *
+ * @param {Readable} input - The input
+ * @param {string} inputType - wav or raw
+ * @param {string} outputType - ogg or webm
+ * @param {object} opts - Parsed options
+ * @param {function} onError - Called with errors of any of the streams
+ * @returns {Promise<object>} Object with the codec, the writer producing the
+ *    output and the stats of the packets
+ */
+function encode(input, inputType, outputType, opts, onError) {
+  if (opts.application !== undefined && !APPLICATIONS.hasOwnProperty(opts.application)) {
+    throw new TypeError('application cannot be ' + opts.application);
+  }
+
+  function setup(source, mode, rate, channels) {
+    var encOpts = { rate: rate, channels: channels };
+    if (opts.application !== undefined) {
+      encOpts.application = APPLICATIONS[opts.application];
+    }
+    if (opts.bitrate !== undefined) {
+      encOpts.bitrate = opts.bitrate;
+    }
+    var enc = channels > 2 ? new MultistreamEncoder(encOpts) : new Encoder(encOpts);
+    var stream = enc.stream(mode, { frameDuration: opts.frameSize || 20, flush: true });
+    var Writer = outputType === 'webm' ? WebmOpusWriter : OggOpusWriter;
+    var writer = new Writer({ encoder: enc });
+    var stats = new Stats(channels > 2);
+    stream.on('error', onError);
+    writer.on('error', onError);
+    source.pipe(stream).pipe(writer);
+    stream.on('data', stats.add.bind(stats));
+    return { codec: enc, writer: writer, stats: stats };
+  }
+
+  input.on('error', onError);
+  if (inputType === 'raw') {
+    formats.get(opts.sampleFormat || 'Int16');
+    return Promise.resolve(setup(input, opts.sampleFormat || 'Int16',
+        opts.rate || 48000, opts.channels || 1));
+  }
+  return new Promise(function(resolve, reject) {
+    var reader = new WavReader();
+    reader.on('error', onError);
+    reader.once('format', function(format) {
+      try {
+        resolve(setup(reader, format.mode, format.sampleRate, format.channels));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    input.pipe(reader);
+  });
+}
+
+/**
+ * Sets up decoding of the input.
+ *
+ * @param {Readable} input - The input
+ * @param {string} inputType - ogg or webm
+ * @param {string} outputType - wav or raw
+ * @param {object} opts - Parsed options
+ * @param {function} onError - Called with errors of any of the streams
+ * @returns {Promise<object>} See {@link encode}
+ */
+function decode(input, inputType, outputType, opts, onError) {
+  var mode = opts.sampleFormat || 'Int16';
+  formats.get(mode);
+  input.on('error', onError);
+  return new Promise(function(resolve, reject) {
+    var reader = inputType === 'ogg' ? new OggOpusReader() : new WebmOpusReader();
+    reader.on('error', onError);
+    reader.once('head', function(head) {
+      try {
+        var rate = opts.rate || 48000;
+        var dec;
+        if (head.mappingFamily === 0) {
+          dec = new Decoder({ rate: rate, channels: opts.channels || head.channels });
+        } else {
+          if (opts.channels && opts.channels !== head.channels) {
+            throw new RangeError('channels of a multichannel stream cannot be changed');
+          }
+          dec = new MultistreamDecoder(extend({}, head, { rate: rate }));
+        }
+        var stream = dec.stream(mode);
+        stream.on('error', onError);
+        reader.pipe(stream);
+        // The header has been emitted before the decoder stream was piped
+        stream._onHead(head);
+        var stats = new Stats(head.mappingFamily !== 0 && head.streamCount > 1);
+        reader.on('data', stats.add.bind(stats));
+        var writer = stream;
+        if (outputType === 'wav') {
+          writer = new WavWriter();
+          writer.on('error', onError);
+          stream.pipe(writer);
+        }
+        resolve({ codec: dec, writer: writer, stats: stats });
+      } catch (err) {
+        reject(err);
+      }
+    });
+    input.pipe(reader);
+  });
+}
+
+/**
+ * Writes the output of a writer to a file or stdout.
+ *
+ * @param {Readable} writer - The writer
+ * @param {string} output - Path of the file or - for stdout
+ * @param {Writable} stdout - Stream used as stdout
+ * @returns {Promise} Resolved once all output has been written
+ */
+function writeOutput(writer, output, stdout) {
+  if (output === '-') {
+    return new Promise(function(resolve) {
+      writer.on('end', resolve);
+      writer.pipe(stdout, { end: false });
+    });
+  }
+  if (writer.toFile) {
+    // Writes the final header as well
+    return writer.toFile(output);
+  }
+  return new Promise(function(resolve, reject) {
+    var file = fs.createWriteStream(output);
+    file.on('error', reject);
+    file.on('finish', resolve);
+    writer.pipe(file);
+  });
+}
+
+/**
+ * Runs the libopus-js command.
+ *
+ * @param {string[]} args - Command line arguments (without node and script)
+ * @param {object} [io] - Object with stdin, stdout and stderr streams, those
+ *    of the process by default
+ * @returns {Promise<number>} Resolved with the exit code, 0 on success, 1 on
+ *    errors while processing and 2 on invalid usage
+ */
+function run(args, io) {
+  io = extend({
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr
+  }, io);
+
+  function fail(code, err) {
+    io.stderr.write('libopus-js: ' + err.message + '\n');
+    if (code === 2) {
+      io.stderr.write('Try \'libopus-js --help\' for more information.\n');
+    }
+    return code;
+  }
+
+  var opts;
+  try {
+    opts = parseArgs(args);
+  } catch (err) {
+    return Promise.resolve(fail(2, err));
+  }
+  if (opts.help) {
+    io.stdout.write(USAGE + '\n');
+    return Promise.resolve(0);
+  }
+  var command = opts._.shift();
+  if (command === undefined) {
+    io.stderr.write(USAGE + '\n');
+    return Promise.resolve(2);
+  }
+  if (!OUTPUT_TYPES.hasOwnProperty(command)) {
+    return Promise.resolve(fail(2, new TypeError('unknown command ' + command)));
+  }
+  if (opts._.length > 2) {
+    return Promise.resolve(fail(2, new TypeError('too many arguments')));
+  }
+  var input = opts._[0] || '-';
+  var output = opts._[1] || '-';
+  var outputType = opts.type || EXTENSIONS[path.extname(output).toLowerCase()] ||
+      OUTPUT_TYPES[command][0];
+  if (OUTPUT_TYPES[command].indexOf(outputType) === -1) {
+    return Promise.resolve(fail(2, new TypeError(command + ' cannot write ' +
+        outputType + ' output')));
+  }
+
+  var setup;
+  var onError;
+  var failed = new Promise(function(resolve, reject) {
+    onError = reject;
+  });
+  var done = peek(input === '-' ? io.stdin : fs.createReadStream(input), 4)
+    .then(function(peeked) {
+      var magic = peeked.head.toString('latin1');
+      var inputType;
+      if (command === 'encode') {
+        inputType = magic === 'RIFF' ? 'wav' : 'raw';
+        return encode(peeked.stream, inputType, outputType, opts, onError);
+      }
+      if (magic === 'OggS') {
+        inputType = 'ogg';
+      } else if (peeked.head.length === 4 && peeked.head.readUInt32BE(0) === 0x1a45dfa3) {
+        inputType = 'webm';
+      } else {
+        throw new Error('input is neither an Ogg Opus nor a WebM file');
+      }
+      return decode(peeked.stream, inputType, outputType, opts, onError);
+    })
+    .then(function(result) {
+      setup = result;
+      return writeOutput(setup.writer, output, io.stdout);
+    });
+  return Promise.race([done, failed])
+    .then(function() {
+      setup.codec.destroy();
+      if (!opts.quiet) {
+        io.stderr.write(command + 'd ' + setup.stats + '\n');
+      }
+      return 0;
+    }, function(err) {
+      if (setup) {
+        setup.codec.destroy();
+      }
+      // Invalid options only show up when they are applied
+      var usage = err instanceof TypeError || err instanceof RangeError ||
+          err instanceof OpusError && err.code === OpusError.Code.BAD_ARG;
+      return fail(usage ? 2 : 1, err);
+    });
+}
+
+module.exports = {
+  run: run,
+  parseArgs: parseArgs
+};
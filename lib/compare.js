@@ -0,0 +1,284 @@
+var extend = require('extend');
+var formats = require('./formats');
+
+// Port of the perceptual quality metric of opus_compare, the tool libopus
+// checks decoders against the test vectors with.
+
+// Bands (in bins of the 480 sample window) on which the pseudo-NMR is
+// computed, derived from the Bark scale like those of CELT
+var BANDS = [0, 2, 4, 6, 8, 10, 12, 14, 16, 20, 24, 28, 32, 40, 48, 56, 68, 80,
+    96, 120, 156, 200];
+var NBANDS = 21;
+var NFREQS = 240;
+
+var WINDOW_SIZE = 480;
+var WINDOW_STEP = 120;
+
+// Number of bands covered by the decoded signal at each sampling rate
+var RATE_BANDS = {
+  8000: 13,
+  12000: 15,
+  16000: 17,
+  24000: 19,
+  48000: NBANDS
+};
+
+// Converts samples to interleaved floats on the scale of Int16 samples
+function toInt16Scale(pcm, format, channels) {
+  var samples = formats.toInterleavedNative(pcm, format, channels);
+  if (samples instanceof Int16Array) {
+    return Float32Array.from(samples);
+  }
+  var result = new Float32Array(samples.length);
+  for (var i = 0; i < samples.length; i++) {
+    result[i] = samples[i] * 32768;
+  }
+  return result;
+}
+
+// Computes the power spectrum of each window and its average in each band
+function bandEnergy(out, ps, bands, nbands, input, channels, frames,
+    windowSize, step, downsample) {
+  var psSize = windowSize / 2;
+  var window = new Float32Array(windowSize);
+  var c = new Float32Array(windowSize);
+  var s = new Float32Array(windowSize);
+  var x = new Float32Array(windowSize * channels);
+  var k;
+  for (k = 0; k < windowSize; k++) {
+    window[k] = 0.5 - 0.5 * Math.cos((2 * Math.PI / (windowSize - 1)) * k);
+    c[k] = Math.cos((2 * Math.PI / windowSize) * k);
+    s[k] = Math.sin((2 * Math.PI / windowSize) * k);
+  }
+  for (var i = 0; i < frames; i++) {
+    var ch;
+    for (ch = 0; ch < channels; ch++) {
+      for (k = 0; k < windowSize; k++) {
+        x[ch * windowSize + k] = window[k] * input[(i * step + k) * channels + ch];
+      }
+    }
+    var j = 0;
+    for (var b = 0; b < nbands; b++) {
+      var p = [0, 0];
+      for (; j < bands[b + 1]; j++) {
+        for (ch = 0; ch < channels; ch++) {
+          var re = 0;
+          var im = 0;
+          var t = 0;
+          for (k = 0; k < windowSize; k++) {
+            re += c[t] * x[ch * windowSize + k];
+            im -= s[t] * x[ch * windowSize + k];
+            t += j;
+            if (t >= windowSize) t -= windowSize;
+          }
+          re *= downsample;
+          im *= downsample;
+          var index = (i * psSize + j) * channels + ch;
+          ps[index] = re * re + im * im + 100000;
+          p[ch] += ps[index];
+        }
+      }
+      if (out) {
+        for (ch = 0; ch < channels; ch++) {
+          out[(i * nbands + b) * channels + ch] = p[ch] / (bands[b + 1] - bands[b]);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Compares decoded audio to a reference signal using the perceptual quality
+ * metric of opus_compare, as used for the Opus test vectors (RFC 6716 and
+ * RFC 8251).
+ * <br>
+ * The quality is 100 for identical signals and decreases with the audible
+ * difference between them. Signals with a negative quality fail the test.
+ * Both have to be aligned, i.e. any delay of the codec must already have
+ * been removed from the decoded audio.
+ * <br>
+ * Samples of both signals can be in any format, also as array of channels,
+ * see {@link Encoder#encode}. Floating point samples are scaled to 16-bit.
+ *
+ * @param {ArrayBufferView|ArrayBufferView[]} reference - Reference samples
+ *    (at 48kHz)
+ * @param {ArrayBufferView|ArrayBufferView[]} decoded - Decoded samples (at
+ *    opts.rate)
+ * @param {object} [opts={}] - Options for the comparison
+ * @param {(1|2)} [opts.channels=1] - Number of channels of the decoded
+ *    samples
+ * @param {(1|2)} [opts.referenceChannels=opts.channels] - Number of channels
+ *    of the reference, stereo is mixed down to be compared to mono
+ * @param {(8000|12000|16000|24000|48000)} [opts.rate=48000] - Sampling rate
+ *    of the decoded samples, the reference is only compared up to the
+ *    frequencies available at this rate
+ * @param {string} [opts.format] - Format of the samples, determined by their
+ *    type if omitted
+ * @returns {object} Object with quality (percent), error (internal weighted
+ *    error) and passed
+ */
+function compare(reference, decoded, opts) {
+  opts = extend({
+    channels: 1,
+    rate: 48000
+  }, opts);
+  var channels = opts.channels;
+  var referenceChannels = opts.referenceChannels || channels;
+  var rate = opts.rate;
+  if (channels !== 1 && channels !== 2) {
+    throw new RangeError('channels must be 1 or 2');
+  }
+  if (referenceChannels !== 1 && referenceChannels !== 2) {
+    throw new RangeError('referenceChannels must be 1 or 2');
+  }
+  if (referenceChannels < channels) {
+    throw new RangeError('a mono reference cannot be compared to stereo');
+  }
+  if (!RATE_BANDS.hasOwnProperty(rate)) {
+    throw new RangeError('rate must be 8000, 12000, 16000, 24000 or 48000');
+  }
+  var downsample = 48000 / rate;
+  var ybands = RATE_BANDS[rate];
+  var yfreqs = NFREQS / downsample;
+
+  var x = toInt16Scale(reference, opts.format, referenceChannels);
+  var y = toInt16Scale(decoded, opts.format, channels);
+  if (x.length % referenceChannels !== 0 || y.length % channels !== 0) {
+    throw new RangeError('samples must contain whole frames of all channels');
+  }
+  var xlength = x.length / referenceChannels;
+  var ylength = y.length / channels;
+  var i, j, b, ch;
+  if (referenceChannels !== channels) {
+    for (i = 0; i < xlength; i++) {
+      x[i] = 0.5 * (x[2 * i] + x[2 * i + 1]);
+    }
+  }
+  if (xlength !== ylength * downsample) {
+    throw new RangeError('sample counts do not match (' + xlength + ' != ' +
+        ylength * downsample + ')');
+  }
+  if (xlength < WINDOW_SIZE) {
+    throw new RangeError('insufficient sample data (' + xlength + ' < ' +
+        WINDOW_SIZE + ')');
+  }
+
+  var frames = Math.floor((xlength - WINDOW_SIZE + WINDOW_STEP) / WINDOW_STEP);
+  var xb = new Float32Array(frames * NBANDS * channels);
+  var X = new Float32Array(frames * NFREQS * channels);
+  var Y = new Float32Array(frames * yfreqs * channels);
+  // Per-band spectral energy of the original signal and the spectra of both
+  bandEnergy(xb, X, BANDS, NBANDS, x, channels, frames, WINDOW_SIZE,
+      WINDOW_STEP, 1);
+  bandEnergy(null, Y, BANDS, ybands, y, channels, frames,
+      WINDOW_SIZE / downsample, WINDOW_STEP / downsample, downsample);
+
+  for (i = 0; i < frames; i++) {
+    // Frequency masking (low to high): 10 dB/Bark slope
+    for (b = 1; b < NBANDS; b++) {
+      for (ch = 0; ch < channels; ch++) {
+        xb[(i * NBANDS + b) * channels + ch] +=
+            0.1 * xb[(i * NBANDS + b - 1) * channels + ch];
+      }
+    }
+    // Frequency masking (high to low): 15 dB/Bark slope
+    for (b = NBANDS - 2; b >= 0; b--) {
+      for (ch = 0; ch < channels; ch++) {
+        xb[(i * NBANDS + b) * channels + ch] +=
+            0.03 * xb[(i * NBANDS + b + 1) * channels + ch];
+      }
+    }
+    if (i > 0) {
+      // Temporal masking: -3 dB/2.5ms slope
+      for (b = 0; b < NBANDS; b++) {
+        for (ch = 0; ch < channels; ch++) {
+          xb[(i * NBANDS + b) * channels + ch] +=
+              0.5 * xb[((i - 1) * NBANDS + b) * channels + ch];
+        }
+      }
+    }
+    // Allowing some cross-talk
+    if (channels === 2) {
+      for (b = 0; b < NBANDS; b++) {
+        var l = xb[(i * NBANDS + b) * 2];
+        var r = xb[(i * NBANDS + b) * 2 + 1];
+        xb[(i * NBANDS + b) * 2] += 0.01 * r;
+        xb[(i * NBANDS + b) * 2 + 1] += 0.01 * l;
+      }
+    }
+    // Apply masking
+    for (b = 0; b < ybands; b++) {
+      for (j = BANDS[b]; j < BANDS[b + 1]; j++) {
+        for (ch = 0; ch < channels; ch++) {
+          X[(i * NFREQS + j) * channels + ch] += 0.1 * xb[(i * NBANDS + b) * channels + ch];
+          Y[(i * yfreqs + j) * channels + ch] += 0.1 * xb[(i * NBANDS + b) * channels + ch];
+        }
+      }
+    }
+  }
+
+  // Average of consecutive frames to make the comparison slightly less
+  // sensitive
+  for (b = 0; b < ybands; b++) {
+    for (j = BANDS[b]; j < BANDS[b + 1]; j++) {
+      for (ch = 0; ch < channels; ch++) {
+        var xtmp = X[j * channels + ch];
+        var ytmp = Y[j * channels + ch];
+        for (i = 1; i < frames; i++) {
+          var xtmp2 = X[(i * NFREQS + j) * channels + ch];
+          var ytmp2 = Y[(i * yfreqs + j) * channels + ch];
+          X[(i * NFREQS + j) * channels + ch] += xtmp;
+          Y[(i * yfreqs + j) * channels + ch] += ytmp;
+          xtmp = xtmp2;
+          ytmp = ytmp2;
+        }
+      }
+    }
+  }
+
+  // At lower sampling rates, the last 300 Hz are not taken into account to
+  // allow for different transition bands. At 12kHz, the last band already
+  // skips 400 Hz.
+  var maxCompare;
+  if (rate === 48000) {
+    maxCompare = BANDS[NBANDS];
+  } else if (rate === 12000) {
+    maxCompare = BANDS[ybands];
+  } else {
+    maxCompare = BANDS[ybands] - 3;
+  }
+  var err = 0;
+  for (i = 0; i < frames; i++) {
+    var Ef = 0;
+    for (b = 0; b < ybands; b++) {
+      var Eb = 0;
+      for (j = BANDS[b]; j < BANDS[b + 1] && j < maxCompare; j++) {
+        for (ch = 0; ch < channels; ch++) {
+          var ratio = Y[(i * yfreqs + j) * channels + ch] / X[(i * NFREQS + j) * channels + ch];
+          var e = ratio - Math.log(ratio) - 1;
+          // Less sensitive around the SILK/CELT cross-over to allow for mode
+          // freedom in the filters
+          if (j >= 79 && j <= 81) e *= 0.1;
+          if (j === 80) e *= 0.1;
+          Eb += e;
+        }
+      }
+      Eb /= (BANDS[b + 1] - BANDS[b]) * channels;
+      Ef += Eb * Eb;
+    }
+    // A fixed normalization means slightly lower quality is accepted at lower
+    // sampling rates
+    Ef /= NBANDS;
+    Ef *= Ef;
+    err += Ef * Ef;
+  }
+  err = Math.pow(err / frames, 1 / 16);
+  var quality = 100 * (1 - 0.5 * Math.log(1 + err) / Math.log(1.13));
+  return {
+    quality: quality,
+    error: err,
+    passed: quality >= 0
+  };
+}
+
+module.exports = compare;
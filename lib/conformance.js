@@ -0,0 +1,307 @@
+// Checks of the decoder against the Opus test vectors and of encode and
+// decode round trips against a quality threshold
+
+var fs = require('fs');
+var path = require('path');
+var extend = require('extend');
+var Encoder = require('./encoder');
+var Decoder = require('./decoder');
+var formats = require('./formats');
+var compare = require('./compare');
+
+/**
+ * Parses a bitstream in the format of opus_demo, as used by the test vectors.
+ * Each packet is preceded by its length and the final range of the encoder
+ * (both 32-bit big-endian), packets of length 0 are lost.
+ *
+ * @param {Buffer} buf - The bitstream
+ * @returns {object[]} Object with packet (Buffer) and finalRange for each
+ *    packet
+ */
+function parseBitstream(buf) {
+  if (!(buf instanceof Buffer)) {
+    throw new TypeError('bitstream must be a Buffer');
+  }
+  var packets = [];
+  var offset = 0;
+  while (offset < buf.length) {
+    if (offset + 8 > buf.length) {
+      throw new Error('bitstream ended in the middle of a packet header');
+    }
+    var length = buf.readUInt32BE(offset);
+    var finalRange = buf.readUInt32BE(offset + 4);
+    offset += 8;
+    if (offset + length > buf.length) {
+      throw new Error('bitstream ended in the middle of a packet');
+    }
+    packets.push({
+      packet: buf.slice(offset, offset + length),
+      finalRange: finalRange
+    });
+    offset += length;
+  }
+  return packets;
+}
+
+/**
+ * Writes a bitstream in the format of opus_demo, see {@link parseBitstream}.
+ *
+ * @param {object[]} packets - Objects with packet (Buffer, empty if lost)
+ *    and finalRange (0 if unknown), see {@link Encoder#getFinalRange}
+ * @returns {Buffer} The bitstream
+ */
+function writeBitstream(packets) {
+  return Buffer.concat(packets.map(function(entry) {
+    var header = Buffer.alloc(8);
+    header.writeUInt32BE(entry.packet.length, 0);
+    header.writeUInt32BE((entry.finalRange || 0) >>> 0, 4);
+    return Buffer.concat([header, entry.packet]);
+  }));
+}
+
+/**
+ * Decodes a bitstream like opus_demo does, concealing lost packets and
+ * checking the final range of the decoder after each packet.
+ *
+ * @param {Buffer} bitstream - The bitstream, see {@link parseBitstream}
+ * @param {object} [opts={}] - Options for the {@link Decoder}
+ * @param {number} [opts.rate=48000] - Output sampling rate
+ * @param {number} [opts.channels=2] - Number of output channels
+ * @returns {object} Object with pcm (interleaved Int16Array) and
+ *    rangeMismatch (index of the first packet the final range of the decoder
+ *    differs after, -1 if none)
+ */
+function decodeBitstream(bitstream, opts) {
+  opts = extend({
+    rate: 48000,
+    channels: 2
+  }, opts, {
+    unsafe: true
+  });
+  var packets = parseBitstream(bitstream);
+  var dec = new Decoder(opts);
+  var output = [];
+  var length = 0;
+  var rangeMismatch = -1;
+  var lostPrev = false;
+  try {
+    packets.forEach(function(entry, i) {
+      var lost = entry.packet.length === 0;
+      // The duration of lost packets is estimated with the last packet
+      var pcm = dec.decodeInt16(lost ? 0 : entry.packet);
+      output.push(pcm);
+      length += pcm.length;
+      // Concealment (also of the packet before) makes the state diverge
+      if (rangeMismatch === -1 && entry.finalRange !== 0 && !lost && !lostPrev &&
+          dec.getFinalRange() !== entry.finalRange) {
+        rangeMismatch = i;
+      }
+      lostPrev = lost;
+    });
+  } finally {
+    dec.destroy();
+  }
+  var result = new Int16Array(length);
+  var offset = 0;
+  output.forEach(function(pcm) {
+    result.set(pcm, offset);
+    offset += pcm.length;
+  });
+  return {
+    pcm: result,
+    rangeMismatch: rangeMismatch
+  };
+}
+
+/**
+ * Checks the decoder against a test vector: decodes the bitstream and
+ * compares the output to the reference decoder output.
+ * <br>
+ * The test vectors of RFC 6716 (updated by RFC 8251) come with a
+ * testvectorNN.bit bitstream and testvectorNN.dec (and, since RFC 8251,
+ * testvectorNNm.dec) reference output as raw 16-bit little-endian stereo
+ * samples at 48kHz. A vector passes if the output is close enough to any of
+ * its references.
+ *
+ * @param {Buffer} bitstream - The bitstream, see {@link parseBitstream}
+ * @param {Buffer|Int16Array} reference - Reference output, raw 16-bit
+ *    little-endian samples or an Int16Array
+ * @param {object} [opts={}] - Options for the decoder and the comparison, see
+ *    {@link decodeBitstream} and {@link compare}
+ * @param {(8000|12000|16000|24000|48000)} [opts.rate=48000] - Output sampling
+ *    rate, the reference is always at 48kHz
+ * @param {(1|2)} [opts.channels=2] - Number of output channels
+ * @param {(1|2)} [opts.referenceChannels=2] - Number of channels of the
+ *    reference
+ * @returns {object} Object with passed, quality, error (see {@link compare})
+ *    and rangeMismatch (see {@link decodeBitstream})
+ */
+function checkVector(bitstream, reference, opts) {
+  opts = extend({
+    rate: 48000,
+    channels: 2,
+    referenceChannels: 2
+  }, opts);
+  if (reference instanceof Buffer) {
+    reference = formats.fromBuffer(reference, 'Int16');
+  }
+  var decoded = decodeBitstream(bitstream, opts);
+  var result = compare(reference, decoded.pcm, {
+    rate: opts.rate,
+    channels: opts.channels,
+    referenceChannels: opts.referenceChannels
+  });
+  result.rangeMismatch = decoded.rangeMismatch;
+  result.passed = result.passed && decoded.rangeMismatch === -1;
+  return result;
+}
+
+/**
+ * Runs all test vectors in a directory, at each of the given sampling rates
+ * and numbers of channels, like the run_vectors.sh script of libopus.
+ * Each testvectorNN.bit is checked against the testvectorNN.dec and
+ * testvectorNNm.dec references next to it, see {@link checkVector}.
+ *
+ * @param {string} dir - Directory containing the test vectors
+ * @param {object} [opts={}] - Options for the decoder
+ * @param {number[]} [opts.rates=[48000, 24000, 16000, 12000, 8000]] -
+ *    Sampling rates to decode at
+ * @param {number[]} [opts.channels=[2, 1]] - Numbers of channels to decode
+ * @returns {object[]} Result of each check with name (of the bitstream), rate
+ *    and channels, passed, quality and error of the best matching reference
+ *    and rangeMismatch
+ */
+function checkVectors(dir, opts) {
+  opts = extend({
+    rates: [48000, 24000, 16000, 12000, 8000],
+    channels: [2, 1]
+  }, opts);
+  var rates = opts.rates;
+  var channelCounts = opts.channels;
+  delete opts.rates;
+  delete opts.channels;
+
+  var names = fs.readdirSync(dir).filter(function(name) {
+    return path.extname(name) === '.bit';
+  }).sort();
+  if (names.length === 0) {
+    throw new Error('no test vectors in ' + dir);
+  }
+  var results = [];
+  names.forEach(function(name) {
+    var base = path.join(dir, path.basename(name, '.bit'));
+    var bitstream = fs.readFileSync(base + '.bit');
+    var references = [base + '.dec', base + 'm.dec'].filter(function(file) {
+      return fs.existsSync(file);
+    }).map(function(file) {
+      return fs.readFileSync(file);
+    });
+    if (references.length === 0) {
+      throw new Error('no reference output for ' + name);
+    }
+    rates.forEach(function(rate) {
+      channelCounts.forEach(function(channels) {
+        var best = null;
+        references.forEach(function(reference) {
+          var result = checkVector(bitstream, reference, extend({}, opts, {
+            rate: rate,
+            channels: channels
+          }));
+          if (best === null || result.quality > best.quality) {
+            best = result;
+          }
+        });
+        results.push(extend({
+          name: name,
+          rate: rate,
+          channels: channels
+        }, best));
+      });
+    });
+  });
+  return results;
+}
+
+/**
+ * Encodes and decodes a signal and compares the result to the original, see
+ * {@link compare}. The lookahead of the encoder is removed from the decoded
+ * audio and the last frame is padded with silence.
+ * <br>
+ * As the metric is meant for decoder conformance, lossy coding typically
+ * scores below 0, so a threshold should be taken from a known-good build.
+ *
+ * @param {ArrayBufferView|ArrayBufferView[]} pcm - Input samples at 48kHz,
+ *    see {@link Encoder#encode}
+ * @param {object} opts - Options for the {@link Encoder} and
+ *    {@link Decoder}
+ * @param {number} opts.minQuality - Minimum quality to pass
+ * @param {(1|2)} [opts.channels=1] - Number of channels
+ * @param {(8000|12000|16000|24000|48000)} [opts.decodeRate=48000] - Sampling
+ *    rate to decode at
+ * @param {(2.5|5|10|20|40|60)} [opts.frameDuration=20] - Duration of each
+ *    frame (ms)
+ * @param {string} [opts.format] - Format of the samples, determined by their
+ *    type if omitted
+ * @returns {object} Object with passed, quality and error (see
+ *    {@link compare}) and bitrate (the average of the packets in bits per
+ *    second)
+ */
+function checkRoundTrip(pcm, opts) {
+  opts = extend({
+    channels: 1,
+    decodeRate: 48000,
+    frameDuration: 20
+  }, opts, {
+    rate: 48000,
+    unsafe: true
+  });
+  if (typeof opts.minQuality !== 'number') {
+    throw new TypeError('minQuality must be a number');
+  }
+  var channels = opts.channels;
+  var input = formats.toInterleavedNative(pcm, opts.format, channels);
+  var frameSize = 48 * opts.frameDuration;
+  var downsample = 48000 / opts.decodeRate;
+  // The reference has to cover whole samples at the decoding rate
+  var samples = Math.floor(input.length / channels / downsample) * downsample;
+  var reference = input.subarray(0, samples * channels);
+
+  var enc = new Encoder(opts);
+  var dec = new Decoder(extend({}, opts, { rate: opts.decodeRate }));
+  var decoded, bytes = 0;
+  try {
+    var lookahead = enc.getLookahead();
+    var frames = Math.ceil((samples + lookahead) / frameSize);
+    var padded = new input.constructor(frames * frameSize * channels);
+    padded.set(reference);
+    decoded = new Float32Array(frames * frameSize / downsample * channels);
+    for (var i = 0; i < frames; i++) {
+      var packet = enc.encode(padded.subarray(i * frameSize * channels,
+          (i + 1) * frameSize * channels));
+      bytes += packet.length;
+      decoded.set(dec.decodeFloat32(packet), i * frameSize / downsample * channels);
+    }
+  } finally {
+    enc.destroy();
+    dec.destroy();
+  }
+  var skip = Math.round(lookahead / downsample);
+  decoded = decoded.subarray(skip * channels, (skip + samples / downsample) * channels);
+
+  var result = compare(reference, decoded, {
+    channels: channels,
+    rate: opts.decodeRate
+  });
+  result.passed = result.quality >= opts.minQuality;
+  result.bitrate = bytes * 8 / (frames * opts.frameDuration / 1000);
+  return result;
+}
+
+module.exports = {
+  parseBitstream: parseBitstream,
+  writeBitstream: writeBitstream,
+  decodeBitstream: decodeBitstream,
+  checkVector: checkVector,
+  checkVectors: checkVectors,
+  checkRoundTrip: checkRoundTrip
+};
@@ -1,23 +1,36 @@
-var libopus = require('../build/libopus.js').instance;
 var utils = require('./utils');
+var snapshot = require('./snapshot');
+var Resampler = require('./resampler');
+var formats = require('./formats');
+var adapters = require('./adapters');
+var defines = require('./defines');
+var OpusError = require('./opuserror');
 var util = require('util');
 var extend = require('extend');
 var Transform = require('stream').Transform;
-var e = function(msg) { return new Error(msg); };
 
-var p_pcm = utils.p_pcm;
-var p_data = utils.p_data;
+var Code = OpusError.Code;
+var CTL = defines.CTL;
 
 /**
  * Decoder for opus streams.
  *
  * @param {object} [opts={}] - Options for the decoder
- * @param {(8000|12000|16000|24000|48000)} [opts.rate=48000] - Sampling rate of output signal (Hz)
+ * @param {number} [opts.rate=48000] - Sampling rate of output signal (Hz).<br>
+ *    libopus supports 8k, 12k, 16k, 24k and 48k. For any other rate (between
+ *    4k and 384k), the output of the next higher of those is resampled.
  * @param {number} [opts.channels=1] - Number of (interleaved) channels
+ * @param {number} [opts.resampleQuality=5] - Quality of the resampler from 0
+ *    (fastest) to 10 (best), see {@link Resampler}
  * @param {boolean} [opts.unsafe=false] - Mark this decoder as unsafe.<br>
  *    Decoder in unsafe mode generally operate faster.<br>
- *    Warning: {@link #destroy()} MUST be called on an unsafe decoder before 
- *    it is garbage collected. Otherwise it will leak memory.
+ *    Warning: {@link #destroy()} should be called on an unsafe decoder before
+ *    it is garbage collected. Otherwise its memory is only freed once the
+ *    garbage collector gets around to it (if FinalizationRegistry is
+ *    supported at all).
+ * @param {object|function} [opts.libopus] - The libopus module to use, or a
+ *    factory creating a fresh one (such as require('libopus.js/build/libopus.js')).<br>
+ *    By default, all codecs share a single instance.
  * @constructor
  */
 function Decoder(opts) {
@@ -27,37 +40,58 @@ function Decoder(opts) {
   opts = extend({
     rate: 48000,
     channels: 1,
+    resampleQuality: 5,
     unsafe: false
   }, opts);
 
   if (opts.channels < 1 || opts.channels > 2) {
-    throw e("channels must be either 1 or 2");
+    throw new OpusError(Code.BAD_ARG, 'channels must be either 1 or 2');
   }
-  if ([8000, 12000, 16000, 24000, 48000].indexOf(opts.rate) == -1) {
-    throw e("rate can only be 8k, 12k, 16k, 24k or 48k");
+  if (!utils.isValidRate(opts.rate)) {
+    throw new OpusError(Code.BAD_ARG, 'rate must be an integer between 4000 and 384000');
   }
 
   this._rate = opts.rate;
+  this._codecRate = utils.codecRate(opts.rate);
   this._channels = opts.channels;
+  this._resampler = this._codecRate === this._rate ? null : new Resampler({
+    from: this._codecRate,
+    to: this._rate,
+    channels: this._channels,
+    quality: opts.resampleQuality
+  });
   this._unsafe = opts.unsafe;
+  this._destroyed = false;
+  var libopus = this._libopus = utils.resolveModule(opts.libopus);
 
   // Allocate space for the decoder state
   var size = libopus._opus_decoder_get_size(this._channels);
-  var dec = libopus._malloc(size);
+  var dec = utils.malloc(libopus, size, 'Decoder state');
   // Initialize the decoder
-  var ret = libopus._opus_decoder_init(dec, this._rate, this._channels);
+  var ret = libopus._opus_decoder_init(dec, this._codecRate, this._channels);
   if (ret !== 0) {
     // Free allocated space and throw error
-    libopus._free(dec);
-    throw e(utils.stringifyError(ret));
+    utils.free(libopus, dec);
+    throw new OpusError(ret);
   }
-  // In unsafe mode, that's it. However in safe mode, we copy the state
-  // to a local buffer and free our allocated memory afterwards
+  // In unsafe mode, that's it (apart from allocating our own buffers for
+  // input and output). However in safe mode, we copy the state to a local
+  // buffer and free our allocated memory afterwards
   if (this._unsafe) {
+    var buffers;
+    try {
+      buffers = utils.mallocAll(libopus, [utils.p_pcm_len, utils.p_data_len], 'Decoder buffers');
+    } catch (err) {
+      utils.free(libopus, dec);
+      throw err;
+    }
     this._state = dec;
+    this._p_pcm = buffers[0];
+    this._p_data = buffers[1];
+    utils.registerCleanup(this, libopus, [this._state, this._p_pcm, this._p_data]);
   } else {
     this._state = libopus.HEAPU8.slice(dec, dec + size);
-    libopus._free(dec);
+    utils.free(libopus, dec);
   }
 }
 
@@ -68,12 +102,16 @@ function Decoder(opts) {
  * @returns The return value of func
  */
 Decoder.prototype._withState = function(func) {
+  var libopus = this._libopus;
+  if (this._destroyed) {
+    throw new OpusError(Code.INVALID_STATE, 'decoder has been destroyed');
+  }
   if (this._unsafe) {
     // Unsafe mode already has the state stored in memory
     return func(this._state);
   } else {
     // Store state in memory
-    var p = libopus._malloc(this._state.length);
+    var p = utils.malloc(libopus, this._state.length, 'Decoder state');
     libopus.HEAPU8.set(this._state, p);
 
     // Call function
@@ -82,20 +120,154 @@ Decoder.prototype._withState = function(func) {
     } finally {
       // Retrieve state from memory
       this._state.set(libopus.HEAPU8.subarray(p, p + this._state.length));
-      libopus._free(p);
+      utils.free(libopus, p);
     }
   }
 };
 
+/**
+ * Calls the specified function with the state loaded into memory and with
+ * buffers for input data and output samples.
+ *
+ * @param func - The function to be called with pointers to the state, the
+ *    pcm buffer (p_pcm_len bytes) and the data buffer (p_data_len bytes)
+ * @returns The return value of func
+ */
+Decoder.prototype._withBuffers = function(func) {
+  var self = this;
+  var libopus = this._libopus;
+  return this._withState(function(p_dec) {
+    if (self._unsafe) {
+      return func(p_dec, self._p_pcm, self._p_data);
+    }
+    var p_pcm = utils.malloc(libopus, utils.p_pcm_len + utils.p_data_len,
+        'Decoder buffers');
+    try {
+      return func(p_dec, p_pcm, p_pcm + utils.p_pcm_len);
+    } finally {
+      utils.free(libopus, p_pcm);
+    }
+  });
+};
+
 /**
  * Destroy this decoder.
- * This method should only be called if this decoder is in unsafe mode.
- * Any subsequent calls to any encode method will result in undefined behavior.
+ * In unsafe mode, this frees the memory of the decoder. Unsafe decoders which are
+ * garbage collected without being destroyed are freed automatically where
+ * FinalizationRegistry is supported, but this may happen much later.
+ * Any subsequent calls to this decoder throw an error, calling this method
+ * again does nothing.
  */
 Decoder.prototype.destroy = function() {
+  if (this._destroyed) {
+    return;
+  }
+  this._destroyed = true;
   if (this._unsafe) {
-    libopus._free(this._state);
+    utils.unregisterCleanup(this);
+    utils.free(this._libopus, this._state);
+    utils.free(this._libopus, this._p_pcm);
+    utils.free(this._libopus, this._p_data);
+  }
+};
+
+/**
+ * Takes a snapshot of the current state of this decoder.
+ * The snapshot can be restored at any later time, in this or any other
+ * decoder with the same sampling rate and number of channels, even in
+ * a different thread or process, as long as the same build of libopus is
+ * used. When resampling, this includes the state of the resampler.
+ *
+ * @returns {Buffer} The snapshot
+ */
+Decoder.prototype.snapshot = function() {
+  var self = this;
+  var libopus = this._libopus;
+  return this._withState(function(p_dec) {
+    var size = libopus._opus_decoder_get_size(self._channels);
+    return snapshot.serialize({
+      type: snapshot.Type.DECODER,
+      rate: self._rate,
+      channels: self._channels,
+      libopusVersion: snapshot.getLibopusVersion(libopus),
+      resampler: self._resampler ? self._resampler.getState() : null
+    }, libopus.HEAPU8.subarray(p_dec, p_dec + size));
+  });
+};
+
+/**
+ * Restores the state of this decoder from a snapshot.
+ * See {@link #snapshot}.
+ *
+ * @param {Buffer} buf - The snapshot
+ */
+Decoder.prototype.restore = function(buf) {
+  var libopus = this._libopus;
+  var snap = snapshot.parse(buf, snapshot.Type.DECODER, libopus);
+  if (snap.rate !== this._rate || snap.channels !== this._channels) {
+    throw new OpusError(Code.INVALID_STATE,
+        'snapshot does not match the configuration of this decoder');
+  }
+  if (snap.state.length !== libopus._opus_decoder_get_size(this._channels)) {
+    throw new OpusError(Code.BAD_ARG, 'invalid snapshot');
+  }
+  if (!snap.resampler !== !this._resampler) {
+    throw new OpusError(Code.BAD_ARG, 'invalid snapshot');
+  }
+  if (this._resampler) {
+    if (snap.resampler.quality !== this._resampler._quality) {
+      throw new OpusError(Code.INVALID_STATE,
+          'snapshot does not match the configuration of this decoder');
+    }
+    this._resampler.setState(snap.resampler);
+  }
+  this._withState(function(p_dec) {
+    libopus.HEAPU8.set(snap.state, p_dec);
+  });
+};
+
+/**
+ * Creates an independent copy of this decoder, including its current state.
+ *
+ * @param {object} [opts={}] - Options for the copy
+ * @param {boolean} [opts.unsafe] - Whether the copy is unsafe, same as this
+ *    decoder by default
+ * @param {object|function} [opts.libopus] - The libopus module of the copy,
+ *    same as this decoder by default
+ * @returns {Decoder} The copy
+ */
+Decoder.prototype.clone = function(opts) {
+  return Decoder.fromSnapshot(this.snapshot(), extend({
+    unsafe: this._unsafe,
+    libopus: this._libopus
+  }, opts));
+};
+
+/**
+ * Creates an decoder from a snapshot.
+ * See {@link #snapshot}.
+ *
+ * @param {Buffer} buf - The snapshot
+ * @param {object} [opts={}] - Options for the decoder, sampling rate, number
+ *    of channels and resampling quality are taken from the snapshot
+ * @returns {Decoder} The decoder
+ */
+Decoder.fromSnapshot = function(buf, opts) {
+  var libopus = utils.resolveModule(opts && opts.libopus);
+  var snap = snapshot.parse(buf, snapshot.Type.DECODER, libopus);
+  var dec = new Decoder(extend({}, opts, {
+    libopus: libopus,
+    rate: snap.rate,
+    channels: snap.channels,
+    resampleQuality: snap.resampler ? snap.resampler.quality : undefined
+  }));
+  try {
+    dec.restore(buf);
+  } catch (err) {
+    dec.destroy();
+    throw err;
   }
+  return dec;
 };
 
 /**
@@ -105,12 +277,14 @@ Decoder.prototype.destroy = function() {
  * If more than 120ms of data are lost, calls to this method have to be split
  * in batches of at most 120ms. If a falsy value is passed in, the amount of 
  * lost samples is estimated with the last packet.
+ * When resampling, the output is delayed by {@link Resampler#getDelay}
+ * samples and its length may vary by a sample between packets.
  *
  * @param {Buffer|number} data - Encoded input data or number of lost samples
  * @returns {Int16Array} The decoded output
  */
 Decoder.prototype.decodeInt16 = function(data) {
-  return new Int16Array(this._decode(data, 2, libopus._opus_decode));
+  return this._decode(data, Int16Array, this._libopus._opus_decode);
 };
 
 /**
@@ -125,66 +299,427 @@ Decoder.prototype.decodeInt16 = function(data) {
  * @returns {Float32Array} The decoded output
  */
 Decoder.prototype.decodeFloat32 = function(data) {
-  return new Float32Array(this._decode(data, 4, libopus._opus_decode_float));
+  return this._decode(data, Float32Array, this._libopus._opus_decode_float);
+};
+
+/**
+ * Decodes an opus packet and returns it with the samples of each channel in
+ * a separate Float32Array, e.g. for a Web Audio AudioBuffer.
+ * See {@link #decodeFloat32}.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @returns {Float32Array[]} The decoded output of each channel
+ */
+Decoder.prototype.decodePlanarFloat32 = function(data) {
+  return formats.deinterleave(this.decodeFloat32(data), this._channels);
+};
+
+/**
+ * Decodes an opus packet and returns it in the specified sample format.
+ * Int8, Uint8 and Int16 samples are converted from the output of
+ * {@link #decodeInt16}, all others from the output of {@link #decodeFloat32}.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @param {('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')} format -
+ *    Format of the output samples
+ * @returns {ArrayBufferView} The decoded (interleaved) output, a Buffer with
+ *    three bytes per sample for Int24
+ */
+Decoder.prototype.decode = function(data, format) {
+  var pcm = formats.get(format).native === Int16Array ?
+      this.decodeInt16(data) : this.decodeFloat32(data);
+  return formats.fromNative(pcm, format);
+};
+
+/**
+ * Decodes the frame which was lost right before the specified packet using the
+ * forward error correction data contained in that packet and returns it as an
+ * Int16Array.
+ * The packet itself has to be decoded afterwards by passing it to
+ * {@link #decodeInt16}. If it does not contain any FEC data, the lost frame is
+ * concealed just as if its number of samples had been passed to
+ * {@link #decodeInt16}.
+ *
+ * @param {Buffer} data - The packet following the lost one
+ * @param {number} [samples] - Number of lost samples, estimated with the last
+ *    packet if omitted
+ * @returns {Int16Array} The decoded output
+ */
+Decoder.prototype.decodeFECInt16 = function(data, samples) {
+  return this._decodeFEC(data, samples, Int16Array, this._libopus._opus_decode);
+};
+
+/**
+ * Decodes the frame which was lost right before the specified packet using the
+ * forward error correction data contained in that packet and returns it as a
+ * Float32Array.
+ * The packet itself has to be decoded afterwards by passing it to
+ * {@link #decodeFloat32}. If it does not contain any FEC data, the lost frame
+ * is concealed just as if its number of samples had been passed to
+ * {@link #decodeFloat32}.
+ *
+ * @param {Buffer} data - The packet following the lost one
+ * @param {number} [samples] - Number of lost samples, estimated with the last
+ *    packet if omitted
+ * @returns {Float32Array} The decoded output
+ */
+Decoder.prototype.decodeFECFloat32 = function(data, samples) {
+  return this._decodeFEC(data, samples, Float32Array, this._libopus._opus_decode_float);
+};
+
+/**
+ * Decodes an opus packet into the specified array.
+ * Unlike {@link #decodeInt16} and {@link #decodeFloat32}, this does not
+ * allocate any memory for the result at the sampling rates of libopus. At
+ * any other rate, the resampled output is allocated by
+ * {@link Resampler#process} and then copied into the array. The type of the
+ * array determines the sample format. If the decoded frame does not fit into the array, an error
+ * is thrown.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @param {Int16Array|Float32Array} out - Array the (interleaved) samples are
+ *    written to (starting at its beginning)
+ * @returns {number} Number of decoded samples per channel
+ */
+Decoder.prototype.decodeInto = function(data, out) {
+  var self = this;
+  var libopus = this._libopus;
+  var doDecode;
+  if (out instanceof Int16Array) {
+    doDecode = libopus._opus_decode;
+  } else if (out instanceof Float32Array) {
+    doDecode = libopus._opus_decode_float;
+  } else {
+    throw new TypeError('out must be Int16Array or Float32Array');
+  }
+  var Type = out.constructor;
+  var frames = Math.floor(out.length / this._channels);
+  var maxSamples = frames;
+  var resampler = this._resampler;
+  if (resampler) {
+    // Largest packet whose resampled output still fits
+    maxSamples = Math.ceil(frames * this._codecRate / this._rate);
+    while (maxSamples > 0 && resampler.getOutputLength(maxSamples) > frames) {
+      maxSamples--;
+    }
+  }
+  return this._withBuffers(function(p_dec, p_pcm, p_data) {
+    maxSamples = Math.min(maxSamples,
+        utils.p_pcm_len / self._channels / Type.BYTES_PER_ELEMENT);
+    var ret = self._decodePacket(p_dec, p_pcm, p_data, data, maxSamples, doDecode);
+    if (!resampler) {
+      var offset = p_pcm / Type.BYTES_PER_ELEMENT;
+      var heap = Type === Int16Array ? libopus.HEAP16 : libopus.HEAPF32;
+      out.set(heap.subarray(offset, offset + ret * self._channels));
+      return ret;
+    }
+    var pcm = self._takeOutput(p_pcm, ret, Type);
+    out.set(pcm);
+    return pcm.length / self._channels;
+  });
 };
 
 /**
- * Decode the input data and leave result on HEAP.
+ * Decodes multiple packets at once.
+ * In safe mode, the state of the decoder is only loaded into memory once for
+ * all packets, which is considerably faster than decoding them one by one.
+ *
+ * @param {Array<Buffer|number>} packets - Encoded input data or number of
+ *    lost samples of each packet, see {@link #decodeInt16}
+ * @param {('Float32'|'Int16')} mode - Type of sample output
+ * @returns {Array<Int16Array|Float32Array>} The decoded output of each packet
+ */
+Decoder.prototype.decodeBatch = function(packets, mode) {
+  if (!Array.isArray(packets)) {
+    throw new TypeError('packets must be an array');
+  }
+  var Type, doDecode;
+  if (mode == 'Float32') {
+    Type = Float32Array;
+    doDecode = this._libopus._opus_decode_float;
+  } else if (mode == 'Int16') {
+    Type = Int16Array;
+    doDecode = this._libopus._opus_decode;
+  } else {
+    throw new TypeError('mode cannot be ' + mode);
+  }
+  var self = this;
+  return this._withBuffers(function(p_dec, p_pcm, p_data) {
+    var maxSamples = utils.p_pcm_len / self._channels / Type.BYTES_PER_ELEMENT;
+    return packets.map(function(data) {
+      var ret = self._decodePacket(p_dec, p_pcm, p_data, data, maxSamples, doDecode);
+      return self._takeOutput(p_pcm, ret, Type);
+    });
+  });
+};
+
+/**
+ * Decode the input data.
  *
  * @param {Buffer|number} data - Encoded input data
- * @param {number} bps - Bytes per sample
+ * @param {function} Type - Int16Array or Float32Array
  * @param {function} doDecode - Opus decode function
- * @returns ArrayBuffer of decoded data
+ * @returns {Int16Array|Float32Array} The decoded output
  */
-Decoder.prototype._decode = function(data, bps, doDecode) {
+Decoder.prototype._decode = function(data, Type, doDecode) {
   var self = this;
-  return this._withState(function(p_dec) {
-    data = data || self._getLastPacketDuration(p_dec);
-    var ret;
-    if (typeof data === 'number') {
-      if (data * bps > utils.p_data_len) throw e('too much lost data');
-      // Signal packet loss
-      ret = doDecode(p_dec, 0, 0, p_pcm, data, 0);
-    } else if (data instanceof Buffer) {
-      if (data.length > utils.p_data_len) throw e('data array too large');
-      // Decode input data
-      libopus.HEAPU8.set(data, p_data);
-      var maxFrameSize = utils.p_pcm_len / self._channels / bps;
-      ret = doDecode(p_dec, p_data, data.length, p_pcm, maxFrameSize, 0);
-    } else {
-      // Invalid input data
-      throw new TypeError('data must be number, Buffer or null');
+  return this._withBuffers(function(p_dec, p_pcm, p_data) {
+    var maxSamples = utils.p_pcm_len / self._channels / Type.BYTES_PER_ELEMENT;
+    var ret = self._decodePacket(p_dec, p_pcm, p_data, data, maxSamples, doDecode);
+    return self._takeOutput(p_pcm, ret, Type);
+  });
+};
+
+/**
+ * Copies decoded samples from the pcm buffer, resampling them if necessary.
+ *
+ * @param {number} p_pcm - Pointer to the pcm buffer
+ * @param {number} samples - Number of decoded samples per channel
+ * @param {function} Type - Int16Array or Float32Array
+ * @returns {Int16Array|Float32Array} The output samples
+ */
+Decoder.prototype._takeOutput = function(p_pcm, samples, Type) {
+  var libopus = this._libopus;
+  var heap = Type === Int16Array ? libopus.HEAP16 : libopus.HEAPF32;
+  var offset = p_pcm / Type.BYTES_PER_ELEMENT;
+  var pcm = heap.subarray(offset, offset + samples * this._channels);
+  return this._resampler ? this._resampler.process(pcm) : pcm.slice();
+};
+
+/**
+ * Checks that the streams of an OpusHead header can be decoded by this
+ * decoder. Mono and stereo streams are mixed to the channels of the decoder
+ * by libopus.
+ *
+ * @param {object} head - Parsed header, see {@link OggOpusReader.parseHead}
+ * @throws {OpusError} If the header describes more than one stream
+ */
+Decoder.prototype._checkHead = function(head) {
+  if (head.channels > 2 || head.mappingFamily !== 0 && head.streamCount !== 1) {
+    throw new OpusError(Code.BAD_ARG,
+        'multichannel streams require a MultistreamDecoder');
+  }
+};
+
+/**
+ * Get the delay of the resampler, which streams skip at their start.
+ *
+ * @returns {number} Delay in samples at the output rate (0 when not
+ *    resampling)
+ */
+Decoder.prototype._getResamplerDelay = function() {
+  return this._resampler ? this._resampler.getDelay() : 0;
+};
+
+/**
+ * Takes the remaining output of the resampler, which streams write once
+ * they end.
+ *
+ * @param {function} Type - Int16Array or Float32Array
+ * @returns {Int16Array|Float32Array|null} The remaining samples or null when
+ *    not resampling
+ */
+Decoder.prototype._flushResampler = function(Type) {
+  return this._resampler ? this._resampler.flush(Type) : null;
+};
+
+/**
+ * Converts a number of lost samples at the output rate to the rate of
+ * libopus, rounded to a multiple of 2.5ms when resampling.
+ *
+ * @param {number} samples - Number of samples
+ * @returns {number} Number of samples at the rate of libopus
+ */
+Decoder.prototype._toCodecSamples = function(samples) {
+  if (!this._resampler) {
+    return samples;
+  }
+  var step = this._codecRate / 400;
+  return Math.round(samples * this._codecRate / this._rate / step) * step;
+};
+
+/**
+ * Decodes a single packet (or conceals lost data), leaving the result in
+ * the pcm buffer.
+ *
+ * @param {number} p_dec - Pointer to the decoder state
+ * @param {number} p_pcm - Pointer to the pcm buffer
+ * @param {number} p_data - Pointer to the data buffer
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @param {number} maxSamples - Maximum number of samples per channel
+ * @param {function} doDecode - Opus decode function
+ * @returns {number} Number of decoded samples per channel
+ */
+Decoder.prototype._decodePacket = function(p_dec, p_pcm, p_data, data, maxSamples, doDecode) {
+  var libopus = this._libopus;
+  if (data instanceof Buffer && data.length === 0) {
+    // An empty packet signals packet loss as well
+    data = null;
+  }
+  if (typeof data === 'number') {
+    data = this._toCodecSamples(data);
+  }
+  data = data || this._getLastPacketDuration(p_dec);
+  var ret;
+  if (typeof data === 'number') {
+    if (data > maxSamples) throw new OpusError(Code.BAD_ARG, 'too much lost data');
+    // Signal packet loss
+    ret = doDecode(p_dec, 0, 0, p_pcm, data, 0);
+  } else if (data instanceof Buffer) {
+    if (data.length > utils.p_data_len) throw new OpusError(Code.BAD_ARG, 'data array too large');
+    // Decode input data
+    libopus.HEAPU8.set(data, p_data);
+    ret = doDecode(p_dec, p_data, data.length, p_pcm, maxSamples, 0);
+  } else {
+    // Invalid input data
+    throw new TypeError('data must be number, Buffer or null');
+  }
+  // Handle result
+  if (ret < 0) {
+    throw new OpusError(ret);
+  }
+  return ret;
+};
+
+/**
+ * Decode the lost frame preceding the input data using FEC.
+ *
+ * @param {Buffer} data - Encoded input data
+ * @param {number} [samples] - Number of lost samples
+ * @param {function} Type - Int16Array or Float32Array
+ * @param {function} doDecode - Opus decode function
+ * @returns {Int16Array|Float32Array} The decoded output
+ */
+Decoder.prototype._decodeFEC = function(data, samples, Type, doDecode) {
+  var self = this;
+  var libopus = this._libopus;
+  if (!(data instanceof Buffer)) {
+    throw new TypeError('data must be a Buffer');
+  }
+  if (data.length > utils.p_data_len) throw new OpusError(Code.BAD_ARG, 'data array too large');
+  return this._withBuffers(function(p_dec, p_pcm, p_data) {
+    samples = self._toCodecSamples(samples || 0) ||
+        self._getLastPacketDuration(p_dec);
+    if (samples * self._channels * Type.BYTES_PER_ELEMENT > utils.p_pcm_len) {
+      throw new OpusError(Code.BAD_ARG, 'too much lost data');
     }
-    // Handle result
+    libopus.HEAPU8.set(data, p_data);
+    var ret = doDecode(p_dec, p_data, data.length, p_pcm, samples, 1);
     if (ret < 0) {
-      throw e(utils.stringifyError(ret));
+      throw new OpusError(ret);
     }
-    return libopus.HEAPU8.slice(p_pcm, p_pcm + ret * bps).buffer;
+    return self._takeOutput(p_pcm, ret, Type);
+  });
+};
+
+/**
+ * Sets an integer decoder setting.
+ *
+ * @param {number} request - Id of the CTL request
+ * @param {number} value - New value
+ */
+Decoder.prototype._setCtl = function(request, value) {
+  var libopus = this._libopus;
+  this._withState(function(p_dec) {
+    utils.setCtl(libopus, libopus._opus_decoder_ctl, p_dec, request, value);
+  });
+};
+
+/**
+ * Retrieves an integer decoder setting.
+ *
+ * @param {number} request - Id of the CTL request
+ * @returns {number} The current value
+ */
+Decoder.prototype._getCtl = function(request) {
+  var libopus = this._libopus;
+  return this._withState(function(p_dec) {
+    return utils.getCtl(libopus, libopus._opus_decoder_ctl, p_dec, request);
   });
 };
 
 /**
  * Get the duration of the last decoded or concealed packet.
  *
- * @returns {number} - Duration in samples
+ * @returns {number} - Duration in samples at the output rate
  */
 Decoder.prototype.getLastPacketDuration = function() {
-  return this._withState(this._getLastPacketDuration.bind(this));
+  var duration = this._withState(this._getLastPacketDuration.bind(this));
+  return Math.round(duration * this._rate / this._codecRate);
 };
 
 Decoder.prototype._getLastPacketDuration = function(p_dec) {
-  var p_res = libopus._malloc(4);
-  var pp_res = libopus._malloc(4);
-  try {
-    libopus.HEAPU32[pp_res >> 2] = p_res;
-    var err = libopus._opus_decoder_ctl(p_dec, 4039, pp_res);
+  var libopus = this._libopus;
+  return utils.getCtl(libopus, libopus._opus_decoder_ctl, p_dec,
+      CTL.GET_LAST_PACKET_DURATION);
+};
+
+/**
+ * Set the gain applied to the decoded output.
+ *
+ * @param {number} gain - Gain in Q8 dB units (-32768 to 32767), i.e.
+ *    256 equals +1dB
+ */
+Decoder.prototype.setGain = function(gain) {
+  if (typeof gain !== 'number' || Math.floor(gain) !== gain ||
+      gain < -32768 || gain > 32767) {
+    throw new OpusError(Code.BAD_ARG, 'gain must be between -32768 and 32767');
+  }
+  this._setCtl(CTL.SET_GAIN, gain);
+};
+
+/**
+ * Get the gain applied to the decoded output.
+ *
+ * @returns {number} Gain in Q8 dB units
+ */
+Decoder.prototype.getGain = function() {
+  return this._getCtl(CTL.GET_GAIN);
+};
+
+/**
+ * Get the final state of the range coder after the last decoded packet.
+ * This can be compared to the final range of the encoder to detect
+ * mismatches between encoder and decoder.
+ *
+ * @returns {number} Final range as unsigned 32-bit integer
+ */
+Decoder.prototype.getFinalRange = function() {
+  return this._getCtl(CTL.GET_FINAL_RANGE) >>> 0;
+};
+
+/**
+ * Get the bandwidth of the last decoded packet.
+ *
+ * @returns {Bandwidth} Bandwidth of the last packet (0 if there was none)
+ */
+Decoder.prototype.getLastBandwidth = function() {
+  return this._getCtl(CTL.GET_BANDWIDTH);
+};
+
+/**
+ * Get the pitch of the last decoded frame.
+ *
+ * @returns {number} Pitch period at 48kHz in samples or 0 if not available
+ */
+Decoder.prototype.getPitch = function() {
+  return this._getCtl(CTL.GET_PITCH);
+};
+
+/**
+ * Reset the decoder to its initial state.
+ * This should be called when switching to a different, unrelated stream.
+ */
+Decoder.prototype.resetState = function() {
+  var libopus = this._libopus;
+  this._withState(function(p_dec) {
+    var err = libopus._opus_decoder_ctl(p_dec, CTL.RESET_STATE, 0);
     if (err) {
-      throw e(utils.stringifyError(err));
-    } 
-    return libopus.HEAP32[p_res >> 2];
-  } finally {
-    libopus._free(pp_res);
-    libopus._free(p_res);
+      throw new OpusError(err);
+    }
+  });
+  if (this._resampler) {
+    this._resampler.reset();
   }
 };
 
@@ -192,52 +727,361 @@ Decoder.prototype._getLastPacketDuration = function(p_dec) {
  * Creates a transform stream from this decoder.
  * Lost packets should be indicated by an empty buffer. The length
  * of the lost packets will be estimated with the length of the last packet.
+ * Alternatively, the exact number of lost samples (at 48kHz) can be written
+ * to the stream as a number, e.g. by a {@link RtpDepacketizer}.
+ * When an {@link OggOpusReader} is piped into the stream, the pre-skip,
+ * output gain and end trimming of the Ogg Opus stream are applied. The stream
+ * fails if the decoder cannot decode the Ogg Opus stream, i.e. if it consists
+ * of more than one stream (a mono stream may be decoded as stereo and vice
+ * versa, though).
+ * When resampling, the delay of the resampler is skipped as well and its
+ * remaining output is written once the stream ends.
+ * <br>
+ * Samples in formats other than Int16 and Float32 are converted as by
+ * {@link #decode}.
  *
- * @param [('Float32'|'Int16')] mode - Type of sample output
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample output
+ * @param {object} [opts={}] - Options for the stream
+ * @param {boolean} [opts.fec=false] - Recover lost packets using the FEC data
+ *    of the following packet.<br>
+ *    Output for lost packets is delayed until the next packet is received.
+ * @param {boolean} [opts.concealCorrupt=false] - Treat packets which libopus
+ *    rejects as corrupt like lost packets instead of failing the stream.<br>
+ *    A 'warning' event with the {@link OpusError} is emitted for each of them.
  * @returns {DecoderStream}
  */
-Decoder.prototype.stream = function(mode) {
-  return new DecoderStream(this, mode);
+Decoder.prototype.stream = function(mode, opts) {
+  return new DecoderStream(this, mode, opts);
+};
+
+/**
+ * Creates a WHATWG TransformStream from this decoder, which can be used with
+ * ReadableStream.pipeThrough.
+ * Chunks written to it are encoded packets (Uint8Arrays), lost packets are
+ * signalled by null, an empty array or the number of lost samples. The chunks
+ * read from it are typed arrays of samples in the specified format
+ * (Buffers for Int24, see {@link formats}).
+ * Lost packets are handled like by {@link #stream}.
+ *
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample output
+ * @param {object} [opts={}] - Options for the stream, see {@link #stream}
+ * @returns {TransformStream}
+ */
+Decoder.prototype.transformStream = function(mode, opts) {
+  var stream = this.stream(mode, opts);
+  return adapters.toTransformStream(stream, toPacket, toSamples.bind(null, mode));
 };
 
-function DecoderStream(decoder, mode) {
-  Transform.call(this, {});
+/**
+ * Decodes all packets of an iterable, e.g. for use in for await loops.
+ * Lost packets are handled like by {@link #stream}.
+ *
+ * @param {Iterable|AsyncIterable} packets - Encoded packets or lost packets,
+ *    see {@link #transformStream}
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample output
+ * @param {object} [opts={}] - Options, see {@link #stream}
+ * @returns {AsyncIterable<ArrayBufferView>} The decoded samples
+ */
+Decoder.prototype.decodeAll = function(packets, mode, opts) {
+  var stream = this.stream(mode, opts);
+  return adapters.transformAll(stream, packets, toPacket, toSamples.bind(null, mode));
+};
 
-  if (mode == 'Float32') {
+/**
+ * Converts a packet to the input of a {@link DecoderStream}.
+ *
+ * @param {Uint8Array|ArrayBuffer|number|null} packet - The packet, null or the
+ *    number of samples if lost
+ * @returns {Buffer|number}
+ */
+function toPacket(packet) {
+  if (packet === null || packet === undefined) {
+    return Buffer.alloc(0);
+  }
+  if (typeof packet === 'number' || Buffer.isBuffer(packet)) {
+    return packet;
+  }
+  if (packet instanceof ArrayBuffer) {
+    return Buffer.from(packet);
+  }
+  if (packet instanceof Uint8Array) {
+    return Buffer.from(packet.buffer, packet.byteOffset, packet.byteLength);
+  }
+  throw new TypeError('packets must be Uint8Arrays');
+}
+
+/**
+ * Converts the output of a {@link DecoderStream} to typed arrays.
+ *
+ * @param {string} mode - Format of the samples
+ * @param {Buffer} buf - Raw samples
+ * @returns {ArrayBufferView} The samples
+ */
+function toSamples(mode, buf) {
+  var Type = formats.Format[mode].Type;
+  if (Type === Uint8Array) {
+    // Uint8 and Int24 samples
+    return buf;
+  }
+  if (buf.byteOffset % Type.BYTES_PER_ELEMENT !== 0) {
+    return formats.fromBuffer(buf, mode);
+  }
+  return new Type(buf.buffer, buf.byteOffset, buf.length / Type.BYTES_PER_ELEMENT);
+}
+
+function DecoderStream(decoder, mode, opts) {
+  // Lost samples are signalled by numbers
+  Transform.call(this, { writableObjectMode: true });
+
+  opts = extend({
+    fec: false,
+    concealCorrupt: false
+  }, opts);
+
+  if (!formats.Format.hasOwnProperty(mode)) {
+    throw new TypeError('mode cannot be ' + mode);
+  }
+  this._format = mode;
+  // Type of the samples returned by the decoder
+  this._mode = formats.Format[mode].native;
+  if (this._mode === Float32Array) {
     this._decode = decoder.decodeFloat32.bind(decoder);
-  } else if (mode == 'Int16') {
-    this._decode = decoder.decodeInt16.bind(decoder);
+    this._decodeFEC = decoder.decodeFECFloat32.bind(decoder);
   } else {
-    throw new TypeError('mode cannot be ' + mode);
+    this._decode = decoder.decodeInt16.bind(decoder);
+    this._decodeFEC = decoder.decodeFECInt16.bind(decoder);
   }
+
+  this._decoder = decoder;
+  this._fec = opts.fec;
+  this._concealCorrupt = opts.concealCorrupt;
+  // Lost samples (or null if unknown) waiting for the next packet
+  this._lost = [];
+  // Maximum number of samples which can be concealed at once (120ms)
+  this._maxLost = decoder._rate * 120 / 1000;
+  // Number of samples still to be discarded at the start
+  this._resamplerDelay = decoder._getResamplerDelay();
+  this._skip = this._resamplerDelay;
+  // Number of samples written so far and total number of samples to be
+  // written (null if unknown)
+  this._position = 0;
+  this._length = null;
+
+  this._onHead = this._onHead.bind(this);
+  this._onDuration = this._onDuration.bind(this);
+  this.on('pipe', function(src) {
+    src.on('head', this._onHead);
+    src.on('duration', this._onDuration);
+  });
+  this.on('unpipe', function(src) {
+    src.removeListener('head', this._onHead);
+    src.removeListener('duration', this._onDuration);
+  });
 }
 util.inherits(DecoderStream, Transform);
 
+/**
+ * Applies the OpusHead header of an Ogg Opus stream.
+ *
+ * @param {object} head - Parsed header, see {@link OggOpusReader.parseHead}
+ */
+DecoderStream.prototype._onHead = function(head) {
+  try {
+    this._decoder._checkHead(head);
+  } catch (err) {
+    this.destroy(err);
+    return;
+  }
+  this._decoder.setGain(head.outputGain);
+  this._skip = Math.round(head.preSkip * this._decoder._rate / 48000) +
+      this._resamplerDelay;
+};
+
+/**
+ * Limits the output to the duration of an Ogg Opus stream.
+ *
+ * @param {number} samples - Total duration in samples at 48kHz
+ */
+DecoderStream.prototype._onDuration = function(samples) {
+  this._length = Math.round(samples * this._decoder._rate / 48000);
+};
+
+/**
+ * Pushes decoded samples after discarding any samples which should be skipped
+ * or trimmed.
+ *
+ * @param {Int16Array|Float32Array} array - Decoded samples
+ */
+DecoderStream.prototype._output = function(array) {
+  var channels = this._decoder._channels;
+  var samples = array.length / channels;
+  var start = Math.min(this._skip, samples);
+  var end = samples;
+  this._skip -= start;
+  if (this._length !== null) {
+    end = Math.max(start, Math.min(end, start + this._length - this._position));
+  }
+  this._position += end - start;
+  if (end > start) {
+    if (start !== 0 || end !== samples) {
+      array = array.subarray(start * channels, end * channels);
+    }
+    this.push(toBuffer(formats.fromNative(array, this._format)));
+  }
+};
+
+function toBuffer(array) {
+  return Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+}
+
 DecoderStream.prototype._transform = function(chunk, encoding, callback) {
-  var result;
   try {
-    var array = this._decode(chunk);
-    result = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    if (typeof chunk === 'number' || chunk.length === 0) {
+      this._onLost(this._lostSamples(chunk));
+      return callback();
+    }
+    try {
+      this._onPacket(chunk);
+    } catch (err) {
+      if (!this._concealCorrupt || !(err instanceof OpusError) ||
+          err.code !== Code.INVALID_PACKET) {
+        throw err;
+      }
+      this.emit('warning', err);
+      // Its duration is unknown, so the last one is assumed
+      this._onLost(null);
+    }
   } catch (err) {
     return callback(err);
   }
-  callback(null, result);
+  callback();
 };
 
-Decoder.getNumberOfSamples = function(data, sampleRate) {
+/**
+ * Handles lost samples.
+ *
+ * @param {number|null} samples - Number of lost samples or null if unknown
+ */
+DecoderStream.prototype._onLost = function(samples) {
+  if (samples === 0) {
+    // E.g. a gap of less than 1.25ms, there is nothing to conceal
+    return;
+  }
+  if (this._fec) {
+    // Wait for the next packet, it might contain FEC data
+    this._lost.push(samples);
+  } else {
+    this._conceal(samples);
+  }
+};
+
+/**
+ * Decodes a packet, recovering the lost samples before it if possible.
+ * Lost samples which have not been recovered remain in this._lost if the
+ * packet turns out to be corrupt.
+ *
+ * @param {Buffer} chunk - The packet
+ */
+DecoderStream.prototype._onPacket = function(chunk) {
+  if (this._lost.length > 0) {
+    // Only the frame right before this packet can be recovered
+    var last = this._lost.pop();
+    this._lost.forEach(this._conceal, this);
+    this._lost = [last];
+    if (last === null) {
+      this._output(this._decodeFEC(chunk));
+    } else {
+      // Anything longer than 120ms is concealed without FEC
+      var fec = Math.min(last, this._maxLost);
+      this._conceal(last - fec);
+      this._lost = [fec];
+      this._output(this._decodeFEC(chunk, fec));
+    }
+    this._lost = [];
+  }
+  this._output(this._decode(chunk));
+};
+
+DecoderStream.prototype._flush = function(callback) {
+  try {
+    this._lost.forEach(this._conceal, this);
+    this._lost = [];
+    var rest = this._decoder._flushResampler(this._mode);
+    if (rest) {
+      this._output(rest);
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+/**
+ * Converts a lost packet marker to the number of lost samples at the
+ * sampling rate of the decoder.
+ *
+ * @param {Buffer|number} chunk - Empty buffer or number of samples at 48kHz
+ * @returns {number|null} Lost samples (a multiple of 2.5ms) or null if unknown
+ */
+DecoderStream.prototype._lostSamples = function(chunk) {
+  if (typeof chunk !== 'number') {
+    return null;
+  }
+  // Concealment only works in multiples of 2.5ms
+  var step = this._decoder._rate / 400;
+  return Math.round(chunk * this._decoder._rate / 48000 / step) * step;
+};
+
+/**
+ * Conceals lost samples in batches of at most 120ms.
+ *
+ * @param {number|null} samples - Number of lost samples or null if unknown
+ */
+DecoderStream.prototype._conceal = function(samples) {
+  if (samples === null) {
+    this._output(this._decode(null));
+    return;
+  }
+  while (samples > 0) {
+    var batch = Math.min(samples, this._maxLost);
+    this._output(this._decode(batch));
+    samples -= batch;
+  }
+};
+
+/**
+ * Get the number of samples of an opus packet.
+ *
+ * @param {Buffer} data - The packet
+ * @param {number} sampleRate - Sampling rate (Hz)
+ * @param {object|function} [libopus] - The libopus module to use, see
+ *    {@link Decoder}
+ * @returns {number} Number of samples (per channel)
+ */
+Decoder.getNumberOfSamples = function(data, sampleRate, libopus) {
   if (!(data instanceof Buffer)) {
     // Invalid input data
     throw new TypeError('data must be a Buffer');
   }
-  if (data.length > utils.p_data_len) throw e('data array too large');
+  if (data.length > utils.p_data_len) throw new OpusError(Code.BAD_ARG, 'data array too large');
+  libopus = utils.resolveModule(libopus);
 
   // Parse input data
-  libopus.HEAPU8.set(data, p_data);
-  var ret = libopus._opus_packet_get_nb_samples(p_data, data.length, sampleRate);
+  var p_data = utils.malloc(libopus, Math.max(1, data.length), 'Decoder buffers');
+  var ret;
+  try {
+    libopus.HEAPU8.set(data, p_data);
+    ret = libopus._opus_packet_get_nb_samples(p_data, data.length, sampleRate);
+  } finally {
+    utils.free(libopus, p_data);
+  }
 
   // Handle result
   if (ret < 0) {
-    throw e(utils.stringifyError(ret));
+    throw new OpusError(ret);
   }
   return ret;
 };
@@ -0,0 +1,82 @@
+// Constants from opus_defines.h of libopus 1.1.2
+
+/**
+ * Special value for settings which should be chosen automatically by libopus.
+ * @constant {number}
+ */
+var AUTO = -1000;
+
+/**
+ * Special bitrate value which makes the encoder use as much bits as possible.
+ * @constant {number}
+ */
+var BITRATE_MAX = -1;
+
+/**
+ * Audio bandwidth.
+ * @readonly
+ * @enum {number}
+ */
+var Bandwidth = {
+  NARROWBAND: 1101,
+  MEDIUMBAND: 1102,
+  WIDEBAND: 1103,
+  SUPERWIDEBAND: 1104,
+  FULLBAND: 1105
+};
+
+/**
+ * Type of signal being encoded.
+ * @readonly
+ * @enum {number}
+ */
+var Signal = {
+  VOICE: 3001,
+  MUSIC: 3002
+};
+
+// Request ids of the encoder and decoder CTLs
+var CTL = {
+  SET_APPLICATION: 4000,
+  GET_APPLICATION: 4001,
+  SET_BITRATE: 4002,
+  GET_BITRATE: 4003,
+  SET_MAX_BANDWIDTH: 4004,
+  GET_MAX_BANDWIDTH: 4005,
+  SET_VBR: 4006,
+  GET_VBR: 4007,
+  SET_BANDWIDTH: 4008,
+  GET_BANDWIDTH: 4009,
+  SET_COMPLEXITY: 4010,
+  GET_COMPLEXITY: 4011,
+  SET_INBAND_FEC: 4012,
+  GET_INBAND_FEC: 4013,
+  SET_PACKET_LOSS_PERC: 4014,
+  GET_PACKET_LOSS_PERC: 4015,
+  SET_DTX: 4016,
+  GET_DTX: 4017,
+  SET_VBR_CONSTRAINT: 4020,
+  GET_VBR_CONSTRAINT: 4021,
+  SET_FORCE_CHANNELS: 4022,
+  GET_FORCE_CHANNELS: 4023,
+  SET_SIGNAL: 4024,
+  GET_SIGNAL: 4025,
+  GET_LOOKAHEAD: 4027,
+  RESET_STATE: 4028,
+  GET_SAMPLE_RATE: 4029,
+  GET_FINAL_RANGE: 4031,
+  GET_PITCH: 4033,
+  SET_GAIN: 4034,
+  SET_LSB_DEPTH: 4036,
+  GET_LSB_DEPTH: 4037,
+  GET_LAST_PACKET_DURATION: 4039,
+  GET_GAIN: 4045
+};
+
+module.exports = {
+  AUTO: AUTO,
+  BITRATE_MAX: BITRATE_MAX,
+  Bandwidth: Bandwidth,
+  Signal: Signal,
+  CTL: CTL
+};
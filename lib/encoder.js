@@ -1,9 +1,16 @@
-var libopus = require('../build/libopus.js').instance;
 var utils = require('./utils');
+var snapshot = require('./snapshot');
+var Resampler = require('./resampler');
+var formats = require('./formats');
+var adapters = require('./adapters');
+var defines = require('./defines');
+var OpusError = require('./opuserror');
 var util = require('util');
 var extend = require('extend');
 var Transform = require('stream').Transform;
 
+var Code = OpusError.Code;
+
 /**
  * Encoding mode.
  * @readonly
@@ -15,20 +22,53 @@ var Application = {
   RESTRICTED_LOWDELAY: 2051
 };
 
-var p_pcm = utils.p_pcm;
-var p_data = utils.p_data;
+var Bandwidth = defines.Bandwidth;
+var Signal = defines.Signal;
+var CTL = defines.CTL;
+var AUTO = defines.AUTO;
+var BITRATE_MAX = defines.BITRATE_MAX;
+
+function isInteger(value) {
+  return typeof value === 'number' && isFinite(value) &&
+      Math.floor(value) === value;
+}
+
+function isBandwidth(value) {
+  return isInteger(value) &&
+      value >= Bandwidth.NARROWBAND && value <= Bandwidth.FULLBAND;
+}
 
 /**
  * Encoder for opus streams.
  *
  * @param {object} [opts={}] - Options for the encoder
- * @param {(8000|12000|16000|24000|48000)} [opts.rate=48000] - Sampling rate of input signal (Hz)
+ * @param {number} [opts.rate=48000] - Sampling rate of input signal (Hz).<br>
+ *    libopus supports 8k, 12k, 16k, 24k and 48k. Input at any other rate
+ *    (between 4k and 384k) is resampled to the next higher of those.
  * @param {number} [opts.channels=1] - Number of (interleaved) channels
  * @param {Application} [opts.application=AUDIO] - Encoding mode
+ * @param {number} [opts.resampleQuality=5] - Quality of the resampler from 0
+ *    (fastest) to 10 (best), see {@link Resampler}
+ * @param {number} [opts.bitrate] - See {@link #setBitrate}
+ * @param {number} [opts.complexity] - See {@link #setComplexity}
+ * @param {boolean} [opts.vbr] - See {@link #setVBR}
+ * @param {boolean} [opts.vbrConstraint] - See {@link #setVBRConstraint}
+ * @param {Signal} [opts.signal] - See {@link #setSignal}
+ * @param {Bandwidth} [opts.maxBandwidth] - See {@link #setMaxBandwidth}
+ * @param {Bandwidth} [opts.bandwidth] - See {@link #setBandwidth}
+ * @param {boolean} [opts.dtx] - See {@link #setDTX}
+ * @param {boolean} [opts.inbandFEC] - See {@link #setInbandFEC}
+ * @param {number} [opts.packetLossPerc] - See {@link #setPacketLossPerc}
+ * @param {number} [opts.forceChannels] - See {@link #setForceChannels}
  * @param {boolean} [opts.unsafe=false] - Mark this encoder as unsafe.<br>
  *    Encoders in unsafe mode generally operate faster.<br>
- *    Warning: {@link #destroy()} MUST be called on an unsafe encoder before 
- *    it is garbage collected. Otherwise it will leak memory.
+ *    Warning: {@link #destroy()} should be called on an unsafe encoder before
+ *    it is garbage collected. Otherwise its memory is only freed once the
+ *    garbage collector gets around to it (if FinalizationRegistry is
+ *    supported at all).
+ * @param {object|function} [opts.libopus] - The libopus module to use, or a
+ *    factory creating a fresh one (such as require('libopus.js/build/libopus.js')).<br>
+ *    By default, all codecs share a single instance.
  * @constructor
  */
 function Encoder(opts) {
@@ -39,46 +79,100 @@ function Encoder(opts) {
     rate: 48000,
     channels: 1,
     application: Application.AUDIO,
+    resampleQuality: 5,
     unsafe: false
   }, opts);
 
   if (opts.channels < 1 || opts.channels > 2) {
-    throw "channels must be either 1 or 2";
+    throw new OpusError(Code.BAD_ARG, 'channels must be either 1 or 2');
   }
-  if ([8000, 12000, 16000, 24000, 48000].indexOf(opts.rate) == -1) {
-    throw "rate can only be 8k, 12k, 16k, 24k or 48k";
+  if (!utils.isValidRate(opts.rate)) {
+    throw new OpusError(Code.BAD_ARG, 'rate must be an integer between 4000 and 384000');
   }
   if (opts.application !== Application.VOIP &&
       opts.application !== Application.AUDIO &&
       opts.application !== Application.RESTRICTED_LOWDELAY) {
-    throw "invalid application type";
+    throw new OpusError(Code.BAD_ARG, 'invalid application type');
   }
 
   this._rate = opts.rate;
+  this._codecRate = utils.codecRate(opts.rate);
   this._channels = opts.channels;
   this._application = opts.application;
+  this._resampler = this._codecRate === this._rate ? null : new Resampler({
+    from: this._rate,
+    to: this._codecRate,
+    channels: this._channels,
+    quality: opts.resampleQuality
+  });
   this._unsafe = opts.unsafe;
+  this._destroyed = false;
+  var libopus = this._libopus = utils.resolveModule(opts.libopus);
 
   // Allocate space for the encoder state
   var size = libopus._opus_encoder_get_size(this._channels);
-  var enc = libopus._malloc(size);
+  var enc = utils.malloc(libopus, size, 'Encoder state');
   // Initialize the encoder
-  var ret = libopus._opus_encoder_init(enc, this._rate, this._channels, this._application);
+  var ret = libopus._opus_encoder_init(enc, this._codecRate, this._channels, this._application);
   if (ret !== 0) {
     // Free allocated space and throw error
-    libopus._free(enc);
-    throw utils.stringifyError(ret);
+    utils.free(libopus, enc);
+    throw new OpusError(ret);
   }
-  // In unsafe mode, that's it. However in safe mode, we copy the state
-  // to a local buffer and free our allocated memory afterwards
+  // In unsafe mode, that's it (apart from allocating our own buffers for
+  // input and output). However in safe mode, we copy the state to a local
+  // buffer and free our allocated memory afterwards
   if (this._unsafe) {
+    var buffers;
+    try {
+      buffers = utils.mallocAll(libopus, [utils.p_pcm_len, utils.p_data_len], 'Encoder buffers');
+    } catch (err) {
+      utils.free(libopus, enc);
+      throw err;
+    }
     this._state = enc;
+    this._p_pcm = buffers[0];
+    this._p_data = buffers[1];
+    utils.registerCleanup(this, libopus, [this._state, this._p_pcm, this._p_data]);
   } else {
     this._state = libopus.HEAPU8.slice(enc, enc + size);
-    libopus._free(enc);
+    utils.free(libopus, enc);
+  }
+
+  // Apply any encoder settings
+  try {
+    this._applyOptions(opts);
+  } catch (err) {
+    this.destroy();
+    throw err;
   }
 }
 
+/**
+ * Maps constructor options to their respective setter.
+ */
+var optionSetters = {
+  bitrate: 'setBitrate',
+  complexity: 'setComplexity',
+  vbr: 'setVBR',
+  vbrConstraint: 'setVBRConstraint',
+  signal: 'setSignal',
+  maxBandwidth: 'setMaxBandwidth',
+  bandwidth: 'setBandwidth',
+  dtx: 'setDTX',
+  inbandFEC: 'setInbandFEC',
+  packetLossPerc: 'setPacketLossPerc',
+  forceChannels: 'setForceChannels'
+};
+
+Encoder.prototype._applyOptions = function(opts) {
+  for (var key in optionSetters) {
+    if (opts[key] !== undefined) {
+      this[optionSetters[key]](opts[key]);
+    }
+  }
+};
+
 /**
  * Calls the specified function with the state loaded into memory.
  *
@@ -86,12 +180,16 @@ function Encoder(opts) {
  * @returns The return value of func
  */
 Encoder.prototype._withState = function(func) {
+  var libopus = this._libopus;
+  if (this._destroyed) {
+    throw new OpusError(Code.INVALID_STATE, 'encoder has been destroyed');
+  }
   if (this._unsafe) {
     // Unsafe mode already has the state stored in memory
     return func(this._state);
   } else {
     // Store state in memory
-    var p = libopus._malloc(this._state.length);
+    var p = utils.malloc(libopus, this._state.length, 'Encoder state');
     libopus.HEAPU8.set(this._state, p);
 
     // Call function
@@ -100,93 +198,781 @@ Encoder.prototype._withState = function(func) {
     } finally {
       // Retrieve state from memory
       this._state.set(libopus.HEAPU8.subarray(p, p + this._state.length));
-      libopus._free(p);
+      utils.free(libopus, p);
     }
   }
 };
 
+/**
+ * Calls the specified function with the state loaded into memory and with
+ * buffers for input and output samples.
+ *
+ * @param func - The function to be called with pointers to the state, the
+ *    pcm buffer (p_pcm_len bytes) and the data buffer (p_data_len bytes)
+ * @returns The return value of func
+ */
+Encoder.prototype._withBuffers = function(func) {
+  var self = this;
+  var libopus = this._libopus;
+  return this._withState(function(p_enc) {
+    if (self._unsafe) {
+      return func(p_enc, self._p_pcm, self._p_data);
+    }
+    var p_pcm = utils.malloc(libopus, utils.p_pcm_len + utils.p_data_len,
+        'Encoder buffers');
+    try {
+      return func(p_enc, p_pcm, p_pcm + utils.p_pcm_len);
+    } finally {
+      utils.free(libopus, p_pcm);
+    }
+  });
+};
+
 /**
  * Destroy this encoder.
- * This method should only be called if this encoder is in unsafe mode.
- * Any subsequent calls to any encode method will result in undefined behavior.
+ * In unsafe mode, this frees the memory of the encoder. Unsafe encoders which are
+ * garbage collected without being destroyed are freed automatically where
+ * FinalizationRegistry is supported, but this may happen much later.
+ * Any subsequent calls to this encoder throw an error, calling this method
+ * again does nothing.
  */
 Encoder.prototype.destroy = function() {
+  if (this._destroyed) {
+    return;
+  }
+  this._destroyed = true;
   if (this._unsafe) {
-    libopus._free(this._state);
+    utils.unregisterCleanup(this);
+    utils.free(this._libopus, this._state);
+    utils.free(this._libopus, this._p_pcm);
+    utils.free(this._libopus, this._p_data);
+  }
+};
+
+/**
+ * Takes a snapshot of the current state of this encoder.
+ * The snapshot can be restored at any later time, in this or any other
+ * encoder with the same sampling rate, number of channels and application,
+ * even in a different thread or process, as long as the same build of
+ * libopus is used. When resampling, this includes the state of the
+ * resampler.
+ *
+ * @returns {Buffer} The snapshot
+ */
+Encoder.prototype.snapshot = function() {
+  var self = this;
+  var libopus = this._libopus;
+  return this._withState(function(p_enc) {
+    var size = libopus._opus_encoder_get_size(self._channels);
+    return snapshot.serialize({
+      type: snapshot.Type.ENCODER,
+      rate: self._rate,
+      channels: self._channels,
+      application: self._application,
+      libopusVersion: snapshot.getLibopusVersion(libopus),
+      resampler: self._resampler ? self._resampler.getState() : null
+    }, libopus.HEAPU8.subarray(p_enc, p_enc + size));
+  });
+};
+
+/**
+ * Restores the state of this encoder from a snapshot.
+ * See {@link #snapshot}.
+ *
+ * @param {Buffer} buf - The snapshot
+ */
+Encoder.prototype.restore = function(buf) {
+  var libopus = this._libopus;
+  var snap = snapshot.parse(buf, snapshot.Type.ENCODER, libopus);
+  if (snap.rate !== this._rate || snap.channels !== this._channels ||
+      snap.application !== this._application) {
+    throw new OpusError(Code.INVALID_STATE,
+        'snapshot does not match the configuration of this encoder');
   }
+  if (snap.state.length !== libopus._opus_encoder_get_size(this._channels)) {
+    throw new OpusError(Code.BAD_ARG, 'invalid snapshot');
+  }
+  if (!snap.resampler !== !this._resampler) {
+    throw new OpusError(Code.BAD_ARG, 'invalid snapshot');
+  }
+  if (this._resampler) {
+    if (snap.resampler.quality !== this._resampler._quality) {
+      throw new OpusError(Code.INVALID_STATE,
+          'snapshot does not match the configuration of this encoder');
+    }
+    this._resampler.setState(snap.resampler);
+  }
+  this._withState(function(p_enc) {
+    libopus.HEAPU8.set(snap.state, p_enc);
+  });
+};
+
+/**
+ * Creates an independent copy of this encoder, including its current state.
+ *
+ * @param {object} [opts={}] - Options for the copy
+ * @param {boolean} [opts.unsafe] - Whether the copy is unsafe, same as this
+ *    encoder by default
+ * @param {object|function} [opts.libopus] - The libopus module of the copy,
+ *    same as this encoder by default
+ * @returns {Encoder} The copy
+ */
+Encoder.prototype.clone = function(opts) {
+  return Encoder.fromSnapshot(this.snapshot(), extend({
+    unsafe: this._unsafe,
+    libopus: this._libopus
+  }, opts));
+};
+
+/**
+ * Creates an encoder from a snapshot.
+ * See {@link #snapshot}.
+ *
+ * @param {Buffer} buf - The snapshot
+ * @param {object} [opts={}] - Options for the encoder, sampling rate, number
+ *    of channels, application and resampling quality are taken from the
+ *    snapshot
+ * @returns {Encoder} The encoder
+ */
+Encoder.fromSnapshot = function(buf, opts) {
+  var libopus = utils.resolveModule(opts && opts.libopus);
+  var snap = snapshot.parse(buf, snapshot.Type.ENCODER, libopus);
+  var enc = new Encoder(extend({}, opts, {
+    libopus: libopus,
+    rate: snap.rate,
+    channels: snap.channels,
+    application: snap.application,
+    resampleQuality: snap.resampler ? snap.resampler.quality : undefined
+  }));
+  try {
+    enc.restore(buf);
+  } catch (err) {
+    enc.destroy();
+    throw err;
+  }
+  return enc;
+};
+
+/**
+ * Sets an integer encoder setting.
+ *
+ * @param {number} request - Id of the CTL request
+ * @param {number} value - New value
+ */
+Encoder.prototype._setCtl = function(request, value) {
+  var libopus = this._libopus;
+  this._withState(function(p_enc) {
+    utils.setCtl(libopus, libopus._opus_encoder_ctl, p_enc, request, value);
+  });
+};
+
+/**
+ * Retrieves an integer encoder setting.
+ *
+ * @param {number} request - Id of the CTL request
+ * @returns {number} The current value
+ */
+Encoder.prototype._getCtl = function(request) {
+  var libopus = this._libopus;
+  return this._withState(function(p_enc) {
+    return utils.getCtl(libopus, libopus._opus_encoder_ctl, p_enc, request);
+  });
+};
+
+/**
+ * Set the target bitrate.
+ *
+ * @param {number} bitrate - Bitrate in bits per second (500 to 512000),
+ *    {@link Encoder.AUTO} or {@link Encoder.BITRATE_MAX}
+ */
+Encoder.prototype.setBitrate = function(bitrate) {
+  if (bitrate !== AUTO && bitrate !== BITRATE_MAX &&
+      !(isInteger(bitrate) && bitrate >= 500 && bitrate <= 512000)) {
+    throw new OpusError(Code.BAD_ARG,
+        'bitrate must be between 500 and 512000, AUTO or BITRATE_MAX');
+  }
+  this._setCtl(CTL.SET_BITRATE, bitrate);
+};
+
+/**
+ * Get the target bitrate.
+ * Unless it has been set to {@link Encoder.BITRATE_MAX}, this is the actual
+ * bitrate in bits per second.
+ *
+ * @returns {number} Bitrate in bits per second
+ */
+Encoder.prototype.getBitrate = function() {
+  return this._getCtl(CTL.GET_BITRATE);
+};
+
+/**
+ * Set the computational complexity.
+ *
+ * @param {number} complexity - Complexity from 0 (fastest) to 10 (best quality)
+ */
+Encoder.prototype.setComplexity = function(complexity) {
+  if (!(isInteger(complexity) && complexity >= 0 && complexity <= 10)) {
+    throw new OpusError(Code.BAD_ARG, 'complexity must be between 0 and 10');
+  }
+  this._setCtl(CTL.SET_COMPLEXITY, complexity);
+};
+
+/**
+ * Get the computational complexity.
+ *
+ * @returns {number} Complexity from 0 to 10
+ */
+Encoder.prototype.getComplexity = function() {
+  return this._getCtl(CTL.GET_COMPLEXITY);
+};
+
+/**
+ * Enable or disable variable bitrate.
+ *
+ * @param {boolean} enabled - Whether VBR should be used (enabled by default)
+ */
+Encoder.prototype.setVBR = function(enabled) {
+  this._setCtl(CTL.SET_VBR, enabled ? 1 : 0);
+};
+
+/**
+ * Determine whether variable bitrate is enabled.
+ *
+ * @returns {boolean} Whether VBR is enabled
+ */
+Encoder.prototype.getVBR = function() {
+  return this._getCtl(CTL.GET_VBR) !== 0;
+};
+
+/**
+ * Enable or disable constrained variable bitrate.
+ * This has no effect unless VBR is enabled.
+ *
+ * @param {boolean} enabled - Whether VBR should be constrained (enabled by default)
+ */
+Encoder.prototype.setVBRConstraint = function(enabled) {
+  this._setCtl(CTL.SET_VBR_CONSTRAINT, enabled ? 1 : 0);
+};
+
+/**
+ * Determine whether variable bitrate is constrained.
+ *
+ * @returns {boolean} Whether constrained VBR is enabled
+ */
+Encoder.prototype.getVBRConstraint = function() {
+  return this._getCtl(CTL.GET_VBR_CONSTRAINT) !== 0;
+};
+
+/**
+ * Set the type of signal being encoded.
+ *
+ * @param {Signal|number} signal - Signal type or {@link Encoder.AUTO}
+ */
+Encoder.prototype.setSignal = function(signal) {
+  if (signal !== AUTO && signal !== Signal.VOICE && signal !== Signal.MUSIC) {
+    throw new OpusError(Code.BAD_ARG, 'signal must be VOICE, MUSIC or AUTO');
+  }
+  this._setCtl(CTL.SET_SIGNAL, signal);
+};
+
+/**
+ * Get the configured type of signal.
+ *
+ * @returns {Signal|number} Signal type or {@link Encoder.AUTO}
+ */
+Encoder.prototype.getSignal = function() {
+  return this._getCtl(CTL.GET_SIGNAL);
+};
+
+/**
+ * Set the maximum bandwidth the encoder may select.
+ *
+ * @param {Bandwidth} bandwidth - Maximum bandwidth
+ */
+Encoder.prototype.setMaxBandwidth = function(bandwidth) {
+  if (!isBandwidth(bandwidth)) {
+    throw new OpusError(Code.BAD_ARG, 'max bandwidth must be one of Bandwidth');
+  }
+  this._setCtl(CTL.SET_MAX_BANDWIDTH, bandwidth);
+};
+
+/**
+ * Get the maximum bandwidth the encoder may select.
+ *
+ * @returns {Bandwidth} Maximum bandwidth
+ */
+Encoder.prototype.getMaxBandwidth = function() {
+  return this._getCtl(CTL.GET_MAX_BANDWIDTH);
+};
+
+/**
+ * Force a specific bandwidth.
+ *
+ * @param {Bandwidth|number} bandwidth - Bandwidth or {@link Encoder.AUTO}
+ */
+Encoder.prototype.setBandwidth = function(bandwidth) {
+  if (bandwidth !== AUTO && !isBandwidth(bandwidth)) {
+    throw new OpusError(Code.BAD_ARG, 'bandwidth must be one of Bandwidth or AUTO');
+  }
+  this._setCtl(CTL.SET_BANDWIDTH, bandwidth);
+};
+
+/**
+ * Get the bandwidth currently used by the encoder.
+ * Note that this is not necessarily the bandwidth passed to
+ * {@link #setBandwidth} before any frame has been encoded.
+ *
+ * @returns {Bandwidth} Current bandwidth
+ */
+Encoder.prototype.getBandwidth = function() {
+  return this._getCtl(CTL.GET_BANDWIDTH);
+};
+
+/**
+ * Enable or disable discontinuous transmission.
+ *
+ * @param {boolean} enabled - Whether DTX should be used (disabled by default)
+ */
+Encoder.prototype.setDTX = function(enabled) {
+  this._setCtl(CTL.SET_DTX, enabled ? 1 : 0);
+};
+
+/**
+ * Determine whether discontinuous transmission is enabled.
+ *
+ * @returns {boolean} Whether DTX is enabled
+ */
+Encoder.prototype.getDTX = function() {
+  return this._getCtl(CTL.GET_DTX) !== 0;
+};
+
+/**
+ * Enable or disable inband forward error correction.
+ * FEC data is only included if the expected packet loss is non-zero, see
+ * {@link #setPacketLossPerc}.
+ *
+ * @param {boolean} enabled - Whether FEC should be used (disabled by default)
+ */
+Encoder.prototype.setInbandFEC = function(enabled) {
+  this._setCtl(CTL.SET_INBAND_FEC, enabled ? 1 : 0);
+};
+
+/**
+ * Determine whether inband forward error correction is enabled.
+ *
+ * @returns {boolean} Whether FEC is enabled
+ */
+Encoder.prototype.getInbandFEC = function() {
+  return this._getCtl(CTL.GET_INBAND_FEC) !== 0;
+};
+
+/**
+ * Set the expected packet loss.
+ *
+ * @param {number} percentage - Expected packet loss from 0 to 100 (percent)
+ */
+Encoder.prototype.setPacketLossPerc = function(percentage) {
+  if (!(isInteger(percentage) && percentage >= 0 && percentage <= 100)) {
+    throw new OpusError(Code.BAD_ARG, 'packet loss percentage must be between 0 and 100');
+  }
+  this._setCtl(CTL.SET_PACKET_LOSS_PERC, percentage);
+};
+
+/**
+ * Get the expected packet loss.
+ *
+ * @returns {number} Expected packet loss from 0 to 100 (percent)
+ */
+Encoder.prototype.getPacketLossPerc = function() {
+  return this._getCtl(CTL.GET_PACKET_LOSS_PERC);
+};
+
+/**
+ * Force mono or stereo encoding.
+ *
+ * @param {number} channels - 1, 2 (if the encoder has 2 channels) or
+ *    {@link Encoder.AUTO}
+ */
+Encoder.prototype.setForceChannels = function(channels) {
+  if (channels !== AUTO &&
+      !(isInteger(channels) && channels >= 1 && channels <= this._channels)) {
+    throw new OpusError(Code.BAD_ARG, 'forced channels must be AUTO or between 1 and ' +
+        this._channels);
+  }
+  this._setCtl(CTL.SET_FORCE_CHANNELS, channels);
+};
+
+/**
+ * Get the forced number of channels.
+ *
+ * @returns {number} 1, 2 or {@link Encoder.AUTO}
+ */
+Encoder.prototype.getForceChannels = function() {
+  return this._getCtl(CTL.GET_FORCE_CHANNELS);
+};
+
+/**
+ * Get the lookahead of the encoder.
+ * This is the number of samples the decoder output is delayed by and should
+ * be skipped at the start of the decoded stream. It includes the delay of
+ * the resampler, if any.
+ *
+ * @returns {number} Lookahead in samples at the sampling rate of the encoder
+ */
+Encoder.prototype.getLookahead = function() {
+  var lookahead = this._getCtl(CTL.GET_LOOKAHEAD);
+  if (this._resampler) {
+    lookahead = Math.round((lookahead + this._resampler.getDelay()) *
+        this._rate / this._codecRate);
+  }
+  return lookahead;
+};
+
+/**
+ * Get the final state of the range coder after the last encoded packet.
+ * Decoders reach the same state after decoding it, see
+ * {@link Decoder#getFinalRange}.
+ *
+ * @returns {number} Final range as unsigned 32-bit integer
+ */
+Encoder.prototype.getFinalRange = function() {
+  return this._getCtl(CTL.GET_FINAL_RANGE) >>> 0;
 };
 
 /**
  * Encodes an array of (interleaved) pcm samples.
  * One frame must be exatly 2.5, 5, 10, 20, 40 or 60ms.
+ * When resampling, this applies to the resampled input, e.g. 882 samples at
+ * 44.1kHz are resampled to a 20ms frame of 960 samples at 48kHz.
+ * <br>
+ * Instead of interleaved samples, an array with the samples of each channel
+ * (e.g. the channel data of a Web Audio AudioBuffer) can be passed.
+ * Samples other than Int16 and Float32 are converted first. Their format is
+ * determined by the type of the array (Int8Array, Uint8Array, Int16Array,
+ * Int32Array, Float32Array or Float64Array) unless specified, which is
+ * required for Int24 samples packed into three bytes each.
  *
- * @param {Int16Array|Float32Array} pcm - Input samples
+ * @param {ArrayBufferView|ArrayBufferView[]} pcm - Input samples
+ * @param {('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')} [format] -
+ *    Format of the samples
  * @returns {Buffer} The encoded output
  */
-Encoder.prototype.encode = function(pcm) {
+Encoder.prototype.encode = function(pcm, format) {
+  var self = this;
+  var libopus = this._libopus;
+  return this._withBuffers(function(p_enc, p_pcm, p_data) {
+    var len = self._encode(p_enc, p_pcm, p_data, pcm, format, utils.p_data_len);
+    return Buffer.from(libopus.HEAPU8.subarray(p_data, p_data + len));
+  });
+};
+
+/**
+ * Encodes an array of (interleaved) pcm samples into the specified buffer.
+ * Unlike {@link #encode}, this does not allocate any memory for the result.
+ * The packet is limited to the length of the buffer, i.e. libopus lowers the
+ * bitrate of this frame if necessary.
+ *
+ * @param {ArrayBufferView|ArrayBufferView[]} pcm - Input samples, see
+ *    {@link #encode}
+ * @param {Buffer|Uint8Array} out - Buffer the encoded packet is written to
+ *    (starting at its beginning)
+ * @param {string} [format] - Format of the samples, see {@link #encode}
+ * @returns {number} Length of the encoded packet in bytes
+ */
+Encoder.prototype.encodeInto = function(pcm, out, format) {
+  if (!(out instanceof Uint8Array)) {
+    throw new TypeError('out must be a Buffer or Uint8Array');
+  }
+  var self = this;
+  var libopus = this._libopus;
+  return this._withBuffers(function(p_enc, p_pcm, p_data) {
+    var max = Math.min(out.length, utils.p_data_len);
+    var len = self._encode(p_enc, p_pcm, p_data, pcm, format, max);
+    out.set(libopus.HEAPU8.subarray(p_data, p_data + len));
+    return len;
+  });
+};
+
+/**
+ * Encodes multiple frames at once.
+ * In safe mode, the state of the encoder is only loaded into memory once for
+ * all frames, which is considerably faster than encoding them one by one.
+ *
+ * @param {Array} frames - Input samples of each frame, see {@link #encode}
+ * @param {string} [format] - Format of the samples, see {@link #encode}
+ * @returns {Buffer[]} The encoded output of each frame
+ */
+Encoder.prototype.encodeBatch = function(frames, format) {
+  if (!Array.isArray(frames)) {
+    throw new TypeError('frames must be an array');
+  }
+  var self = this;
+  var libopus = this._libopus;
+  return this._withBuffers(function(p_enc, p_pcm, p_data) {
+    return frames.map(function(pcm) {
+      var len = self._encode(p_enc, p_pcm, p_data, pcm, format, utils.p_data_len);
+      return Buffer.from(libopus.HEAPU8.subarray(p_data, p_data + len));
+    });
+  });
+};
+
+/**
+ * Encodes a single frame, leaving the result in the data buffer.
+ *
+ * @param {number} p_enc - Pointer to the encoder state
+ * @param {number} p_pcm - Pointer to the pcm buffer
+ * @param {number} p_data - Pointer to the data buffer
+ * @param {ArrayBufferView|ArrayBufferView[]} pcm - Input samples
+ * @param {string} [format] - Format of the samples
+ * @param {number} max - Maximum length of the encoded packet
+ * @returns {number} Length of the encoded packet
+ */
+Encoder.prototype._encode = function(p_enc, p_pcm, p_data, pcm, format, max) {
+  var libopus = this._libopus;
+  pcm = formats.toInterleavedNative(pcm, format, this._channels);
+  if (this._resampler) {
+    // Only whole frames can be encoded, so check before consuming the input
+    var frameSize = this._resampler.getOutputLength(pcm.length / this._channels);
+    if ([2.5, 5, 10, 20, 40, 60].indexOf(frameSize * 1000 / this._codecRate) === -1) {
+      throw new OpusError(Code.BAD_ARG, 'pcm must be exactly 2.5, 5, 10, 20, 40 or 60ms');
+    }
+    pcm = this._resampler.process(pcm);
+  }
   var samples = pcm.length / this._channels;
-  return this._withState(function(p_enc) {
-    var encode;
-    if (pcm instanceof Float32Array) {
-      if (pcm.length * 4 > utils.p_pcm_len) {
-        throw new Error('pcm array too large');
-      }
-      libopus.HEAPF32.set(pcm, p_pcm >> 2);
-      encode = libopus._opus_encode_float.bind(libopus);
-    } else if (pcm instanceof Int16Array) {
-      if (pcm.length * 2 > utils.p_pcm_len) {
-        throw new Error('pcm array too large');
-      }
-      libopus.HEAP16.set(pcm, p_pcm >> 1);
-      encode = libopus._opus_encode.bind(libopus);
-    } else {
-      throw new TypeError('pcm must be Int16Array or Float32Array');
+  var encode;
+  if (pcm instanceof Float32Array) {
+    if (pcm.length * 4 > utils.p_pcm_len) {
+      throw new OpusError(Code.BAD_ARG, 'pcm array too large');
     }
-    var len = encode(p_enc, p_pcm, samples, p_data, utils.p_data_len);
-    if (len < 0) {
-      throw new Error(utils.stringifyError(len));
+    libopus.HEAPF32.set(pcm, p_pcm >> 2);
+    encode = libopus._opus_encode_float.bind(libopus);
+  } else {
+    if (pcm.length * 2 > utils.p_pcm_len) {
+      throw new OpusError(Code.BAD_ARG, 'pcm array too large');
     }
-    return Buffer.from(libopus.HEAPU8.subarray(p_data, p_data + len));
-  });
+    libopus.HEAP16.set(pcm, p_pcm >> 1);
+    encode = libopus._opus_encode.bind(libopus);
+  }
+  var len = encode(p_enc, p_pcm, samples, p_data, max);
+  if (len < 0) {
+    throw new OpusError(len);
+  }
+  return len;
 };
 
 /**
  * Creates a transform stream from this encoder.
  * Since the stream always receives a Buffer object, the actual sample
  * type has to be specified manually.
+ * <br>
+ * Without a frame duration, every chunk written to the stream has to contain
+ * exactly one frame. With a frame duration, input of arbitrary size is
+ * buffered and encoded whenever a full frame is available. When the stream
+ * ends with a partial frame, it is padded with silence and followed by as
+ * many extra frames of silence as required to flush the lookahead of the
+ * encoder. Input which ends on a frame boundary is encoded into exactly one
+ * packet per frame, unless the flush option is set. The number of padding
+ * samples (including any extra frames) is emitted as 'padding' event before
+ * the last packet, along with the sampling rate of the encoder, and is
+ * available as the padding property of the stream afterwards.
+ * <br>
+ * Samples in formats other than Int16 and Float32 are converted before they
+ * are encoded, Int24 samples are expected to be packed into three bytes.
  *
- * @param [('Float32'|'Int16')] mode - Type of sample input
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample input
+ * @param {object} [opts={}] - Options for the stream
+ * @param {(2.5|5|10|20|40|60)} [opts.frameDuration] - Duration of each frame (ms)
+ * @param {boolean} [opts.flush=false] - Also flush the lookahead of the
+ *    encoder with extra frames when the input ends on a frame boundary, so
+ *    the decoded output contains the whole input
  * @returns {EncoderStream}
  */
-Encoder.prototype.stream = function(mode) {
-  return new EncoderStream(this, mode);
+Encoder.prototype.stream = function(mode, opts) {
+  return new EncoderStream(this, mode, opts);
 };
 
-function EncoderStream(encoder, mode) {
+/**
+ * Creates a WHATWG TransformStream from this encoder, which can be used with
+ * ReadableStream.pipeThrough.
+ * Chunks written to it are typed arrays of samples in the specified format
+ * (Uint8Arrays for Int24, see {@link formats}) or arrays with the samples of
+ * each channel, the chunks read from it are encoded packets (Buffers).
+ * Frames and padding are handled like by {@link #stream}.
+ *
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample input
+ * @param {object} [opts={}] - Options for the stream, see {@link #stream}
+ * @returns {TransformStream}
+ */
+Encoder.prototype.transformStream = function(mode, opts) {
+  var stream = this.stream(mode, opts);
+  return adapters.toTransformStream(stream, toRawSamples.bind(null, mode, this._channels),
+      identity);
+};
+
+/**
+ * Encodes all samples of an iterable, e.g. for use in for await loops.
+ * Frames and padding are handled like by {@link #stream}.
+ *
+ * @param {Iterable|AsyncIterable} pcm - Typed arrays of samples or arrays
+ *    with the samples of each channel, see {@link #transformStream}
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample input
+ * @param {object} [opts={}] - Options, see {@link #stream}
+ * @returns {AsyncIterable<Buffer>} The encoded packets
+ */
+Encoder.prototype.encodeAll = function(pcm, mode, opts) {
+  var stream = this.stream(mode, opts);
+  return adapters.transformAll(stream, pcm, toRawSamples.bind(null, mode, this._channels),
+      identity);
+};
+
+/**
+ * Converts samples to the raw input of an {@link EncoderStream}.
+ *
+ * @param {string} mode - Format of the samples
+ * @param {number} channels - Number of channels
+ * @param {ArrayBufferView|ArrayBufferView[]} pcm - Interleaved samples or an
+ *    array with the samples of each channel
+ * @returns {Buffer} The raw samples
+ */
+function toRawSamples(mode, channels, pcm) {
+  if (Array.isArray(pcm)) {
+    if (pcm.length !== channels) {
+      throw new OpusError(Code.BAD_ARG, 'pcm must contain ' + channels + ' channel(s)');
+    }
+    pcm = formats.interleave(pcm);
+  }
+  if (Buffer.isBuffer(pcm)) {
+    return pcm;
+  }
+  var Type = formats.Format[mode].Type;
+  if (!(pcm instanceof Type)) {
+    throw new TypeError('samples in ' + mode + ' format must be ' + Type.name);
+  }
+  return Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+}
+
+function identity(value) {
+  return value;
+}
+
+function EncoderStream(encoder, mode, opts) {
   Transform.call(this, {});
 
+  opts = extend({
+    flush: false
+  }, opts);
+
   this._encoder = encoder;
-  if (mode == 'Float32') {
-    this._mode = Float32Array;
-  } else if (mode == 'Int16') {
-    this._mode = Int16Array;
-  } else {
+  this._flushLookahead = opts.flush;
+  if (!formats.Format.hasOwnProperty(mode)) {
     throw new TypeError('mode cannot be ' + mode);
   }
+  this._format = mode;
+  // Bytes per sample of all channels
+  this._sampleBytes = formats.Format[mode].bytes * encoder._channels;
+
+  if (opts.frameDuration !== undefined) {
+    if ([2.5, 5, 10, 20, 40, 60].indexOf(opts.frameDuration) == -1) {
+      throw new OpusError(Code.BAD_ARG,
+          'frameDuration can only be 2.5, 5, 10, 20, 40 or 60');
+    }
+    // Samples per channel in one frame
+    this._frameSize = encoder._rate * opts.frameDuration / 1000;
+    if (Math.floor(this._frameSize) !== this._frameSize) {
+      throw new OpusError(Code.BAD_ARG, 'frameDuration of ' + opts.frameDuration +
+          'ms is not a whole number of samples at ' + encoder._rate + 'Hz');
+    }
+    this._frameBytes = this._frameSize * this._sampleBytes;
+    this._buffer = Buffer.alloc(0);
+  }
+
+  /** @member {number} - Number of padding samples encoded at the end */
+  this.padding = 0;
 }
 util.inherits(EncoderStream, Transform);
 
 EncoderStream.prototype._transform = function(chunk, encoding, callback) {
-  chunk = new this._mode(chunk.buffer, chunk.byteOffset,
-      chunk.byteLength / this._mode.BYTES_PER_ELEMENT);
+  if (this._frameSize) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    try {
+      while (this._buffer.length >= this._frameBytes) {
+        this._encodeFrame(this._buffer.slice(0, this._frameBytes));
+        this._buffer = this._buffer.slice(this._frameBytes);
+      }
+    } catch (err) {
+      return callback(err);
+    }
+    return callback();
+  }
+
   var result;
   try {
-    result = this._encoder.encode(chunk);
+    result = this._encoder.encode(this._toPcm(chunk));
   } catch (err) {
     return callback(err);
   }
   callback(null, result);
 };
 
+EncoderStream.prototype._flush = function(callback) {
+  if (!this._frameSize) {
+    return callback();
+  }
+  var bps = this._sampleBytes;
+  if (this._buffer.length % bps !== 0) {
+    return callback(new OpusError(Code.BAD_ARG, 'input ended in the middle of a sample'));
+  }
+  try {
+    // Pad a partial last frame and add more frames until the lookahead is
+    // flushed
+    var remaining = this._buffer.length / bps;
+    var frames = 0;
+    if (remaining > 0 || this._flushLookahead) {
+      var lookahead = this._encoder.getLookahead();
+      frames = Math.ceil((remaining + lookahead) / this._frameSize);
+    }
+    this.padding = frames * this._frameSize - remaining;
+    this.emit('padding', this.padding, this._encoder._rate);
+
+    var padded = Buffer.alloc(frames * this._frameBytes,
+        formats.Format[this._format].silence);
+    this._buffer.copy(padded);
+    this._buffer = Buffer.alloc(0);
+    for (var i = 0; i < frames; i++) {
+      this._encodeFrame(padded.slice(i * this._frameBytes, (i + 1) * this._frameBytes));
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+/**
+ * Encodes a single frame and pushes the result.
+ *
+ * @param {Buffer} buf - Raw samples of exactly one frame
+ */
+EncoderStream.prototype._encodeFrame = function(buf) {
+  this.push(this._encoder.encode(this._toPcm(buf)));
+};
+
+/**
+ * Converts raw input to samples libopus can encode.
+ *
+ * @param {Buffer} buf - Raw samples
+ * @returns {Int16Array|Float32Array} The samples
+ */
+EncoderStream.prototype._toPcm = function(buf) {
+  // Copy into a new array, buf might not be properly aligned
+  return formats.toNative(formats.fromBuffer(buf, this._format), this._format);
+};
+
 Encoder.Application = Application;
+Encoder.Bandwidth = Bandwidth;
+Encoder.Signal = Signal;
+Encoder.AUTO = AUTO;
+Encoder.BITRATE_MAX = BITRATE_MAX;
 module.exports = Encoder;
@@ -0,0 +1,258 @@
+// Conversion between the sample formats supported by codecs and streams and
+// the Int16 and Float32 samples libopus operates on
+
+var OpusError = require('./opuserror');
+
+/**
+ * Sample formats.
+ * Type is the kind of array holding the samples (Int24 samples are packed
+ * into three bytes each), native the type of the samples passed to libopus
+ * and silence the value of each byte of silent samples.
+ * @readonly
+ */
+var Format = {
+  Int8: { Type: Int8Array, bytes: 1, native: Int16Array, silence: 0 },
+  Uint8: { Type: Uint8Array, bytes: 1, native: Int16Array, silence: 0x80 },
+  Int16: { Type: Int16Array, bytes: 2, native: Int16Array, silence: 0 },
+  Int24: { Type: Uint8Array, bytes: 3, native: Float32Array, silence: 0 },
+  Int32: { Type: Int32Array, bytes: 4, native: Float32Array, silence: 0 },
+  Float32: { Type: Float32Array, bytes: 4, native: Float32Array, silence: 0 },
+  Float64: { Type: Float64Array, bytes: 8, native: Float32Array, silence: 0 }
+};
+
+/**
+ * Looks up a sample format.
+ *
+ * @param {string} name - Name of the format
+ * @returns {object} The format, see {@link Format}
+ */
+function get(name) {
+  if (!Format.hasOwnProperty(name)) {
+    throw new TypeError('format cannot be ' + name);
+  }
+  return Format[name];
+}
+
+/**
+ * Determines the format of an array of samples by its type.
+ * Buffers are raw bytes rather than samples and therefore have no format.
+ *
+ * @param {*} array - The samples
+ * @returns {string|null} Name of the format or null if unknown
+ */
+function detect(array) {
+  if (array instanceof Buffer) {
+    return null;
+  }
+  var names = ['Int8', 'Uint8', 'Int16', 'Int32', 'Float32', 'Float64'];
+  for (var i = 0; i < names.length; i++) {
+    if (array instanceof Format[names[i]].Type) {
+      return names[i];
+    }
+  }
+  return null;
+}
+
+function clamp(value, min, max) {
+  return value > max ? max : value < min ? min : value;
+}
+
+/**
+ * Converts samples to the type libopus operates on.
+ *
+ * @param {ArrayBufferView} samples - The samples
+ * @param {string} name - Their format
+ * @returns {Int16Array|Float32Array} The converted samples (samples itself
+ *    if no conversion is necessary)
+ */
+function toNative(samples, name) {
+  var format = get(name);
+  if (!(samples instanceof format.Type)) {
+    throw new TypeError('samples in ' + name + ' format must be ' + format.Type.name);
+  }
+  if (samples instanceof format.native) {
+    return samples;
+  }
+  var length = samples.length;
+  var result, i;
+  switch (name) {
+  case 'Int8':
+    result = new Int16Array(length);
+    for (i = 0; i < length; i++) {
+      result[i] = samples[i] * 256;
+    }
+    return result;
+  case 'Uint8':
+    result = new Int16Array(length);
+    for (i = 0; i < length; i++) {
+      result[i] = (samples[i] - 128) * 256;
+    }
+    return result;
+  case 'Int24':
+    if (length % 3 !== 0) {
+      throw new OpusError(OpusError.Code.BAD_ARG,
+          'Int24 samples must be three bytes each');
+    }
+    result = new Float32Array(length / 3);
+    for (i = 0; i < result.length; i++) {
+      var value = samples[i * 3] | samples[i * 3 + 1] << 8 | samples[i * 3 + 2] << 16;
+      result[i] = (value << 8 >> 8) / 8388608;
+    }
+    return result;
+  case 'Int32':
+    result = new Float32Array(length);
+    for (i = 0; i < length; i++) {
+      result[i] = samples[i] / 2147483648;
+    }
+    return result;
+  default: // Float64
+    return Float32Array.from(samples);
+  }
+}
+
+/**
+ * Converts samples of the type libopus operates on to a different format.
+ *
+ * @param {Int16Array|Float32Array} pcm - The samples
+ * @param {string} name - Name of the format to convert to
+ * @returns {ArrayBufferView} The converted samples (Int24 samples as Buffer),
+ *    pcm itself if no conversion is necessary
+ */
+function fromNative(pcm, name) {
+  var format = get(name);
+  if (pcm instanceof format.Type) {
+    return pcm;
+  }
+  var length = pcm.length;
+  var result, i;
+  switch (name) {
+  case 'Int8':
+  case 'Uint8':
+    var offset = name === 'Uint8' ? 128 : 0;
+    result = new format.Type(length);
+    for (i = 0; i < length; i++) {
+      result[i] = clamp(Math.round(pcm[i] / 256), -128, 127) + offset;
+    }
+    return result;
+  case 'Int24':
+    result = Buffer.alloc(length * 3);
+    for (i = 0; i < length; i++) {
+      result.writeIntLE(clamp(Math.round(pcm[i] * 8388608), -8388608, 8388607), i * 3, 3);
+    }
+    return result;
+  case 'Int32':
+    result = new Int32Array(length);
+    for (i = 0; i < length; i++) {
+      result[i] = clamp(Math.round(pcm[i] * 2147483648), -2147483648, 2147483647);
+    }
+    return result;
+  default: // Float64
+    return Float64Array.from(pcm);
+  }
+}
+
+/**
+ * Copies samples out of a Buffer, which might not be properly aligned for
+ * the type of the samples.
+ *
+ * @param {Buffer} buf - Raw samples
+ * @param {string} name - Their format
+ * @returns {ArrayBufferView} The samples
+ */
+function fromBuffer(buf, name) {
+  var format = get(name);
+  var bytesPerElement = format.Type.BYTES_PER_ELEMENT;
+  if (buf.length % bytesPerElement !== 0) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'input ended in the middle of a sample');
+  }
+  var samples = new format.Type(buf.length / bytesPerElement);
+  buf.copy(Buffer.from(samples.buffer));
+  return samples;
+}
+
+/**
+ * Interleaves the samples of separate channels.
+ *
+ * @param {ArrayBufferView[]} planes - Samples of each channel, all of the same
+ *    type and length
+ * @returns {ArrayBufferView} The interleaved samples
+ */
+function interleave(planes) {
+  var channels = planes.length;
+  var Type = planes[0].constructor;
+  var samples = planes[0].length;
+  planes.forEach(function(plane) {
+    if (plane.constructor !== Type || plane.length !== samples) {
+      throw new TypeError('all channels must be arrays of the same type and length');
+    }
+  });
+  var result = new Type(samples * channels);
+  for (var c = 0; c < channels; c++) {
+    var plane = planes[c];
+    for (var i = 0; i < samples; i++) {
+      result[i * channels + c] = plane[i];
+    }
+  }
+  return result;
+}
+
+/**
+ * Splits interleaved samples into separate channels.
+ *
+ * @param {ArrayBufferView} samples - Interleaved samples
+ * @param {number} channels - Number of channels
+ * @returns {ArrayBufferView[]} The samples of each channel
+ */
+function deinterleave(samples, channels) {
+  var length = samples.length / channels;
+  var planes = [];
+  for (var c = 0; c < channels; c++) {
+    var plane = new samples.constructor(length);
+    for (var i = 0; i < length; i++) {
+      plane[i] = samples[i * channels + c];
+    }
+    planes.push(plane);
+  }
+  return planes;
+}
+
+/**
+ * Converts the input of an encoder to interleaved samples of the type
+ * libopus operates on.
+ *
+ * @param {ArrayBufferView|ArrayBufferView[]} pcm - Interleaved samples or an
+ *    array with the samples of each channel
+ * @param {string} [name] - Format of the samples, determined by their type
+ *    if omitted
+ * @param {number} channels - Number of channels of the encoder
+ * @returns {Int16Array|Float32Array} The interleaved samples
+ */
+function toInterleavedNative(pcm, name, channels) {
+  var planar = Array.isArray(pcm);
+  if (planar && pcm.length !== channels) {
+    throw new OpusError(OpusError.Code.BAD_ARG,
+        'pcm must contain ' + channels + ' channel(s)');
+  }
+  name = name || detect(planar ? pcm[0] : pcm);
+  if (!name) {
+    throw new TypeError('pcm must be a typed array of samples or an array of channels');
+  }
+  if (planar) {
+    return interleave(pcm.map(function(plane) {
+      return toNative(plane, name);
+    }));
+  }
+  return toNative(pcm, name);
+}
+
+module.exports = {
+  Format: Format,
+  get: get,
+  detect: detect,
+  toNative: toNative,
+  fromNative: fromNative,
+  fromBuffer: fromBuffer,
+  interleave: interleave,
+  deinterleave: deinterleave,
+  toInterleavedNative: toInterleavedNative
+};
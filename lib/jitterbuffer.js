@@ -0,0 +1,363 @@
+var util = require('util');
+var extend = require('extend');
+var EventEmitter = require('events').EventEmitter;
+var Packet = require('./packet');
+var OpusError = require('./opuserror');
+var rtp = require('./rtp');
+
+// All durations and timestamps are handled at the RTP clock rate of 48kHz
+var CLOCK_RATE = rtp.CLOCK_RATE;
+// Maximum number of samples concealed at once (120ms)
+var MAX_CONCEAL = 5760;
+// Concealment only works in multiples of 2.5ms
+var CONCEAL_STEP = 120;
+
+/**
+ * Adaptive jitter buffer feeding a {@link Decoder}.
+ * <br>
+ * Packets are added with {@link #put} whenever they arrive from the network,
+ * in any order. The application then calls {@link #read} each time it needs
+ * more audio, which decodes the packets in order. Missing packets are
+ * recovered using FEC if the following packet has already arrived and
+ * concealed otherwise.
+ * <br>
+ * Playback starts once enough audio has been buffered to cover the target
+ * delay, which adapts to the observed network jitter. Packets arriving after
+ * their playout time are dropped. If too much audio accumulates, packets are
+ * skipped to reduce latency.
+ * Packets with a malformed payload are treated like lost ones, a 'warning'
+ * event with the {@link OpusError} is emitted for each of them.
+ *
+ * @param {Decoder} decoder - The decoder to be used
+ * @param [('Float32'|'Int16')] mode - Type of sample output
+ * @param {object} [opts={}] - Options for the jitter buffer
+ * @param {number} [opts.minDelay=40] - Minimum target delay (ms)
+ * @param {number} [opts.maxDelay=500] - Maximum target delay (ms)
+ * @param {boolean} [opts.fec=true] - Use FEC to recover lost packets
+ * @constructor
+ */
+function JitterBuffer(decoder, mode, opts) {
+  // Allow use without new
+  if (!(this instanceof JitterBuffer)) return new JitterBuffer(decoder, mode, opts);
+
+  EventEmitter.call(this);
+
+  opts = extend({
+    minDelay: 40,
+    maxDelay: 500,
+    fec: true
+  }, opts);
+
+  if (mode == 'Float32') {
+    this._decode = decoder.decodeFloat32.bind(decoder);
+    this._decodeFEC = decoder.decodeFECFloat32.bind(decoder);
+  } else if (mode == 'Int16') {
+    this._decode = decoder.decodeInt16.bind(decoder);
+    this._decodeFEC = decoder.decodeFECInt16.bind(decoder);
+  } else {
+    throw new TypeError('mode cannot be ' + mode);
+  }
+  if (!(opts.minDelay >= 0 && opts.maxDelay >= opts.minDelay)) {
+    throw new RangeError('delays must satisfy 0 <= minDelay <= maxDelay');
+  }
+
+  this._decoder = decoder;
+  this._minDelay = opts.minDelay * CLOCK_RATE / 1000;
+  this._maxDelay = opts.maxDelay * CLOCK_RATE / 1000;
+  this._fec = opts.fec;
+
+  // Buffered packets, indexed by sequence number
+  this._packets = {};
+  this._count = 0;
+  // Sequence number and timestamp of the next sample to be played
+  this._sequenceNumber = null;
+  this._timestamp = null;
+  this._playing = false;
+  // Whether no more packets are going to be added
+  this._ended = false;
+  // Jitter estimation as per RFC 3550
+  this._transit = null;
+  this._jitter = 0;
+
+  /**
+   * @member {object} - Statistics: number of received, duplicate, late
+   *    (arrived after their playout time), lost (never arrived in time),
+   *    recovered (lost but recovered by FEC) and dropped (skipped to reduce
+   *    latency) packets, number of concealed samples (at 48kHz), the current
+   *    jitter estimate and target delay (ms)
+   */
+  this.stats = {
+    received: 0,
+    duplicate: 0,
+    late: 0,
+    lost: 0,
+    recovered: 0,
+    dropped: 0,
+    concealed: 0,
+    jitter: 0,
+    targetDelay: opts.minDelay
+  };
+}
+util.inherits(JitterBuffer, EventEmitter);
+
+/**
+ * Adds a packet to the jitter buffer.
+ *
+ * @param {object} packet - The packet, e.g. as returned by rtp.parse
+ * @param {Buffer} packet.payload - The Opus packet
+ * @param {number} packet.sequenceNumber - 16-bit sequence number
+ * @param {number} packet.timestamp - 32-bit timestamp (48kHz clock)
+ * @param {number} [arrival=Date.now()] - Arrival time (ms)
+ */
+JitterBuffer.prototype.put = function(packet, arrival) {
+  arrival = arrival === undefined ? Date.now() : arrival;
+  var seq = packet.sequenceNumber;
+  this.stats.received++;
+
+  this._updateJitter(packet.timestamp, arrival);
+
+  var parsed;
+  try {
+    parsed = new Packet(packet.payload);
+  } catch (err) {
+    if (!(err instanceof OpusError) || err.code !== OpusError.Code.INVALID_PACKET) {
+      throw err;
+    }
+    // It is counted as lost once its playout time has come
+    this.emit('warning', err);
+    return;
+  }
+  var duration = parsed.duration;
+  if (this._playing && (rtp.sequenceDiff(seq, this._sequenceNumber) < 0 ||
+      rtp.timestampDiff(packet.timestamp + duration, this._timestamp) <= 0)) {
+    this.stats.late++;
+    return;
+  }
+  if (this._packets[seq]) {
+    this.stats.duplicate++;
+    return;
+  }
+  this._packets[seq] = {
+    payload: packet.payload,
+    sequenceNumber: seq,
+    timestamp: packet.timestamp >>> 0,
+    duration: duration,
+    fec: parsed.hasFEC()
+  };
+  this._count++;
+};
+
+JitterBuffer.prototype._updateJitter = function(timestamp, arrival) {
+  var transit = arrival * CLOCK_RATE / 1000 - timestamp;
+  if (this._transit !== null) {
+    var d = Math.abs(rtp.timestampDiff(transit, this._transit));
+    this._jitter += (d - this._jitter) / 16;
+  }
+  this._transit = transit;
+  this.stats.jitter = this._jitter * 1000 / CLOCK_RATE;
+  this.stats.targetDelay = this._targetDelay() * 1000 / CLOCK_RATE;
+};
+
+/**
+ * Calculates the delay to aim for based on the current jitter.
+ *
+ * @returns {number} Target delay in samples
+ */
+JitterBuffer.prototype._targetDelay = function() {
+  var delay = 4 * this._jitter;
+  return Math.min(this._maxDelay, Math.max(this._minDelay, delay));
+};
+
+/**
+ * Get the amount of audio currently buffered.
+ *
+ * @returns {number} Duration in samples at 48kHz
+ */
+JitterBuffer.prototype._buffered = function() {
+  var self = this;
+  var start = this._timestamp;
+  var end = null;
+  Object.keys(this._packets).forEach(function(key) {
+    var packet = self._packets[key];
+    if (start === null || rtp.timestampDiff(packet.timestamp, start) < 0) {
+      start = packet.timestamp;
+    }
+    var packetEnd = packet.timestamp + packet.duration;
+    if (end === null || rtp.timestampDiff(packetEnd, end) > 0) {
+      end = packetEnd;
+    }
+  });
+  return end === null ? 0 : Math.max(0, rtp.timestampDiff(end, start));
+};
+
+/**
+ * Get the buffered packet with the lowest sequence number.
+ *
+ * @returns {object} The packet or null if there are none
+ */
+JitterBuffer.prototype._oldest = function() {
+  var self = this;
+  var oldest = null;
+  Object.keys(this._packets).forEach(function(key) {
+    var packet = self._packets[key];
+    if (oldest === null ||
+        rtp.sequenceDiff(packet.sequenceNumber, oldest.sequenceNumber) < 0) {
+      oldest = packet;
+    }
+  });
+  return oldest;
+};
+
+JitterBuffer.prototype._remove = function(packet) {
+  delete this._packets[packet.sequenceNumber];
+  this._count--;
+};
+
+/**
+ * Signals that no more packets are going to be added.
+ * The remaining packets are played without waiting for the target delay and
+ * without skipping any of them, {@link #read} returns null once they are
+ * done.
+ */
+JitterBuffer.prototype.end = function() {
+  this._ended = true;
+};
+
+/**
+ * Converts a number of samples at 48kHz to the rate of the decoder.
+ */
+JitterBuffer.prototype._toDecoderRate = function(samples) {
+  return samples * this._decoder._rate / CLOCK_RATE;
+};
+
+/**
+ * Conceals lost audio.
+ *
+ * @param {number} [samples] - Number of samples (48kHz) to conceal,
+ *    estimated by the decoder if omitted
+ * @returns {Int16Array|Float32Array} The decoded output
+ */
+JitterBuffer.prototype._conceal = function(samples) {
+  var output = this._decode(samples ? this._toDecoderRate(samples) : null);
+  this.stats.concealed += this._advance(output);
+  return output;
+};
+
+/**
+ * Advances the timestamp by the duration of decoded output.
+ *
+ * @param {Int16Array|Float32Array} output - The decoded output
+ * @returns {number} Its duration in samples at 48kHz
+ */
+JitterBuffer.prototype._advance = function(output) {
+  var duration = output.length / this._decoder._channels *
+      CLOCK_RATE / this._decoder._rate;
+  this._timestamp = (this._timestamp + duration) >>> 0;
+  return duration;
+};
+
+/**
+ * Decodes the next chunk of audio.
+ * This should be called whenever the application needs more audio. Each call
+ * returns the content of a single packet, or up to 120ms of concealed audio.
+ *
+ * @returns {Int16Array|Float32Array|null} Decoded samples or null if playback
+ *    has not yet started (the caller should play silence) or all packets have
+ *    been played after {@link #end}
+ */
+JitterBuffer.prototype.read = function() {
+  if (this._ended && this._count === 0) {
+    return null;
+  }
+  if (!this._playing) {
+    if (this._count === 0 ||
+        !this._ended && this._buffered() < this._targetDelay()) {
+      return null;
+    }
+    var first = this._oldest();
+    this._playing = true;
+    this._sequenceNumber = first.sequenceNumber;
+    this._timestamp = first.timestamp;
+  }
+
+  // Skip packets to reduce latency
+  while (!this._ended && this._count > 1 &&
+      this._buffered() > 2 * this._targetDelay() + this._oldest().duration) {
+    var skipped = this._oldest();
+    // Decode anyway, to keep the decoder state in sync
+    this._decode(skipped.payload);
+    this._remove(skipped);
+    this.stats.dropped++;
+    this.stats.lost += Math.max(0,
+        rtp.sequenceDiff(skipped.sequenceNumber, this._sequenceNumber));
+    this._sequenceNumber = (skipped.sequenceNumber + 1) & 0xffff;
+    this._timestamp = (skipped.timestamp + skipped.duration) >>> 0;
+  }
+
+  var packet = this._packets[this._sequenceNumber];
+  if (packet) {
+    var gap = rtp.timestampDiff(packet.timestamp, this._timestamp);
+    if (gap > 0) {
+      // The sender did not transmit anything (DTX)
+      return this._conceal(roundConceal(Math.min(gap, MAX_CONCEAL)));
+    }
+    return this._play(packet);
+  }
+
+  var next = this._oldest();
+  if (!next) {
+    // Buffer underrun, the delay will grow by the concealed duration
+    return this._conceal();
+  }
+
+  var missing = rtp.sequenceDiff(next.sequenceNumber, this._sequenceNumber);
+  var remaining = rtp.timestampDiff(next.timestamp, this._timestamp);
+  if (remaining <= 0) {
+    // Already concealed up to the next packet
+    this.stats.lost += missing;
+    this._sequenceNumber = next.sequenceNumber;
+    return this._play(next);
+  }
+  if (missing === 1 && this._fec && remaining <= MAX_CONCEAL) {
+    // The packet right after the missing one is here
+    this.stats.lost++;
+    this._sequenceNumber = next.sequenceNumber;
+    if (!next.fec) {
+      // It does not contain FEC data for the missing one
+      return this._conceal(roundConceal(remaining));
+    }
+    var output = this._decodeFEC(next.payload, this._toDecoderRate(roundConceal(remaining)));
+    this.stats.recovered++;
+    this._advance(output);
+    return output;
+  }
+  // Conceal all but the last missing packet, which might be recovered by FEC
+  var conceal = remaining;
+  if (this._fec) {
+    conceal = Math.max(CONCEAL_STEP, remaining - next.duration);
+  }
+  conceal = roundConceal(Math.min(conceal, MAX_CONCEAL));
+  var result = this._conceal(conceal);
+  if (rtp.timestampDiff(next.timestamp, this._timestamp) <= next.duration) {
+    // Only the packet right before the next one is left
+    this.stats.lost += missing - 1;
+    this._sequenceNumber = (next.sequenceNumber - 1) & 0xffff;
+  }
+  return result;
+};
+
+/**
+ * Decodes a buffered packet.
+ */
+JitterBuffer.prototype._play = function(packet) {
+  this._remove(packet);
+  this._sequenceNumber = (packet.sequenceNumber + 1) & 0xffff;
+  this._timestamp = (packet.timestamp + packet.duration) >>> 0;
+  return this._decode(packet.payload);
+};
+
+function roundConceal(samples) {
+  return Math.max(CONCEAL_STEP, Math.round(samples / CONCEAL_STEP) * CONCEAL_STEP);
+}
+
+module.exports = JitterBuffer;
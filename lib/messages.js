@@ -0,0 +1,97 @@
+// Helpers for the messages exchanged between a WorkerPool and its workers
+
+var OpusError = require('./opuserror');
+
+var errorTypes = {
+  Error: Error,
+  RangeError: RangeError,
+  TypeError: TypeError
+};
+
+/**
+ * Prepares a value for being posted to another thread.
+ * The memory of typed arrays is transferred rather than copied. Arrays which
+ * only cover a part of their underlying memory (such as small node Buffers,
+ * which share a common pool) are copied first, so no unrelated data is lost.
+ *
+ * @param {*} value - The value to be posted, arrays are processed
+ *    element-wise
+ * @param {ArrayBuffer[]} transfer - List of objects to transfer, the memory
+ *    of value is appended to it if applicable
+ * @returns {*} The value to be posted instead
+ */
+function transferable(value, transfer) {
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return transferable(item, transfer);
+    });
+  }
+  if (!ArrayBuffer.isView(value)) {
+    return value;
+  }
+  if (value instanceof Buffer) {
+    // Buffers arrive as plain Uint8Arrays anyway
+    value = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (value.byteOffset !== 0 || value.byteLength !== value.buffer.byteLength) {
+    value = new value.constructor(value);
+  }
+  if (transfer.indexOf(value.buffer) === -1) {
+    transfer.push(value.buffer);
+  }
+  return value;
+}
+
+/**
+ * Restores a value received from another thread.
+ *
+ * @param {*} value - The received value
+ * @returns {*} The value, with Uint8Arrays converted to Buffers
+ */
+function restore(value) {
+  if (Array.isArray(value)) {
+    return value.map(restore);
+  }
+  if (value instanceof Uint8Array && !(value instanceof Buffer)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  return value;
+}
+
+/**
+ * Converts an error into a plain object which can be posted.
+ *
+ * @param {Error|string} err - The error
+ * @returns {object} Object with name and message, and the code of an
+ *    {@link OpusError}
+ */
+function serializeError(err) {
+  if (err instanceof OpusError) {
+    return { name: err.name, message: err.message, code: err.code };
+  }
+  if (err instanceof Error) {
+    return { name: err.name, message: err.message };
+  }
+  return { name: 'Error', message: String(err) };
+}
+
+/**
+ * Reconstructs an error serialized by {@link serializeError}.
+ *
+ * @param {object} obj - The serialized error
+ * @returns {Error} The error
+ */
+function deserializeError(obj) {
+  if (obj.name === 'OpusError') {
+    return new OpusError(obj.code, obj.message);
+  }
+  var Type = errorTypes[obj.name] || Error;
+  return new Type(obj.message);
+}
+
+module.exports = {
+  transferable: transferable,
+  restore: restore,
+  serializeError: serializeError,
+  deserializeError: deserializeError
+};
@@ -0,0 +1,469 @@
+var extend = require('extend');
+var Encoder = require('./encoder');
+var Decoder = require('./decoder');
+var OpusError = require('./opuserror');
+
+// Level the limiter keeps the mix below (about -1dBFS)
+var LIMITER_THRESHOLD = 0.9;
+// Time for the gain of the limiter to recover by 63% (ms)
+var LIMITER_RELEASE = 50;
+
+/**
+ * Mixes the audio of multiple sources, e.g. the participants of a call.
+ * <br>
+ * Each source has its own {@link Decoder}. Its packets are added with
+ * {@link #write} as they arrive, in order, e.g. from an
+ * {@link RtpDepacketizer}. The application calls {@link #mix} once per frame
+ * duration, which lines up one frame of every source on this common clock
+ * and returns the full mix and, for each source, the mix of all other
+ * sources (mix-minus), so participants do not hear themselves. Each mix is
+ * encoded by its own {@link Encoder}.
+ * <br>
+ * A source starts playing once a frame of it is available. When it runs out
+ * of audio, e.g. because it went silent, it is concealed for up to
+ * opts.maxConceal and then left out until its next packet arrives. Audio
+ * beyond opts.maxDelay is dropped to keep the latency of each source low.
+ * <br>
+ * The mixes are kept within the range of Float32 samples (-1 to 1) by a
+ * limiter, or by clipping if that is disabled.
+ *
+ * @param {object} [opts={}] - Options for the mixer, any other options are
+ *    passed to all encoders
+ * @param {number} [opts.rate=48000] - Sampling rate of the mixes (Hz)
+ * @param {number} [opts.channels=1] - Number of channels of the mixes
+ * @param {(2.5|5|10|20|40|60)} [opts.frameDuration=20] - Duration of each
+ *    frame (ms)
+ * @param {number} [opts.maxDelay=200] - Maximum duration of audio buffered
+ *    per source (ms)
+ * @param {number} [opts.maxConceal=100] - Maximum duration a source which
+ *    ran out of audio is concealed for (ms)
+ * @param {boolean} [opts.fec=true] - Use FEC to recover lost packets
+ * @param {boolean} [opts.limiter=true] - Limit the mixes rather than clipping
+ *    them
+ * @constructor
+ */
+function Mixer(opts) {
+  // Allow use without new
+  if (!(this instanceof Mixer)) return new Mixer(opts);
+
+  opts = extend({
+    rate: 48000,
+    channels: 1,
+    frameDuration: 20,
+    maxDelay: 200,
+    maxConceal: 100,
+    fec: true,
+    limiter: true
+  }, opts);
+
+  if ([2.5, 5, 10, 20, 40, 60].indexOf(opts.frameDuration) === -1) {
+    throw new RangeError('frameDuration can only be 2.5, 5, 10, 20, 40 or 60');
+  }
+  // Samples per channel in one frame
+  this._frameSize = opts.rate * opts.frameDuration / 1000;
+  if (Math.floor(this._frameSize) !== this._frameSize) {
+    throw new RangeError('frameDuration of ' + opts.frameDuration +
+        'ms is not a whole number of samples at ' + opts.rate + 'Hz');
+  }
+  if (!(opts.maxDelay >= opts.frameDuration)) {
+    throw new RangeError('maxDelay must be at least frameDuration');
+  }
+  if (!(opts.maxConceal >= 0)) {
+    throw new RangeError('maxConceal must not be negative');
+  }
+
+  this._rate = opts.rate;
+  this._channels = opts.channels;
+  this._maxDelay = Math.round(opts.maxDelay * opts.rate / 1000);
+  this._maxConceal = Math.round(opts.maxConceal * opts.rate / 1000);
+  this._fec = opts.fec;
+  this._limiter = opts.limiter;
+  this._release = 1 - Math.exp(-1000 / (LIMITER_RELEASE * opts.rate));
+  this._libopus = opts.libopus;
+
+  delete opts.frameDuration;
+  delete opts.maxDelay;
+  delete opts.maxConceal;
+  delete opts.fec;
+  delete opts.limiter;
+  this._encoderOpts = extend(opts, { unsafe: true });
+  this._encoder = new Encoder(this._encoderOpts);
+  // Gain of the limiter of the full mix
+  this._limiterGain = 1;
+
+  // Sources by id
+  this._sources = {};
+}
+
+/**
+ * Adds a source.
+ *
+ * @param {string|number} id - Id of the source, e.g. its SSRC
+ * @param {object} [opts={}] - Options for the source, any other options are
+ *    passed to its {@link Decoder}
+ * @param {boolean} [opts.mixMinus=true] - Whether to encode a mix of all
+ *    other sources for this source
+ * @param {object} [opts.encoder] - Options for its mix-minus encoder,
+ *    overriding those of the mixer
+ */
+Mixer.prototype.addSource = function(id, opts) {
+  if (this._sources.hasOwnProperty(id)) {
+    throw new Error('source ' + id + ' already exists');
+  }
+  opts = extend({
+    mixMinus: true,
+    libopus: this._libopus
+  }, opts);
+  this._sources[id] = new Source(this, opts);
+};
+
+/**
+ * Removes a source, freeing its decoder and encoder.
+ *
+ * @param {string|number} id - Id of the source
+ */
+Mixer.prototype.removeSource = function(id) {
+  this._getSource(id).destroy();
+  delete this._sources[id];
+};
+
+/**
+ * Get the ids of all sources.
+ *
+ * @returns {string[]} Ids of the sources (as strings)
+ */
+Mixer.prototype.getSources = function() {
+  return Object.keys(this._sources);
+};
+
+Mixer.prototype._getSource = function(id) {
+  if (!this._sources.hasOwnProperty(id)) {
+    throw new Error('unknown source ' + id);
+  }
+  return this._sources[id];
+};
+
+/**
+ * Adds a packet of a source.
+ * Lost packets are signalled like for a {@link DecoderStream}, by an empty
+ * Buffer or the number of lost samples (at 48kHz). Corrupt packets are
+ * concealed like lost ones, their {@link OpusError} is thrown afterwards.
+ *
+ * @param {string|number} id - Id of the source
+ * @param {Buffer|number} packet - The Opus packet
+ */
+Mixer.prototype.write = function(id, packet) {
+  this._getSource(id).write(packet);
+};
+
+/**
+ * Get the statistics of a source: number of received, lost (signalled as
+ * lost or corrupt) and recovered (by FEC) packets and number of concealed
+ * (lost or while running out of audio) and dropped (beyond the maximum
+ * delay) samples at the rate of the mixer.
+ *
+ * @param {string|number} id - Id of the source
+ * @returns {object} The statistics
+ */
+Mixer.prototype.getStats = function(id) {
+  return extend({}, this._getSource(id).stats);
+};
+
+/**
+ * Mixes the next frame of all sources.
+ * This should be called once per frame duration.
+ *
+ * @returns {object} Object with mix (the packet of the full mix) and
+ *    mixMinus (the packet of each source by its id, unless disabled for it)
+ */
+Mixer.prototype.mix = function() {
+  var self = this;
+  var length = this._frameSize * this._channels;
+  var sum = new Float64Array(length);
+  var frames = {};
+  var i;
+  Object.keys(this._sources).forEach(function(id) {
+    var frame = self._sources[id].read();
+    frames[id] = frame;
+    if (frame !== null) {
+      for (i = 0; i < length; i++) {
+        sum[i] += frame[i];
+      }
+    }
+  });
+
+  var result = {
+    mix: this._encoder.encode(this._limit(Float32Array.from(sum), this)),
+    mixMinus: {}
+  };
+  Object.keys(this._sources).forEach(function(id) {
+    var source = self._sources[id];
+    if (!source.encoder) {
+      return;
+    }
+    var pcm = Float32Array.from(sum);
+    var frame = frames[id];
+    if (frame !== null) {
+      for (i = 0; i < length; i++) {
+        pcm[i] = sum[i] - frame[i];
+      }
+    }
+    result.mixMinus[id] = source.encoder.encode(self._limit(pcm, source));
+  });
+  return result;
+};
+
+/**
+ * Keeps a mix within -1 to 1, either by clipping it or by a limiter which
+ * instantly reduces its gain to keep it below the threshold and slowly
+ * releases it again.
+ *
+ * @param {Float32Array} pcm - Interleaved samples, modified in place
+ * @param {object} state - Object holding the current gain of the limiter
+ * @returns {Float32Array} The samples
+ */
+Mixer.prototype._limit = function(pcm, state) {
+  var channels = this._channels;
+  var i, c;
+  if (!this._limiter) {
+    for (i = 0; i < pcm.length; i++) {
+      pcm[i] = Math.max(-1, Math.min(1, pcm[i]));
+    }
+    return pcm;
+  }
+  var gain = state._limiterGain;
+  for (i = 0; i < pcm.length; i += channels) {
+    var peak = 0;
+    for (c = 0; c < channels; c++) {
+      peak = Math.max(peak, Math.abs(pcm[i + c]));
+    }
+    var target = peak > LIMITER_THRESHOLD ? LIMITER_THRESHOLD / peak : 1;
+    if (target < gain) {
+      gain = target;
+    } else {
+      gain += (target - gain) * this._release;
+    }
+    for (c = 0; c < channels; c++) {
+      pcm[i + c] *= gain;
+    }
+  }
+  state._limiterGain = gain;
+  return pcm;
+};
+
+/**
+ * Frees the encoders and decoders of the mixer and all of its sources.
+ */
+Mixer.prototype.destroy = function() {
+  var self = this;
+  Object.keys(this._sources).forEach(function(id) {
+    self._sources[id].destroy();
+  });
+  this._sources = {};
+  this._encoder.destroy();
+};
+
+/**
+ * Decodes the packets of a source of a {@link Mixer} and buffers the audio
+ * until it is mixed.
+ *
+ * @param {Mixer} mixer - The mixer
+ * @param {object} opts - Options of the source, see {@link Mixer#addSource}
+ * @constructor
+ */
+function Source(mixer, opts) {
+  this._mixer = mixer;
+  this._decoder = new Decoder(extend({}, opts, {
+    rate: mixer._rate,
+    channels: mixer._channels,
+    unsafe: true
+  }));
+  this.encoder = null;
+  if (opts.mixMinus) {
+    this.encoder = new Encoder(extend({}, mixer._encoderOpts, opts.encoder, {
+      rate: mixer._rate,
+      channels: mixer._channels,
+      unsafe: true
+    }));
+  }
+  // Gain of the limiter of its mix-minus
+  this._limiterGain = 1;
+
+  // Decoded samples not yet mixed
+  this._buffer = new Float32Array(0);
+  this._buffered = 0;
+  // Lost samples (or null if unknown) waiting for the next packet
+  this._lost = [];
+  this._playing = false;
+  // Samples concealed since the source ran out of audio
+  this._concealed = 0;
+
+  this.stats = {
+    received: 0,
+    lost: 0,
+    recovered: 0,
+    concealed: 0,
+    dropped: 0
+  };
+}
+
+Source.prototype.write = function(packet) {
+  if (typeof packet === 'number' || packet instanceof Buffer && packet.length === 0) {
+    this.stats.lost++;
+    this._onLost(this._lostSamples(packet));
+    return;
+  }
+  if (!(packet instanceof Buffer)) {
+    throw new TypeError('packet must be a Buffer or number of lost samples');
+  }
+  this.stats.received++;
+  try {
+    if (this._lost.length > 0) {
+      // Only the frame right before this packet can be recovered, anything
+      // longer than 120ms is concealed without FEC
+      var last = this._lost.pop();
+      this._lost.forEach(this._conceal, this);
+      this._lost = [last];
+      if (last !== null) {
+        var fec = Math.min(last, this._mixer._rate * 120 / 1000);
+        this._conceal(last - fec);
+        last = fec;
+        this._lost = [last];
+      }
+      this._append(this._decoder.decodeFECFloat32(packet, last));
+      this._lost = [];
+      this.stats.recovered++;
+    }
+    this._append(this._decoder.decodeFloat32(packet));
+  } catch (err) {
+    if (!(err instanceof OpusError) || err.code !== OpusError.Code.INVALID_PACKET) {
+      throw err;
+    }
+    // Its duration is unknown, so the last one is assumed
+    this.stats.received--;
+    this.stats.lost++;
+    this._onLost(null);
+    throw err;
+  }
+  this._concealed = 0;
+};
+
+/**
+ * Converts a lost packet marker to the number of lost samples at the rate of
+ * the mixer.
+ *
+ * @param {Buffer|number} packet - Empty buffer or number of samples at 48kHz
+ * @returns {number|null} Lost samples (a multiple of 2.5ms) or null if unknown
+ */
+Source.prototype._lostSamples = function(packet) {
+  if (typeof packet !== 'number') {
+    return null;
+  }
+  // Concealment only works in multiples of 2.5ms
+  var step = this._mixer._rate / 400;
+  return Math.round(packet * this._mixer._rate / 48000 / step) * step;
+};
+
+Source.prototype._onLost = function(samples) {
+  if (this._mixer._fec) {
+    // Wait for the next packet, it might contain FEC data
+    this._lost.push(samples);
+  } else {
+    this._conceal(samples);
+  }
+};
+
+/**
+ * Conceals lost samples in batches of at most 120ms.
+ *
+ * @param {number|null} samples - Number of lost samples or null if unknown
+ */
+Source.prototype._conceal = function(samples) {
+  if (samples === null) {
+    this._appendConcealed(this._decoder.decodeFloat32(null));
+    return;
+  }
+  var maxLost = this._mixer._rate * 120 / 1000;
+  while (samples > 0) {
+    var batch = Math.min(samples, maxLost);
+    this._appendConcealed(this._decoder.decodeFloat32(batch));
+    samples -= batch;
+  }
+};
+
+Source.prototype._appendConcealed = function(pcm) {
+  this.stats.concealed += pcm.length / this._mixer._channels;
+  this._append(pcm);
+};
+
+/**
+ * Buffers decoded samples, dropping the oldest ones beyond the maximum delay.
+ *
+ * @param {Float32Array} pcm - Interleaved samples
+ */
+Source.prototype._append = function(pcm) {
+  var channels = this._mixer._channels;
+  var total = this._buffered + pcm.length / channels;
+  var drop = Math.max(0, total - this._mixer._maxDelay);
+  if (drop > 0) {
+    this.stats.dropped += drop;
+    total -= drop;
+  }
+  var buffer = new Float32Array(total * channels);
+  var fromBuffer = Math.max(0, this._buffered - drop);
+  buffer.set(this._buffer.subarray((this._buffered - fromBuffer) * channels,
+      this._buffered * channels));
+  buffer.set(pcm.subarray(pcm.length - (total - fromBuffer) * channels), fromBuffer * channels);
+  this._buffer = buffer;
+  this._buffered = total;
+};
+
+/**
+ * Takes the next frame of audio, concealing any missing audio while the
+ * source is playing.
+ *
+ * @returns {Float32Array|null} Interleaved samples of one frame or null if
+ *    the source is not playing
+ */
+Source.prototype.read = function() {
+  var frameSize = this._mixer._frameSize;
+  var channels = this._mixer._channels;
+  if (!this._playing) {
+    if (this._buffered < frameSize) {
+      return null;
+    }
+    this._playing = true;
+  }
+  var missing = frameSize - this._buffered;
+  if (missing > 0) {
+    if (this._concealed + missing > this._mixer._maxConceal) {
+      // The source went silent, the rest of its audio is faded out by libopus
+      this._playing = false;
+      var frame = new Float32Array(frameSize * channels);
+      frame.set(this._buffer.subarray(0, this._buffered * channels));
+      this._buffer = new Float32Array(0);
+      this._buffered = 0;
+      return frame;
+    }
+    // Concealment only works in multiples of 2.5ms
+    var step = this._mixer._rate / 400;
+    var before = this._buffered;
+    while (this._buffered < frameSize) {
+      this._conceal(Math.ceil((frameSize - this._buffered) / step) * step);
+    }
+    this._concealed += this._buffered - before;
+  }
+  var result = this._buffer.slice(0, frameSize * channels);
+  this._buffer = this._buffer.subarray(frameSize * channels);
+  this._buffered -= frameSize;
+  return result;
+};
+
+Source.prototype.destroy = function() {
+  this._decoder.destroy();
+  if (this.encoder) {
+    this.encoder.destroy();
+  }
+};
+
+module.exports = Mixer;
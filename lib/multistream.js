@@ -0,0 +1,186 @@
+// Helpers for multistream packets (appendix B of RFC 6716) and channel
+// mappings (section 5.1.1 of RFC 7845)
+
+var Packet = require('./packet');
+var Repacketizer = require('./repacketizer');
+var OpusError = require('./opuserror');
+
+/**
+ * Channel mapping family 1 (Vorbis channel order) for 1 to 8 channels.
+ */
+var VORBIS_MAPPINGS = [
+  { streamCount: 1, coupledCount: 0, mapping: [0] },
+  { streamCount: 1, coupledCount: 1, mapping: [0, 1] },
+  { streamCount: 2, coupledCount: 1, mapping: [0, 2, 1] },
+  { streamCount: 2, coupledCount: 2, mapping: [0, 1, 2, 3] },
+  { streamCount: 3, coupledCount: 2, mapping: [0, 4, 1, 2, 3] },
+  { streamCount: 4, coupledCount: 2, mapping: [0, 4, 1, 2, 3, 5] },
+  { streamCount: 4, coupledCount: 3, mapping: [0, 4, 1, 2, 3, 5, 6] },
+  { streamCount: 5, coupledCount: 3, mapping: [0, 6, 1, 2, 3, 4, 5, 7] }
+];
+
+// Mapping entry of channels which are not coded at all
+var SILENT = 255;
+
+/**
+ * Resolves the channel mapping of a multistream encoder or decoder.
+ * Families 0 and 1 are derived from the channel count, any other family
+ * requires an explicit mapping.
+ *
+ * @param {object} opts - Options with channels and optionally mappingFamily,
+ *    streamCount, coupledCount and mapping (as found in the OpusHead header)
+ * @returns {object} Object with channels, mappingFamily, streamCount,
+ *    coupledCount and mapping
+ */
+function resolveMapping(opts) {
+  var channels = opts.channels;
+  var family = opts.mappingFamily;
+  if (family === undefined) {
+    family = opts.mapping ? 255 : channels > 2 ? 1 : 0;
+  }
+  if (!(channels >= 1 && channels <= 255 && Math.floor(channels) === channels)) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'channels must be between 1 and 255');
+  }
+
+  var result;
+  if (family === 0) {
+    if (channels > 2) {
+      throw new OpusError(OpusError.Code.BAD_ARG,
+          'mapping family 0 supports at most 2 channels');
+    }
+    result = {
+      streamCount: 1,
+      coupledCount: channels - 1,
+      mapping: channels === 1 ? [0] : [0, 1]
+    };
+  } else if (family === 1) {
+    if (channels > 8) {
+      throw new OpusError(OpusError.Code.BAD_ARG,
+          'mapping family 1 supports at most 8 channels');
+    }
+    result = VORBIS_MAPPINGS[channels - 1];
+  } else {
+    result = {
+      streamCount: opts.streamCount,
+      coupledCount: opts.coupledCount,
+      mapping: opts.mapping
+    };
+    validateMapping(channels, result);
+  }
+  return {
+    channels: channels,
+    mappingFamily: family,
+    streamCount: result.streamCount,
+    coupledCount: result.coupledCount,
+    mapping: result.mapping.slice()
+  };
+}
+
+function validateMapping(channels, m) {
+  if (!(m.streamCount >= 1 && m.streamCount <= 255)) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'streamCount must be between 1 and 255');
+  }
+  if (!(m.coupledCount >= 0 && m.coupledCount <= m.streamCount)) {
+    throw new OpusError(OpusError.Code.BAD_ARG,
+        'coupledCount must be between 0 and streamCount');
+  }
+  if (m.streamCount + m.coupledCount > 255) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'too many coded channels');
+  }
+  if (!Array.isArray(m.mapping) || m.mapping.length !== channels) {
+    throw new OpusError(OpusError.Code.BAD_ARG,
+        'mapping must contain one entry per channel');
+  }
+  m.mapping.forEach(function(index) {
+    if (!(index >= 0 && index < m.streamCount + m.coupledCount) &&
+        index !== SILENT) {
+      throw new OpusError(OpusError.Code.BAD_ARG, 'invalid mapping entry ' + index);
+    }
+  });
+}
+
+/**
+ * Get the number of channels coded in each stream.
+ *
+ * @param {object} mapping - Resolved mapping, see {@link resolveMapping}
+ * @returns {number[]} 2 for each coupled and 1 for each uncoupled stream
+ */
+function streamChannels(mapping) {
+  var channels = [];
+  for (var i = 0; i < mapping.streamCount; i++) {
+    channels.push(i < mapping.coupledCount ? 2 : 1);
+  }
+  return channels;
+}
+
+/**
+ * Determines where each coded channel is located.
+ * Coupled streams come first and code two channels each, followed by the
+ * uncoupled streams.
+ *
+ * @param {object} mapping - Resolved mapping, see {@link resolveMapping}
+ * @param {number} index - Mapping entry
+ * @returns {number[]} Stream index and channel within that stream
+ */
+function locateChannel(mapping, index) {
+  if (index < 2 * mapping.coupledCount) {
+    return [index >> 1, index & 1];
+  }
+  return [index - mapping.coupledCount, 0];
+}
+
+/**
+ * Combines one packet per stream into a multistream packet.
+ * All but the last packet are converted to the self-delimiting framing.
+ *
+ * @param {Buffer[]} packets - Packets of all streams, in order
+ * @returns {Buffer} The multistream packet
+ */
+function joinPackets(packets) {
+  var last = packets.length - 1;
+  var rp = new Repacketizer();
+  return Buffer.concat(packets.map(function(packet, i) {
+    if (i === last) {
+      return packet;
+    }
+    rp.reset();
+    rp.cat(packet);
+    return rp.out(0, rp.getNumberOfFrames(), null, true);
+  }));
+}
+
+/**
+ * Splits a multistream packet into regular packets, one per stream.
+ *
+ * @param {Buffer} data - The multistream packet
+ * @param {number} streamCount - Number of streams
+ * @returns {Buffer[]} Packets of all streams
+ * @throws If the packet is malformed or does not contain enough streams
+ */
+function splitPackets(data, streamCount) {
+  var packets = [];
+  var rp = new Repacketizer();
+  var offset = 0;
+  for (var i = 0; i < streamCount - 1; i++) {
+    var packet = new Packet(data.slice(offset), true);
+    offset += packet.data.length;
+    rp.reset();
+    rp.cat(packet);
+    packets.push(rp.out());
+  }
+  if (offset >= data.length) {
+    throw new OpusError(OpusError.Code.INVALID_PACKET,
+        'invalid packet: last stream is missing');
+  }
+  packets.push(data.slice(offset));
+  return packets;
+}
+
+module.exports = {
+  SILENT: SILENT,
+  resolveMapping: resolveMapping,
+  streamChannels: streamChannels,
+  locateChannel: locateChannel,
+  joinPackets: joinPackets,
+  splitPackets: splitPackets
+};
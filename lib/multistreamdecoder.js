@@ -0,0 +1,386 @@
+var extend = require('extend');
+var Decoder = require('./decoder');
+var multistream = require('./multistream');
+var Packet = require('./packet');
+var utils = require('./utils');
+var OpusError = require('./opuserror');
+
+/**
+ * Decoder for multistream (e.g. surround) opus streams.
+ * <br>
+ * Multistream packets are split into the packets of the individual streams,
+ * each of which is decoded by its own {@link Decoder}. The decoded channels
+ * are then arranged according to the channel mapping. Options are named like
+ * the fields of the OpusHead header (see {@link OggOpusReader.parseHead}), so
+ * a parsed header can be passed in directly.
+ *
+ * @param {object} [opts={}] - Options for the decoder
+ * @param {number} [opts.rate=48000] - Sampling rate of output signal (Hz), see
+ *    {@link Decoder}
+ * @param {number} [opts.channels=1] - Number of (interleaved) channels
+ * @param {number} [opts.mappingFamily] - Channel mapping family, 0 for up to
+ *    2 channels and 1 for up to 8 channels by default.<br>
+ *    Any other family requires streamCount, coupledCount and mapping.
+ * @param {number} [opts.streamCount] - Total number of streams
+ * @param {number} [opts.coupledCount] - Number of (stereo) coupled streams
+ * @param {number[]} [opts.mapping] - Coded channel of each output channel,
+ *    see section 5.1.1 of RFC 7845
+ * @param {boolean} [opts.unsafe=false] - Mark this decoder as unsafe.<br>
+ *    Warning: {@link #destroy()} should be called on an unsafe decoder before
+ *    it is garbage collected, see {@link Decoder}.
+ * @param {object|function} [opts.libopus] - The libopus module to use, or a
+ *    factory creating a fresh one, which is then shared by all streams
+ * @constructor
+ */
+function MultistreamDecoder(opts) {
+  // Allow use without new
+  if (!(this instanceof MultistreamDecoder)) return new MultistreamDecoder(opts);
+
+  opts = extend({
+    rate: 48000,
+    channels: 1,
+    unsafe: false
+  }, opts);
+
+  var mapping = multistream.resolveMapping(opts);
+
+  this._rate = opts.rate;
+  this._channels = mapping.channels;
+  this._mapping = mapping;
+  this._unsafe = opts.unsafe;
+  this._libopus = utils.resolveModule(opts.libopus);
+  this._streamChannels = multistream.streamChannels(mapping);
+
+  // Stream and channel within that stream of each output channel (or null
+  // for silent channels)
+  this._sources = mapping.mapping.map(function(index) {
+    return index === multistream.SILENT ? null :
+        multistream.locateChannel(mapping, index);
+  });
+
+  this._decoders = [];
+  try {
+    for (var i = 0; i < mapping.streamCount; i++) {
+      this._decoders.push(new Decoder({
+        rate: opts.rate,
+        channels: this._streamChannels[i],
+        unsafe: opts.unsafe,
+        libopus: this._libopus
+      }));
+    }
+  } catch (err) {
+    this.destroy();
+    throw err;
+  }
+}
+
+/**
+ * Destroy this decoder and the decoders of all streams.
+ * See {@link Decoder#destroy}.
+ */
+MultistreamDecoder.prototype.destroy = function() {
+  this._decoders.forEach(function(decoder) {
+    decoder.destroy();
+  });
+};
+
+/**
+ * Get the decoder of a single stream.
+ *
+ * @param {number} index - Index of the stream
+ * @returns {Decoder} The decoder
+ */
+MultistreamDecoder.prototype.getDecoder = function(index) {
+  if (!(index >= 0 && index < this._decoders.length)) {
+    throw new OpusError(OpusError.Code.BAD_ARG,
+        'index must be between 0 and ' + (this._decoders.length - 1));
+  }
+  return this._decoders[index];
+};
+
+/**
+ * Get the channel mapping of this decoder.
+ *
+ * @returns {object} Object with channels, mappingFamily, streamCount,
+ *    coupledCount and mapping
+ */
+MultistreamDecoder.prototype.getMapping = function() {
+  return extend({}, this._mapping, { mapping: this._mapping.mapping.slice() });
+};
+
+/**
+ * Decodes a multistream packet and returns it as an Int16Array.
+ * See {@link Decoder#decodeInt16}.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @returns {Int16Array} The decoded output
+ */
+MultistreamDecoder.prototype.decodeInt16 = function(data) {
+  return this._decode(data, Int16Array, function(decoder, packet) {
+    return decoder.decodeInt16(packet);
+  });
+};
+
+/**
+ * Decodes a multistream packet and returns it as a Float32Array.
+ * See {@link Decoder#decodeFloat32}.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @returns {Float32Array} The decoded output
+ */
+MultistreamDecoder.prototype.decodeFloat32 = function(data) {
+  return this._decode(data, Float32Array, function(decoder, packet) {
+    return decoder.decodeFloat32(packet);
+  });
+};
+
+/**
+ * Decodes the frame which was lost right before the specified multistream
+ * packet using its forward error correction data and returns it as an
+ * Int16Array.
+ * See {@link Decoder#decodeFECInt16}.
+ *
+ * @param {Buffer} data - The packet following the lost one
+ * @param {number} [samples] - Number of lost samples, estimated with the last
+ *    packet if omitted
+ * @returns {Int16Array} The decoded output
+ */
+MultistreamDecoder.prototype.decodeFECInt16 = function(data, samples) {
+  if (!(data instanceof Buffer)) {
+    throw new TypeError('data must be a Buffer');
+  }
+  return this._decode(data, Int16Array, function(decoder, packet) {
+    return decoder.decodeFECInt16(packet, samples);
+  });
+};
+
+/**
+ * Decodes the frame which was lost right before the specified multistream
+ * packet using its forward error correction data and returns it as a
+ * Float32Array.
+ * See {@link Decoder#decodeFECFloat32}.
+ *
+ * @param {Buffer} data - The packet following the lost one
+ * @param {number} [samples] - Number of lost samples, estimated with the last
+ *    packet if omitted
+ * @returns {Float32Array} The decoded output
+ */
+MultistreamDecoder.prototype.decodeFECFloat32 = function(data, samples) {
+  if (!(data instanceof Buffer)) {
+    throw new TypeError('data must be a Buffer');
+  }
+  return this._decode(data, Float32Array, function(decoder, packet) {
+    return decoder.decodeFECFloat32(packet, samples);
+  });
+};
+
+/**
+ * Decodes all streams and arranges their channels.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @param {function} Type - Type of the output array
+ * @param {function} doDecode - Decodes a single stream, called with the
+ *    decoder and the packet (or number of lost samples) of that stream
+ * @returns {Int16Array|Float32Array} The decoded output
+ */
+MultistreamDecoder.prototype._decode = function(data, Type, doDecode) {
+  var packets;
+  if (data instanceof Buffer && data.length > 0) {
+    packets = multistream.splitPackets(data, this._decoders.length);
+    // Validate all streams first, so a corrupt stream does not leave the
+    // decoders of the streams before it advanced
+    var duration = new Packet(packets[0]).duration;
+    packets.forEach(function(packet) {
+      if (new Packet(packet).duration !== duration) {
+        throw new OpusError(OpusError.Code.INVALID_PACKET,
+            'invalid packet: streams differ in duration');
+      }
+    });
+  } else {
+    // Lost data is concealed in all streams
+    packets = this._decoders.map(function() { return data; });
+  }
+  return this._arrange(this._decoders.map(function(decoder, i) {
+    return doDecode(decoder, packets[i]);
+  }), Type);
+};
+
+/**
+ * Arranges the channels of the output of all streams.
+ *
+ * @param {Array<Int16Array|Float32Array>} outputs - Output of each stream
+ * @param {function} Type - Type of the output array
+ * @returns {Int16Array|Float32Array} The (interleaved) output
+ */
+MultistreamDecoder.prototype._arrange = function(outputs, Type) {
+  var streamChannels = this._streamChannels;
+  var samples = outputs[0].length / streamChannels[0];
+  var channels = this._channels;
+  var result = new Type(samples * channels);
+  this._sources.forEach(function(source, channel) {
+    if (source === null) {
+      return;
+    }
+    var input = outputs[source[0]];
+    var inputChannels = streamChannels[source[0]];
+    for (var i = 0; i < samples; i++) {
+      result[i * channels + channel] = input[i * inputChannels + source[1]];
+    }
+  });
+  return result;
+};
+
+/**
+ * Checks that an OpusHead header matches the configuration of this decoder.
+ *
+ * @param {object} head - Parsed header, see {@link OggOpusReader.parseHead}
+ * @throws {OpusError} If the number of channels or streams differs
+ */
+MultistreamDecoder.prototype._checkHead = function(head) {
+  var mapping = this._mapping;
+  var streamCount = head.mappingFamily === 0 ? 1 : head.streamCount;
+  var coupledCount = head.mappingFamily === 0 ? head.channels - 1 : head.coupledCount;
+  if (head.channels !== mapping.channels || streamCount !== mapping.streamCount ||
+      coupledCount !== mapping.coupledCount) {
+    throw new OpusError(OpusError.Code.BAD_ARG,
+        'stream does not match the channel mapping of this decoder');
+  }
+};
+
+/**
+ * Get the delay of the resamplers of all streams.
+ * See {@link Decoder#_getResamplerDelay}.
+ *
+ * @returns {number} Delay in samples at the output rate
+ */
+MultistreamDecoder.prototype._getResamplerDelay = function() {
+  return this._decoders[0]._getResamplerDelay();
+};
+
+/**
+ * Takes the remaining output of the resamplers of all streams.
+ * See {@link Decoder#_flushResampler}.
+ *
+ * @param {function} Type - Int16Array or Float32Array
+ * @returns {Int16Array|Float32Array|null} The remaining samples or null when
+ *    not resampling
+ */
+MultistreamDecoder.prototype._flushResampler = function(Type) {
+  var outputs = this._decoders.map(function(decoder) {
+    return decoder._flushResampler(Type);
+  });
+  return outputs[0] ? this._arrange(outputs, Type) : null;
+};
+
+/**
+ * Get the duration of the last decoded or concealed packet.
+ *
+ * @returns {number} - Duration in samples
+ */
+MultistreamDecoder.prototype.getLastPacketDuration = function() {
+  return this._decoders[0].getLastPacketDuration();
+};
+
+/**
+ * Set the gain applied to the decoded output of all streams.
+ *
+ * @param {number} gain - Gain in Q8 dB units (-32768 to 32767), i.e.
+ *    256 equals +1dB
+ */
+MultistreamDecoder.prototype.setGain = function(gain) {
+  this._decoders.forEach(function(decoder) {
+    decoder.setGain(gain);
+  });
+};
+
+/**
+ * Get the gain applied to the decoded output.
+ *
+ * @returns {number} Gain in Q8 dB units
+ */
+MultistreamDecoder.prototype.getGain = function() {
+  return this._decoders[0].getGain();
+};
+
+/**
+ * Get the final state of the range coder after the last decoded packet.
+ * As in libopus, this is the XOR of the final ranges of all streams.
+ *
+ * @returns {number} Final range as unsigned 32-bit integer
+ */
+MultistreamDecoder.prototype.getFinalRange = function() {
+  return this._decoders.reduce(function(range, decoder) {
+    return range ^ decoder.getFinalRange();
+  }, 0) >>> 0;
+};
+
+/**
+ * Reset all streams to their initial state.
+ * This should be called when switching to a different, unrelated stream.
+ */
+MultistreamDecoder.prototype.resetState = function() {
+  this._decoders.forEach(function(decoder) {
+    decoder.resetState();
+  });
+};
+
+/**
+ * Creates a transform stream from this decoder.
+ * See {@link Decoder#stream}.
+ *
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample output
+ * @param {object} [opts={}] - Options for the stream
+ * @param {boolean} [opts.fec=false] - Recover lost packets using the FEC data
+ *    of the following packet
+ * @param {boolean} [opts.concealCorrupt=false] - Conceal corrupt packets like
+ *    lost ones
+ * @returns {DecoderStream}
+ */
+MultistreamDecoder.prototype.stream = Decoder.prototype.stream;
+
+/**
+ * Creates a WHATWG TransformStream from this decoder.
+ * See {@link Decoder#transformStream}.
+ *
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample output
+ * @param {object} [opts={}] - Options for the stream, see {@link Decoder#stream}
+ * @returns {TransformStream}
+ */
+MultistreamDecoder.prototype.transformStream = Decoder.prototype.transformStream;
+
+/**
+ * Decodes all packets of an iterable.
+ * See {@link Decoder#decodeAll}.
+ *
+ * @param {Iterable|AsyncIterable} packets - Encoded multistream packets or
+ *    lost packets
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample output
+ * @param {object} [opts={}] - Options, see {@link Decoder#stream}
+ * @returns {AsyncIterable<ArrayBufferView>} The decoded samples
+ */
+MultistreamDecoder.prototype.decodeAll = Decoder.prototype.decodeAll;
+
+/**
+ * Decodes a multistream packet and returns it with the samples of each
+ * channel in a separate Float32Array.
+ * See {@link Decoder#decodePlanarFloat32}.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @returns {Float32Array[]} The decoded output of each channel
+ */
+MultistreamDecoder.prototype.decodePlanarFloat32 = Decoder.prototype.decodePlanarFloat32;
+
+/**
+ * Decodes a multistream packet and returns it in the specified sample format.
+ * See {@link Decoder#decode}.
+ *
+ * @param {Buffer|number} data - Encoded input data or number of lost samples
+ * @param {string} format - Format of the output samples
+ * @returns {ArrayBufferView} The decoded output
+ */
+MultistreamDecoder.prototype.decode = Decoder.prototype.decode;
+
+module.exports = MultistreamDecoder;
@@ -0,0 +1,292 @@
+var extend = require('extend');
+var Encoder = require('./encoder');
+var multistream = require('./multistream');
+var utils = require('./utils');
+var formats = require('./formats');
+var OpusError = require('./opuserror');
+
+var AUTO = Encoder.AUTO;
+var BITRATE_MAX = Encoder.BITRATE_MAX;
+
+/**
+ * Encoder for multistream (e.g. surround) opus streams.
+ * <br>
+ * The input channels are distributed to one {@link Encoder} per stream
+ * according to the channel mapping, and the packets of all streams are
+ * combined into one multistream packet as specified in appendix B of
+ * RFC 6716. By default, channel mapping family 1 (Vorbis channel order, as
+ * defined in RFC 7845) is used for more than two channels.
+ *
+ * @param {object} [opts={}] - Options for the encoder
+ * @param {number} [opts.rate=48000] - Sampling rate of input signal (Hz), see
+ *    {@link Encoder}
+ * @param {number} [opts.channels=1] - Number of (interleaved) channels
+ * @param {number} [opts.mappingFamily] - Channel mapping family, 0 for up to
+ *    2 channels and 1 for up to 8 channels by default.<br>
+ *    Any other family requires streamCount, coupledCount and mapping.
+ * @param {number} [opts.streamCount] - Total number of streams
+ * @param {number} [opts.coupledCount] - Number of (stereo) coupled streams
+ * @param {number[]} [opts.mapping] - Coded channel of each input channel,
+ *    see section 5.1.1 of RFC 7845
+ * @param {Application} [opts.application=AUDIO] - Encoding mode
+ * @param {number} [opts.bitrate] - See {@link #setBitrate}
+ * @param {number} [opts.complexity] - See {@link Encoder#setComplexity}
+ * @param {boolean} [opts.vbr] - See {@link Encoder#setVBR}
+ * @param {boolean} [opts.vbrConstraint] - See {@link Encoder#setVBRConstraint}
+ * @param {Signal} [opts.signal] - See {@link Encoder#setSignal}
+ * @param {Bandwidth} [opts.maxBandwidth] - See {@link Encoder#setMaxBandwidth}
+ * @param {Bandwidth} [opts.bandwidth] - See {@link Encoder#setBandwidth}
+ * @param {boolean} [opts.dtx] - See {@link Encoder#setDTX}
+ * @param {boolean} [opts.inbandFEC] - See {@link Encoder#setInbandFEC}
+ * @param {number} [opts.packetLossPerc] - See {@link Encoder#setPacketLossPerc}
+ * @param {boolean} [opts.unsafe=false] - Mark this encoder as unsafe.<br>
+ *    Warning: {@link #destroy()} should be called on an unsafe encoder before
+ *    it is garbage collected, see {@link Encoder}.
+ * @param {object|function} [opts.libopus] - The libopus module to use, or a
+ *    factory creating a fresh one, which is then shared by all streams
+ * @constructor
+ */
+function MultistreamEncoder(opts) {
+  // Allow use without new
+  if (!(this instanceof MultistreamEncoder)) return new MultistreamEncoder(opts);
+
+  opts = extend({
+    rate: 48000,
+    channels: 1,
+    application: Encoder.Application.AUDIO,
+    unsafe: false
+  }, opts);
+
+  var mapping = multistream.resolveMapping(opts);
+
+  this._rate = opts.rate;
+  this._channels = mapping.channels;
+  this._mapping = mapping;
+  this._unsafe = opts.unsafe;
+  this._libopus = utils.resolveModule(opts.libopus);
+  this._streamChannels = multistream.streamChannels(mapping);
+
+  // Input channel of each channel of each stream
+  this._sources = this._streamChannels.map(function(channels, stream) {
+    var sources = [];
+    for (var i = 0; i < channels; i++) {
+      var index = stream < mapping.coupledCount ?
+          2 * stream + i : stream + mapping.coupledCount;
+      var source = mapping.mapping.indexOf(index);
+      if (source === -1) {
+        throw new OpusError(OpusError.Code.BAD_ARG,
+            'coded channel ' + index + ' has no input channel');
+      }
+      sources.push(source);
+    }
+    return sources;
+  });
+
+  this._encoders = [];
+  try {
+    for (var i = 0; i < mapping.streamCount; i++) {
+      this._encoders.push(new Encoder({
+        rate: opts.rate,
+        channels: this._streamChannels[i],
+        application: opts.application,
+        unsafe: opts.unsafe,
+        libopus: this._libopus
+      }));
+    }
+    this._applyOptions(opts);
+  } catch (err) {
+    this.destroy();
+    throw err;
+  }
+}
+
+/**
+ * Maps constructor options to their respective setter.
+ */
+var optionSetters = {
+  bitrate: 'setBitrate',
+  complexity: 'setComplexity',
+  vbr: 'setVBR',
+  vbrConstraint: 'setVBRConstraint',
+  signal: 'setSignal',
+  maxBandwidth: 'setMaxBandwidth',
+  bandwidth: 'setBandwidth',
+  dtx: 'setDTX',
+  inbandFEC: 'setInbandFEC',
+  packetLossPerc: 'setPacketLossPerc'
+};
+
+MultistreamEncoder.prototype._applyOptions = function(opts) {
+  for (var key in optionSetters) {
+    if (opts[key] !== undefined) {
+      this[optionSetters[key]](opts[key]);
+    }
+  }
+};
+
+/**
+ * Destroy this encoder and the encoders of all streams.
+ * See {@link Encoder#destroy}.
+ */
+MultistreamEncoder.prototype.destroy = function() {
+  this._encoders.forEach(function(encoder) {
+    encoder.destroy();
+  });
+};
+
+/**
+ * Get the encoder of a single stream, e.g. to change its settings.
+ *
+ * @param {number} index - Index of the stream
+ * @returns {Encoder} The encoder
+ */
+MultistreamEncoder.prototype.getEncoder = function(index) {
+  if (!(index >= 0 && index < this._encoders.length)) {
+    throw new OpusError(OpusError.Code.BAD_ARG,
+        'index must be between 0 and ' + (this._encoders.length - 1));
+  }
+  return this._encoders[index];
+};
+
+/**
+ * Get the channel mapping of this encoder.
+ *
+ * @returns {object} Object with channels, mappingFamily, streamCount,
+ *    coupledCount and mapping, as required for the OpusHead header
+ */
+MultistreamEncoder.prototype.getMapping = function() {
+  return extend({}, this._mapping, { mapping: this._mapping.mapping.slice() });
+};
+
+/**
+ * Set the total bitrate of all streams.
+ * The bitrate is distributed among the streams according to their number of
+ * channels, i.e. coupled streams receive twice the bitrate of uncoupled ones.
+ *
+ * @param {number} bitrate - Bitrate in bits per second, AUTO or BITRATE_MAX
+ */
+MultistreamEncoder.prototype.setBitrate = function(bitrate) {
+  if (bitrate === AUTO || bitrate === BITRATE_MAX) {
+    this._encoders.forEach(function(encoder) {
+      encoder.setBitrate(bitrate);
+    });
+    return;
+  }
+  var min = 500 * this._encoders.length;
+  var max = 512000 * this._encoders.length;
+  if (typeof bitrate !== 'number' || Math.floor(bitrate) !== bitrate ||
+      bitrate < min || bitrate > max) {
+    throw new OpusError(OpusError.Code.BAD_ARG,
+        'bitrate must be between ' + min + ' and ' + max);
+  }
+  var total = this._streamChannels.reduce(function(a, b) { return a + b; }, 0);
+  var channels = this._streamChannels;
+  this._encoders.forEach(function(encoder, i) {
+    var share = Math.round(bitrate * channels[i] / total);
+    encoder.setBitrate(Math.max(500, Math.min(512000, share)));
+  });
+};
+
+/**
+ * Get the total bitrate of all streams.
+ *
+ * @returns {number} Bitrate in bits per second
+ */
+MultistreamEncoder.prototype.getBitrate = function() {
+  return this._encoders.reduce(function(sum, encoder) {
+    return sum + encoder.getBitrate();
+  }, 0);
+};
+
+// All other settings apply to every stream. Setters forward the value to the
+// encoders of all streams, getters return the value of the first stream.
+['Complexity', 'VBR', 'VBRConstraint', 'Signal', 'MaxBandwidth', 'Bandwidth',
+    'DTX', 'InbandFEC', 'PacketLossPerc'].forEach(function(name) {
+  MultistreamEncoder.prototype['set' + name] = function(value) {
+    this._encoders.forEach(function(encoder) {
+      encoder['set' + name](value);
+    });
+  };
+  MultistreamEncoder.prototype['get' + name] = function() {
+    return this._encoders[0]['get' + name]();
+  };
+});
+
+/**
+ * Get the lookahead of this encoder.
+ *
+ * @returns {number} Lookahead in samples at the sampling rate of the encoder
+ */
+MultistreamEncoder.prototype.getLookahead = function() {
+  return this._encoders[0].getLookahead();
+};
+
+/**
+ * Encodes an array of (interleaved) pcm samples.
+ * One frame must be exatly 2.5, 5, 10, 20, 40 or 60ms.
+ *
+ * @param {ArrayBufferView|ArrayBufferView[]} pcm - Input samples, see
+ *    {@link Encoder#encode}
+ * @param {string} [format] - Format of the samples, see {@link Encoder#encode}
+ * @returns {Buffer} The encoded multistream packet
+ */
+MultistreamEncoder.prototype.encode = function(pcm, format) {
+  pcm = formats.toInterleavedNative(pcm, format, this._channels);
+  var channels = this._channels;
+  var samples = pcm.length / channels;
+  var sources = this._sources;
+  var packets = this._encoders.map(function(encoder, stream) {
+    var streamChannels = sources[stream].length;
+    var input = new pcm.constructor(samples * streamChannels);
+    sources[stream].forEach(function(source, channel) {
+      for (var i = 0; i < samples; i++) {
+        input[i * streamChannels + channel] = pcm[i * channels + source];
+      }
+    });
+    return encoder.encode(input);
+  });
+  return multistream.joinPackets(packets);
+};
+
+/**
+ * Creates a transform stream from this encoder.
+ * See {@link Encoder#stream}.
+ *
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample input
+ * @param {object} [opts={}] - Options for the stream
+ * @param {(2.5|5|10|20|40|60)} [opts.frameDuration] - Duration of each frame (ms)
+ * @returns {EncoderStream}
+ */
+MultistreamEncoder.prototype.stream = Encoder.prototype.stream;
+
+/**
+ * Creates a WHATWG TransformStream from this encoder.
+ * See {@link Encoder#transformStream}.
+ *
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample input
+ * @param {object} [opts={}] - Options for the stream, see {@link Encoder#stream}
+ * @returns {TransformStream}
+ */
+MultistreamEncoder.prototype.transformStream = Encoder.prototype.transformStream;
+
+/**
+ * Encodes all samples of an iterable.
+ * See {@link Encoder#encodeAll}.
+ *
+ * @param {Iterable|AsyncIterable} pcm - Typed arrays of samples or arrays
+ *    with the samples of each channel
+ * @param [('Int8'|'Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')] mode -
+ *    Type of sample input
+ * @param {object} [opts={}] - Options, see {@link Encoder#stream}
+ * @returns {AsyncIterable<Buffer>} The encoded multistream packets
+ */
+MultistreamEncoder.prototype.encodeAll = Encoder.prototype.encodeAll;
+
+MultistreamEncoder.Application = Encoder.Application;
+MultistreamEncoder.Bandwidth = Encoder.Bandwidth;
+MultistreamEncoder.Signal = Encoder.Signal;
+MultistreamEncoder.AUTO = AUTO;
+MultistreamEncoder.BITRATE_MAX = BITRATE_MAX;
+module.exports = MultistreamEncoder;
@@ -0,0 +1,104 @@
+// Helpers for the Ogg bitstream format as defined in RFC 3533
+
+var CAPTURE_PATTERN = Buffer.from('OggS', 'ascii');
+var HEADER_SIZE = 27;
+
+/**
+ * Page header type flags.
+ * @readonly
+ * @enum {number}
+ */
+var Flags = {
+  CONTINUED: 0x01,
+  BOS: 0x02,
+  EOS: 0x04
+};
+
+// Lookup table for the CRC used by Ogg (polynomial 0x04c11db7, unreflected)
+var crcTable = new Uint32Array(256);
+(function() {
+  for (var i = 0; i < 256; i++) {
+    var r = i << 24;
+    for (var j = 0; j < 8; j++) {
+      r = (r & 0x80000000) ? (r << 1) ^ 0x04c11db7 : r << 1;
+    }
+    crcTable[i] = r >>> 0;
+  }
+})();
+
+/**
+ * Calculates the Ogg CRC32 checksum.
+ *
+ * @param {Buffer} buf - Input data
+ * @param {number} [crc=0] - CRC of any preceding data
+ * @returns {number} The checksum as unsigned 32-bit integer
+ */
+function crc32(buf, crc) {
+  crc = crc || 0;
+  for (var i = 0; i < buf.length; i++) {
+    crc = (crc << 8) ^ crcTable[((crc >>> 24) ^ buf[i]) & 0xff];
+  }
+  return crc >>> 0;
+}
+
+/**
+ * Serializes an Ogg page.
+ *
+ * @param {object} page - The page
+ * @param {number} page.flags - Header type flags
+ * @param {number} page.granule - Granule position or -1 if no packet ends
+ *    on this page
+ * @param {number} page.serial - Bitstream serial number
+ * @param {number} page.sequence - Page sequence number
+ * @param {number[]} page.segments - Lacing values (at most 255)
+ * @param {Buffer} page.data - Page payload
+ * @returns {Buffer} The serialized page
+ */
+function writePage(page) {
+  var buf = Buffer.alloc(HEADER_SIZE + page.segments.length + page.data.length);
+  CAPTURE_PATTERN.copy(buf, 0);
+  buf.writeUInt8(0, 4); // version
+  buf.writeUInt8(page.flags, 5);
+  if (page.granule === -1) {
+    buf.writeUInt32LE(0xffffffff, 6);
+    buf.writeUInt32LE(0xffffffff, 10);
+  } else {
+    buf.writeUInt32LE(page.granule % 0x100000000, 6);
+    buf.writeUInt32LE(Math.floor(page.granule / 0x100000000), 10);
+  }
+  buf.writeUInt32LE(page.serial >>> 0, 14);
+  buf.writeUInt32LE(page.sequence >>> 0, 18);
+  buf.writeUInt8(page.segments.length, 26);
+  for (var i = 0; i < page.segments.length; i++) {
+    buf[HEADER_SIZE + i] = page.segments[i];
+  }
+  page.data.copy(buf, HEADER_SIZE + page.segments.length);
+  // The checksum is calculated with the checksum field set to zero
+  buf.writeUInt32LE(crc32(buf), 22);
+  return buf;
+}
+
+/**
+ * Calculates the lacing values for a packet.
+ *
+ * @param {number} length - Length of the packet in bytes
+ * @returns {number[]} Lacing values
+ */
+function lacing(length) {
+  var segments = [];
+  while (length >= 255) {
+    segments.push(255);
+    length -= 255;
+  }
+  segments.push(length);
+  return segments;
+}
+
+module.exports = {
+  CAPTURE_PATTERN: CAPTURE_PATTERN,
+  HEADER_SIZE: HEADER_SIZE,
+  Flags: Flags,
+  crc32: crc32,
+  writePage: writePage,
+  lacing: lacing
+};
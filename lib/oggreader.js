@@ -0,0 +1,267 @@
+var util = require('util');
+var Transform = require('stream').Transform;
+var ogg = require('./ogg');
+
+var Flags = ogg.Flags;
+var CAPTURE_PATTERN = ogg.CAPTURE_PATTERN;
+var HEADER_SIZE = ogg.HEADER_SIZE;
+
+/**
+ * Reads Opus packets from an Ogg Opus bitstream as specified by RFC 7845.
+ * The input is the raw content of an .opus file. Every chunk emitted by this
+ * stream is exactly one Opus packet which can be passed to {@link Decoder}.
+ * <br>
+ * The following events are emitted in addition to the usual stream events:
+ * <ul>
+ * <li>'head' with the parsed OpusHead header as argument, see
+ *     {@link OggOpusReader.parseHead}</li>
+ * <li>'tags' with the parsed OpusTags header as argument, see
+ *     {@link OggOpusReader.parseTags}</li>
+ * <li>'duration' with the total number of samples (at 48kHz, excluding
+ *     pre-skip) as argument, once the last page has been reached</li>
+ * </ul>
+ * All of these are emitted before any packets they apply to.
+ * When piped into a {@link DecoderStream}, pre-skip, output gain and end
+ * trimming are applied automatically.<br>
+ * Only the first logical bitstream is read, pages of any other (multiplexed
+ * or chained) streams are ignored.
+ *
+ * @constructor
+ */
+function OggOpusReader() {
+  // Allow use without new
+  if (!(this instanceof OggOpusReader)) return new OggOpusReader();
+
+  Transform.call(this, { readableObjectMode: true });
+
+  this._buffer = Buffer.alloc(0);
+  this._serial = null;
+  this._ended = false;
+  this._sequence = -1;
+  // Segments of a packet continued on the next page
+  this._partial = null;
+  // Number of packets read so far (including headers)
+  this._packets = 0;
+
+  this.head = null;
+  this.tags = null;
+}
+util.inherits(OggOpusReader, Transform);
+
+OggOpusReader.prototype._transform = function(chunk, encoding, callback) {
+  this._buffer = Buffer.concat([this._buffer, chunk]);
+  try {
+    while (this._readPage()) {
+      // Keep going
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+OggOpusReader.prototype._flush = function(callback) {
+  if (this._packets < 2) {
+    return callback(new Error('stream ended before the Opus headers'));
+  }
+  callback();
+};
+
+/**
+ * Reads one page from the buffer.
+ *
+ * @returns {boolean} Whether a page has been read
+ */
+OggOpusReader.prototype._readPage = function() {
+  var buf = this._buffer;
+  // Find the start of the next page
+  var start = buf.indexOf(CAPTURE_PATTERN);
+  if (start === -1) {
+    // Keep the last bytes, they might be the start of a capture pattern
+    this._buffer = buf.slice(Math.max(0, buf.length - 3));
+    return false;
+  }
+  if (start > 0) {
+    buf = this._buffer = buf.slice(start);
+  }
+  if (buf.length < HEADER_SIZE) return false;
+  if (buf[4] !== 0) {
+    throw new Error('unsupported Ogg version ' + buf[4]);
+  }
+  var count = buf[26];
+  if (buf.length < HEADER_SIZE + count) return false;
+  var segments = buf.slice(HEADER_SIZE, HEADER_SIZE + count);
+  var length = 0;
+  for (var i = 0; i < count; i++) {
+    length += segments[i];
+  }
+  var end = HEADER_SIZE + count + length;
+  if (buf.length < end) return false;
+  this._buffer = buf.slice(end);
+
+  var page = Buffer.from(buf.slice(0, end));
+  var crc = page.readUInt32LE(22);
+  page.writeUInt32LE(0, 22);
+  if (ogg.crc32(page) !== crc) {
+    throw new Error('invalid page checksum');
+  }
+
+  this._handlePage({
+    flags: page[5],
+    granule: readGranule(page, 6),
+    serial: page.readUInt32LE(14),
+    sequence: page.readUInt32LE(18),
+    segments: segments,
+    data: page.slice(HEADER_SIZE + count)
+  });
+  return true;
+};
+
+function readGranule(buf, offset) {
+  var low = buf.readUInt32LE(offset);
+  var high = buf.readInt32LE(offset + 4);
+  if (high === -1 && low === 0xffffffff) {
+    return -1;
+  }
+  return high * 0x100000000 + low;
+}
+
+OggOpusReader.prototype._handlePage = function(page) {
+  if (this._serial === null) {
+    if (!(page.flags & Flags.BOS)) {
+      throw new Error('first page is missing the beginning of stream flag');
+    }
+    this._serial = page.serial;
+  } else if (page.serial !== this._serial || this._ended) {
+    // Not part of our logical bitstream
+    return;
+  }
+
+  if (this._sequence !== -1 && page.sequence !== this._sequence + 1) {
+    // A page is missing, any partial packet is unusable
+    this._partial = null;
+  }
+  this._sequence = page.sequence;
+  if (!(page.flags & Flags.CONTINUED)) {
+    this._partial = null;
+  }
+
+  if (page.flags & Flags.EOS) {
+    this._ended = true;
+    if (this.head && page.granule !== -1) {
+      this.emit('duration', Math.max(0, page.granule - this.head.preSkip));
+    }
+  }
+
+  var offset = 0;
+  var packet = this._partial || [];
+  // Continued data without its start is discarded
+  var discard = !this._partial && (page.flags & Flags.CONTINUED);
+  for (var i = 0; i < page.segments.length; i++) {
+    var length = page.segments[i];
+    packet.push(page.data.slice(offset, offset + length));
+    offset += length;
+    if (length < 255) {
+      if (!discard) {
+        this._handlePacket(Buffer.concat(packet));
+      }
+      discard = false;
+      packet = [];
+    }
+  }
+  this._partial = packet.length ? packet : null;
+};
+
+OggOpusReader.prototype._handlePacket = function(packet) {
+  var index = this._packets++;
+  if (index === 0) {
+    this.head = OggOpusReader.parseHead(packet);
+    this.emit('head', this.head);
+  } else if (index === 1) {
+    this.tags = OggOpusReader.parseTags(packet);
+    this.emit('tags', this.tags);
+  } else {
+    this.push(packet);
+  }
+};
+
+/**
+ * Parses an OpusHead identification header.
+ *
+ * @param {Buffer} buf - The header packet
+ * @returns {object} Object with version, channels, preSkip, inputSampleRate,
+ *    outputGain (Q7.8 dB) and mappingFamily. For mapping families other than
+ *    0, streamCount, coupledCount and mapping are included as well.
+ */
+OggOpusReader.parseHead = function(buf) {
+  if (buf.length < 19 || buf.toString('ascii', 0, 8) !== 'OpusHead') {
+    throw new Error('invalid OpusHead header');
+  }
+  var head = {
+    version: buf[8],
+    channels: buf[9],
+    preSkip: buf.readUInt16LE(10),
+    inputSampleRate: buf.readUInt32LE(12),
+    outputGain: buf.readInt16LE(16),
+    mappingFamily: buf[18]
+  };
+  // Only the minor version may be incremented in a backwards compatible way
+  if (head.version & 0xf0) {
+    throw new Error('unsupported OpusHead version ' + head.version);
+  }
+  if (head.channels === 0) {
+    throw new Error('invalid channel count in OpusHead header');
+  }
+  if (head.mappingFamily !== 0) {
+    if (buf.length < 21 + head.channels) {
+      throw new Error('invalid OpusHead header');
+    }
+    head.streamCount = buf[19];
+    head.coupledCount = buf[20];
+    head.mapping = Array.prototype.slice.call(buf, 21, 21 + head.channels);
+  } else if (head.channels > 2) {
+    throw new Error('mapping family 0 allows at most 2 channels');
+  }
+  return head;
+};
+
+/**
+ * Parses an OpusTags comment header.
+ *
+ * @param {Buffer} buf - The header packet
+ * @returns {object} Object with vendor string and comments.<br>
+ *    Comments map upper case field names to arrays of values.
+ */
+OggOpusReader.parseTags = function(buf) {
+  if (buf.length < 16 || buf.toString('ascii', 0, 8) !== 'OpusTags') {
+    throw new Error('invalid OpusTags header');
+  }
+  var offset = 8;
+  function readString() {
+    if (offset + 4 > buf.length) throw new Error('invalid OpusTags header');
+    var length = buf.readUInt32LE(offset);
+    offset += 4;
+    if (offset + length > buf.length) throw new Error('invalid OpusTags header');
+    var str = buf.toString('utf8', offset, offset + length);
+    offset += length;
+    return str;
+  }
+
+  var tags = {
+    vendor: readString(),
+    comments: {}
+  };
+  if (offset + 4 > buf.length) throw new Error('invalid OpusTags header');
+  var count = buf.readUInt32LE(offset);
+  offset += 4;
+  for (var i = 0; i < count; i++) {
+    var comment = readString();
+    var sep = comment.indexOf('=');
+    if (sep === -1) continue;
+    var key = comment.slice(0, sep).toUpperCase();
+    (tags.comments[key] = tags.comments[key] || []).push(comment.slice(sep + 1));
+  }
+  return tags;
+};
+
+module.exports = OggOpusReader;
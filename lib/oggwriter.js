@@ -0,0 +1,302 @@
+var util = require('util');
+var extend = require('extend');
+var Transform = require('stream').Transform;
+var Packet = require('./packet');
+var ogg = require('./ogg');
+var multistream = require('./multistream');
+
+var Flags = ogg.Flags;
+
+/**
+ * Writes Opus packets into an Ogg Opus bitstream as specified by RFC 7845.
+ * Every chunk written to this stream has to be exactly one Opus packet, such
+ * as those emitted by {@link EncoderStream}. The output is the raw content of
+ * an .opus file.
+ *
+ * @param {object} [opts={}] - Options for the writer
+ * @param {Encoder|MultistreamEncoder} [opts.encoder] - Encoder producing the
+ *    packets.<br>
+ *    Used to determine the defaults for channels, inputSampleRate, preSkip
+ *    and the channel mapping.
+ * @param {number} [opts.channels=1] - Number of channels
+ * @param {number} [opts.mappingFamily] - Channel mapping family, 0 for up to
+ *    2 channels and 1 for up to 8 channels by default.<br>
+ *    With more than one stream, packets have to be multistream packets.
+ * @param {number} [opts.streamCount] - Number of streams (family 1 and up)
+ * @param {number} [opts.coupledCount] - Number of coupled streams (family 1 and up)
+ * @param {number[]} [opts.mapping] - Channel mapping (family 1 and up)
+ * @param {number} [opts.inputSampleRate=48000] - Sampling rate of the original
+ *    input (Hz), informational only
+ * @param {number} [opts.preSkip=0] - Number of samples (at 48kHz) to discard
+ *    from the decoder output when starting playback.<br>
+ *    This should be the lookahead of the encoder.
+ * @param {number} [opts.outputGain=0] - Gain to apply when decoding in Q7.8 dB
+ * @param {number} [opts.serial] - Bitstream serial number, random by default
+ * @param {string} [opts.vendor='libopus.js'] - Vendor string of the OpusTags header
+ * @param {object} [opts.comments={}] - User comments of the OpusTags header.<br>
+ *    Keys are field names, values are strings or arrays of strings.
+ * @param {number} [opts.maxPageDuration=48000] - Maximum duration of audio
+ *    (in samples at 48kHz) which is buffered before a page is written
+ * @constructor
+ */
+function OggOpusWriter(opts) {
+  // Allow use without new
+  if (!(this instanceof OggOpusWriter)) return new OggOpusWriter(opts);
+
+  Transform.call(this, {});
+
+  var defaults = {
+    channels: 1,
+    inputSampleRate: 48000,
+    preSkip: 0,
+    outputGain: 0,
+    serial: Math.floor(Math.random() * 0x100000000),
+    vendor: 'libopus.js',
+    comments: {},
+    maxPageDuration: 48000
+  };
+  if (opts && opts.encoder) {
+    var encoder = opts.encoder;
+    defaults.channels = encoder._channels;
+    defaults.inputSampleRate = encoder._rate;
+    defaults.preSkip = Math.round(encoder.getLookahead() * 48000 / encoder._rate);
+    if (encoder.getMapping) {
+      extend(defaults, encoder.getMapping());
+    }
+  }
+  opts = extend(defaults, opts);
+  extend(opts, multistream.resolveMapping(opts));
+  if (opts.preSkip < 0 || opts.preSkip > 0xffff) {
+    throw new RangeError('preSkip must be between 0 and 65535');
+  }
+  if (opts.outputGain < -32768 || opts.outputGain > 32767) {
+    throw new RangeError('outputGain must be between -32768 and 32767');
+  }
+
+  this._opts = opts;
+  this._headersWritten = false;
+  this._sequence = 0;
+  // Granule position after the last packet, counting the pre-skip samples
+  this._granule = 0;
+  // Granule position of the last page written
+  this._lastPageGranule = 0;
+  this._endTrim = 0;
+
+  // The page currently being built
+  this._segments = [];
+  this._data = Buffer.alloc(0);
+  this._packetEnds = [];
+  this._continued = false;
+  this._pageDuration = 0;
+
+  // Trim the padding added by an EncoderStream, which includes the samples
+  // flushed out of the lookahead of the encoder, i.e. the pre-skip
+  var self = this;
+  this.on('pipe', function(src) {
+    src.on('padding', function(samples, rate) {
+      rate = rate || 48000;
+      self.setEndTrim(Math.max(0,
+          Math.round(samples * 48000 / rate) - self._opts.preSkip));
+    });
+  });
+}
+util.inherits(OggOpusWriter, Transform);
+
+/**
+ * Set the number of samples (at 48kHz) which should be trimmed from the end
+ * of the stream, e.g. because the last frame was padded with silence.
+ * This has to be called before the stream is ended.
+ * When an {@link EncoderStream} with a frame duration is piped into this
+ * writer, its padding (apart from the samples flushed out of the lookahead
+ * of the encoder, which make up for the pre-skip) is trimmed automatically.
+ *
+ * @param {number} samples - Number of samples to discard at the end
+ */
+OggOpusWriter.prototype.setEndTrim = function(samples) {
+  if (!(samples >= 0)) {
+    throw new RangeError('samples must not be negative');
+  }
+  this._endTrim = samples;
+};
+
+/**
+ * Creates the OpusHead identification header.
+ *
+ * @returns {Buffer}
+ */
+OggOpusWriter.prototype._opusHead = function() {
+  return OggOpusWriter.createHead(this._opts);
+};
+
+/**
+ * Creates an OpusHead identification header.
+ * This is the counterpart of {@link OggOpusReader.parseHead}.
+ *
+ * @param {object} opts - Object with channels, preSkip, inputSampleRate,
+ *    outputGain (Q7.8 dB) and mappingFamily. For mapping families other than
+ *    0, streamCount, coupledCount and mapping have to be included as well.
+ * @returns {Buffer}
+ */
+OggOpusWriter.createHead = function(opts) {
+  var buf = Buffer.alloc(opts.mappingFamily === 0 ? 19 : 21 + opts.channels);
+  buf.write('OpusHead', 0, 'ascii');
+  buf.writeUInt8(1, 8); // version
+  buf.writeUInt8(opts.channels, 9);
+  buf.writeUInt16LE(opts.preSkip, 10);
+  buf.writeUInt32LE(opts.inputSampleRate, 12);
+  buf.writeInt16LE(opts.outputGain, 16);
+  buf.writeUInt8(opts.mappingFamily, 18);
+  if (opts.mappingFamily !== 0) {
+    buf.writeUInt8(opts.streamCount, 19);
+    buf.writeUInt8(opts.coupledCount, 20);
+    Buffer.from(opts.mapping).copy(buf, 21);
+  }
+  return buf;
+};
+
+/**
+ * Creates the OpusTags comment header.
+ *
+ * @returns {Buffer}
+ */
+OggOpusWriter.prototype._opusTags = function() {
+  var comments = [];
+  var opts = this._opts;
+  Object.keys(opts.comments).forEach(function(key) {
+    [].concat(opts.comments[key]).forEach(function(value) {
+      comments.push(Buffer.from(key + '=' + value, 'utf8'));
+    });
+  });
+  var vendor = Buffer.from(opts.vendor, 'utf8');
+
+  var parts = [Buffer.from('OpusTags', 'ascii'), uint32(vendor.length), vendor,
+      uint32(comments.length)];
+  comments.forEach(function(comment) {
+    parts.push(uint32(comment.length), comment);
+  });
+  return Buffer.concat(parts);
+};
+
+function uint32(value) {
+  var buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value, 0);
+  return buf;
+}
+
+OggOpusWriter.prototype._writeHeaders = function() {
+  this._headersWritten = true;
+  // Each header has to start on its own page and audio data has to start on
+  // a fresh page as well
+  this._addPacket(this._opusHead(), 0);
+  this._writePages(Flags.BOS, true);
+  this._addPacket(this._opusTags(), 0);
+  this._writePages(0, true);
+};
+
+/**
+ * Appends a packet to the current page.
+ *
+ * @param {Buffer} packet - The packet
+ * @param {number} granule - Granule position after the packet
+ */
+OggOpusWriter.prototype._addPacket = function(packet, granule) {
+  var segments = ogg.lacing(packet.length);
+  Array.prototype.push.apply(this._segments, segments);
+  this._data = Buffer.concat([this._data, packet]);
+  this._packetEnds.push({ segment: this._segments.length - 1, granule: granule });
+};
+
+/**
+ * Writes out complete pages.
+ *
+ * @param {number} flags - Additional flags for the pages
+ * @param {boolean} all - Also write the last, incomplete page
+ */
+OggOpusWriter.prototype._writePages = function(flags, all) {
+  while (this._segments.length > 255 || (all && this._segments.length > 0)) {
+    var count = Math.min(this._segments.length, 255);
+    var segments = this._segments.splice(0, count);
+    var length = segments.reduce(function(a, b) { return a + b; }, 0);
+
+    // Granule position of the last packet finished on this page
+    var granule = -1;
+    while (this._packetEnds.length && this._packetEnds[0].segment < count) {
+      granule = this._packetEnds.shift().granule;
+    }
+    this._packetEnds.forEach(function(end) {
+      end.segment -= count;
+    });
+
+    var isLast = this._segments.length === 0;
+    this._writePage({
+      flags: (this._continued ? Flags.CONTINUED : 0) | (isLast ? flags : 0),
+      granule: granule,
+      segments: segments,
+      data: this._data.slice(0, length)
+    });
+    this._data = this._data.slice(length);
+    this._continued = segments[segments.length - 1] === 255;
+  }
+  if (all) {
+    this._pageDuration = 0;
+  }
+};
+
+OggOpusWriter.prototype._writePage = function(page) {
+  if (page.flags & Flags.EOS && page.granule !== -1) {
+    // Trim the end but never go back before the previous page
+    page.granule = Math.max(this._lastPageGranule, page.granule - this._endTrim);
+  }
+  if (page.granule !== -1) {
+    this._lastPageGranule = page.granule;
+  }
+  page.serial = this._opts.serial;
+  page.sequence = this._sequence++;
+  this.push(ogg.writePage(page));
+};
+
+OggOpusWriter.prototype._transform = function(chunk, encoding, callback) {
+  try {
+    if (!this._headersWritten) {
+      this._writeHeaders();
+    }
+    // The duration of a multistream packet is that of its first stream
+    var duration = new Packet(chunk, this._opts.streamCount > 1).duration;
+    // Start a new page if the current one is long enough or would overflow
+    if (this._pageDuration >= this._opts.maxPageDuration ||
+        this._segments.length + Math.floor(chunk.length / 255) + 1 > 255) {
+      this._writePages(0, true);
+    }
+    this._granule += duration;
+    this._pageDuration += duration;
+    this._addPacket(chunk, this._granule);
+    this._writePages(0, false);
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+OggOpusWriter.prototype._flush = function(callback) {
+  try {
+    if (!this._headersWritten) {
+      this._writeHeaders();
+    }
+    if (this._segments.length > 0) {
+      this._writePages(Flags.EOS, true);
+    } else {
+      // Without any audio data, the stream is terminated by an empty page
+      this._writePage({
+        flags: Flags.EOS,
+        granule: 0,
+        segments: [],
+        data: Buffer.alloc(0)
+      });
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+module.exports = OggOpusWriter;
@@ -0,0 +1,65 @@
+var util = require('util');
+
+/**
+ * Error codes of libopus.
+ * @readonly
+ * @enum {number}
+ */
+var Code = {
+  BAD_ARG: -1,
+  BUFFER_TOO_SMALL: -2,
+  INTERNAL_ERROR: -3,
+  INVALID_PACKET: -4,
+  UNIMPLEMENTED: -5,
+  INVALID_STATE: -6,
+  ALLOC_FAIL: -7
+};
+
+// Same descriptions as returned by opus_strerror
+var descriptions = {};
+descriptions[Code.BAD_ARG] = 'invalid argument';
+descriptions[Code.BUFFER_TOO_SMALL] = 'buffer too small';
+descriptions[Code.INTERNAL_ERROR] = 'internal error';
+descriptions[Code.INVALID_PACKET] = 'corrupted stream';
+descriptions[Code.UNIMPLEMENTED] = 'request not implemented';
+descriptions[Code.INVALID_STATE] = 'invalid state';
+descriptions[Code.ALLOC_FAIL] = 'memory allocation failed';
+
+var names = {};
+Object.keys(Code).forEach(function(name) {
+  names[Code[name]] = 'OPUS_' + name;
+});
+
+/**
+ * Error returned by libopus or detected before calling it.
+ * Encoders and decoders (and their streams) report invalid arguments with
+ * BAD_ARG (or INVALID_STATE for snapshots which do not match the codec), only
+ * arguments of the wrong type throw a TypeError instead.
+ *
+ * @param {OpusError.Code} code - The libopus error code
+ * @param {string} [message] - Description of the error, defaults to that of
+ *    libopus for the code
+ * @constructor
+ * @property {number} code - The libopus error code
+ * @property {string} codeName - Name of the code, e.g. 'OPUS_BAD_ARG'
+ */
+function OpusError(code, message) {
+  // Allow use without new
+  if (!(this instanceof OpusError)) return new OpusError(code, message);
+
+  this.code = code;
+  this.codeName = names[code] || 'OPUS_UNKNOWN_ERROR';
+  this.message = message || descriptions[code] || 'unknown error';
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, OpusError);
+  } else {
+    this.stack = new Error(this.message).stack;
+  }
+}
+util.inherits(OpusError, Error);
+
+OpusError.prototype.name = 'OpusError';
+
+OpusError.Code = Code;
+
+module.exports = OpusError;
@@ -0,0 +1,301 @@
+var defines = require('./defines');
+var OpusError = require('./opuserror');
+
+var Bandwidth = defines.Bandwidth;
+
+/**
+ * Coding mode of a packet.
+ * @readonly
+ * @enum {number}
+ */
+var Mode = {
+  SILK: 1000,
+  HYBRID: 1001,
+  CELT: 1002
+};
+
+// Maximum size of a single frame in bytes
+var MAX_FRAME_LENGTH = 1275;
+// Maximum duration of a packet in samples at 48kHz
+var MAX_PACKET_DURATION = 5760;
+
+function invalid(msg) {
+  return new OpusError(OpusError.Code.INVALID_PACKET, 'invalid packet: ' + msg);
+}
+
+/**
+ * Determines mode, bandwidth and frame size from the configuration number of
+ * the TOC byte as per section 3.1 of RFC 6716.
+ *
+ * @param {number} config - Configuration number (0 to 31)
+ * @returns {object} Object with mode, bandwidth and frameSize (samples at 48kHz)
+ */
+function parseConfig(config) {
+  if (config < 12) {
+    return {
+      mode: Mode.SILK,
+      bandwidth: Bandwidth.NARROWBAND + (config >> 2),
+      frameSize: [480, 960, 1920, 2880][config & 3]
+    };
+  } else if (config < 16) {
+    return {
+      mode: Mode.HYBRID,
+      bandwidth: config < 14 ? Bandwidth.SUPERWIDEBAND : Bandwidth.FULLBAND,
+      frameSize: [480, 960][config & 1]
+    };
+  } else {
+    var bandwidth = (config - 16) >> 2;
+    return {
+      mode: Mode.CELT,
+      // CELT does not support mediumband
+      bandwidth: bandwidth === 0 ? Bandwidth.NARROWBAND : Bandwidth.MEDIUMBAND + bandwidth,
+      frameSize: [120, 240, 480, 960][config & 3]
+    };
+  }
+}
+
+/**
+ * Reads a frame length as per section 3.2.1 of RFC 6716.
+ *
+ * @param {Buffer} data - The packet
+ * @param {number} offset - Offset of the length
+ * @param {number} end - End of the available data
+ * @returns {number[]} Frame length and number of bytes used to encode it
+ */
+function readFrameLength(data, offset, end) {
+  if (offset >= end) {
+    throw invalid('frame length is missing');
+  }
+  var first = data[offset];
+  if (first < 252) {
+    return [first, 1];
+  }
+  if (offset + 1 >= end) {
+    throw invalid('frame length is missing');
+  }
+  return [first + 4 * data[offset + 1], 2];
+}
+
+/**
+ * A parsed Opus packet as specified in section 3 of RFC 6716.
+ * Parsing is done entirely in JavaScript and malformed packets (as per
+ * section 3.4) are rejected.
+ * <br>
+ * Packets using the self-delimiting framing of appendix B of RFC 6716 (as
+ * found in multistream packets) carry the length of their last frame
+ * explicitly. When parsing such a packet, data may contain more bytes after
+ * the end of the packet, which are ignored.
+ *
+ * @param {Buffer} data - The packet
+ * @param {boolean} [selfDelimited=false] - Whether the packet uses the
+ *    self-delimiting framing
+ * @constructor
+ */
+function Packet(data, selfDelimited) {
+  // Allow use without new
+  if (!(this instanceof Packet)) return new Packet(data, selfDelimited);
+
+  if (!(data instanceof Buffer)) {
+    throw new TypeError('data must be a Buffer');
+  }
+  // [R1]
+  if (data.length < 1) {
+    throw invalid('packet is empty');
+  }
+
+  var toc = data[0];
+  var config = parseConfig(toc >> 3);
+
+  /** @member {Buffer} - Raw packet data */
+  this.data = data;
+  /** @member {boolean} - Whether the packet uses the self-delimiting framing */
+  this.selfDelimited = !!selfDelimited;
+  /** @member {number} - Configuration number of the TOC byte (0 to 31) */
+  this.config = toc >> 3;
+  /** @member {Mode} - Coding mode */
+  this.mode = config.mode;
+  /** @member {Bandwidth} - Audio bandwidth */
+  this.bandwidth = config.bandwidth;
+  /** @member {number} - Duration of each frame in samples at 48kHz */
+  this.frameSize = config.frameSize;
+  /** @member {number} - Duration of each frame in milliseconds */
+  this.frameDuration = config.frameSize / 48;
+  /** @member {boolean} - Whether the frames are coded as stereo */
+  this.stereo = (toc & 0x04) !== 0;
+  /** @member {number} - Frame count code (0 to 3) */
+  this.code = toc & 0x03;
+  /** @member {boolean} - Whether frames have different lengths */
+  this.vbr = false;
+  /** @member {number} - Number of padding bytes (excluding padding length bytes) */
+  this.padding = 0;
+  /** @member {number[]} - Offset of each frame within the packet */
+  this.frameOffsets = [];
+  /** @member {number[]} - Length of each frame in bytes */
+  this.frameLengths = [];
+
+  this._parseFrames();
+
+  /** @member {number} - Number of frames */
+  this.frameCount = this.frameLengths.length;
+  /** @member {number} - Duration of the whole packet in samples at 48kHz */
+  this.duration = this.frameCount * this.frameSize;
+}
+
+Packet.prototype._parseFrames = function() {
+  var data = this.data;
+  var offset = 1;
+  var end = data.length;
+  var lengths = this.frameLengths;
+  var count, length, size;
+
+  switch (this.code) {
+  case 0:
+    // One frame
+    count = 1;
+    break;
+  case 1:
+    // Two frames of equal length
+    count = 2;
+    break;
+  case 2:
+    // Two frames of different length
+    count = 2;
+    size = readFrameLength(data, offset, end);
+    offset += size[1];
+    lengths.push(size[0]);
+    break;
+  case 3:
+    // Arbitrary number of frames
+    // [R6], [R7]
+    if (end - offset < 1) {
+      throw invalid('code 3 packet is missing the frame count');
+    }
+    var countByte = data[offset++];
+    count = countByte & 0x3f;
+    this.vbr = (countByte & 0x80) !== 0;
+    // [R5]
+    if (count === 0) {
+      throw invalid('code 3 packet must contain at least one frame');
+    }
+    if (count * this.frameSize > MAX_PACKET_DURATION) {
+      throw invalid('packet is longer than 120ms');
+    }
+    if (countByte & 0x40) {
+      var padByte;
+      do {
+        if (offset >= end) {
+          throw invalid('padding length is missing');
+        }
+        padByte = data[offset++];
+        this.padding += padByte === 255 ? 254 : padByte;
+      } while (padByte === 255);
+      end -= this.padding;
+      if (end < offset) {
+        throw invalid('padding is longer than the packet');
+      }
+    }
+    if (this.vbr) {
+      // [R7]
+      for (var i = 0; i < count - 1; i++) {
+        size = readFrameLength(data, offset, end);
+        offset += size[1];
+        lengths.push(size[0]);
+      }
+    }
+    break;
+  }
+
+  var total = lengths.reduce(function(a, b) { return a + b; }, 0);
+  if (this.selfDelimited) {
+    // The length of the last frame (or of all frames, if they are of equal
+    // length) is coded explicitly
+    size = readFrameLength(data, offset, end);
+    offset += size[1];
+    while (lengths.length < count) {
+      lengths.push(size[0]);
+      total += size[0];
+    }
+    if (total > end - offset) {
+      throw invalid('frames are longer than the packet');
+    }
+    // Cut off anything following this packet
+    this.data = data = data.slice(0, offset + total + this.padding);
+  } else if (this.code === 1 || (this.code === 3 && !this.vbr)) {
+    // [R3], [R6]
+    if ((end - offset) % count !== 0) {
+      throw invalid(this.code === 1 ? 'code 1 packet must have an odd length' :
+          'CBR frames must be of equal length');
+    }
+    length = (end - offset) / count;
+    while (lengths.length < count) {
+      lengths.push(length);
+    }
+  } else {
+    // [R4], [R7]
+    if (total > end - offset) {
+      throw invalid(this.code === 2 ? 'first frame is longer than the packet' :
+          'frames are longer than the packet');
+    }
+    lengths.push(end - offset - total);
+  }
+
+  for (var k = 0; k < lengths.length; k++) {
+    // [R2]
+    if (lengths[k] > MAX_FRAME_LENGTH) {
+      throw invalid('frame is longer than 1275 bytes');
+    }
+    this.frameOffsets.push(offset);
+    offset += lengths[k];
+  }
+};
+
+/**
+ * Get the frames contained in this packet.
+ *
+ * @returns {Buffer[]} The frames (views of the packet data)
+ */
+Packet.prototype.getFrames = function() {
+  var data = this.data;
+  var lengths = this.frameLengths;
+  return this.frameOffsets.map(function(offset, i) {
+    return data.slice(offset, offset + lengths[i]);
+  });
+};
+
+/**
+ * Get the number of samples in this packet.
+ *
+ * @param {number} [sampleRate=48000] - Sampling rate (Hz)
+ * @returns {number} Number of samples (per channel)
+ */
+Packet.prototype.getNumberOfSamples = function(sampleRate) {
+  return this.duration * (sampleRate || 48000) / 48000;
+};
+
+/**
+ * Check whether this packet contains forward error correction data (LBRR
+ * frames) for the packet before it, as per section 4.2.3 of RFC 6716.
+ * Only SILK and hybrid packets can contain such data.
+ *
+ * @returns {boolean} Whether the LBRR flag of any channel is set
+ */
+Packet.prototype.hasFEC = function() {
+  if (this.mode === Mode.CELT || this.frameLengths[0] === 0) {
+    return false;
+  }
+  // The header starts with the VAD flags of all SILK frames of the first
+  // Opus frame and the LBRR flag of each channel, all coded as plain bits
+  var header = this.data[this.frameOffsets[0]];
+  var silkFrames = Math.max(1, this.frameSize / 960);
+  var lbrr = (header >> (7 - silkFrames)) & 1;
+  if (this.stereo) {
+    lbrr |= (header >> (6 - 2 * silkFrames)) & 1;
+  }
+  return lbrr === 1;
+};
+
+Packet.Mode = Mode;
+Packet.MAX_FRAME_LENGTH = MAX_FRAME_LENGTH;
+Packet.MAX_PACKET_DURATION = MAX_PACKET_DURATION;
+Packet.parseConfig = parseConfig;
+module.exports = Packet;
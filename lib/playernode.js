@@ -0,0 +1,110 @@
+var util = require('util');
+var extend = require('extend');
+var Writable = require('stream').Writable;
+var messages = require('./messages');
+
+/**
+ * Plays Opus packets through a Web Audio graph.
+ * <br>
+ * Decoding happens on the audio rendering thread, in the libopus-player
+ * processor registered by lib/worklet.js. That file has to be bundled into a
+ * script of its own and added to the audio context beforehand using
+ * context.audioWorklet.addModule.
+ * <br>
+ * This is a writable stream of packets, which should be written as they
+ * arrive, e.g. from the network. They pass through a {@link JitterBuffer},
+ * so playback starts once enough audio has been buffered and underruns are
+ * concealed. Packets can be Opus packets (Buffers or Uint8Arrays), lost
+ * packets signalled like for a {@link DecoderStream} (an empty Buffer or the
+ * number of lost samples at 48kHz, as emitted by {@link RtpDepacketizer}) or
+ * parsed RTP packets, see {@link JitterBuffer#put}.
+ * <br>
+ * Corrupt packets are concealed as well, a 'warning' event with the
+ * {@link OpusError} is emitted for each of them. Once the stream is ended,
+ * the remaining packets are played and 'finish' is emitted afterwards.
+ *
+ * @param {BaseAudioContext} context - The audio context
+ * @param {object} [opts={}] - Options for the player, any other options are
+ *    passed to the {@link Decoder} and {@link JitterBuffer}
+ * @param {number} [opts.channels=1] - Number of channels
+ * @constructor
+ */
+function OpusPlayerNode(context, opts) {
+  // Allow use without new
+  if (!(this instanceof OpusPlayerNode)) return new OpusPlayerNode(context, opts);
+
+  Writable.call(this, { objectMode: true });
+
+  opts = extend({
+    channels: 1
+  }, opts);
+
+  /** @member {AudioWorkletNode} - The node to connect to a destination */
+  this.node = new AudioWorkletNode(context, 'libopus-player', {
+    numberOfInputs: 0,
+    numberOfOutputs: 1,
+    outputChannelCount: [opts.channels],
+    processorOptions: opts
+  });
+  this.node.port.onmessage = this._onMessage.bind(this);
+  this.node.onprocessorerror = this._onProcessorError.bind(this);
+
+  /**
+   * @member {object|null} - Statistics of the jitter buffer, see
+   *    {@link JitterBuffer#stats}, available once all packets have been played
+   */
+  this.stats = null;
+
+  this._onEnded = null;
+}
+util.inherits(OpusPlayerNode, Writable);
+
+OpusPlayerNode.prototype._write = function(packet, encoding, callback) {
+  if (typeof packet !== 'number' && !(packet instanceof Uint8Array) &&
+      !(packet && packet.payload instanceof Uint8Array)) {
+    return callback(new TypeError('packets must be Uint8Arrays, numbers or RTP packets'));
+  }
+  // Packets are small, so they are copied rather than transferred
+  this.node.port.postMessage({ type: 'packet', packet: packet });
+  callback();
+};
+
+OpusPlayerNode.prototype._final = function(callback) {
+  this._onEnded = callback;
+  this.node.port.postMessage({ type: 'end' });
+};
+
+OpusPlayerNode.prototype._onMessage = function(event) {
+  var msg = event.data;
+  if (msg.type === 'warning') {
+    this.emit('warning', messages.deserializeError(msg.error));
+  } else if (msg.type === 'ended') {
+    this.stats = msg.stats;
+    this.disconnect();
+    this._onEnded();
+  }
+};
+
+OpusPlayerNode.prototype._onProcessorError = function() {
+  this.disconnect();
+  this.destroy(new Error('libopus-player processor failed'));
+};
+
+/**
+ * Connects the output of this player, see AudioNode.connect.
+ *
+ * @param {AudioNode|AudioParam} destination - The destination
+ * @returns {AudioNode|undefined} The destination if it is a node
+ */
+OpusPlayerNode.prototype.connect = function() {
+  return this.node.connect.apply(this.node, arguments);
+};
+
+/**
+ * Disconnects the output of this player, see AudioNode.disconnect.
+ */
+OpusPlayerNode.prototype.disconnect = function() {
+  this.node.disconnect.apply(this.node, arguments);
+};
+
+module.exports = OpusPlayerNode;
@@ -0,0 +1,107 @@
+var util = require('util');
+var extend = require('extend');
+var Readable = require('stream').Readable;
+var messages = require('./messages');
+
+/**
+ * Records audio of a Web Audio graph, e.g. of a MediaStream from the
+ * microphone, as Opus packets.
+ * <br>
+ * Encoding happens on the audio rendering thread, in the libopus-recorder
+ * processor registered by lib/worklet.js. That file has to be bundled into a
+ * script of its own and added to the audio context beforehand using
+ * context.audioWorklet.addModule.
+ * <br>
+ * This is a readable stream of Opus packets, which can be piped e.g. into an
+ * {@link OggOpusWriter}. Before the first packet, a 'start' event is emitted
+ * and the preSkip property is set. Once stopped, the padding of the last
+ * frame is emitted as 'padding' event (in samples at 48kHz, which is passed
+ * as second argument; writers piped to from this stream trim it
+ * automatically) and the stream ends.
+ *
+ * @param {BaseAudioContext} context - The audio context
+ * @param {object} [opts={}] - Options for the recorder, any other options are
+ *    passed to the {@link Encoder}
+ * @param {MediaStream} [opts.mediaStream] - Stream to be recorded.<br>
+ *    Other sources can be connected to the node property instead.
+ * @param {number} [opts.channels=1] - Number of channels, the input is mixed
+ *    up or down as necessary
+ * @param {(2.5|5|10|20|40|60)} [opts.frameDuration=20] - Duration of each
+ *    frame (ms)
+ * @constructor
+ */
+function OpusRecorderNode(context, opts) {
+  // Allow use without new
+  if (!(this instanceof OpusRecorderNode)) return new OpusRecorderNode(context, opts);
+
+  Readable.call(this, { objectMode: true });
+
+  opts = extend({
+    channels: 1,
+    frameDuration: 20
+  }, opts);
+  var mediaStream = opts.mediaStream;
+  delete opts.mediaStream;
+
+  /** @member {AudioWorkletNode} - The node sources are connected to */
+  this.node = new AudioWorkletNode(context, 'libopus-recorder', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCount: opts.channels,
+    channelCountMode: 'explicit',
+    channelInterpretation: 'speakers',
+    processorOptions: opts
+  });
+  this.node.port.onmessage = this._onMessage.bind(this);
+  this.node.onprocessorerror = this._onProcessorError.bind(this);
+
+  /** @member {number|null} - Pre-skip (at 48kHz), known once started */
+  this.preSkip = null;
+
+  this._source = null;
+  if (mediaStream) {
+    this._source = context.createMediaStreamSource(mediaStream);
+    this._source.connect(this.node);
+  }
+}
+util.inherits(OpusRecorderNode, Readable);
+
+OpusRecorderNode.prototype._read = function() {
+  // Packets are pushed as they are encoded
+};
+
+OpusRecorderNode.prototype._onMessage = function(event) {
+  var msg = event.data;
+  if (msg.type === 'start') {
+    this.preSkip = msg.preSkip;
+    this.emit('start');
+  } else if (msg.type === 'packet') {
+    this.push(messages.restore(msg.packet));
+  } else if (msg.type === 'end') {
+    this._disconnect();
+    this.emit('padding', msg.padding, 48000);
+    this.push(null);
+  }
+};
+
+OpusRecorderNode.prototype._onProcessorError = function() {
+  this._disconnect();
+  this.destroy(new Error('libopus-recorder processor failed'));
+};
+
+OpusRecorderNode.prototype._disconnect = function() {
+  if (this._source) {
+    this._source.disconnect(this.node);
+    this._source = null;
+  }
+};
+
+/**
+ * Stops recording. The last frame is padded with silence and the stream ends
+ * once it has been encoded.
+ */
+OpusRecorderNode.prototype.stop = function() {
+  this.node.port.postMessage({ type: 'stop' });
+};
+
+module.exports = OpusRecorderNode;
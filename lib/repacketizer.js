@@ -0,0 +1,230 @@
+var Packet = require('./packet');
+var OpusError = require('./opuserror');
+
+/**
+ * Merges Opus packets into larger packets or splits them into their frames.
+ * This is a JavaScript port of the repacketizer of libopus.
+ * <br>
+ * Packets are added with {@link #cat} and can then be retrieved in any
+ * combination of consecutive frames with {@link #out}. All packets added to
+ * one repacketizer must have the same configuration (mode, bandwidth, frame
+ * size and channel count) and may in total be at most 120ms long.
+ *
+ * @constructor
+ */
+function Repacketizer() {
+  // Allow use without new
+  if (!(this instanceof Repacketizer)) return new Repacketizer();
+
+  this.reset();
+}
+
+/**
+ * Removes all frames from this repacketizer.
+ */
+Repacketizer.prototype.reset = function() {
+  this._toc = null;
+  this._frameSize = 0;
+  this._frames = [];
+};
+
+/**
+ * Adds a packet to this repacketizer.
+ *
+ * @param {Buffer|Packet} packet - The packet to be added
+ * @throws If the packet is malformed, does not match the configuration of
+ *    previous packets or if the total duration would exceed 120ms
+ */
+Repacketizer.prototype.cat = function(packet) {
+  if (!(packet instanceof Packet)) {
+    packet = new Packet(packet);
+  }
+  // Config and stereo flag have to match
+  var toc = packet.data[0] & 0xfc;
+  if (this._toc === null) {
+    this._toc = toc;
+    this._frameSize = packet.frameSize;
+  } else if (this._toc !== toc) {
+    throw new OpusError(OpusError.Code.INVALID_PACKET,
+        'packet configuration does not match previous packets');
+  }
+  var count = this._frames.length + packet.frameCount;
+  if (count * this._frameSize > Packet.MAX_PACKET_DURATION) {
+    throw new OpusError(OpusError.Code.INVALID_PACKET,
+        'total duration of packets exceeds 120ms');
+  }
+  Array.prototype.push.apply(this._frames, packet.getFrames());
+};
+
+/**
+ * Get the number of frames added so far.
+ *
+ * @returns {number} Number of frames
+ */
+Repacketizer.prototype.getNumberOfFrames = function() {
+  return this._frames.length;
+};
+
+/**
+ * Constructs a packet from a range of the frames added so far.
+ *
+ * @param {number} [begin=0] - Index of the first frame
+ * @param {number} [end] - Index after the last frame, all frames by default
+ * @param {number} [length] - Pad the packet to this size (in bytes)
+ * @param {boolean} [selfDelimited=false] - Use the self-delimiting framing of
+ *    appendix B of RFC 6716, as required for all but the last stream of a
+ *    multistream packet
+ * @returns {Buffer} The packet
+ */
+Repacketizer.prototype.out = function(begin, end, length, selfDelimited) {
+  begin = begin || 0;
+  end = end === undefined ? this._frames.length : end;
+  if (begin < 0 || begin >= end || end > this._frames.length) {
+    throw new RangeError('invalid frame range');
+  }
+  var frames = this._frames.slice(begin, end);
+  var pad = length !== undefined && length !== null;
+
+  var header;
+  var count = frames.length;
+  var cbr = frames.every(function(frame) {
+    return frame.length === frames[0].length;
+  });
+  if (count === 1 && !pad) {
+    // Code 0
+    header = [this._toc];
+  } else if (count === 2 && cbr && !pad) {
+    // Code 1
+    header = [this._toc | 1];
+  } else if (count === 2 && !pad) {
+    // Code 2
+    header = [this._toc | 2].concat(frameLength(frames[0].length));
+  } else {
+    // Code 3
+    header = [this._toc | 3, count | (cbr ? 0 : 0x80)];
+    if (!cbr) {
+      for (var i = 0; i < count - 1; i++) {
+        Array.prototype.push.apply(header, frameLength(frames[i].length));
+      }
+    }
+  }
+  if (selfDelimited) {
+    // Length of the last frame (or of all frames for CBR)
+    Array.prototype.push.apply(header, frameLength(frames[count - 1].length));
+  }
+
+  var size = header.length + frames.reduce(function(sum, frame) {
+    return sum + frame.length;
+  }, 0);
+  var padding = null;
+  if (pad) {
+    if (length < size) {
+      throw new RangeError('packet does not fit into ' + length + ' bytes');
+    }
+    if (length > size) {
+      header[1] |= 0x40;
+      padding = paddingLength(length - size);
+      // Padding length goes right after the frame count byte
+      header = header.slice(0, 2).concat(padding.bytes, header.slice(2));
+    }
+  }
+
+  var parts = [Buffer.from(header)].concat(frames);
+  if (padding) {
+    parts.push(Buffer.alloc(padding.length));
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * Encodes a frame length as per section 3.2.1 of RFC 6716.
+ *
+ * @param {number} length - The frame length
+ * @returns {number[]} One or two bytes
+ */
+function frameLength(length) {
+  if (length < 252) {
+    return [length];
+  }
+  var first = 252 + (length & 3);
+  return [first, (length - first) >> 2];
+}
+
+/**
+ * Encodes the padding of a code 3 packet.
+ *
+ * @param {number} amount - Total number of bytes to add, including the
+ *    padding length bytes themselves
+ * @returns {object} Padding length bytes and number of padding bytes
+ */
+function paddingLength(amount) {
+  var count = Math.floor((amount - 1) / 255);
+  var bytes = [];
+  for (var i = 0; i < count; i++) {
+    bytes.push(255);
+  }
+  bytes.push(amount - 255 * count - 1);
+  return { bytes: bytes, length: amount - bytes.length };
+}
+
+/**
+ * Merges packets into a single packet.
+ *
+ * @param {Buffer[]} packets - Packets with the same configuration and a total
+ *    duration of at most 120ms
+ * @returns {Buffer} The merged packet
+ */
+Repacketizer.merge = function(packets) {
+  var rp = new Repacketizer();
+  packets.forEach(rp.cat, rp);
+  return rp.out();
+};
+
+/**
+ * Splits a packet into packets containing one frame each.
+ *
+ * @param {Buffer} packet - The packet
+ * @returns {Buffer[]} One packet per frame
+ */
+Repacketizer.split = function(packet) {
+  var rp = new Repacketizer();
+  rp.cat(packet);
+  var packets = [];
+  for (var i = 0; i < rp.getNumberOfFrames(); i++) {
+    packets.push(rp.out(i, i + 1));
+  }
+  return packets;
+};
+
+/**
+ * Pads a packet to a larger size.
+ *
+ * @param {Buffer} packet - The packet
+ * @param {number} length - The new size in bytes
+ * @returns {Buffer} The padded packet
+ */
+Repacketizer.pad = function(packet, length) {
+  if (packet.length === length) {
+    return packet;
+  }
+  if (packet.length > length) {
+    throw new RangeError('packet is already larger than ' + length + ' bytes');
+  }
+  var rp = new Repacketizer();
+  rp.cat(packet);
+  return rp.out(0, rp.getNumberOfFrames(), length);
+};
+
+/**
+ * Removes all padding from a packet.
+ *
+ * @param {Buffer} packet - The packet
+ * @returns {Buffer} The packet without padding
+ */
+Repacketizer.unpad = function(packet) {
+  var rp = new Repacketizer();
+  rp.cat(packet);
+  return rp.out();
+};
+
+module.exports = Repacketizer;
@@ -0,0 +1,322 @@
+var extend = require('extend');
+var OpusError = require('./opuserror');
+
+// Filter parameters for each quality level: half the number of taps (at the
+// lower of both rates), Kaiser window beta and cutoff relative to the lower
+// Nyquist frequency
+var QUALITY = [
+  { halfTaps: 4, beta: 4.0, cutoff: 0.80 },
+  { halfTaps: 6, beta: 4.5, cutoff: 0.84 },
+  { halfTaps: 8, beta: 5.0, cutoff: 0.87 },
+  { halfTaps: 12, beta: 5.5, cutoff: 0.89 },
+  { halfTaps: 16, beta: 6.0, cutoff: 0.91 },
+  { halfTaps: 20, beta: 6.5, cutoff: 0.92 },
+  { halfTaps: 24, beta: 7.0, cutoff: 0.93 },
+  { halfTaps: 32, beta: 7.5, cutoff: 0.94 },
+  { halfTaps: 40, beta: 8.0, cutoff: 0.95 },
+  { halfTaps: 48, beta: 8.5, cutoff: 0.96 },
+  { halfTaps: 64, beta: 9.0, cutoff: 0.97 }
+];
+
+// Maximum number of filter phases, any finer positions are interpolated
+var MAX_PHASES = 1024;
+
+function gcd(a, b) {
+  while (b) {
+    var t = a % b;
+    a = b;
+    b = t;
+  }
+  return a;
+}
+
+// Zeroth order modified Bessel function of the first kind
+function bessel0(x) {
+  var sum = 1;
+  var term = 1;
+  for (var k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+/**
+ * Converts (interleaved) samples from one sampling rate to another.
+ * <br>
+ * Uses a polyphase windowed sinc filter. The output is delayed by a fixed
+ * number of samples, see {@link #getDelay}, in exchange for always returning
+ * the same total number of samples for the same total input, i.e.
+ * ceil(input * to / from). Any input which is a multiple of from / gcd(from,
+ * to) samples is therefore converted to exactly input * to / from samples.
+ * The state persists across calls, so a signal can be converted in chunks of
+ * any size without discontinuities.
+ *
+ * @param {object} opts - Options for the resampler
+ * @param {number} opts.from - Input sampling rate (Hz)
+ * @param {number} opts.to - Output sampling rate (Hz)
+ * @param {number} [opts.channels=1] - Number of (interleaved) channels
+ * @param {number} [opts.quality=5] - Quality from 0 (fastest) to 10 (best)
+ * @constructor
+ */
+function Resampler(opts) {
+  // Allow use without new
+  if (!(this instanceof Resampler)) return new Resampler(opts);
+
+  opts = extend({
+    channels: 1,
+    quality: 5
+  }, opts);
+
+  [opts.from, opts.to].forEach(function(rate) {
+    if (!(rate >= 1 && Math.floor(rate) === rate)) {
+      throw new RangeError('rates must be positive integers');
+    }
+  });
+  if (!(opts.channels >= 1 && Math.floor(opts.channels) === opts.channels)) {
+    throw new RangeError('channels must be a positive integer');
+  }
+  if (!(opts.quality >= 0 && opts.quality <= 10 &&
+      Math.floor(opts.quality) === opts.quality)) {
+    throw new RangeError('quality must be between 0 and 10');
+  }
+
+  var divisor = gcd(opts.from, opts.to);
+  this._from = opts.from;
+  this._to = opts.to;
+  this._channels = opts.channels;
+  // Each output sample advances the input position by step / phases input
+  // samples, which are exact integers
+  this._up = opts.to / divisor;
+  this._down = opts.from / divisor;
+  this._quality = opts.quality;
+  this._createFilter(QUALITY[opts.quality]);
+  this.reset();
+}
+
+/**
+ * Computes the filter coefficients of all phases.
+ *
+ * @param {object} params - Parameters of the quality level
+ */
+Resampler.prototype._createFilter = function(params) {
+  var ratio = Math.min(1, this._to / this._from);
+  var cutoff = params.cutoff * ratio;
+  // When downsampling, the filter is stretched to the input rate
+  var half = Math.ceil(params.halfTaps / ratio);
+  var phases = Math.min(this._up, MAX_PHASES);
+  var taps = 2 * half;
+  var norm = bessel0(params.beta);
+
+  // One more phase than necessary, for interpolating beyond the last one
+  var filter = new Float32Array((phases + 1) * taps);
+  for (var p = 0; p <= phases; p++) {
+    var sum = 0;
+    for (var j = 0; j < taps; j++) {
+      // Distance of the output position from the input sample of this tap
+      var t = p / phases + half - 1 - j;
+      var x = t / half;
+      var value = 0;
+      if (x > -1 && x < 1) {
+        var sinc = t === 0 ? 1 : Math.sin(Math.PI * cutoff * t) / (Math.PI * cutoff * t);
+        value = cutoff * sinc * bessel0(params.beta * Math.sqrt(1 - x * x)) / norm;
+      }
+      filter[p * taps + j] = value;
+      sum += value;
+    }
+    // Normalize the gain of each phase to exactly 1
+    for (j = 0; j < taps; j++) {
+      filter[p * taps + j] /= sum;
+    }
+  }
+  this._filter = filter;
+  this._phases = phases;
+  this._half = half;
+  this._taps = taps;
+};
+
+/**
+ * Resets the resampler to its initial state, discarding any buffered input.
+ */
+Resampler.prototype.reset = function() {
+  // Pending input, starting with the oldest sample still needed. It is
+  // primed with silence, which causes the fixed delay.
+  this._buffer = new Float32Array(this._taps * this._channels);
+  this._length = this._taps - 1;
+  // Position of the next output sample: input sample (relative to the start
+  // of the buffer, minus half - 1) and fraction in units of 1 / up
+  this._position = 0;
+  this._fraction = 0;
+};
+
+/**
+ * Get the current state, i.e. the buffered input and the position of the
+ * next output sample, e.g. to include it in a snapshot of a codec.
+ *
+ * @returns {object} Object with quality, position, fraction and samples
+ *    (buffered input as interleaved Float32Array)
+ */
+Resampler.prototype.getState = function() {
+  return {
+    quality: this._quality,
+    position: this._position,
+    fraction: this._fraction,
+    samples: this._buffer.slice(0, this._length * this._channels)
+  };
+};
+
+/**
+ * Restores a state returned by {@link #getState}, of a resampler with the
+ * same rates, number of channels and quality.
+ *
+ * @param {object} state - The state
+ */
+Resampler.prototype.setState = function(state) {
+  var length = state.samples.length / this._channels;
+  if (state.quality !== this._quality) {
+    throw new OpusError(OpusError.Code.INVALID_STATE,
+        'resampler state does not match the quality');
+  }
+  if (Math.floor(length) !== length ||
+      !(state.position >= 0 && state.position <= length) ||
+      !(state.fraction >= 0 && state.fraction < this._up)) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'invalid resampler state');
+  }
+  this._buffer = Float32Array.from(state.samples);
+  this._length = length;
+  this._position = state.position;
+  this._fraction = state.fraction;
+};
+
+/**
+ * Get the delay of the output signal.
+ *
+ * @returns {number} Delay in samples at the output rate
+ */
+Resampler.prototype.getDelay = function() {
+  return Math.round(this._half * this._to / this._from);
+};
+
+/**
+ * Get the number of samples returned for the specified input, given the
+ * current state.
+ *
+ * @param {number} samples - Number of input samples (per channel)
+ * @returns {number} Number of output samples (per channel)
+ */
+Resampler.prototype.getOutputLength = function(samples) {
+  // Output is available while its last tap is within the input
+  var available = this._length + samples - this._taps + 1;
+  var positions = available * this._up - this._position * this._up - this._fraction;
+  return Math.max(0, Math.ceil(positions / this._down));
+};
+
+/**
+ * Converts samples.
+ *
+ * @param {Int16Array|Float32Array} input - (Interleaved) input samples
+ * @returns {Int16Array|Float32Array} Output samples of the same type
+ */
+Resampler.prototype.process = function(input) {
+  if (!(input instanceof Int16Array || input instanceof Float32Array)) {
+    throw new TypeError('input must be Int16Array or Float32Array');
+  }
+  var channels = this._channels;
+  if (input.length % channels !== 0) {
+    throw new RangeError('input must contain whole samples of all channels');
+  }
+  var scale = input instanceof Int16Array ? 1 / 32768 : 1;
+  var samples = input.length / channels;
+
+  // Append the input to the buffer
+  var needed = (this._length + samples) * channels;
+  if (needed > this._buffer.length) {
+    var grown = new Float32Array(Math.max(needed, this._buffer.length * 2));
+    grown.set(this._buffer.subarray(0, this._length * channels));
+    this._buffer = grown;
+  }
+  var buffer = this._buffer;
+  var offset = this._length * channels;
+  for (var i = 0; i < input.length; i++) {
+    buffer[offset + i] = input[i] * scale;
+  }
+  this._length += samples;
+
+  var count = this.getOutputLength(0);
+  var output = new input.constructor(count * channels);
+  this._run(output, count, input instanceof Int16Array);
+  return output;
+};
+
+/**
+ * Returns the samples still delayed by the resampler, as if the input was
+ * followed by silence, and resets it.
+ *
+ * @param {function} [Type=Float32Array] - Type of the output array
+ * @returns {Int16Array|Float32Array} The remaining output samples
+ */
+Resampler.prototype.flush = function(Type) {
+  Type = Type || Float32Array;
+  var output = this.process(new Type(this._half * this._channels));
+  this.reset();
+  return output;
+};
+
+/**
+ * Computes output samples from the buffered input.
+ *
+ * @param {Int16Array|Float32Array} output - Array to write the samples to
+ * @param {number} count - Number of samples (per channel) to compute
+ * @param {boolean} toInt16 - Whether to convert to 16 bit integers
+ */
+Resampler.prototype._run = function(output, count, toInt16) {
+  var channels = this._channels;
+  var buffer = this._buffer;
+  var filter = this._filter;
+  var taps = this._taps;
+  var up = this._up;
+  var down = this._down;
+  var phases = this._phases;
+  var position = this._position;
+  var fraction = this._fraction;
+
+  for (var k = 0; k < count; k++) {
+    // Interpolate between the two closest phases (exact if phases === up)
+    var exact = fraction * phases / up;
+    var phase = Math.floor(exact);
+    var weight = exact - phase;
+    var row0 = phase * taps;
+    var row1 = row0 + taps;
+    var start = position * channels;
+    for (var c = 0; c < channels; c++) {
+      var sum = 0;
+      for (var j = 0; j < taps; j++) {
+        var coefficient = weight === 0 ? filter[row0 + j] :
+            filter[row0 + j] + weight * (filter[row1 + j] - filter[row0 + j]);
+        sum += coefficient * buffer[start + j * channels + c];
+      }
+      if (toInt16) {
+        sum = Math.round(sum * 32768);
+        sum = sum > 32767 ? 32767 : sum < -32768 ? -32768 : sum;
+      }
+      output[k * channels + c] = sum;
+    }
+    fraction += down;
+    while (fraction >= up) {
+      fraction -= up;
+      position++;
+    }
+  }
+
+  // Discard input which is no longer needed
+  if (position > 0) {
+    buffer.copyWithin(0, position * channels, this._length * channels);
+    this._length -= position;
+    position = 0;
+  }
+  this._position = position;
+  this._fraction = fraction;
+};
+
+module.exports = Resampler;
@@ -0,0 +1,143 @@
+// Helpers for the RTP packet format as defined in RFC 3550
+
+var HEADER_SIZE = 12;
+
+/**
+ * Parses an RTP packet.
+ *
+ * @param {Buffer} buf - The packet
+ * @returns {object} Object with marker, payloadType, sequenceNumber,
+ *    timestamp, ssrc, csrcs, extension (null or object with profile and data)
+ *    and payload
+ */
+function parse(buf) {
+  if (!(buf instanceof Buffer)) {
+    throw new TypeError('packet must be a Buffer');
+  }
+  if (buf.length < HEADER_SIZE) {
+    throw new Error('RTP packet too short');
+  }
+  var version = buf[0] >> 6;
+  if (version !== 2) {
+    throw new Error('unsupported RTP version ' + version);
+  }
+  var hasPadding = (buf[0] & 0x20) !== 0;
+  var hasExtension = (buf[0] & 0x10) !== 0;
+  var csrcCount = buf[0] & 0x0f;
+
+  var offset = HEADER_SIZE;
+  var end = buf.length;
+  var csrcs = [];
+  if (offset + csrcCount * 4 > end) {
+    throw new Error('RTP packet too short');
+  }
+  for (var i = 0; i < csrcCount; i++) {
+    csrcs.push(buf.readUInt32BE(offset));
+    offset += 4;
+  }
+
+  var extension = null;
+  if (hasExtension) {
+    if (offset + 4 > end) {
+      throw new Error('RTP packet too short');
+    }
+    var profile = buf.readUInt16BE(offset);
+    var length = buf.readUInt16BE(offset + 2) * 4;
+    offset += 4;
+    if (offset + length > end) {
+      throw new Error('RTP packet too short');
+    }
+    extension = { profile: profile, data: buf.slice(offset, offset + length) };
+    offset += length;
+  }
+
+  if (hasPadding) {
+    var padding = buf[end - 1];
+    if (padding === 0 || offset + padding > end) {
+      throw new Error('invalid RTP padding');
+    }
+    end -= padding;
+  }
+
+  return {
+    marker: (buf[1] & 0x80) !== 0,
+    payloadType: buf[1] & 0x7f,
+    sequenceNumber: buf.readUInt16BE(2),
+    timestamp: buf.readUInt32BE(4),
+    ssrc: buf.readUInt32BE(8),
+    csrcs: csrcs,
+    extension: extension,
+    payload: buf.slice(offset, end)
+  };
+}
+
+/**
+ * Serializes an RTP packet.
+ *
+ * @param {object} packet - The packet, see {@link parse}.<br>
+ *    csrcs and extension are optional.
+ * @returns {Buffer} The serialized packet
+ */
+function serialize(packet) {
+  var csrcs = packet.csrcs || [];
+  var extension = packet.extension;
+  if (csrcs.length > 15) {
+    throw new RangeError('at most 15 CSRCs are allowed');
+  }
+  if (extension && extension.data.length % 4 !== 0) {
+    throw new RangeError('extension length must be a multiple of 4');
+  }
+  var extLength = extension ? 4 + extension.data.length : 0;
+  var buf = Buffer.alloc(HEADER_SIZE + csrcs.length * 4 + extLength +
+      packet.payload.length);
+  buf[0] = 0x80 | (extension ? 0x10 : 0) | csrcs.length;
+  buf[1] = (packet.marker ? 0x80 : 0) | (packet.payloadType & 0x7f);
+  buf.writeUInt16BE(packet.sequenceNumber & 0xffff, 2);
+  buf.writeUInt32BE(packet.timestamp >>> 0, 4);
+  buf.writeUInt32BE(packet.ssrc >>> 0, 8);
+  var offset = HEADER_SIZE;
+  csrcs.forEach(function(csrc) {
+    buf.writeUInt32BE(csrc >>> 0, offset);
+    offset += 4;
+  });
+  if (extension) {
+    buf.writeUInt16BE(extension.profile, offset);
+    buf.writeUInt16BE(extension.data.length / 4, offset + 2);
+    extension.data.copy(buf, offset + 4);
+    offset += extLength;
+  }
+  packet.payload.copy(buf, offset);
+  return buf;
+}
+
+/**
+ * Calculates the difference between two 16-bit sequence numbers.
+ *
+ * @param {number} a - Sequence number
+ * @param {number} b - Sequence number
+ * @returns {number} a - b, accounting for wrap around
+ */
+function sequenceDiff(a, b) {
+  return ((a - b) << 16) >> 16;
+}
+
+/**
+ * Calculates the difference between two 32-bit timestamps.
+ *
+ * @param {number} a - Timestamp
+ * @param {number} b - Timestamp
+ * @returns {number} a - b, accounting for wrap around
+ */
+function timestampDiff(a, b) {
+  return (a - b) | 0;
+}
+
+module.exports = {
+  HEADER_SIZE: HEADER_SIZE,
+  // The RTP clock rate for Opus is always 48kHz (RFC 7587)
+  CLOCK_RATE: 48000,
+  parse: parse,
+  serialize: serialize,
+  sequenceDiff: sequenceDiff,
+  timestampDiff: timestampDiff
+};
@@ -0,0 +1,202 @@
+var util = require('util');
+var extend = require('extend');
+var Transform = require('stream').Transform;
+var Packet = require('./packet');
+var OpusError = require('./opuserror');
+var rtp = require('./rtp');
+
+// Largest jumps of the sequence number (forward and backward) which are
+// still considered part of the same sequence, as in RFC 3550 A.1
+var MAX_DROPOUT = 3000;
+var MAX_MISORDER = 100;
+
+/**
+ * Extracts Opus packets from RTP packets as specified by RFC 7587.
+ * Every chunk written to this stream has to be exactly one RTP packet.
+ * <br>
+ * The stream emits the contained Opus packets in order of their sequence
+ * numbers. Whenever there is a gap in the timestamps (because packets have
+ * been lost or because the sender used DTX), the number of missing samples
+ * (at 48kHz) is emitted as a number right before the next packet. This output
+ * can be piped directly into a {@link DecoderStream}.
+ * <br>
+ * Only packets of the first SSRC seen (and of the configured payload type)
+ * are considered, all others are ignored.
+ * <br>
+ * After a large jump of the sequence number (e.g. because the sender
+ * restarted), the stream is resynchronized to the new sequence once two
+ * consecutive packets of it have been received.
+ * Packets with a malformed Opus payload are counted as lost, a 'warning'
+ * event with the {@link OpusError} is emitted for each of them.
+ *
+ * @param {object} [opts={}] - Options for the depacketizer
+ * @param {number} [opts.payloadType] - Only accept this payload type
+ * @param {number} [opts.reorderWindow=3] - Maximum number of packets to hold
+ *    back while waiting for a missing packet to arrive
+ * @constructor
+ */
+function RtpDepacketizer(opts) {
+  // Allow use without new
+  if (!(this instanceof RtpDepacketizer)) return new RtpDepacketizer(opts);
+
+  Transform.call(this, { readableObjectMode: true });
+
+  opts = extend({
+    payloadType: null,
+    reorderWindow: 3
+  }, opts);
+
+  this._payloadType = opts.payloadType;
+  this._reorderWindow = opts.reorderWindow;
+  this._ssrc = null;
+  // Sequence number and timestamp expected next
+  this._sequenceNumber = null;
+  this._timestamp = null;
+  // Last packet after a large jump of the sequence number
+  this._jumped = null;
+  // Packets waiting for missing predecessors, indexed by sequence number
+  this._pending = {};
+  this._pendingCount = 0;
+
+  /**
+   * @member {object} - Statistics about the received packets: number of
+   *    received, lost, late (received after they had already been skipped)
+   *    and duplicate packets
+   */
+  this.stats = {
+    received: 0,
+    lost: 0,
+    late: 0,
+    duplicate: 0
+  };
+}
+util.inherits(RtpDepacketizer, Transform);
+
+RtpDepacketizer.prototype._transform = function(chunk, encoding, callback) {
+  try {
+    var packet = rtp.parse(chunk);
+    if (this._payloadType !== null && packet.payloadType !== this._payloadType) {
+      return callback();
+    }
+    if (this._ssrc === null) {
+      this._ssrc = packet.ssrc;
+      this._sequenceNumber = packet.sequenceNumber;
+      this._timestamp = packet.timestamp;
+    } else if (packet.ssrc !== this._ssrc) {
+      return callback();
+    }
+    this.stats.received++;
+
+    var seq = packet.sequenceNumber;
+    var diff = rtp.sequenceDiff(seq, this._sequenceNumber);
+    if (diff >= MAX_DROPOUT || diff < -MAX_MISORDER) {
+      var jumped = this._jumped;
+      this._jumped = packet;
+      if (!jumped || seq !== ((jumped.sequenceNumber + 1) & 0xffff)) {
+        return callback();
+      }
+      this._resync(jumped);
+    } else if (diff < 0) {
+      this.stats.late++;
+      return callback();
+    }
+    this._jumped = null;
+    if (this._pending[seq]) {
+      this.stats.duplicate++;
+      return callback();
+    }
+    this._pending[seq] = packet;
+    this._pendingCount++;
+
+    this._drain();
+    while (this._pendingCount > this._reorderWindow) {
+      this._skip();
+      this._drain();
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+RtpDepacketizer.prototype._flush = function(callback) {
+  try {
+    while (this._pendingCount > 0) {
+      this._skip();
+      this._drain();
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+/**
+ * Emits all pending packets which are next in sequence.
+ */
+RtpDepacketizer.prototype._drain = function() {
+  var packet;
+  while ((packet = this._pending[this._sequenceNumber])) {
+    delete this._pending[this._sequenceNumber];
+    this._pendingCount--;
+    this._emitPacket(packet);
+  }
+};
+
+/**
+ * Emits the packets of the previous sequence which are still pending and
+ * continues with a new one.
+ *
+ * @param {object} packet - First packet of the new sequence
+ */
+RtpDepacketizer.prototype._resync = function(packet) {
+  while (this._pendingCount > 0) {
+    this._skip();
+    this._drain();
+  }
+  this._sequenceNumber = packet.sequenceNumber;
+  this._timestamp = packet.timestamp;
+  this._pending[packet.sequenceNumber] = packet;
+  this._pendingCount++;
+};
+
+/**
+ * Gives up on the missing packets before the oldest pending packet.
+ */
+RtpDepacketizer.prototype._skip = function() {
+  var self = this;
+  var oldest = null;
+  Object.keys(this._pending).forEach(function(key) {
+    var seq = self._pending[key].sequenceNumber;
+    if (oldest === null || rtp.sequenceDiff(seq, oldest) < 0) {
+      oldest = seq;
+    }
+  });
+  this.stats.lost += rtp.sequenceDiff(oldest, this._sequenceNumber);
+  this._sequenceNumber = oldest;
+};
+
+RtpDepacketizer.prototype._emitPacket = function(packet) {
+  var duration;
+  try {
+    duration = new Packet(packet.payload).duration;
+  } catch (err) {
+    if (!(err instanceof OpusError) || err.code !== OpusError.Code.INVALID_PACKET) {
+      throw err;
+    }
+    // Its samples are signalled along with the gap before the next packet
+    this.stats.lost++;
+    this.emit('warning', err);
+    this._sequenceNumber = (packet.sequenceNumber + 1) & 0xffff;
+    return;
+  }
+  var gap = rtp.timestampDiff(packet.timestamp, this._timestamp);
+  if (gap > 0) {
+    this.push(gap);
+  }
+  this.push(packet.payload);
+  this._sequenceNumber = (packet.sequenceNumber + 1) & 0xffff;
+  this._timestamp = (packet.timestamp + duration) >>> 0;
+};
+
+module.exports = RtpDepacketizer;
@@ -0,0 +1,84 @@
+var util = require('util');
+var extend = require('extend');
+var Transform = require('stream').Transform;
+var Packet = require('./packet');
+var rtp = require('./rtp');
+
+function random(max) {
+  return Math.floor(Math.random() * max);
+}
+
+/**
+ * Wraps Opus packets into RTP packets as specified by RFC 7587.
+ * Every chunk written to this stream has to be exactly one Opus packet, such
+ * as those emitted by {@link EncoderStream}. Every chunk emitted is one RTP
+ * packet.
+ * <br>
+ * Packets of one or two bytes are DTX frames (or otherwise without audio
+ * data) which RFC 7587 does not require to be transmitted. These are dropped
+ * and the marker bit is set on the first packet after them.
+ *
+ * @param {object} [opts={}] - Options for the packetizer
+ * @param {number} [opts.payloadType=111] - RTP payload type (0 to 127)
+ * @param {number} [opts.ssrc] - Synchronization source, random by default
+ * @param {number} [opts.sequenceNumber] - Initial sequence number, random by default
+ * @param {number} [opts.timestamp] - Initial timestamp, random by default
+ * @constructor
+ */
+function RtpPacketizer(opts) {
+  // Allow use without new
+  if (!(this instanceof RtpPacketizer)) return new RtpPacketizer(opts);
+
+  Transform.call(this, { readableObjectMode: true });
+
+  opts = extend({
+    payloadType: 111,
+    ssrc: random(0x100000000),
+    sequenceNumber: random(0x10000),
+    timestamp: random(0x100000000)
+  }, opts);
+
+  if (!(opts.payloadType >= 0 && opts.payloadType <= 127)) {
+    throw new RangeError('payloadType must be between 0 and 127');
+  }
+
+  this._payloadType = opts.payloadType;
+  this._ssrc = opts.ssrc;
+  /** @member {number} - Sequence number of the next packet */
+  this.sequenceNumber = opts.sequenceNumber & 0xffff;
+  /** @member {number} - Timestamp of the next packet */
+  this.timestamp = opts.timestamp >>> 0;
+  this._marker = false;
+}
+util.inherits(RtpPacketizer, Transform);
+
+RtpPacketizer.prototype._transform = function(chunk, encoding, callback) {
+  var packet;
+  try {
+    packet = new Packet(chunk);
+  } catch (err) {
+    return callback(err);
+  }
+  var timestamp = this.timestamp;
+  this.timestamp = (this.timestamp + packet.duration) >>> 0;
+
+  if (chunk.length <= 2) {
+    // DTX, nothing to be transmitted
+    this._marker = true;
+    return callback();
+  }
+
+  var result = rtp.serialize({
+    marker: this._marker,
+    payloadType: this._payloadType,
+    sequenceNumber: this.sequenceNumber,
+    timestamp: timestamp,
+    ssrc: this._ssrc,
+    payload: chunk
+  });
+  this._marker = false;
+  this.sequenceNumber = (this.sequenceNumber + 1) & 0xffff;
+  callback(null, result);
+};
+
+module.exports = RtpPacketizer;
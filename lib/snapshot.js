@@ -0,0 +1,161 @@
+// Helpers for the snapshot format of encoder and decoder states
+//
+// A snapshot consists of a header followed by the raw state of the codec:
+//   magic 'OPJS' (4 bytes), format version (1 byte), codec type (1 byte),
+//   channels (1 byte), reserved (1 byte), rate (uint32le), application
+//   (int32le, 0 for decoders), length of the state (uint32le), length of the
+//   libopus version string (1 byte) and the version string itself
+//
+// Codecs resampling to or from the rate of libopus append the state of their
+// resampler: quality (1 byte), position (uint32le), fraction (uint32le),
+// number of buffered samples per channel (uint32le) and the interleaved
+// samples themselves (float32le)
+
+var OpusError = require('./opuserror');
+
+var MAGIC = 'OPJS';
+var FORMAT_VERSION = 1;
+var HEADER_SIZE = 21;
+var RESAMPLER_HEADER_SIZE = 13;
+
+/**
+ * Type of the codec a snapshot has been taken of.
+ *
+ * @readonly
+ * @enum {number}
+ */
+var Type = {
+  ENCODER: 0,
+  DECODER: 1
+};
+
+var typeNames = ['encoder', 'decoder'];
+
+/**
+ * Get the version string of a libopus module.
+ *
+ * @param {object} libopus - The module
+ * @returns {string} Version, e.g. 'libopus 1.1.2'
+ */
+function getLibopusVersion(libopus) {
+  return libopus.Pointer_stringify(libopus._opus_get_version_string());
+}
+
+/**
+ * Creates a snapshot.
+ *
+ * @param {object} info - Object with type, rate, channels, application,
+ *    libopusVersion and resampler (state of the resampler, if any, see
+ *    {@link Resampler#getState})
+ * @param {Uint8Array} state - Raw state of the codec
+ * @returns {Buffer} The snapshot
+ */
+function serialize(info, state) {
+  var version = Buffer.from(info.libopusVersion, 'latin1');
+  if (version.length > 255) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'libopus version too long');
+  }
+  var resampler = info.resampler;
+  var resamplerSize = resampler ?
+      RESAMPLER_HEADER_SIZE + resampler.samples.length * 4 : 0;
+  var buf = Buffer.alloc(HEADER_SIZE + version.length + state.length +
+      resamplerSize);
+  buf.write(MAGIC, 0, 'latin1');
+  buf.writeUInt8(FORMAT_VERSION, 4);
+  buf.writeUInt8(info.type, 5);
+  buf.writeUInt8(info.channels, 6);
+  buf.writeUInt32LE(info.rate, 8);
+  buf.writeInt32LE(info.application || 0, 12);
+  buf.writeUInt32LE(state.length, 16);
+  buf.writeUInt8(version.length, 20);
+  version.copy(buf, HEADER_SIZE);
+  buf.set(state, HEADER_SIZE + version.length);
+  if (resampler) {
+    var offset = HEADER_SIZE + version.length + state.length;
+    buf.writeUInt8(resampler.quality, offset);
+    buf.writeUInt32LE(resampler.position, offset + 1);
+    buf.writeUInt32LE(resampler.fraction, offset + 5);
+    buf.writeUInt32LE(resampler.samples.length / info.channels, offset + 9);
+    offset += RESAMPLER_HEADER_SIZE;
+    for (var i = 0; i < resampler.samples.length; i++) {
+      buf.writeFloatLE(resampler.samples[i], offset + i * 4);
+    }
+  }
+  return buf;
+}
+
+/**
+ * Parses a snapshot and checks whether it can be restored.
+ *
+ * @param {Buffer} buf - The snapshot
+ * @param {Type} type - Expected type of codec
+ * @param {object} libopus - Module the snapshot is going to be restored in,
+ *    which has to be of the same version as the one it was taken in
+ * @returns {object} Object with type, rate, channels, application,
+ *    libopusVersion, state and resampler (null if not resampling)
+ */
+function parse(buf, type, libopus) {
+  if (!(buf instanceof Uint8Array)) {
+    throw new TypeError('snapshot must be a Buffer or Uint8Array');
+  }
+  buf = Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength);
+  if (buf.length < HEADER_SIZE || buf.toString('latin1', 0, 4) !== MAGIC) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'invalid snapshot');
+  }
+  if (buf[4] !== FORMAT_VERSION) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'unsupported snapshot version ' + buf[4]);
+  }
+  if (buf[5] !== type) {
+    throw new OpusError(OpusError.Code.BAD_ARG,
+        'snapshot is not of an ' + typeNames[type]);
+  }
+  var versionEnd = HEADER_SIZE + buf[20];
+  var stateEnd = versionEnd + buf.readUInt32LE(16);
+  if (stateEnd > buf.length) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'invalid snapshot');
+  }
+  var result = {
+    type: buf[5],
+    channels: buf[6],
+    rate: buf.readUInt32LE(8),
+    application: buf.readInt32LE(12),
+    libopusVersion: buf.toString('latin1', HEADER_SIZE, versionEnd),
+    state: buf.subarray(versionEnd, stateEnd),
+    resampler: stateEnd < buf.length ? parseResampler(buf, stateEnd, buf[6]) : null
+  };
+  // The state contains pointers into the static memory of libopus
+  if (result.libopusVersion !== getLibopusVersion(libopus)) {
+    throw new OpusError(OpusError.Code.INVALID_STATE,
+        'snapshot has been taken with ' + result.libopusVersion);
+  }
+  return result;
+}
+
+// Parses the state of the resampler following the state of the codec
+function parseResampler(buf, offset, channels) {
+  if (offset + RESAMPLER_HEADER_SIZE > buf.length) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'invalid snapshot');
+  }
+  var length = buf.readUInt32LE(offset + 9) * channels;
+  var start = offset + RESAMPLER_HEADER_SIZE;
+  if (start + length * 4 !== buf.length) {
+    throw new OpusError(OpusError.Code.BAD_ARG, 'invalid snapshot');
+  }
+  var samples = new Float32Array(length);
+  for (var i = 0; i < length; i++) {
+    samples[i] = buf.readFloatLE(start + i * 4);
+  }
+  return {
+    quality: buf[offset],
+    position: buf.readUInt32LE(offset + 1),
+    fraction: buf.readUInt32LE(offset + 5),
+    samples: samples
+  };
+}
+
+module.exports = {
+  Type: Type,
+  getLibopusVersion: getLibopusVersion,
+  serialize: serialize,
+  parse: parse
+};
@@ -1,9 +1,232 @@
-var libopus = require('../build/libopus.js').instance;
+var createModule = require('../build/libopus.js');
+var OpusError = require('./opuserror');
 
-function stringifyError(errorId) {
-  return libopus.Pointer_stringify(libopus._opus_strerror(errorId));
+/**
+ * Determines the libopus module to be used by a codec.
+ *
+ * @param {object|function} [libopus] - An emscripten libopus module, a
+ *    factory creating a fresh one (such as the export of build/libopus.js)
+ *    or undefined for the shared default instance
+ * @returns {object} The module
+ */
+function resolveModule(libopus) {
+  if (libopus === undefined || libopus === null) {
+    return createModule.instance;
+  }
+  if (typeof libopus === 'function') {
+    libopus = libopus();
+  }
+  if (!libopus || typeof libopus._malloc !== 'function') {
+    throw new TypeError('libopus must be a libopus module or a factory creating one');
+  }
+  return libopus;
 }
 
+// Memory currently allocated through malloc, by module and pointer
+var allocations = new Map();
+
+/**
+ * Allocates memory on the heap of a libopus module.
+ * The allocation is tracked until it is released with {@link free}.
+ *
+ * @param {object} libopus - The module
+ * @param {number} size - Number of bytes
+ * @param {string} [owner] - Description of what the memory is used for
+ * @returns {number} Pointer to the allocated memory
+ */
+function malloc(libopus, size, owner) {
+  var p = libopus._malloc(size);
+  if (!p) {
+    throw new OpusError(OpusError.Code.ALLOC_FAIL, 'out of memory');
+  }
+  var live = allocations.get(libopus);
+  if (!live) {
+    live = new Map();
+    allocations.set(libopus, live);
+  }
+  live.set(p, { size: size, owner: owner || 'unknown' });
+  return p;
+}
+
+/**
+ * Frees memory allocated with {@link malloc}.
+ *
+ * @param {object} libopus - The module
+ * @param {number} p - Pointer to the memory
+ */
+function free(libopus, p) {
+  var live = allocations.get(libopus);
+  if (live) {
+    live.delete(p);
+    if (live.size === 0) {
+      allocations.delete(libopus);
+    }
+  }
+  libopus._free(p);
+}
+
+/**
+ * Allocates several blocks of memory with {@link malloc}.
+ * If any of the allocations fails, the ones before it are freed again.
+ *
+ * @param {object} libopus - The module
+ * @param {number[]} sizes - Number of bytes of each block
+ * @param {string} [owner] - Description of what the memory is used for
+ * @returns {number[]} Pointers to the allocated memory
+ */
+function mallocAll(libopus, sizes, owner) {
+  var pointers = [];
+  try {
+    sizes.forEach(function(size) {
+      pointers.push(malloc(libopus, size, owner));
+    });
+  } catch (err) {
+    pointers.forEach(function(p) {
+      free(libopus, p);
+    });
+    throw err;
+  }
+  return pointers;
+}
+
+/**
+ * Get all native memory currently allocated by codecs.
+ * Unsafe codecs hold their memory until they are destroyed, everything else
+ * is only allocated for the duration of a single call. This can be used to
+ * detect leaks, e.g. in tests.
+ *
+ * @param {object} [libopus] - Only include allocations in this module
+ * @returns {object[]} Objects with pointer, size (bytes), owner (e.g.
+ *    'Encoder state') and the libopus module
+ */
+function getLiveAllocations(libopus) {
+  var result = [];
+  allocations.forEach(function(live, module) {
+    if (libopus && module !== libopus) {
+      return;
+    }
+    live.forEach(function(info, p) {
+      result.push({ pointer: p, size: info.size, owner: info.owner, libopus: module });
+    });
+  });
+  return result;
+}
+
+// Frees the memory of unsafe codecs which have been garbage collected
+// without being destroyed
+var registry = typeof FinalizationRegistry === 'function' ?
+    new FinalizationRegistry(function(held) {
+      held.pointers.forEach(function(p) {
+        free(held.libopus, p);
+      });
+    }) : null;
+
+/**
+ * Frees native memory once a codec has been garbage collected, unless
+ * {@link unregisterCleanup} has been called before.
+ * Does nothing if FinalizationRegistry is not supported.
+ *
+ * @param {object} codec - The codec
+ * @param {object} libopus - The module the memory belongs to
+ * @param {number[]} pointers - Memory to be freed
+ */
+function registerCleanup(codec, libopus, pointers) {
+  if (registry) {
+    registry.register(codec, { libopus: libopus, pointers: pointers }, codec);
+  }
+}
+
+/**
+ * Cancels the cleanup registered with {@link registerCleanup}.
+ *
+ * @param {object} codec - The codec
+ */
+function unregisterCleanup(codec) {
+  if (registry) {
+    registry.unregister(codec);
+  }
+}
+
+// Sampling rates supported by libopus itself
+var codecRates = [8000, 12000, 16000, 24000, 48000];
+
+/**
+ * Determines the sampling rate libopus should run at for a signal of the
+ * specified rate, i.e. the lowest supported rate which is not lower (or
+ * 48kHz for any higher rate).
+ *
+ * @param {number} rate - Sampling rate of the signal (Hz)
+ * @returns {number} Sampling rate of libopus (Hz)
+ */
+function codecRate(rate) {
+  for (var i = 0; i < codecRates.length; i++) {
+    if (codecRates[i] >= rate) {
+      return codecRates[i];
+    }
+  }
+  return 48000;
+}
+
+/**
+ * Determines whether a sampling rate can be used by codecs, either directly
+ * or with resampling.
+ *
+ * @param {number} rate - Sampling rate (Hz)
+ * @returns {boolean} Whether the rate is an integer between 4 and 384kHz
+ */
+function isValidRate(rate) {
+  return typeof rate === 'number' && Math.floor(rate) === rate &&
+      rate >= 4000 && rate <= 384000;
+}
+
+/**
+ * Performs a CTL request which takes a single integer argument.
+ *
+ * @param {object} libopus - The module the state lives in
+ * @param {function} ctl - Either opus_encoder_ctl or opus_decoder_ctl
+ * @param {number} p_st - Pointer to the encoder/decoder state
+ * @param {number} request - Id of the CTL request
+ * @param {number} value - Argument to be passed
+ */
+function setCtl(libopus, ctl, p_st, request, value) {
+  // Variadic arguments are passed as a pointer to a list of arguments
+  var p_args = malloc(libopus, 4, 'ctl argument');
+  try {
+    libopus.HEAP32[p_args >> 2] = value;
+    var err = ctl(p_st, request, p_args);
+    if (err) {
+      throw new OpusError(err);
+    }
+  } finally {
+    free(libopus, p_args);
+  }
+}
+
+/**
+ * Performs a CTL request which retrieves a single integer.
+ *
+ * @param {object} libopus - The module the state lives in
+ * @param {function} ctl - Either opus_encoder_ctl or opus_decoder_ctl
+ * @param {number} p_st - Pointer to the encoder/decoder state
+ * @param {number} request - Id of the CTL request
+ * @returns {number} The retrieved value
+ */
+function getCtl(libopus, ctl, p_st, request) {
+  var p_res = malloc(libopus, 8, 'ctl result');
+  var pp_res = p_res + 4;
+  try {
+    libopus.HEAPU32[pp_res >> 2] = p_res;
+    var err = ctl(p_st, request, pp_res);
+    if (err) {
+      throw new OpusError(err);
+    }
+    return libopus.HEAP32[p_res >> 2];
+  } finally {
+    free(libopus, p_res);
+  }
+}
+
+// Size of the buffers each codec uses for passing samples and packets.
 // Note that the opus documentation is not consistent with that 120ms
 // that is suggested in the description of opus_decode. In other places
 // such as the overview of the Opus Encoder, 60ms is used as the upper
@@ -13,10 +236,18 @@ var pcm_len = 4 /*Float32*/ * 2 /*channels*/ * 120 /*ms*/ * 48 /*samples/ms*/;
 var data_len = 120 /*ms*/ * 512 /*bits per ms*/;
 
 module.exports = {
-  stringifyError: stringifyError,
+  resolveModule: resolveModule,
+  malloc: malloc,
+  free: free,
+  mallocAll: mallocAll,
+  getLiveAllocations: getLiveAllocations,
+  registerCleanup: registerCleanup,
+  unregisterCleanup: unregisterCleanup,
+  codecRate: codecRate,
+  isValidRate: isValidRate,
+  setCtl: setCtl,
+  getCtl: getCtl,
 
-  p_pcm: libopus._malloc(pcm_len),
   p_pcm_len: pcm_len,
-  p_data: libopus._malloc(data_len),
   p_data_len: data_len
 };
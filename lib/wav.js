@@ -0,0 +1,119 @@
+// Helpers for the RIFF/WAVE file format
+
+/**
+ * Format codes of the fmt chunk.
+ * @readonly
+ * @enum {number}
+ */
+var Format = {
+  PCM: 0x0001,
+  IEEE_FLOAT: 0x0003,
+  EXTENSIBLE: 0xfffe
+};
+
+// Size field of chunks whose size is not known (e.g. streamed files)
+var UNKNOWN_SIZE = 0xffffffff;
+
+/**
+ * Parses the content of a fmt chunk.
+ * For WAVE_FORMAT_EXTENSIBLE, the actual format is taken from the sub format.
+ *
+ * @param {Buffer} buf - Content of the chunk
+ * @returns {object} Object with audioFormat (PCM or IEEE_FLOAT), channels,
+ *    sampleRate, byteRate, blockAlign, bitsPerSample, validBitsPerSample
+ *    and channelMask (0 if not specified)
+ */
+function parseFmt(buf) {
+  if (buf.length < 16) {
+    throw new Error('fmt chunk too short');
+  }
+  var format = {
+    audioFormat: buf.readUInt16LE(0),
+    channels: buf.readUInt16LE(2),
+    sampleRate: buf.readUInt32LE(4),
+    byteRate: buf.readUInt32LE(8),
+    blockAlign: buf.readUInt16LE(12),
+    bitsPerSample: buf.readUInt16LE(14),
+    validBitsPerSample: 0,
+    channelMask: 0
+  };
+  format.validBitsPerSample = format.bitsPerSample;
+  if (format.audioFormat === Format.EXTENSIBLE) {
+    if (buf.length < 40 || buf.readUInt16LE(16) < 22) {
+      throw new Error('fmt chunk too short for WAVE_FORMAT_EXTENSIBLE');
+    }
+    format.validBitsPerSample = buf.readUInt16LE(18) || format.bitsPerSample;
+    format.channelMask = buf.readUInt32LE(20);
+    // The first two bytes of the sub format GUID are the actual format code
+    format.audioFormat = buf.readUInt16LE(24);
+  }
+
+  if (format.audioFormat !== Format.PCM && format.audioFormat !== Format.IEEE_FLOAT) {
+    throw new Error('unsupported WAVE format 0x' + format.audioFormat.toString(16));
+  }
+  if (format.channels < 1) {
+    throw new Error('invalid number of channels');
+  }
+  var bits = format.bitsPerSample;
+  if (format.audioFormat === Format.PCM ?
+      [8, 16, 24, 32].indexOf(bits) === -1 : [32, 64].indexOf(bits) === -1) {
+    throw new Error('unsupported sample size of ' + bits + ' bits');
+  }
+  if (format.blockAlign !== format.channels * bits / 8) {
+    throw new Error('invalid block align');
+  }
+  return format;
+}
+
+/**
+ * Creates the header of a WAVE file, i.e. everything up to the start of the
+ * samples in the data chunk.
+ * Float samples are written with a fact chunk as required for non-PCM
+ * formats.
+ *
+ * @param {object} format - Object with audioFormat (PCM or IEEE_FLOAT),
+ *    channels, sampleRate and bitsPerSample
+ * @param {number} [dataLength] - Size of the samples in bytes, unknown if
+ *    omitted
+ * @returns {Buffer} The header
+ */
+function writeHeader(format, dataLength) {
+  var isFloat = format.audioFormat === Format.IEEE_FLOAT;
+  var blockAlign = format.channels * format.bitsPerSample / 8;
+  var fmtSize = isFloat ? 18 : 16;
+  var factSize = isFloat ? 12 : 0;
+  var size = 12 + 8 + fmtSize + factSize + 8;
+  var known = dataLength !== undefined && size - 8 + dataLength <= UNKNOWN_SIZE;
+
+  var buf = Buffer.alloc(size);
+  buf.write('RIFF', 0, 'ascii');
+  buf.writeUInt32LE(known ? size - 8 + dataLength : UNKNOWN_SIZE, 4);
+  buf.write('WAVE', 8, 'ascii');
+  buf.write('fmt ', 12, 'ascii');
+  buf.writeUInt32LE(fmtSize, 16);
+  buf.writeUInt16LE(format.audioFormat, 20);
+  buf.writeUInt16LE(format.channels, 22);
+  buf.writeUInt32LE(format.sampleRate, 24);
+  buf.writeUInt32LE(format.sampleRate * blockAlign, 28);
+  buf.writeUInt16LE(blockAlign, 32);
+  buf.writeUInt16LE(format.bitsPerSample, 34);
+  var offset = 36;
+  if (isFloat) {
+    buf.writeUInt16LE(0, offset); // cbSize
+    buf.write('fact', offset + 2, 'ascii');
+    buf.writeUInt32LE(4, offset + 6);
+    buf.writeUInt32LE(known ? Math.floor(dataLength / blockAlign) : UNKNOWN_SIZE,
+        offset + 10);
+    offset += 14;
+  }
+  buf.write('data', offset, 'ascii');
+  buf.writeUInt32LE(known ? dataLength : UNKNOWN_SIZE, offset + 4);
+  return buf;
+}
+
+module.exports = {
+  Format: Format,
+  UNKNOWN_SIZE: UNKNOWN_SIZE,
+  parseFmt: parseFmt,
+  writeHeader: writeHeader
+};
@@ -0,0 +1,229 @@
+var util = require('util');
+var extend = require('extend');
+var Transform = require('stream').Transform;
+var wav = require('./wav');
+
+var Format = wav.Format;
+
+/**
+ * Reads samples from a WAVE file.
+ * The input is the raw content of a .wav file. Supported are 8, 16, 24 and
+ * 32 bit integer samples as well as 32 and 64 bit float samples, in plain and
+ * WAVE_FORMAT_EXTENSIBLE files. Chunks other than fmt and data are skipped,
+ * wherever they are located.
+ * <br>
+ * The samples are converted to either Int16 or Float32 and emitted as
+ * Buffers of complete (interleaved) samples, which can be written to an
+ * {@link EncoderStream} of the same mode.
+ * Before any samples, a 'format' event is emitted with the format of the
+ * file as argument, see {@link WavReader#format}.
+ *
+ * @param {object} [opts={}] - Options for the reader
+ * @param {('Float32'|'Int16')} [opts.mode] - Type of sample output, Int16
+ *    for integer samples of up to 16 bits and Float32 otherwise by default
+ * @constructor
+ */
+function WavReader(opts) {
+  // Allow use without new
+  if (!(this instanceof WavReader)) return new WavReader(opts);
+
+  Transform.call(this, {});
+
+  opts = extend({
+    mode: null
+  }, opts);
+  if (opts.mode !== null && opts.mode !== 'Int16' && opts.mode !== 'Float32') {
+    throw new TypeError('mode cannot be ' + opts.mode);
+  }
+
+  this._mode = opts.mode;
+  this._buffer = Buffer.alloc(0);
+  this._riffSize = null;
+  // Number of bytes still to be skipped (rest of an unknown chunk)
+  this._skip = 0;
+  // Remaining bytes of the data chunk (Infinity if unknown), null if not
+  // inside the data chunk
+  this._dataRemaining = null;
+  this._dataPadding = 0;
+  this._hasData = false;
+
+  /**
+   * @member {object} - Format of the file once the fmt chunk has been read,
+   *    object with audioFormat ({@link WavReader.Format}), channels,
+   *    sampleRate, byteRate, blockAlign, bitsPerSample, validBitsPerSample,
+   *    channelMask and mode (of the output samples)
+   */
+  this.format = null;
+}
+util.inherits(WavReader, Transform);
+
+WavReader.prototype._transform = function(chunk, encoding, callback) {
+  this._buffer = Buffer.concat([this._buffer, chunk]);
+  try {
+    while (this._readNext()) {
+      // Keep going
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+WavReader.prototype._flush = function(callback) {
+  if (!this._hasData) {
+    return callback(new Error('stream ended before the data chunk'));
+  }
+  // Truncated files are accepted, anything but complete samples is dropped
+  callback();
+};
+
+/**
+ * Reads the next part of the file from the buffer.
+ *
+ * @returns {boolean} Whether anything has been read
+ */
+WavReader.prototype._readNext = function() {
+  var buf = this._buffer;
+  if (this._skip > 0) {
+    var skipped = Math.min(this._skip, buf.length);
+    this._skip -= skipped;
+    this._buffer = buf.slice(skipped);
+    return skipped > 0;
+  }
+  if (this._riffSize === null) {
+    return this._readRiffHeader();
+  }
+  if (this._dataRemaining !== null) {
+    return this._readSamples();
+  }
+
+  if (buf.length < 8) return false;
+  var id = buf.toString('latin1', 0, 4);
+  var size = buf.readUInt32LE(4);
+  if (id === 'data') {
+    if (!this.format) {
+      throw new Error('data chunk before fmt chunk');
+    }
+    this._buffer = buf.slice(8);
+    // Streamed files do not know the size of their data chunk in advance
+    var unknown = size === wav.UNKNOWN_SIZE || (size === 0 &&
+        (this._riffSize === 0 || this._riffSize === wav.UNKNOWN_SIZE));
+    this._dataRemaining = unknown ? Infinity : size;
+    this._dataPadding = size & 1;
+    this._hasData = true;
+    return true;
+  }
+  if (id === 'fmt ' && !this.format) {
+    if (buf.length < 8 + size) return false;
+    this._onFormat(wav.parseFmt(buf.slice(8, 8 + size)));
+    this._buffer = buf.slice(8 + size);
+    this._skip = size & 1;
+    return true;
+  }
+  // Chunks are padded to an even size
+  this._buffer = buf.slice(8);
+  this._skip = size + (size & 1);
+  return true;
+};
+
+WavReader.prototype._readRiffHeader = function() {
+  var buf = this._buffer;
+  if (buf.length < 12) return false;
+  var id = buf.toString('latin1', 0, 4);
+  if (id === 'RIFX') {
+    throw new Error('big-endian WAVE files are not supported');
+  }
+  if (id !== 'RIFF' || buf.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new Error('not a WAVE file');
+  }
+  this._riffSize = buf.readUInt32LE(4);
+  this._buffer = buf.slice(12);
+  return true;
+};
+
+WavReader.prototype._onFormat = function(format) {
+  var isFloat = format.audioFormat === Format.IEEE_FLOAT;
+  format.mode = this._mode ||
+      (isFloat || format.bitsPerSample > 16 ? 'Float32' : 'Int16');
+  this._convert = createConverter(format, format.mode);
+  this.format = format;
+  this.emit('format', format);
+};
+
+WavReader.prototype._readSamples = function() {
+  var buf = this._buffer;
+  var blockAlign = this.format.blockAlign;
+  var available = Math.min(buf.length, this._dataRemaining);
+  var length = available - available % blockAlign;
+  if (length > 0) {
+    var array = this._convert(buf.slice(0, length));
+    this.push(Buffer.from(array.buffer, array.byteOffset, array.byteLength));
+    this._buffer = buf.slice(length);
+    this._dataRemaining -= length;
+  }
+  if (this._dataRemaining < blockAlign) {
+    // Discard an incomplete sample at the end and continue with the next chunk
+    this._skip = this._dataRemaining + this._dataPadding;
+    this._dataRemaining = null;
+    return true;
+  }
+  return length > 0;
+};
+
+/**
+ * Creates a function converting raw samples to the output type.
+ *
+ * @param {object} format - Format of the file
+ * @param {('Float32'|'Int16')} mode - Type of sample output
+ * @returns {function} Function taking a Buffer of complete samples and
+ *    returning an Int16Array or Float32Array
+ */
+function createConverter(format, mode) {
+  var bytes = format.bitsPerSample / 8;
+  var read;
+  if (format.audioFormat === Format.IEEE_FLOAT) {
+    read = bytes === 4 ? function(buf, offset) {
+      return buf.readFloatLE(offset);
+    } : function(buf, offset) {
+      return buf.readDoubleLE(offset);
+    };
+  } else {
+    // Integer samples are scaled to [-1, 1)
+    var scale = Math.pow(2, format.bitsPerSample - 1);
+    read = bytes === 1 ? function(buf, offset) {
+      return (buf[offset] - 128) / scale;
+    } : function(buf, offset) {
+      return buf.readIntLE(offset, bytes) / scale;
+    };
+  }
+
+  if (mode === 'Float32') {
+    return function(buf) {
+      var result = new Float32Array(buf.length / bytes);
+      for (var i = 0; i < result.length; i++) {
+        result[i] = read(buf, i * bytes);
+      }
+      return result;
+    };
+  }
+  if (format.audioFormat === Format.PCM && bytes === 2) {
+    return function(buf) {
+      var result = new Int16Array(buf.length / 2);
+      for (var i = 0; i < result.length; i++) {
+        result[i] = buf.readInt16LE(i * 2);
+      }
+      return result;
+    };
+  }
+  return function(buf) {
+    var result = new Int16Array(buf.length / bytes);
+    for (var i = 0; i < result.length; i++) {
+      var value = Math.round(read(buf, i * bytes) * 32768);
+      result[i] = Math.max(-32768, Math.min(32767, value));
+    }
+    return result;
+  };
+}
+
+WavReader.Format = Format;
+module.exports = WavReader;
@@ -0,0 +1,171 @@
+var util = require('util');
+var extend = require('extend');
+var Transform = require('stream').Transform;
+var wav = require('./wav');
+
+var Format = wav.Format;
+
+// Sample formats WAVE files can hold (8 bit samples are unsigned)
+var sampleFormats = {
+  Uint8: { audioFormat: Format.PCM, bitsPerSample: 8 },
+  Int16: { audioFormat: Format.PCM, bitsPerSample: 16 },
+  Int24: { audioFormat: Format.PCM, bitsPerSample: 24 },
+  Int32: { audioFormat: Format.PCM, bitsPerSample: 32 },
+  Float32: { audioFormat: Format.IEEE_FLOAT, bitsPerSample: 32 },
+  Float64: { audioFormat: Format.IEEE_FLOAT, bitsPerSample: 64 }
+};
+
+/**
+ * Writes samples into a WAVE file.
+ * Every chunk written to this stream has to contain (interleaved) samples of
+ * a format WAVE files can hold, such as those emitted by
+ * {@link DecoderStream}. Int24 samples are packed into three bytes. The output
+ * is the raw content of a .wav file, starting with a header.
+ * <br>
+ * Since the size of the file is not known in advance, the header initially
+ * marks the size as unknown. Once the stream has ended, the final header
+ * (of the same length) is emitted as 'header' event and available as the
+ * header property of the stream. It can be written over the start of the
+ * output, which {@link #toFile} does automatically.
+ * <br>
+ * When a {@link DecoderStream} is piped into this writer, its sampling rate,
+ * number of channels and mode are used unless specified otherwise.
+ *
+ * @param {object} [opts={}] - Options for the writer
+ * @param {Decoder} [opts.decoder] - Decoder producing the samples, used to
+ *    determine the defaults for channels and sampleRate
+ * @param {number} [opts.channels=1] - Number of channels
+ * @param {number} [opts.sampleRate=48000] - Sampling rate (Hz)
+ * @param {('Uint8'|'Int16'|'Int24'|'Int32'|'Float32'|'Float64')} [opts.mode='Int16'] -
+ *    Type of sample input
+ * @constructor
+ */
+function WavWriter(opts) {
+  // Allow use without new
+  if (!(this instanceof WavWriter)) return new WavWriter(opts);
+
+  Transform.call(this, {});
+
+  opts = extend({}, opts);
+  if (opts.decoder) {
+    opts = extend({
+      channels: opts.decoder._channels,
+      sampleRate: opts.decoder._rate
+    }, opts);
+  }
+  if (opts.mode !== undefined && !sampleFormats.hasOwnProperty(opts.mode)) {
+    throw new TypeError('mode cannot be ' + opts.mode);
+  }
+  delete opts.decoder;
+
+  this._opts = opts;
+  this._source = {};
+  this._format = null;
+  this._dataLength = 0;
+
+  /** @member {Buffer} - Final header, once the stream has ended */
+  this.header = null;
+
+  // Use the format of a DecoderStream
+  var self = this;
+  this.on('pipe', function(src) {
+    if (src._decoder && src._format) {
+      self._source = {
+        channels: src._decoder._channels,
+        sampleRate: src._decoder._rate,
+        mode: src._format
+      };
+    }
+  });
+}
+util.inherits(WavWriter, Transform);
+
+/**
+ * Determines the format and writes the initial header.
+ */
+WavWriter.prototype._writeHeader = function() {
+  var opts = extend({
+    channels: 1,
+    sampleRate: 48000,
+    mode: 'Int16'
+  }, this._source, this._opts);
+  if (!(opts.channels >= 1 && opts.channels <= 0xffff)) {
+    throw new RangeError('channels must be between 1 and 65535');
+  }
+  if (!(opts.sampleRate >= 1 && opts.sampleRate <= 0xffffffff)) {
+    throw new RangeError('sampleRate must be positive');
+  }
+  var sampleFormat = sampleFormats[opts.mode];
+  if (!sampleFormat) {
+    throw new TypeError('WAVE files cannot hold ' + opts.mode + ' samples');
+  }
+  this._format = {
+    audioFormat: sampleFormat.audioFormat,
+    channels: opts.channels,
+    sampleRate: opts.sampleRate,
+    bitsPerSample: sampleFormat.bitsPerSample
+  };
+  this.push(wav.writeHeader(this._format));
+};
+
+WavWriter.prototype._transform = function(chunk, encoding, callback) {
+  try {
+    if (!this._format) {
+      this._writeHeader();
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  this._dataLength += chunk.length;
+  callback(null, chunk);
+};
+
+WavWriter.prototype._flush = function(callback) {
+  try {
+    if (!this._format) {
+      this._writeHeader();
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  if (this._dataLength % 2 !== 0) {
+    // Chunks are padded to an even size, the sizes in the header do not
+    // include the pad byte though
+    this.push(Buffer.alloc(1));
+  }
+  this.header = wav.writeHeader(this._format, this._dataLength);
+  this.emit('header', this.header);
+  callback();
+};
+
+/**
+ * Writes the output of this stream to a file and replaces the header with
+ * the final one once the stream has ended (node only).
+ *
+ * @param {string} path - Path of the file
+ * @returns {Promise} Resolved once the file is complete
+ */
+WavWriter.prototype.toFile = function(path) {
+  var fs = require('fs');
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    var file = fs.createWriteStream(path);
+    self.on('error', reject);
+    file.on('error', reject);
+    file.on('finish', function() {
+      fs.open(path, 'r+', function(err, fd) {
+        if (err) return reject(err);
+        fs.write(fd, self.header, 0, self.header.length, 0, function(err) {
+          fs.close(fd, function(closeErr) {
+            if (err || closeErr) return reject(err || closeErr);
+            resolve();
+          });
+        });
+      });
+    });
+    self.pipe(file);
+  });
+};
+
+WavWriter.Format = Format;
+module.exports = WavWriter;
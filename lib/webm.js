@@ -0,0 +1,312 @@
+// Helpers for the EBML based WebM/Matroska container format
+
+/**
+ * IDs of the elements used by WebM files containing Opus audio.
+ * @readonly
+ * @enum {number}
+ */
+var ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Void: 0xec,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  CodecDelay: 0x56aa,
+  SeekPreRoll: 0x56bb,
+  Audio: 0xe1,
+  SamplingFrequency: 0xb5,
+  Channels: 0x9f,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  BlockDuration: 0x9b,
+  DiscardPadding: 0x75a2,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1
+};
+
+// Size of elements whose size is not known (e.g. live streams), as 8 byte
+// variable size integer
+var UNKNOWN_SIZE = Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+
+// Track type of audio tracks
+var TRACK_TYPE_AUDIO = 2;
+
+/**
+ * Reads a variable size integer.
+ *
+ * @param {Buffer} buf - Input data
+ * @param {number} offset - Offset of the integer
+ * @param {boolean} [keepMarker=false] - Whether to keep the length marker,
+ *    as is the case for element IDs
+ * @returns {object|null} Object with value (-1 if all value bits are set,
+ *    i.e. an unknown size) and length in bytes, null if buf ends before the
+ *    end of the integer
+ */
+function readVint(buf, offset, keepMarker) {
+  if (offset >= buf.length) return null;
+  var first = buf[offset];
+  var length = 1;
+  while (length <= 8 && !(first & (0x100 >> length))) {
+    length++;
+  }
+  if (length > 8) {
+    throw new Error('invalid variable size integer');
+  }
+  if (offset + length > buf.length) return null;
+  var value = keepMarker ? first : first & (0xff >> length);
+  var allOnes = value === 0xff >> length;
+  for (var i = 1; i < length; i++) {
+    value = value * 256 + buf[offset + i];
+    allOnes = allOnes && buf[offset + i] === 0xff;
+  }
+  return { value: allOnes && !keepMarker ? -1 : value, length: length };
+}
+
+/**
+ * Reads the header of an element.
+ *
+ * @param {Buffer} buf - Input data
+ * @param {number} offset - Offset of the element
+ * @returns {object|null} Object with id, size (-1 if unknown) and
+ *    headerLength, null if buf ends before the end of the header
+ */
+function readHeader(buf, offset) {
+  var id = readVint(buf, offset, true);
+  if (!id) return null;
+  if (id.length > 4) {
+    throw new Error('invalid element id');
+  }
+  var size = readVint(buf, offset + id.length);
+  if (!size) return null;
+  return { id: id.value, size: size.value, headerLength: id.length + size.length };
+}
+
+/**
+ * Parses the content of a master element into its children.
+ *
+ * @param {Buffer} buf - Content of the element
+ * @returns {object[]} Objects with id and data of each child
+ */
+function readChildren(buf) {
+  var children = [];
+  var offset = 0;
+  while (offset < buf.length) {
+    var header = readHeader(buf, offset);
+    if (!header || header.size === -1 ||
+        offset + header.headerLength + header.size > buf.length) {
+      throw new Error('invalid element');
+    }
+    var start = offset + header.headerLength;
+    children.push({ id: header.id, data: buf.slice(start, start + header.size) });
+    offset = start + header.size;
+  }
+  return children;
+}
+
+/**
+ * Reads an unsigned integer element.
+ *
+ * @param {Buffer} data - Content of the element
+ * @returns {number}
+ */
+function readUint(data) {
+  var value = 0;
+  for (var i = 0; i < data.length; i++) {
+    value = value * 256 + data[i];
+  }
+  return value;
+}
+
+/**
+ * Reads a signed integer element.
+ *
+ * @param {Buffer} data - Content of the element
+ * @returns {number}
+ */
+function readInt(data) {
+  if (data.length === 0) return 0;
+  var value = readUint(data);
+  if (data[0] & 0x80) {
+    value -= Math.pow(2, data.length * 8);
+  }
+  return value;
+}
+
+/**
+ * Reads a float element.
+ *
+ * @param {Buffer} data - Content of the element
+ * @returns {number}
+ */
+function readFloat(data) {
+  if (data.length === 0) return 0;
+  if (data.length === 4) return data.readFloatBE(0);
+  if (data.length === 8) return data.readDoubleBE(0);
+  throw new Error('invalid float element');
+}
+
+/**
+ * Encodes a number as variable size integer.
+ *
+ * @param {number} value - The number
+ * @param {number} [length] - Length in bytes, as short as possible if omitted
+ * @returns {Buffer}
+ */
+function writeVint(value, length) {
+  if (!length) {
+    // All value bits set is reserved for unknown sizes
+    length = 1;
+    while (value >= Math.pow(2, 7 * length) - 1) {
+      length++;
+    }
+  }
+  if (length > 8 || value >= Math.pow(2, 7 * length) - 1) {
+    throw new RangeError('value too large for a variable size integer');
+  }
+  var buf = Buffer.alloc(length);
+  for (var i = length - 1; i >= 0; i--) {
+    buf[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  buf[0] |= 0x100 >> length;
+  return buf;
+}
+
+/**
+ * Encodes an element ID.
+ *
+ * @param {number} id - The ID (including the length marker)
+ * @returns {Buffer}
+ */
+function writeId(id) {
+  var length = id > 0xffffff ? 4 : id > 0xffff ? 3 : id > 0xff ? 2 : 1;
+  var buf = Buffer.alloc(length);
+  buf.writeUIntBE(id, 0, length);
+  return buf;
+}
+
+/**
+ * Creates an element.
+ *
+ * @param {number} id - ID of the element
+ * @param {Buffer|Buffer[]} data - Content of the element
+ * @param {number} [sizeLength] - Length of the size field, as short as
+ *    possible if omitted
+ * @returns {Buffer}
+ */
+function element(id, data, sizeLength) {
+  data = Buffer.isBuffer(data) ? data : Buffer.concat(data);
+  return Buffer.concat([writeId(id), writeVint(data.length, sizeLength), data]);
+}
+
+/**
+ * Creates an unsigned integer element.
+ *
+ * @param {number} id - ID of the element
+ * @param {number} value - The integer
+ * @param {number} [length] - Length of the content, as short as possible if
+ *    omitted
+ * @returns {Buffer}
+ */
+function uintElement(id, value, length) {
+  if (!length) {
+    length = 1;
+    while (value >= Math.pow(2, 8 * length)) {
+      length++;
+    }
+  }
+  var data = Buffer.alloc(length);
+  for (var i = length - 1; i >= 0; i--) {
+    data[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  return element(id, data);
+}
+
+/**
+ * Creates a signed integer element.
+ *
+ * @param {number} id - ID of the element
+ * @param {number} value - The integer (at most 6 bytes)
+ * @returns {Buffer}
+ */
+function intElement(id, value) {
+  var length = 1;
+  while (value >= Math.pow(2, 8 * length - 1) || value < -Math.pow(2, 8 * length - 1)) {
+    length++;
+  }
+  var data = Buffer.alloc(length);
+  data.writeIntBE(value, 0, length);
+  return element(id, data);
+}
+
+/**
+ * Creates an 8 byte float element.
+ *
+ * @param {number} id - ID of the element
+ * @param {number} value - The number
+ * @returns {Buffer}
+ */
+function floatElement(id, value) {
+  var data = Buffer.alloc(8);
+  data.writeDoubleBE(value, 0);
+  return element(id, data);
+}
+
+/**
+ * Creates a string element.
+ *
+ * @param {number} id - ID of the element
+ * @param {string} value - The string
+ * @returns {Buffer}
+ */
+function stringElement(id, value) {
+  return element(id, Buffer.from(value, 'utf8'));
+}
+
+module.exports = {
+  ID: ID,
+  UNKNOWN_SIZE: UNKNOWN_SIZE,
+  TRACK_TYPE_AUDIO: TRACK_TYPE_AUDIO,
+  readVint: readVint,
+  readHeader: readHeader,
+  readChildren: readChildren,
+  readUint: readUint,
+  readInt: readInt,
+  readFloat: readFloat,
+  writeVint: writeVint,
+  writeId: writeId,
+  element: element,
+  uintElement: uintElement,
+  intElement: intElement,
+  floatElement: floatElement,
+  stringElement: stringElement
+};
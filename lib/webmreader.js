@@ -0,0 +1,306 @@
+var util = require('util');
+var Transform = require('stream').Transform;
+var OggOpusReader = require('./oggreader');
+var Packet = require('./packet');
+var webm = require('./webm');
+
+var ID = webm.ID;
+
+/**
+ * Reads Opus packets from a WebM (or Matroska) file, such as those recorded
+ * by the MediaRecorder of browsers.
+ * The input is the raw content of a .webm file. Every chunk emitted by this
+ * stream is exactly one Opus packet of the first Opus track which can be
+ * passed to {@link Decoder}. All other tracks are ignored. Files of unknown
+ * size (live streams) are supported as well.
+ * <br>
+ * The following events are emitted in addition to the usual stream events:
+ * <ul>
+ * <li>'head' with the OpusHead header of the CodecPrivate element as
+ *     argument, see {@link OggOpusReader.parseHead}. Its pre-skip is taken
+ *     from the CodecDelay element if present.</li>
+ * <li>'track' with an object containing number, codecDelay and seekPreRoll
+ *     (both in nanoseconds), channels and samplingFrequency of the track</li>
+ * <li>'duration' with the total number of samples (at 48kHz, excluding
+ *     pre-skip) as argument, if the last block specifies how many samples
+ *     should be discarded at its end</li>
+ * </ul>
+ * All of these are emitted before any packets they apply to.
+ * When piped into a {@link DecoderStream}, pre-skip, output gain and end
+ * trimming are applied automatically.
+ *
+ * @constructor
+ */
+function WebmOpusReader() {
+  // Allow use without new
+  if (!(this instanceof WebmOpusReader)) return new WebmOpusReader();
+
+  Transform.call(this, { readableObjectMode: true });
+
+  this._buffer = Buffer.alloc(0);
+  // Number of bytes still to be skipped (rest of an ignored element)
+  this._skip = 0;
+  this._docTypeRead = false;
+  // Total duration of the packets emitted so far (48kHz)
+  this._samples = 0;
+
+  this.head = null;
+  this.track = null;
+}
+util.inherits(WebmOpusReader, Transform);
+
+WebmOpusReader.prototype._transform = function(chunk, encoding, callback) {
+  this._buffer = Buffer.concat([this._buffer, chunk]);
+  try {
+    while (this._readNext()) {
+      // Keep going
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+WebmOpusReader.prototype._flush = function(callback) {
+  if (!this.head) {
+    return callback(new Error('stream ended before the Opus track header'));
+  }
+  // Truncated files are accepted, any incomplete element is dropped
+  callback();
+};
+
+/**
+ * Reads the next element from the buffer.
+ *
+ * @returns {boolean} Whether anything has been read
+ */
+WebmOpusReader.prototype._readNext = function() {
+  var buf = this._buffer;
+  if (this._skip > 0) {
+    var skipped = Math.min(this._skip, buf.length);
+    this._skip -= skipped;
+    this._buffer = buf.slice(skipped);
+    return skipped > 0;
+  }
+
+  var header = webm.readHeader(buf, 0);
+  if (!header) return false;
+  if (!this._docTypeRead && header.id !== ID.EBML) {
+    throw new Error('not a WebM file');
+  }
+  switch (header.id) {
+  case ID.Segment:
+  case ID.Cluster:
+    // Only the children of these are of interest, which works for elements
+    // of unknown size as well
+    this._buffer = buf.slice(header.headerLength);
+    return true;
+  case ID.EBML:
+  case ID.Tracks:
+  case ID.SimpleBlock:
+  case ID.BlockGroup:
+    if (header.size === -1) {
+      throw new Error('invalid element of unknown size');
+    }
+    var end = header.headerLength + header.size;
+    if (buf.length < end) return false;
+    this._buffer = buf.slice(end);
+    this._handleElement(header.id, buf.slice(header.headerLength, end));
+    return true;
+  default:
+    if (header.size === -1) {
+      throw new Error('unsupported element of unknown size');
+    }
+    this._buffer = buf.slice(header.headerLength);
+    this._skip = header.size;
+    return true;
+  }
+};
+
+/**
+ * Handles a complete element.
+ *
+ * @param {number} id - ID of the element
+ * @param {Buffer} data - Content of the element
+ */
+WebmOpusReader.prototype._handleElement = function(id, data) {
+  var children;
+  if (id === ID.EBML) {
+    children = webm.readChildren(data);
+    var docType = findChild(children, ID.DocType);
+    docType = docType ? docType.toString('ascii').replace(/\0+$/, '') : 'matroska';
+    if (docType !== 'webm' && docType !== 'matroska') {
+      throw new Error('unsupported document type ' + docType);
+    }
+    this._docTypeRead = true;
+  } else if (id === ID.Tracks) {
+    this._handleTracks(webm.readChildren(data));
+  } else if (id === ID.SimpleBlock) {
+    this._handleBlock(data, 0);
+  } else {
+    children = webm.readChildren(data);
+    var block = findChild(children, ID.Block);
+    var discardPadding = findChild(children, ID.DiscardPadding);
+    if (block) {
+      this._handleBlock(block, discardPadding ? webm.readInt(discardPadding) : 0);
+    }
+  }
+};
+
+function findChild(children, id) {
+  for (var i = 0; i < children.length; i++) {
+    if (children[i].id === id) {
+      return children[i].data;
+    }
+  }
+  return null;
+}
+
+WebmOpusReader.prototype._handleTracks = function(entries) {
+  if (this.track) {
+    // Only the first Tracks element counts
+    return;
+  }
+  for (var i = 0; i < entries.length; i++) {
+    if (entries[i].id !== ID.TrackEntry) continue;
+    var children = webm.readChildren(entries[i].data);
+    var codecId = findChild(children, ID.CodecID);
+    if (!codecId || codecId.toString('ascii').replace(/\0+$/, '') !== 'A_OPUS') continue;
+
+    var codecPrivate = findChild(children, ID.CodecPrivate);
+    if (!codecPrivate) {
+      throw new Error('Opus track is missing its OpusHead header');
+    }
+    var head = OggOpusReader.parseHead(codecPrivate);
+    var audio = webm.readChildren(findChild(children, ID.Audio) || Buffer.alloc(0));
+    var number = findChild(children, ID.TrackNumber);
+    var codecDelay = findChild(children, ID.CodecDelay);
+    var seekPreRoll = findChild(children, ID.SeekPreRoll);
+    var channels = findChild(audio, ID.Channels);
+    var samplingFrequency = findChild(audio, ID.SamplingFrequency);
+    this.track = {
+      number: number ? webm.readUint(number) : 1,
+      codecDelay: codecDelay ? webm.readUint(codecDelay) : 0,
+      seekPreRoll: seekPreRoll ? webm.readUint(seekPreRoll) : 0,
+      channels: channels ? webm.readUint(channels) : head.channels,
+      samplingFrequency: samplingFrequency ? webm.readFloat(samplingFrequency) : 8000
+    };
+    if (codecDelay) {
+      head.preSkip = Math.round(this.track.codecDelay * 48000 / 1e9);
+    }
+    this.head = head;
+    this.emit('track', this.track);
+    this.emit('head', head);
+    return;
+  }
+  throw new Error('no Opus track found');
+};
+
+/**
+ * Emits the packets of a block.
+ *
+ * @param {Buffer} data - Content of the (simple) block
+ * @param {number} discardPadding - Duration to be discarded at the end of
+ *    the block (ns)
+ */
+WebmOpusReader.prototype._handleBlock = function(data, discardPadding) {
+  var track = webm.readVint(data, 0);
+  if (!track || data.length < track.length + 3) {
+    throw new Error('invalid block');
+  }
+  if (!this.track) {
+    throw new Error('block before the track header');
+  }
+  if (track.value !== this.track.number) {
+    return;
+  }
+  var frames = readLacing(data, track.length + 3, data[track.length + 2]);
+  if (discardPadding > 0) {
+    var duration = this._samples;
+    frames.forEach(function(frame) {
+      duration += packetDuration(frame, this.head);
+    }, this);
+    duration -= Math.round(discardPadding * 48000 / 1e9);
+    this.emit('duration', Math.max(0, duration - this.head.preSkip));
+  }
+  frames.forEach(function(frame) {
+    this._samples += packetDuration(frame, this.head);
+    this.push(frame);
+  }, this);
+};
+
+function packetDuration(frame, head) {
+  try {
+    return new Packet(frame, head.mappingFamily !== 0 && head.streamCount > 1).duration;
+  } catch (err) {
+    // Invalid packets are left to the decoder
+    return 0;
+  }
+}
+
+/**
+ * Splits the data of a block into its frames.
+ *
+ * @param {Buffer} data - Content of the block
+ * @param {number} offset - Offset of the frame data (or lacing header)
+ * @param {number} flags - Flags of the block
+ * @returns {Buffer[]} The frames
+ */
+function readLacing(data, offset, flags) {
+  var lacing = (flags >> 1) & 3;
+  if (lacing === 0) {
+    return [data.slice(offset)];
+  }
+  if (offset >= data.length) {
+    throw new Error('invalid block');
+  }
+  var count = data[offset++] + 1;
+  var sizes = [];
+  var i;
+  if (lacing === 1) {
+    // Xiph lacing
+    for (i = 0; i < count - 1; i++) {
+      var size = 0;
+      var value;
+      do {
+        if (offset >= data.length) throw new Error('invalid block');
+        value = data[offset++];
+        size += value;
+      } while (value === 255);
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    // EBML lacing, sizes after the first are signed differences
+    var first = webm.readVint(data, offset);
+    if (!first) throw new Error('invalid block');
+    offset += first.length;
+    sizes.push(first.value);
+    for (i = 1; i < count - 1; i++) {
+      var diff = webm.readVint(data, offset);
+      if (!diff) throw new Error('invalid block');
+      offset += diff.length;
+      sizes.push(sizes[i - 1] + diff.value - (Math.pow(2, 7 * diff.length - 1) - 1));
+    }
+  }
+  var remaining = data.length - offset;
+  if (lacing === 2) {
+    // Fixed size lacing
+    if (remaining % count !== 0) throw new Error('invalid block');
+    for (i = 0; i < count - 1; i++) {
+      sizes.push(remaining / count);
+    }
+  }
+  var total = sizes.reduce(function(a, b) { return a + b; }, 0);
+  if (total > remaining || sizes.some(function(size) { return size < 0; })) {
+    throw new Error('invalid block');
+  }
+  sizes.push(remaining - total);
+
+  return sizes.map(function(size) {
+    var frame = data.slice(offset, offset + size);
+    offset += size;
+    return frame;
+  });
+}
+
+module.exports = WebmOpusReader;
@@ -0,0 +1,363 @@
+var util = require('util');
+var extend = require('extend');
+var Transform = require('stream').Transform;
+var OggOpusWriter = require('./oggwriter');
+var WavWriter = require('./wavwriter');
+var Packet = require('./packet');
+var multistream = require('./multistream');
+var webm = require('./webm');
+
+var ID = webm.ID;
+
+// Number of the only track
+var TRACK_NUMBER = 1;
+// Timestamps are in milliseconds
+var TIMECODE_SCALE = 1000000;
+
+/**
+ * Writes Opus packets into a WebM file, which can be played by browsers.
+ * Every chunk written to this stream has to be exactly one Opus packet, such
+ * as those emitted by {@link EncoderStream}. The output is the raw content of
+ * a .webm file.
+ * <br>
+ * By default, the output is meant to be stored as a file: Clusters are
+ * written once complete and are followed by Cues for seeking at the end.
+ * Since sizes, duration and the position of the Cues are not known in
+ * advance, the header initially leaves them out. Once the stream has ended,
+ * the final header (of the same length) is emitted as 'header' event and
+ * available as the header property of the stream. It can be written over the
+ * start of the output, which {@link #toFile} does automatically.
+ * <br>
+ * In live mode, the Segment and all Clusters are of unknown size and every
+ * packet is written as soon as the next one is available (the last packet is
+ * held back for end trimming), without any Cues. Such output can be played
+ * while it is being written, e.g. when sent to a browser via Media Source
+ * Extensions.
+ *
+ * @param {object} [opts={}] - Options for the writer
+ * @param {Encoder|MultistreamEncoder} [opts.encoder] - Encoder producing the
+ *    packets.<br>
+ *    Used to determine the defaults for channels, inputSampleRate, preSkip
+ *    and the channel mapping.
+ * @param {number} [opts.channels=1] - Number of channels
+ * @param {number} [opts.mappingFamily] - Channel mapping family, see
+ *    {@link OggOpusWriter}
+ * @param {number} [opts.streamCount] - Number of streams (family 1 and up)
+ * @param {number} [opts.coupledCount] - Number of coupled streams (family 1 and up)
+ * @param {number[]} [opts.mapping] - Channel mapping (family 1 and up)
+ * @param {number} [opts.inputSampleRate=48000] - Sampling rate of the original
+ *    input (Hz), informational only
+ * @param {number} [opts.preSkip=0] - Number of samples (at 48kHz) to discard
+ *    from the decoder output when starting playback, written as CodecDelay
+ * @param {number} [opts.outputGain=0] - Gain to apply when decoding in Q7.8 dB
+ * @param {number} [opts.seekPreRoll=80000000] - Duration (ns) which has to be
+ *    decoded before the target of a seek operation
+ * @param {boolean} [opts.live=false] - Write the output for live streaming
+ * @param {number} [opts.maxClusterDuration=5000] - Maximum duration of each
+ *    Cluster (ms, at most 32767)
+ * @param {string} [opts.writingApp='libopus.js'] - Name of the application
+ * @constructor
+ */
+function WebmOpusWriter(opts) {
+  // Allow use without new
+  if (!(this instanceof WebmOpusWriter)) return new WebmOpusWriter(opts);
+
+  Transform.call(this, {});
+
+  var defaults = {
+    channels: 1,
+    inputSampleRate: 48000,
+    preSkip: 0,
+    outputGain: 0,
+    seekPreRoll: 80000000,
+    live: false,
+    maxClusterDuration: 5000,
+    writingApp: 'libopus.js'
+  };
+  if (opts && opts.encoder) {
+    var encoder = opts.encoder;
+    defaults.channels = encoder._channels;
+    defaults.inputSampleRate = encoder._rate;
+    defaults.preSkip = Math.round(encoder.getLookahead() * 48000 / encoder._rate);
+    if (encoder.getMapping) {
+      extend(defaults, encoder.getMapping());
+    }
+  }
+  opts = extend(defaults, opts);
+  extend(opts, multistream.resolveMapping(opts));
+  if (opts.preSkip < 0 || opts.preSkip > 0xffff) {
+    throw new RangeError('preSkip must be between 0 and 65535');
+  }
+  if (opts.outputGain < -32768 || opts.outputGain > 32767) {
+    throw new RangeError('outputGain must be between -32768 and 32767');
+  }
+  if (!(opts.maxClusterDuration >= 1 && opts.maxClusterDuration <= 32767)) {
+    throw new RangeError('maxClusterDuration must be between 1 and 32767');
+  }
+
+  this._opts = opts;
+  this._headerWritten = false;
+  // Duration of all packets so far (48kHz)
+  this._samples = 0;
+  this._endTrim = 0;
+  // Packet waiting for the next one (or the end of the stream)
+  this._pending = null;
+  // Timestamp of the current cluster (ms) and its blocks, null if there is
+  // no current cluster
+  this._clusterTime = null;
+  this._clusterBlocks = [];
+  // Number of bytes written after the start of the Segment content and the
+  // time and position of every cluster
+  this._position = 0;
+  this._cues = [];
+
+  /** @member {Buffer} - Final header, once the stream has ended */
+  this.header = null;
+
+  // Trim the padding added by an EncoderStream, see OggOpusWriter
+  var self = this;
+  this.on('pipe', function(src) {
+    src.on('padding', function(samples, rate) {
+      rate = rate || 48000;
+      self.setEndTrim(Math.max(0,
+          Math.round(samples * 48000 / rate) - self._opts.preSkip));
+    });
+  });
+}
+util.inherits(WebmOpusWriter, Transform);
+
+/**
+ * Set the number of samples (at 48kHz) which should be trimmed from the end
+ * of the stream, e.g. because the last frame was padded with silence.
+ * See {@link OggOpusWriter#setEndTrim}.
+ * Only the last packet can be trimmed, any excess is ignored.
+ *
+ * @param {number} samples - Number of samples to discard at the end
+ */
+WebmOpusWriter.prototype.setEndTrim = OggOpusWriter.prototype.setEndTrim;
+
+/**
+ * Creates everything up to the first Cluster.
+ *
+ * @param {object} [final] - Object with duration (ms) and cuesPosition of the
+ *    finished file, the header of a file in progress if omitted
+ * @returns {Buffer} The header
+ */
+WebmOpusWriter.prototype._createHeader = function(final) {
+  var opts = this._opts;
+  var ebml = ebmlHeader();
+
+  var info = [
+    webm.uintElement(ID.TimecodeScale, TIMECODE_SCALE),
+    webm.stringElement(ID.MuxingApp, 'libopus.js'),
+    webm.stringElement(ID.WritingApp, opts.writingApp)
+  ];
+  if (!opts.live) {
+    var duration = webm.floatElement(ID.Duration, final ? final.duration : 0);
+    info.push(final ? duration : voidElement(duration.length));
+  }
+  info = webm.element(ID.Info, info);
+
+  var tracks = webm.element(ID.Tracks, [webm.element(ID.TrackEntry, [
+    webm.uintElement(ID.TrackNumber, TRACK_NUMBER),
+    webm.uintElement(ID.TrackUID, TRACK_NUMBER),
+    webm.uintElement(ID.TrackType, webm.TRACK_TYPE_AUDIO),
+    webm.stringElement(ID.CodecID, 'A_OPUS'),
+    webm.element(ID.CodecPrivate, OggOpusWriter.createHead(opts)),
+    webm.uintElement(ID.CodecDelay, Math.round(opts.preSkip * 1e9 / 48000)),
+    webm.uintElement(ID.SeekPreRoll, opts.seekPreRoll),
+    webm.element(ID.Audio, [
+      webm.floatElement(ID.SamplingFrequency, 48000),
+      webm.uintElement(ID.Channels, opts.channels)
+    ])
+  ])]);
+
+  if (opts.live) {
+    return Buffer.concat([ebml, webm.writeId(ID.Segment), webm.UNKNOWN_SIZE, info, tracks]);
+  }
+
+  // Positions are relative to the start of the Segment content and always
+  // 8 bytes long, so the header does not change its length
+  function seek(id, position) {
+    return webm.element(ID.Seek, [
+      webm.element(ID.SeekID, webm.writeId(id)),
+      webm.uintElement(ID.SeekPosition, position, 8)
+    ]);
+  }
+  var seekHeadLength = webm.element(ID.SeekHead, [
+    seek(ID.Info, 0), seek(ID.Tracks, 0), seek(ID.Cues, 0)
+  ]).length;
+  var cues = seek(ID.Cues, final ? final.cuesPosition : 0);
+  var seekHead = webm.element(ID.SeekHead, [
+    seek(ID.Info, seekHeadLength),
+    seek(ID.Tracks, seekHeadLength + info.length),
+    final ? cues : voidElement(cues.length)
+  ]);
+
+  var segmentSize = final ? webm.writeVint(final.segmentSize, 8) : webm.UNKNOWN_SIZE;
+  return Buffer.concat([ebml, webm.writeId(ID.Segment), segmentSize, seekHead, info, tracks]);
+};
+
+/**
+ * Creates the EBML header of a WebM file.
+ *
+ * @returns {Buffer}
+ */
+function ebmlHeader() {
+  return webm.element(ID.EBML, [
+    webm.uintElement(ID.EBMLVersion, 1),
+    webm.uintElement(ID.EBMLReadVersion, 1),
+    webm.uintElement(ID.EBMLMaxIDLength, 4),
+    webm.uintElement(ID.EBMLMaxSizeLength, 8),
+    webm.stringElement(ID.DocType, 'webm'),
+    webm.uintElement(ID.DocTypeVersion, 4),
+    webm.uintElement(ID.DocTypeReadVersion, 2)
+  ]);
+}
+
+/**
+ * Creates a Void element of the specified total length.
+ *
+ * @param {number} length - Length including the header (at least 2)
+ * @returns {Buffer}
+ */
+function voidElement(length) {
+  var sizeLength = length - 2 < 127 ? 1 : 8;
+  return webm.element(ID.Void, Buffer.alloc(length - 1 - sizeLength), sizeLength);
+}
+
+WebmOpusWriter.prototype._writeHeader = function() {
+  this._headerWritten = true;
+  var header = this._createHeader();
+  // The Segment content starts after the EBML header and Segment ID and size
+  this._position = header.length - ebmlHeader().length - 4 - 8;
+  this._initialHeader = header;
+  this.push(header);
+};
+
+/**
+ * Appends a packet to the current cluster, starting a new cluster if
+ * necessary.
+ *
+ * @param {Buffer} packet - The packet
+ * @param {number} discardPadding - Duration to discard at its end (ns)
+ */
+WebmOpusWriter.prototype._writePacket = function(packet, discardPadding) {
+  var time = Math.round(this._samples / 48);
+  if (this._clusterTime !== null &&
+      time - this._clusterTime >= this._opts.maxClusterDuration) {
+    this._closeCluster();
+  }
+  if (this._clusterTime === null) {
+    this._clusterTime = time;
+    if (this._opts.live) {
+      this.push(Buffer.concat([webm.writeId(ID.Cluster), webm.UNKNOWN_SIZE,
+          webm.uintElement(ID.Timecode, time)]));
+    }
+  }
+
+  var blockHeader = Buffer.alloc(4);
+  blockHeader[0] = 0x80 | TRACK_NUMBER;
+  blockHeader.writeInt16BE(time - this._clusterTime, 1);
+  var block;
+  if (discardPadding > 0) {
+    block = webm.element(ID.BlockGroup, [
+      webm.element(ID.Block, [blockHeader, packet]),
+      webm.intElement(ID.DiscardPadding, discardPadding)
+    ]);
+  } else {
+    // Every Opus packet can be decoded on its own
+    blockHeader[3] = 0x80;
+    block = webm.element(ID.SimpleBlock, [blockHeader, packet]);
+  }
+  if (this._opts.live) {
+    this.push(block);
+  } else {
+    this._clusterBlocks.push(block);
+  }
+};
+
+WebmOpusWriter.prototype._closeCluster = function() {
+  if (!this._opts.live) {
+    var cluster = webm.element(ID.Cluster, [
+      webm.uintElement(ID.Timecode, this._clusterTime)
+    ].concat(this._clusterBlocks));
+    this._cues.push({ time: this._clusterTime, position: this._position });
+    this._position += cluster.length;
+    this.push(cluster);
+  }
+  this._clusterTime = null;
+  this._clusterBlocks = [];
+};
+
+WebmOpusWriter.prototype._transform = function(chunk, encoding, callback) {
+  try {
+    if (!this._headerWritten) {
+      this._writeHeader();
+    }
+    // The duration of a multistream packet is that of its first stream
+    var duration = new Packet(chunk, this._opts.streamCount > 1).duration;
+    if (this._pending) {
+      this._writePacket(this._pending.packet, 0);
+      this._samples += this._pending.duration;
+    }
+    this._pending = { packet: chunk, duration: duration };
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+WebmOpusWriter.prototype._flush = function(callback) {
+  try {
+    if (!this._headerWritten) {
+      this._writeHeader();
+    }
+    var total = this._samples - this._opts.preSkip;
+    if (this._pending) {
+      var trim = Math.min(this._endTrim, this._pending.duration);
+      this._writePacket(this._pending.packet, Math.round(trim * 1e9 / 48000));
+      total += this._pending.duration - trim;
+      this._pending = null;
+    }
+    if (this._clusterTime !== null) {
+      this._closeCluster();
+    }
+    if (this._opts.live) {
+      this.header = this._initialHeader;
+    } else {
+      var cuesPosition = this._position;
+      var cues = webm.element(ID.Cues, this._cues.map(function(cue) {
+        return webm.element(ID.CuePoint, [
+          webm.uintElement(ID.CueTime, cue.time),
+          webm.element(ID.CueTrackPositions, [
+            webm.uintElement(ID.CueTrack, TRACK_NUMBER),
+            webm.uintElement(ID.CueClusterPosition, cue.position)
+          ])
+        ]);
+      }));
+      this._position += cues.length;
+      this.push(cues);
+      this.header = this._createHeader({
+        duration: Math.max(0, total) / 48,
+        cuesPosition: cuesPosition,
+        segmentSize: this._position
+      });
+    }
+    this.emit('header', this.header);
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+/**
+ * Writes the output of this stream to a file and replaces the header with
+ * the final one once the stream has ended (node only).
+ *
+ * @param {string} path - Path of the file
+ * @returns {Promise} Resolved once the file is complete
+ */
+WebmOpusWriter.prototype.toFile = WavWriter.prototype.toFile;
+
+module.exports = WebmOpusWriter;
@@ -0,0 +1,82 @@
+// Entry point of the workers started by a WorkerPool.
+// Runs in a node worker_threads worker or in a browser Web Worker (when
+// bundled) and hosts any number of codecs on behalf of the main thread.
+
+var Encoder = require('./encoder');
+var Decoder = require('./decoder');
+var messages = require('./messages');
+
+var classes = {
+  Encoder: Encoder,
+  Decoder: Decoder
+};
+
+// Codecs by id, or the error which occurred while creating them
+var codecs = {};
+
+var post, listen;
+if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+  var parentPort = require('worker_threads').parentPort;
+  post = parentPort.postMessage.bind(parentPort);
+  listen = function(handler) {
+    parentPort.on('message', handler);
+  };
+} else {
+  post = self.postMessage.bind(self);
+  listen = function(handler) {
+    self.addEventListener('message', function(event) {
+      handler(event.data);
+    });
+  };
+}
+
+/**
+ * Handles a single request.
+ *
+ * @param {object} msg - The request with type ('create', 'call' or
+ *    'destroy') and codec id, as well as class and opts for 'create' or
+ *    method and args for 'call'
+ * @returns {*} The result
+ */
+function handle(msg) {
+  var codec;
+  if (msg.type === 'create') {
+    try {
+      codecs[msg.codec] = new classes[msg.class](msg.opts);
+    } catch (err) {
+      codecs[msg.codec] = { error: err };
+      throw err;
+    }
+    return null;
+  }
+
+  codec = codecs[msg.codec];
+  if (!codec) {
+    throw new Error('codec has been destroyed');
+  }
+  if (codec.error) {
+    throw codec.error;
+  }
+  if (msg.type === 'destroy') {
+    delete codecs[msg.codec];
+    codec.destroy();
+    return null;
+  }
+  if (msg.method.charAt(0) === '_' || typeof codec[msg.method] !== 'function') {
+    throw new TypeError('unknown method ' + msg.method);
+  }
+  return codec[msg.method].apply(codec, msg.args.map(messages.restore));
+}
+
+listen(function(msg) {
+  var transfer = [];
+  try {
+    post({
+      id: msg.id,
+      result: messages.transferable(handle(msg), transfer)
+    }, transfer);
+  } catch (err) {
+    // Includes results which cannot be sent to the main thread
+    post({ id: msg.id, error: messages.serializeError(err) });
+  }
+});
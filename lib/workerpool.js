@@ -0,0 +1,300 @@
+var path = require('path');
+var extend = require('extend');
+var messages = require('./messages');
+
+var isNode = typeof process !== 'undefined' && !!process.versions &&
+    !!process.versions.node;
+
+function defaultSize() {
+  if (isNode) {
+    return Math.min(4, require('os').cpus().length) || 1;
+  }
+  if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+    return Math.min(4, navigator.hardwareConcurrency);
+  }
+  return 1;
+}
+
+/**
+ * Pool of workers running codecs off the main thread.
+ * Used by {@link AsyncEncoder} and {@link AsyncDecoder}.
+ * <br>
+ * Each codec lives on a single worker for its whole lifetime, so requests to
+ * one codec are always processed (and answered) in the order they were
+ * made. Codecs are spread across the workers, which are started lazily.
+ * <br>
+ * In node, workers are started from lib/worker.js using worker_threads. In
+ * browsers, lib/worker.js has to be bundled into a script of its own and
+ * passed as workerUrl (or a createWorker function has to be provided).
+ *
+ * @param {object} [opts={}] - Options for the pool
+ * @param {number} [opts.size] - Maximum number of workers, defaults to the
+ *    number of CPUs (at most 4)
+ * @param {string} [opts.workerUrl] - URL of the bundled worker script
+ *    (browsers only)
+ * @param {function} [opts.createWorker] - Creates a new worker, which has to
+ *    implement either the Web Worker or the worker_threads interface
+ * @constructor
+ */
+function WorkerPool(opts) {
+  // Allow use without new
+  if (!(this instanceof WorkerPool)) return new WorkerPool(opts);
+
+  opts = extend({
+    size: defaultSize(),
+    workerUrl: null,
+    createWorker: null
+  }, opts);
+
+  if (!(opts.size >= 1)) {
+    throw new RangeError('size must be at least 1');
+  }
+
+  this._size = opts.size;
+  this._workerUrl = opts.workerUrl;
+  this._createWorker = opts.createWorker;
+  this._workers = [];
+  this._nextId = 0;
+  this._nextCodec = 0;
+  this._terminated = false;
+}
+
+/**
+ * Starts a new worker.
+ *
+ * @returns {object} The worker along with its pending requests
+ */
+WorkerPool.prototype._spawn = function() {
+  var worker;
+  if (this._createWorker) {
+    worker = this._createWorker();
+  } else if (isNode) {
+    var Worker = require('worker_threads').Worker;
+    worker = new Worker(path.join(__dirname, 'worker.js'));
+  } else if (this._workerUrl && typeof Worker !== 'undefined') {
+    worker = new Worker(this._workerUrl);
+  } else {
+    throw new Error('workerUrl or createWorker is required in this environment');
+  }
+
+  var self = this;
+  var entry = {
+    worker: worker,
+    codecs: 0,
+    pending: {},
+    pendingCount: 0,
+    error: null
+  };
+  var onMessage = function(msg) {
+    self._onMessage(entry, msg);
+  };
+  var onError = function(err) {
+    self._onError(entry, err instanceof Error ? err :
+        new Error(err && err.message || 'worker failed'));
+  };
+  if (typeof worker.on === 'function') {
+    // worker_threads
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', function() {
+      onError(new Error('worker has terminated'));
+    });
+  } else {
+    // Web Worker
+    worker.addEventListener('message', function(event) {
+      onMessage(event.data);
+    });
+    worker.addEventListener('error', onError);
+  }
+  this._updateRef(entry);
+  this._workers.push(entry);
+  return entry;
+};
+
+/**
+ * Keeps node from exiting only while requests are pending.
+ */
+WorkerPool.prototype._updateRef = function(entry) {
+  if (entry.pendingCount > 0) {
+    if (typeof entry.worker.ref === 'function') entry.worker.ref();
+  } else {
+    if (typeof entry.worker.unref === 'function') entry.worker.unref();
+  }
+};
+
+WorkerPool.prototype._onMessage = function(entry, msg) {
+  var request = entry.pending[msg.id];
+  if (!request) {
+    return;
+  }
+  delete entry.pending[msg.id];
+  entry.pendingCount--;
+  this._updateRef(entry);
+  if (msg.error) {
+    request.reject(messages.deserializeError(msg.error));
+  } else {
+    request.resolve(messages.restore(msg.result));
+  }
+};
+
+WorkerPool.prototype._onError = function(entry, err) {
+  if (entry.error) {
+    return;
+  }
+  entry.error = err;
+  var index = this._workers.indexOf(entry);
+  if (index !== -1) {
+    this._workers.splice(index, 1);
+  }
+  var pending = entry.pending;
+  entry.pending = {};
+  entry.pendingCount = 0;
+  Object.keys(pending).forEach(function(id) {
+    pending[id].reject(err);
+  });
+};
+
+/**
+ * Sends a request to a worker.
+ *
+ * @param {object} entry - The worker
+ * @param {object} msg - The request
+ * @param {ArrayBuffer[]} [transfer] - Memory to be transferred
+ * @returns {Promise} Resolved with the result of the request
+ */
+WorkerPool.prototype._request = function(entry, msg, transfer) {
+  if (entry.error) {
+    return Promise.reject(entry.error);
+  }
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    msg.id = self._nextId++;
+    entry.pending[msg.id] = { resolve: resolve, reject: reject };
+    entry.pendingCount++;
+    self._updateRef(entry);
+    try {
+      entry.worker.postMessage(msg, transfer || []);
+    } catch (err) {
+      // E.g. arguments which cannot be sent to the worker
+      delete entry.pending[msg.id];
+      entry.pendingCount--;
+      self._updateRef(entry);
+      reject(err);
+    }
+  });
+};
+
+/**
+ * Creates a codec on the least busy worker.
+ *
+ * @param {string} className - Class of the codec (Encoder or Decoder)
+ * @param {object} opts - Options passed to the constructor
+ * @returns {object} Handle of the codec with a ready promise, which is
+ *    resolved once the codec has been created
+ */
+WorkerPool.prototype._createCodec = function(className, opts) {
+  if (this._terminated) {
+    throw new Error('pool has been terminated');
+  }
+  var entry = null;
+  this._workers.forEach(function(candidate) {
+    if (entry === null || candidate.codecs < entry.codecs) {
+      entry = candidate;
+    }
+  });
+  if (entry === null || (entry.codecs > 0 && this._workers.length < this._size)) {
+    entry = this._spawn();
+  }
+  entry.codecs++;
+  var codec = { entry: entry, id: this._nextCodec++, destroyed: false };
+  codec.ready = this._request(entry, {
+    type: 'create',
+    codec: codec.id,
+    class: className,
+    opts: opts
+  });
+  return codec;
+};
+
+/**
+ * Calls a method of a codec.
+ *
+ * @param {object} codec - Handle of the codec
+ * @param {string} method - Name of the method
+ * @param {Array} args - Arguments, typed arrays are transferred
+ * @returns {Promise} Resolved with the return value
+ */
+WorkerPool.prototype._call = function(codec, method, args) {
+  if (codec.destroyed) {
+    return Promise.reject(new Error('codec has been destroyed'));
+  }
+  var transfer = [];
+  args = args.map(function(arg) {
+    return messages.transferable(arg, transfer);
+  });
+  return this._request(codec.entry, {
+    type: 'call',
+    codec: codec.id,
+    method: method,
+    args: args
+  }, transfer);
+};
+
+/**
+ * Destroys a codec and frees its memory.
+ *
+ * @param {object} codec - Handle of the codec
+ * @returns {Promise} Resolved once the codec has been destroyed
+ */
+WorkerPool.prototype._destroyCodec = function(codec) {
+  if (codec.destroyed) {
+    return Promise.resolve();
+  }
+  codec.destroyed = true;
+  codec.entry.codecs--;
+  return this._request(codec.entry, { type: 'destroy', codec: codec.id })
+      .catch(function() {
+        // Failing to create the codec has already been reported
+      });
+};
+
+/**
+ * Get the number of workers currently running.
+ *
+ * @returns {number} Number of workers
+ */
+WorkerPool.prototype.getNumberOfWorkers = function() {
+  return this._workers.length;
+};
+
+/**
+ * Terminates all workers.
+ * Pending requests are rejected and no more codecs can be created.
+ *
+ * @returns {Promise} Resolved once all workers have terminated
+ */
+WorkerPool.prototype.terminate = function() {
+  var self = this;
+  this._terminated = true;
+  var workers = this._workers.slice();
+  return Promise.all(workers.map(function(entry) {
+    self._onError(entry, new Error('pool has been terminated'));
+    return entry.worker.terminate();
+  })).then(function() {});
+};
+
+var defaultPool = null;
+
+/**
+ * Get the pool shared by all async codecs which do not specify their own.
+ *
+ * @returns {WorkerPool} The default pool
+ */
+WorkerPool.getDefault = function() {
+  if (defaultPool === null || defaultPool._terminated) {
+    defaultPool = new WorkerPool();
+  }
+  return defaultPool;
+};
+
+module.exports = WorkerPool;
@@ -0,0 +1,336 @@
+// AudioWorklet module of OpusRecorderNode and OpusPlayerNode.
+// Has to be bundled into a script of its own, which is added to the audio
+// context with audioWorklet.addModule. When loaded in an
+// AudioWorkletGlobalScope, it registers the libopus-recorder and
+// libopus-player processors.
+
+var util = require('util');
+var extend = require('extend');
+var Encoder = require('./encoder');
+var Decoder = require('./decoder');
+var JitterBuffer = require('./jitterbuffer');
+var OpusError = require('./opuserror');
+var Packet = require('./packet');
+var rtp = require('./rtp');
+var messages = require('./messages');
+
+/**
+ * Encodes the 128 sample blocks of an AudioWorkletProcessor in frames of a
+ * fixed duration.
+ * Posts a start message with the pre-skip, a packet message for each frame
+ * and an end message with the padding once stopped (all durations at 48kHz).
+ *
+ * @param {object} opts - Options for the encoder, see {@link Encoder}
+ * @param {number} opts.rate - Sampling rate of the audio context (Hz)
+ * @param {number} [opts.channels=1] - Number of channels to be encoded
+ * @param {(2.5|5|10|20|40|60)} [opts.frameDuration=20] - Duration of each
+ *    frame (ms)
+ * @param {function} post - Posts a message and a list of objects to transfer
+ *    to the main thread
+ * @constructor
+ */
+function Recorder(opts, post) {
+  opts = extend({
+    channels: 1,
+    frameDuration: 20
+  }, opts, {
+    unsafe: true
+  });
+
+  if ([2.5, 5, 10, 20, 40, 60].indexOf(opts.frameDuration) === -1) {
+    throw new RangeError('frameDuration can only be 2.5, 5, 10, 20, 40 or 60');
+  }
+  // Samples per channel in one frame
+  this._frameSize = opts.rate * opts.frameDuration / 1000;
+  if (Math.floor(this._frameSize) !== this._frameSize) {
+    throw new RangeError('frameDuration of ' + opts.frameDuration +
+        'ms is not a whole number of samples at ' + opts.rate + 'Hz');
+  }
+
+  this._encoder = new Encoder(opts);
+  this._rate = opts.rate;
+  this._channels = opts.channels;
+  this._post = post;
+  // Interleaved samples of the current frame
+  this._frame = new Float32Array(this._frameSize * this._channels);
+  this._filled = 0;
+  this._stopped = false;
+
+  post({ type: 'start', preSkip: this._to48k(this._encoder.getLookahead()) });
+}
+
+Recorder.prototype._to48k = function(samples) {
+  return Math.round(samples * 48000 / this._rate);
+};
+
+/**
+ * Appends a block of samples, encoding each frame as soon as it is complete.
+ *
+ * @param {Float32Array[]} input - Samples of each channel, empty if nothing
+ *    is connected to the node
+ */
+Recorder.prototype.process = function(input) {
+  if (this._stopped || input.length === 0) {
+    return;
+  }
+  var channels = this._channels;
+  var samples = input[0].length;
+  for (var i = 0; i < samples; i++) {
+    for (var c = 0; c < channels; c++) {
+      // Missing channels are copied from the last one available
+      this._frame[this._filled * channels + c] = input[Math.min(c, input.length - 1)][i];
+    }
+    if (++this._filled === this._frameSize) {
+      this._encodeFrame();
+    }
+  }
+};
+
+Recorder.prototype._encodeFrame = function() {
+  var transfer = [];
+  var packet = messages.transferable(this._encoder.encode(this._frame), transfer);
+  this._filled = 0;
+  this._post({ type: 'packet', packet: packet }, transfer);
+};
+
+/**
+ * Pads the last frame with silence (followed by more silence until the
+ * lookahead of the encoder has been flushed) and encodes it.
+ */
+Recorder.prototype.stop = function() {
+  if (this._stopped) {
+    return;
+  }
+  var remaining = this._filled;
+  var lookahead = this._encoder.getLookahead();
+  var frames = Math.max(1, Math.ceil((remaining + lookahead) / this._frameSize));
+  for (var i = 0; i < frames; i++) {
+    this._frame.fill(0, this._filled * this._channels);
+    this._encodeFrame();
+  }
+  this._stopped = true;
+  this._encoder.destroy();
+  this._post({ type: 'end', padding: this._to48k(frames * this._frameSize - remaining) });
+};
+
+/**
+ * Decodes packets through a {@link JitterBuffer} and splits the output into
+ * the 128 sample blocks of an AudioWorkletProcessor.
+ *
+ * @param {object} opts - Options for the decoder and the jitter buffer, see
+ *    {@link Decoder} and {@link JitterBuffer}
+ * @param {number} opts.rate - Sampling rate of the audio context (Hz)
+ * @param {number} [opts.channels=1] - Number of channels
+ * @param {function} post - Posts a message to the main thread
+ * @constructor
+ */
+function Player(opts, post) {
+  opts = extend({
+    channels: 1
+  }, opts, {
+    unsafe: true
+  });
+
+  this._decoder = new Decoder(opts);
+  this._jitterBuffer = new JitterBuffer(this._decoder, 'Float32', opts);
+  this._channels = opts.channels;
+  this._post = post;
+  // Sequence number and timestamp of the next packet without RTP header
+  this._sequenceNumber = 0;
+  this._timestamp = 0;
+  this._lastDuration = 960;
+  // Decoded samples not yet played
+  this._output = null;
+  this._offset = 0;
+  this._ending = false;
+  this._ended = false;
+}
+
+/**
+ * Adds a packet to the jitter buffer. Corrupt packets are dropped (and
+ * concealed once their turn comes), a warning message is posted for each.
+ * <br>
+ * Opus packets without RTP header are numbered consecutively. Lost packets
+ * are signalled like for a {@link DecoderStream}, by an empty Buffer or the
+ * number of lost samples (at 48kHz), so they can be recovered using FEC.
+ *
+ * @param {Buffer|number|object} packet - An Opus packet, a lost packet or an
+ *    RTP packet with payload, sequenceNumber and timestamp, see
+ *    {@link JitterBuffer#put}
+ * @param {number} [arrival=Date.now()] - Arrival time (ms)
+ */
+Player.prototype.write = function(packet, arrival) {
+  try {
+    if (typeof packet === 'number' || Buffer.isBuffer(packet) && packet.length === 0) {
+      this._sequenceNumber = (this._sequenceNumber + 1) & 0xffff;
+      this._timestamp = (this._timestamp +
+          (typeof packet === 'number' ? packet : this._lastDuration)) >>> 0;
+      return;
+    }
+    if (Buffer.isBuffer(packet)) {
+      var duration = new Packet(packet).duration;
+      var jitterBuffer = this._jitterBuffer;
+      if (jitterBuffer._playing &&
+          rtp.timestampDiff(this._timestamp, jitterBuffer._timestamp) < 0) {
+        // Without timestamps, a gap in the input cannot be told apart from
+        // late packets, so playback continues after the concealed audio
+        this._timestamp = jitterBuffer._timestamp;
+      }
+      packet = {
+        payload: packet,
+        sequenceNumber: this._sequenceNumber,
+        timestamp: this._timestamp
+      };
+      this._sequenceNumber = (this._sequenceNumber + 1) & 0xffff;
+      this._timestamp = (this._timestamp + duration) >>> 0;
+      this._lastDuration = duration;
+    }
+    this._jitterBuffer.put(packet, arrival);
+  } catch (err) {
+    this._warn(err);
+  }
+};
+
+/**
+ * Plays the remaining packets and stops once they are done.
+ */
+Player.prototype.end = function() {
+  this._ending = true;
+  this._jitterBuffer.end();
+};
+
+Player.prototype._warn = function(err) {
+  if (!(err instanceof OpusError) || err.code !== OpusError.Code.INVALID_PACKET) {
+    throw err;
+  }
+  this._post({ type: 'warning', error: messages.serializeError(err) });
+};
+
+/**
+ * Fills a block of output, with silence while buffering.
+ *
+ * @param {Float32Array[]} output - Samples of each channel to be filled
+ * @returns {boolean} False once all packets have been played after
+ *    {@link #end}
+ */
+Player.prototype.process = function(output) {
+  var channels = this._channels;
+  var samples = output[0].length;
+  var i = 0;
+  while (i < samples && !this._ended) {
+    if (this._output === null || this._offset === this._output.length) {
+      this._output = this._read();
+      this._offset = 0;
+      if (this._output === null) {
+        break;
+      }
+    }
+    for (; i < samples && this._offset < this._output.length; i++) {
+      for (var c = 0; c < output.length; c++) {
+        // Additional output channels repeat the last decoded one
+        output[c][i] = this._output[this._offset + Math.min(c, channels - 1)];
+      }
+      this._offset += channels;
+    }
+  }
+  for (var j = 0; j < output.length; j++) {
+    output[j].fill(0, i);
+  }
+  return !this._ended;
+};
+
+/**
+ * Decodes the next chunk of audio.
+ *
+ * @returns {Float32Array|null} Decoded samples or null while buffering
+ */
+Player.prototype._read = function() {
+  var output;
+  try {
+    output = this._jitterBuffer.read();
+  } catch (err) {
+    // Packets rejected by libopus are skipped
+    this._warn(err);
+    return null;
+  }
+  if (output === null && this._ending) {
+    this._ended = true;
+    this._decoder.destroy();
+    this._post({ type: 'ended', stats: this._jitterBuffer.stats });
+  }
+  return output;
+};
+
+/**
+ * Creates the processors registered by this module.
+ * As AudioWorkletProcessor is a class, they have to be constructed with
+ * Reflect.construct.
+ *
+ * @param {function} AudioWorkletProcessor - The base class of processors
+ * @param {number} rate - Sampling rate of the audio context (Hz)
+ * @returns {object} Object with the RecorderProcessor and PlayerProcessor
+ *    classes
+ */
+function createProcessors(AudioWorkletProcessor, rate) {
+  function RecorderProcessor(options) {
+    var self = Reflect.construct(AudioWorkletProcessor, [options], RecorderProcessor);
+    var port = self.port;
+    self._recorder = new Recorder(extend({}, options.processorOptions, { rate: rate }),
+        port.postMessage.bind(port));
+    port.onmessage = function(event) {
+      if (event.data.type === 'stop') {
+        self._recorder.stop();
+      }
+    };
+    return self;
+  }
+  util.inherits(RecorderProcessor, AudioWorkletProcessor);
+
+  RecorderProcessor.prototype.process = function(inputs) {
+    this._recorder.process(inputs[0]);
+    return !this._recorder._stopped;
+  };
+
+  function PlayerProcessor(options) {
+    var self = Reflect.construct(AudioWorkletProcessor, [options], PlayerProcessor);
+    var port = self.port;
+    self._player = new Player(extend({}, options.processorOptions, { rate: rate }),
+        port.postMessage.bind(port));
+    port.onmessage = function(event) {
+      var msg = event.data;
+      if (msg.type === 'packet') {
+        var packet = msg.packet;
+        if (packet !== null && typeof packet === 'object' && packet.payload) {
+          packet = extend({}, packet, { payload: messages.restore(packet.payload) });
+        }
+        self._player.write(messages.restore(packet));
+      } else if (msg.type === 'end') {
+        self._player.end();
+      }
+    };
+    return self;
+  }
+  util.inherits(PlayerProcessor, AudioWorkletProcessor);
+
+  PlayerProcessor.prototype.process = function(inputs, outputs) {
+    return this._player.process(outputs[0]);
+  };
+
+  return {
+    RecorderProcessor: RecorderProcessor,
+    PlayerProcessor: PlayerProcessor
+  };
+}
+
+/* global AudioWorkletProcessor, registerProcessor, sampleRate */
+if (typeof registerProcessor === 'function') {
+  var processors = createProcessors(AudioWorkletProcessor, sampleRate);
+  registerProcessor('libopus-recorder', processors.RecorderProcessor);
+  registerProcessor('libopus-player', processors.PlayerProcessor);
+}
+
+module.exports = {
+  Recorder: Recorder,
+  Player: Player,
+  createProcessors: createProcessors
+};
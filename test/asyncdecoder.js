@@ -0,0 +1,87 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var AsyncDecoder = require('../lib/asyncdecoder.js');
+var Decoder = require('../lib/decoder.js');
+var OpusError = require('../lib/opuserror.js');
+var WorkerPool = require('../lib/workerpool.js');
+var encodeSine = require('./helpers/sine.js').encodeSine;
+
+describe('AsyncDecoder', function() {
+  // Starting a worker includes loading libopus
+  this.timeout(10000);
+
+  var pool;
+  var packets = encodeSine(10, { inbandFEC: true, packetLossPerc: 20 });
+  before(function() {
+    pool = new WorkerPool({ size: 1 });
+  });
+  after(function() {
+    return pool.terminate();
+  });
+
+  it('should work without new', function() {
+    var dec = AsyncDecoder({ pool: pool });
+    expect(dec).to.be.an.instanceof(AsyncDecoder);
+    return dec.destroy();
+  });
+  it('should decode the same as the synchronous decoder, in order', function() {
+    var dec = new AsyncDecoder({ pool: pool });
+    var sync = new Decoder();
+    var expected = packets.map(function(packet) {
+      return sync.decodeInt16(packet);
+    });
+    expected.push(sync.decodeInt16(960));
+    var results = packets.map(function(packet) {
+      return dec.decodeInt16(packet);
+    });
+    results.push(dec.decodeInt16(960));
+    return Promise.all(results).then(function(output) {
+      expect(output).to.deep.equal(expected);
+      return dec.destroy();
+    });
+  });
+  it('should decode to Float32Array and use FEC', function() {
+    var dec = new AsyncDecoder({ pool: pool });
+    return dec.decodeFloat32(packets[0]).then(function(output) {
+      expect(output).to.be.an.instanceof(Float32Array);
+      return dec.decodeFECFloat32(packets[2], 960);
+    }).then(function(output) {
+      expect(output).to.have.lengthOf(960);
+      return dec.decodeFECInt16(packets[3]);
+    }).then(function(output) {
+      expect(output).to.be.an.instanceof(Int16Array);
+      return dec.destroy();
+    });
+  });
+  it('should provide the decoder settings', function() {
+    var dec = new AsyncDecoder({ pool: pool });
+    dec.setGain(256);
+    return dec.getGain().then(function(gain) {
+      expect(gain).to.equal(256);
+      return dec.decodeInt16(Buffer.from([0x08, 5]));
+    }).then(function() {
+      return dec.getLastPacketDuration();
+    }).then(function(duration) {
+      expect(duration).to.equal(960);
+      return dec.destroy();
+    });
+  });
+  it('should not provide streams and async iterables', function() {
+    var dec = new AsyncDecoder({ pool: pool });
+    expect(dec.transformStream).to.be.undefined;
+    expect(dec.decodeAll).to.be.undefined;
+    return dec.destroy();
+  });
+  it('should reject corrupt packets', function() {
+    var dec = new AsyncDecoder({ pool: pool });
+    return dec.decodeInt16(Buffer.from([0x03])).then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(OpusError);
+      expect(err.code).to.equal(OpusError.Code.INVALID_PACKET);
+      expect(err.message).to.match(/corrupted/);
+      return dec.destroy();
+    });
+  });
+});
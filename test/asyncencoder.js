@@ -0,0 +1,160 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var AsyncEncoder = require('../lib/asyncencoder.js');
+var Encoder = require('../lib/encoder.js');
+var WorkerPool = require('../lib/workerpool.js');
+var OpusError = require('../lib/opuserror.js');
+var frame = require('./helpers/sine.js').frame;
+
+describe('AsyncEncoder', function() {
+  // Starting a worker includes loading libopus
+  this.timeout(10000);
+
+  var pool;
+  before(function() {
+    pool = new WorkerPool({ size: 2 });
+  });
+  after(function() {
+    return pool.terminate();
+  });
+
+  it('should work without new', function() {
+    var enc = AsyncEncoder({ pool: pool });
+    expect(enc).to.be.an.instanceof(AsyncEncoder);
+    return enc.destroy();
+  });
+  it('should reject invalid options', function() {
+    var enc = new AsyncEncoder({ pool: pool, channels: 3 });
+    return enc.ready.then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err.message).to.match(/channels/);
+      return enc.encode(new Int16Array(960));
+    }).then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err.message).to.match(/channels/);
+    });
+  });
+  it('should encode the same as the synchronous encoder, in order', function() {
+    var enc = new AsyncEncoder({ pool: pool });
+    var sync = new Encoder();
+    var results = [];
+    var expected = [];
+    for (var i = 0; i < 10; i++) {
+      expected.push(sync.encode(frame(i)));
+      results.push(enc.encode(frame(i)));
+    }
+    return Promise.all(results).then(function(packets) {
+      expect(packets).to.deep.equal(expected);
+      return enc.destroy();
+    });
+  });
+  it('should encode planar input and other formats', function() {
+    var enc = new AsyncEncoder({ pool: pool, channels: 2 });
+    var sync = new Encoder({ channels: 2 });
+    var plane = Uint8Array.from(frame(0), function(x) { return (x >> 8) + 128; });
+    var expected = sync.encode([plane, plane]);
+    return enc.encode([plane.slice(), plane.slice()]).then(function(packet) {
+      expect(packet).to.deep.equal(expected);
+      return enc.destroy();
+    });
+  });
+  it('should transfer the input', function() {
+    var enc = new AsyncEncoder({ pool: pool });
+    var pcm = new Float32Array(960);
+    var result = enc.encode(pcm);
+    expect(pcm.length).to.equal(0);
+    // Partial views are copied
+    var partial = new Int16Array(new ArrayBuffer(960 * 4), 0, 960);
+    enc.encode(partial);
+    expect(partial.length).to.equal(960);
+    return result.then(function() {
+      return enc.destroy();
+    });
+  });
+  it('should provide the encoder settings', function() {
+    var enc = new AsyncEncoder({ pool: pool, complexity: 3 });
+    enc.setBitrate(24000);
+    return Promise.all([enc.getBitrate(), enc.getComplexity()]).then(function(values) {
+      expect(values).to.deep.equal([24000, 3]);
+      return enc.setComplexity(11);
+    }).then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(OpusError);
+      expect(err.code).to.equal(OpusError.Code.BAD_ARG);
+      return enc.destroy();
+    });
+  });
+  it('should encode batches', function() {
+    var enc = new AsyncEncoder({ pool: pool });
+    var sync = new Encoder();
+    var expected = [frame(0), frame(1), frame(2)].map(function(pcm) {
+      return sync.encode(pcm);
+    });
+    expect(enc.encodeInto).to.be.undefined;
+    return enc.encodeBatch([frame(0), frame(1), frame(2)]).then(function(packets) {
+      packets.forEach(function(packet) {
+        expect(packet).to.be.an.instanceof(Buffer);
+      });
+      expect(packets).to.deep.equal(expected);
+      return enc.destroy();
+    });
+  });
+  it('should move the state to another thread', function() {
+    var enc = new AsyncEncoder({ pool: pool });
+    var sync = new Encoder();
+    expect(enc.clone).to.be.undefined;
+    enc.encode(frame(0));
+    return enc.snapshot().then(function(snap) {
+      expect(snap).to.be.an.instanceof(Buffer);
+      sync.restore(snap);
+      return enc.encode(frame(1));
+    }).then(function(packet) {
+      expect(sync.encode(frame(1))).to.deep.equal(packet);
+      return enc.destroy();
+    });
+  });
+  it('should not provide streams and async iterables', function() {
+    var enc = new AsyncEncoder({ pool: pool });
+    expect(enc.transformStream).to.be.undefined;
+    expect(enc.encodeAll).to.be.undefined;
+    return enc.destroy();
+  });
+  it('should reject results which cannot be sent to this thread', function() {
+    // Both codecs live on the same worker
+    var single = new WorkerPool({ size: 1 });
+    var enc = new AsyncEncoder({ pool: single });
+    var other = new AsyncEncoder({ pool: single, bitrate: 24000 });
+    return single._call(enc._codec, 'transformStream', ['Int16']).then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err.message).to.match(/transfer|clone/i);
+      // The worker keeps serving all of its codecs
+      return Promise.all([enc.getBitrate(), other.getBitrate()]);
+    }).then(function(bitrates) {
+      expect(bitrates[1]).to.equal(24000);
+      return single.terminate();
+    });
+  });
+  it('should reject invalid input', function() {
+    var enc = new AsyncEncoder({ pool: pool });
+    return enc.encode([0, 1]).then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(TypeError);
+      return enc.destroy();
+    });
+  });
+  it('should reject requests after destroy', function() {
+    var enc = new AsyncEncoder({ pool: pool });
+    enc.destroy();
+    return enc.getBitrate().then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err.message).to.match(/destroyed/);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+var PassThrough = require('stream').PassThrough;
+var cli = require('../lib/cli.js');
+var WavReader = require('../lib/wavreader.js');
+var WavWriter = require('../lib/wavwriter.js');
+var helpers = require('./helpers/sine.js');
+
+// Runs the command with the input as stdin
+function run(args, input) {
+  var stdin = new PassThrough();
+  var stdout = new PassThrough();
+  var stderr = new PassThrough();
+  var output = [];
+  var errors = [];
+  stdout.on('data', function(chunk) { output.push(chunk); });
+  stderr.on('data', function(chunk) { errors.push(chunk); });
+  stdin.end(input || Buffer.alloc(0));
+  return cli.run(args, { stdin: stdin, stdout: stdout, stderr: stderr }).then(function(code) {
+    return {
+      code: code,
+      stdout: Buffer.concat(output),
+      stderr: Buffer.concat(errors).toString()
+    };
+  });
+}
+
+function readWav(buf) {
+  return new Promise(function(resolve, reject) {
+    var reader = new WavReader();
+    var chunks = [];
+    reader.on('data', function(chunk) { chunks.push(chunk); });
+    reader.on('error', reject);
+    reader.on('end', function() {
+      resolve({ format: reader.format, data: Buffer.concat(chunks) });
+    });
+    reader.end(buf);
+  });
+}
+
+// Raw 16-bit samples of sin(i / 20) at 48kHz, i counting across channels
+function sine(samples, channels) {
+  var pcm = helpers.sine(samples * channels, { frequency: 1200 / Math.PI, amplitude: 8000 });
+  return Buffer.from(pcm.buffer);
+}
+
+describe('cli', function() {
+  describe('parseArgs', function() {
+    it('should parse short and long options', function() {
+      expect(cli.parseArgs(['-b', '64000', '--frame-size=2.5', 'in', '-q', '-', '--', '-out']))
+        .to.deep.equal({ _: ['in', '-', '-out'], bitrate: 64000, frameSize: 2.5, quiet: true });
+    });
+    it('should reject invalid options', function() {
+      expect(function(){ cli.parseArgs(['--bogus']); }).to.throw(/unknown option/);
+      expect(function(){ cli.parseArgs(['-r']); }).to.throw(/requires a value/);
+      expect(function(){ cli.parseArgs(['--rate=fast']); }).to.throw(/number/);
+    });
+  });
+
+  it('should print the usage', function() {
+    return run(['--help']).then(function(result) {
+      expect(result.code).to.equal(0);
+      expect(result.stdout.toString()).to.match(/^Usage: libopus-js encode/);
+      return run([]);
+    }).then(function(result) {
+      expect(result.code).to.equal(2);
+      expect(result.stderr).to.match(/^Usage/);
+    });
+  });
+  it('should refuse invalid usage', function() {
+    return run(['transcode']).then(function(result) {
+      expect(result.code).to.equal(2);
+      expect(result.stderr).to.match(/unknown command transcode/);
+      return run(['encode', '-t', 'wav']);
+    }).then(function(result) {
+      expect(result.code).to.equal(2);
+      expect(result.stderr).to.match(/cannot write wav/);
+      return run(['encode', '-a', 'music'], sine(960, 1));
+    }).then(function(result) {
+      expect(result.code).to.equal(2);
+      expect(result.stderr).to.match(/application/);
+      return run(['encode', '-r', '42'], sine(960, 1));
+    }).then(function(result) {
+      expect(result.code).to.equal(2);
+      expect(result.stderr).to.match(/rate must be/);
+    });
+  });
+  it('should encode raw samples and decode them to WAVE', function() {
+    return run(['encode', '-r', '24000', '-c', '2', '-b', '24000'], sine(24000, 2))
+      .then(function(result) {
+        expect(result.code).to.equal(0);
+        expect(result.stdout.toString('ascii', 0, 4)).to.equal('OggS');
+        expect(result.stderr).to.match(/^encoded 51 packets \(1\.02 s\), 2\d\.\d kbit\/s/);
+        return run(['decode', '-r', '24000'], result.stdout);
+      })
+      .then(function(result) {
+        expect(result.code).to.equal(0);
+        expect(result.stderr).to.match(/^decoded 51 packets/);
+        return readWav(result.stdout);
+      })
+      .then(function(wav) {
+        expect(wav.format).to.include({ channels: 2, sampleRate: 24000, bitsPerSample: 16 });
+        expect(wav.data).to.have.lengthOf(24000 * 2 * 2);
+      });
+  });
+  it('should read and write files', function() {
+    var dir = os.tmpdir();
+    var input = path.join(dir, 'libopus-cli-' + process.pid + '.wav');
+    var encoded = path.join(dir, 'libopus-cli-' + process.pid + '.webm');
+    var decoded = path.join(dir, 'libopus-cli-' + process.pid + '.raw');
+    var writer = new WavWriter({ channels: 1, sampleRate: 16000 });
+    var written = writer.toFile(input);
+    writer.end(sine(16000, 1));
+    return written.then(function() {
+      return run(['encode', '-q', '-f', '60', '-a', 'voip', input, encoded]);
+    }).then(function(result) {
+      expect(result.code).to.equal(0);
+      expect(result.stderr).to.equal('');
+      expect(fs.readFileSync(encoded).readUInt32BE(0)).to.equal(0x1a45dfa3);
+      return run(['decode', '-s', 'Float32', '-c', '2', encoded, decoded]);
+    }).then(function(result) {
+      expect(result.code).to.equal(0);
+      expect(result.stderr).to.match(/^decoded 17 packets/);
+      expect(fs.statSync(decoded).size).to.equal(48000 * 2 * 4);
+    }).then(function() {
+      [input, encoded, decoded].forEach(function(file) {
+        fs.unlinkSync(file);
+      });
+    });
+  });
+  it('should fail on invalid input', function() {
+    return run(['decode'], Buffer.from('not an Opus file')).then(function(result) {
+      expect(result.code).to.equal(1);
+      expect(result.stderr).to.match(/neither an Ogg Opus nor a WebM file/);
+      return run(['encode', path.join(os.tmpdir(), 'libopus-cli-missing.wav')]);
+    }).then(function(result) {
+      expect(result.code).to.equal(1);
+      expect(result.stderr).to.match(/ENOENT/);
+    });
+  });
+  it('should be installed as libopus-js', function() {
+    // Loading libopus in a new process takes a while
+    this.timeout(10000);
+    var bin = require('../package.json').bin['libopus-js'];
+    var output = childProcess.execFileSync(process.execPath,
+        [path.join(__dirname, '..', bin), '--help']);
+    expect(output.toString()).to.match(/^Usage/);
+  });
+});
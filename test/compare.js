@@ -0,0 +1,92 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var compare = require('../lib/compare.js');
+var chord = require('./helpers/sine.js').chord;
+
+// A quarter of a second of a chord with some noise (unless disabled), at 48kHz
+function signal(channels, noiseless) {
+  var pcm = chord(12000, channels);
+  var seed = 1;
+  for (var i = 0; i < pcm.length; i++) {
+    seed = (seed * 16807) % 2147483647;
+    pcm[i] += noiseless ? 0 : 0.05 * (seed / 2147483647 - 0.5);
+  }
+  return pcm;
+}
+
+// Every downsample-th sample of each channel
+function decimate(pcm, channels, downsample) {
+  var result = new Float32Array(pcm.length / downsample);
+  for (var i = 0; i < result.length / channels; i++) {
+    for (var c = 0; c < channels; c++) {
+      result[i * channels + c] = pcm[i * downsample * channels + c];
+    }
+  }
+  return result;
+}
+
+describe('compare', function() {
+  var mono = signal(1);
+  var stereo = signal(2);
+
+  it('should rate identical signals with 100%', function() {
+    expect(compare(mono, mono)).to.deep.equal({ quality: 100, error: 0, passed: true });
+    expect(compare(stereo, stereo, { channels: 2 }).quality).to.equal(100);
+  });
+  it('should rate signals lower the more they differ', function() {
+    var scores = [0.001, 0.01, 0.1].map(function(amplitude) {
+      var seed = 42;
+      var noisy = mono.map(function(sample) {
+        seed = (seed * 16807) % 2147483647;
+        return sample + amplitude * (seed / 2147483647 - 0.5);
+      });
+      return compare(mono, noisy);
+    });
+    expect(scores[0].quality).to.be.below(100);
+    expect(scores[1].quality).to.be.below(scores[0].quality);
+    expect(scores[2].quality).to.be.below(scores[1].quality);
+    expect(scores[0].passed).to.be.true;
+    expect(scores[2].passed).to.be.false;
+    expect(scores[2].error).to.be.above(scores[0].error);
+  });
+  it('should scale floating point samples to 16-bit', function() {
+    var int16 = Int16Array.from(mono, function(sample) { return sample * 32768; });
+    expect(compare(int16, mono).quality).to.be.above(99);
+    expect(compare(int16, [mono]).quality).to.be.above(99);
+  });
+  it('should mix down stereo references to be compared to mono', function() {
+    var mixed = new Float32Array(stereo.length / 2);
+    for (var i = 0; i < mixed.length; i++) {
+      mixed[i] = (stereo[i * 2] + stereo[i * 2 + 1]) / 2;
+    }
+    expect(compare(stereo, mixed, { referenceChannels: 2 }).quality).to.be.above(99);
+    expect(compare(stereo, mixed, { referenceChannels: 2 }).quality)
+      .to.be.above(compare(stereo, decimate(stereo, 1, 2), { referenceChannels: 2 }).quality);
+  });
+  it('should compare up to the frequencies available at lower rates', function() {
+    // Without noise, the signal has nothing above 4kHz
+    var chord = signal(1, true);
+    expect(compare(chord, decimate(chord, 1, 3), { rate: 16000 }).passed).to.be.true;
+    chord = signal(2, true);
+    expect(compare(chord, decimate(chord, 2, 6), { rate: 8000, channels: 2 }).passed)
+      .to.be.true;
+    // Noise above 4kHz is aliased
+    expect(compare(stereo, decimate(stereo, 2, 6), { rate: 8000, channels: 2 }).passed)
+      .to.be.false;
+  });
+  it('should reject signals of different length', function() {
+    expect(function(){ compare(mono, mono.subarray(1)); }).to.throw(RangeError, /do not match/);
+    expect(function(){ compare(mono, mono, { rate: 16000 }); }).to.throw(RangeError);
+    expect(function(){ compare(mono.subarray(0, 479), mono.subarray(0, 479)); })
+      .to.throw(RangeError, /insufficient/);
+  });
+  it('should reject invalid options', function() {
+    expect(function(){ compare(mono, mono, { channels: 3 }); }).to.throw(RangeError);
+    expect(function(){ compare(mono, mono, { rate: 44100 }); }).to.throw(RangeError);
+    expect(function(){ compare(mono, stereo, { channels: 2, referenceChannels: 1 }); })
+      .to.throw(RangeError);
+    expect(function(){ compare(stereo.subarray(1), mono, { referenceChannels: 2 }); })
+      .to.throw(RangeError, /whole frames/);
+  });
+});
@@ -0,0 +1,188 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var conformance = require('../lib/conformance.js');
+var Encoder = require('../lib/encoder.js');
+var Decoder = require('../lib/decoder.js');
+var chord = require('./helpers/sine.js').chord;
+
+// 200ms of a chord at 48kHz
+function signal(channels) {
+  return chord(9600, channels);
+}
+
+// Encodes a signal into packets with the final range of the encoder
+function encode(pcm, channels) {
+  var enc = new Encoder({ channels: channels });
+  var packets = [];
+  for (var i = 0; i < pcm.length; i += 960 * channels) {
+    packets.push({
+      packet: enc.encode(pcm.subarray(i, i + 960 * channels)),
+      finalRange: enc.getFinalRange()
+    });
+  }
+  return packets;
+}
+
+// Output of the reference decoder as raw 16-bit stereo samples
+function referenceOutput(packets) {
+  var dec = new Decoder({ channels: 2 });
+  return Buffer.concat(packets.map(function(entry) {
+    var pcm = dec.decodeInt16(entry.packet.length ? entry.packet : 0);
+    return Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+  }));
+}
+
+describe('conformance', function() {
+  var packets = encode(signal(2), 2);
+  var bitstream = conformance.writeBitstream(packets);
+
+  describe('parseBitstream', function() {
+    it('should parse the packets written by writeBitstream', function() {
+      expect(bitstream.readUInt32BE(0)).to.equal(packets[0].packet.length);
+      expect(bitstream.readUInt32BE(4)).to.equal(packets[0].finalRange);
+      expect(conformance.parseBitstream(bitstream)).to.deep.equal(packets);
+    });
+    it('should parse lost packets', function() {
+      var lost = conformance.writeBitstream([{ packet: Buffer.alloc(0) }]);
+      expect(lost).to.deep.equal(Buffer.alloc(8));
+      expect(conformance.parseBitstream(lost)).to.deep.equal([
+        { packet: Buffer.alloc(0), finalRange: 0 }
+      ]);
+    });
+    it('should reject truncated bitstreams', function() {
+      expect(function(){ conformance.parseBitstream(bitstream.slice(0, 4)); })
+        .to.throw(/header/);
+      expect(function(){ conformance.parseBitstream(bitstream.slice(0, 10)); })
+        .to.throw(/middle of a packet/);
+      expect(function(){ conformance.parseBitstream('bitstream'); }).to.throw(TypeError);
+    });
+  });
+
+  describe('decodeBitstream', function() {
+    it('should decode all packets', function() {
+      var result = conformance.decodeBitstream(bitstream);
+      expect(result.rangeMismatch).to.equal(-1);
+      expect(Buffer.from(result.pcm.buffer)).to.deep.equal(referenceOutput(packets));
+      expect(conformance.decodeBitstream(bitstream, { rate: 16000, channels: 1 }).pcm)
+        .to.have.lengthOf(packets.length * 320);
+    });
+    it('should conceal lost packets', function() {
+      var lost = packets.slice();
+      lost[3] = { packet: Buffer.alloc(0), finalRange: 0 };
+      var result = conformance.decodeBitstream(conformance.writeBitstream(lost));
+      expect(result.pcm).to.have.lengthOf(packets.length * 960 * 2);
+      // Final ranges are not checked around concealed packets
+      expect(result.rangeMismatch).to.equal(-1);
+    });
+    it('should detect final range mismatches', function() {
+      var mismatched = packets.slice();
+      mismatched[5] = { packet: packets[5].packet, finalRange: packets[5].finalRange ^ 1 };
+      mismatched[7] = { packet: packets[7].packet, finalRange: 1 };
+      expect(conformance.decodeBitstream(conformance.writeBitstream(mismatched)).rangeMismatch)
+        .to.equal(5);
+    });
+  });
+
+  describe('checkVector', function() {
+    var reference = referenceOutput(packets);
+
+    it('should pass output matching the reference', function() {
+      var result = conformance.checkVector(bitstream, reference);
+      expect(result).to.deep.equal({ quality: 100, error: 0, passed: true, rangeMismatch: -1 });
+      var int16 = new Int16Array(reference.buffer, reference.byteOffset, reference.length / 2);
+      expect(conformance.checkVector(bitstream, int16).quality).to.equal(100);
+    });
+    it('should pass mono and lower sampling rates', function() {
+      expect(conformance.checkVector(bitstream, reference, { channels: 1 }).passed).to.be.true;
+      expect(conformance.checkVector(bitstream, reference, { rate: 16000 }).passed).to.be.true;
+    });
+    it('should fail output differing from the reference', function() {
+      var other = referenceOutput(encode(signal(2).map(function(sample, i) {
+        return i % 960 < 480 ? sample : 0;
+      }), 2));
+      expect(conformance.checkVector(bitstream, other).passed).to.be.false;
+    });
+    it('should fail on final range mismatches', function() {
+      var mismatched = packets.slice();
+      mismatched[0] = { packet: packets[0].packet, finalRange: 1 };
+      var result = conformance.checkVector(conformance.writeBitstream(mismatched), reference);
+      expect(result.quality).to.equal(100);
+      expect(result.rangeMismatch).to.equal(0);
+      expect(result.passed).to.be.false;
+    });
+  });
+
+  describe('checkVectors', function() {
+    var dir;
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'libopus-js-'));
+    });
+    afterEach(function() {
+      fs.readdirSync(dir).forEach(function(name) {
+        fs.unlinkSync(path.join(dir, name));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('should check each vector at each rate and number of channels', function() {
+      var reference = referenceOutput(packets);
+      fs.writeFileSync(path.join(dir, 'testvector01.bit'), bitstream);
+      fs.writeFileSync(path.join(dir, 'testvector01.dec'), Buffer.alloc(reference.length));
+      fs.writeFileSync(path.join(dir, 'testvector01m.dec'), reference);
+      fs.writeFileSync(path.join(dir, 'README'), 'not a vector');
+      var results = conformance.checkVectors(dir, { rates: [48000, 16000] });
+      expect(results.map(function(result) {
+        return [result.name, result.rate, result.channels, result.passed];
+      })).to.deep.equal([
+        ['testvector01.bit', 48000, 2, true],
+        ['testvector01.bit', 48000, 1, true],
+        ['testvector01.bit', 16000, 2, true],
+        ['testvector01.bit', 16000, 1, true]
+      ]);
+      // The better of both references counts
+      expect(results[0].quality).to.equal(100);
+    });
+    it('should require test vectors and their references', function() {
+      expect(function(){ conformance.checkVectors(dir); }).to.throw(/no test vectors/);
+      fs.writeFileSync(path.join(dir, 'testvector01.bit'), bitstream);
+      expect(function(){ conformance.checkVectors(dir); }).to.throw(/no reference/);
+    });
+  });
+
+  describe('checkRoundTrip', function() {
+    var pcm = signal(1);
+
+    it('should rate encode and decode round trips', function() {
+      var low = conformance.checkRoundTrip(pcm, { bitrate: 8000, minQuality: -1000 });
+      var high = conformance.checkRoundTrip(pcm, { bitrate: 64000, minQuality: -1000 });
+      expect(low.passed).to.be.true;
+      expect(high.quality).to.be.above(low.quality);
+      expect(low.bitrate).to.be.below(high.bitrate);
+      expect(high.bitrate).to.be.within(32000, 96000);
+    });
+    it('should fail below the threshold', function() {
+      var result = conformance.checkRoundTrip(pcm, { bitrate: 8000, minQuality: -1000 });
+      expect(conformance.checkRoundTrip(pcm, {
+        bitrate: 8000,
+        minQuality: result.quality + 1
+      }).passed).to.be.false;
+    });
+    it('should support stereo and lower decoding rates', function() {
+      var result = conformance.checkRoundTrip(signal(2), {
+        channels: 2,
+        decodeRate: 16000,
+        frameDuration: 10,
+        minQuality: -1000
+      });
+      expect(result.quality).to.be.a('number');
+      expect(result.bitrate).to.be.above(0);
+    });
+    it('should require a threshold', function() {
+      expect(function(){ conformance.checkRoundTrip(pcm, {}); }).to.throw(TypeError);
+    });
+  });
+});
@@ -3,7 +3,49 @@
 var expect = require('chai').expect;
 var Transform = require('stream').Transform;
 var Decoder = require('../lib/decoder.js');
+var Encoder = require('../lib/encoder.js');
+var OpusError = require('../lib/opuserror.js');
 var utils = require('../lib/utils.js');
+var createModule = require('../build/libopus.js');
+var encodeSine = require('./helpers/sine.js').encodeSine;
+
+// Get the gc function, enabling it if necessary (returns null if that fails)
+function exposeGC() {
+  if (typeof global.gc === 'function') {
+    return global.gc;
+  }
+  try {
+    require('v8').setFlagsFromString('--expose-gc');
+    return require('vm').runInNewContext('gc');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Collects all values of an async iterable
+function collect(iterable) {
+  var iterator = iterable[Symbol.asyncIterator]();
+  var values = [];
+  function next() {
+    return iterator.next().then(function(result) {
+      if (result.done) return values;
+      values.push(result.value);
+      return next();
+    });
+  }
+  return next();
+}
+
+// Writes the chunks through a TransformStream and collects its output
+function pipeThrough(transform, chunks) {
+  var readable = new ReadableStream({
+    start: function(controller) {
+      chunks.forEach(function(chunk) { controller.enqueue(chunk); });
+      controller.close();
+    }
+  });
+  return collect(readable.pipeThrough(transform));
+}
 
 describe('Decoder', function() {
   describe('Decoder()', function () {
@@ -23,8 +65,14 @@ describe('Decoder', function() {
         expect(new Decoder({ rate: rate })).to.be.ok;
       });
     });
+    it('should resample any other sampling rate', function() {
+      expect(new Decoder({ rate: 44100 })._codecRate).to.equal(48000);
+      expect(new Decoder({ rate: 11025 })._codecRate).to.equal(12000);
+      expect(new Decoder({ rate: 48000 })._resampler).to.be.null;
+    });
     it('should not accept invalid sampling rates', function() {
       expect(function(){ new Decoder({ rate: 42 });}).to.throw(/rate/);
+      expect(function(){ new Decoder({ rate: 500000 });}).to.throw(/rate/);
       expect(function(){ new Decoder({ rate: 0 });}).to.throw(/rate/);
       expect(function(){ new Decoder({ rate: '123' });}).to.throw(/rate/);
     });
@@ -38,6 +86,102 @@ describe('Decoder', function() {
       // There isn't actually any good way to check this, so for now
       // we'll just assume that not throwing any error equals success
     });
+    it('should do nothing when called twice', function() {
+      [false, true].forEach(function(unsafe) {
+        var dec = new Decoder({ unsafe: unsafe });
+        dec.destroy();
+        dec.destroy();
+      });
+    });
+    it('should make subsequent calls throw', function() {
+      [false, true].forEach(function(unsafe) {
+        var dec = new Decoder({ unsafe: unsafe });
+        dec.destroy();
+        expect(function(){ dec.decodeInt16(960); }).to.throw(/destroyed/);
+        expect(function(){ dec.getFinalRange(); }).to.throw(OpusError, /destroyed/)
+          .with.property('codeName', 'OPUS_INVALID_STATE');
+      });
+    });
+    it('should free all live allocations', function() {
+      var libopus = createModule();
+      var dec = new Decoder({ libopus: libopus, unsafe: true });
+      var live = utils.getLiveAllocations(libopus);
+      expect(live).to.have.length(3);
+      live.forEach(function(allocation) {
+        expect(allocation.owner).to.match(/^Decoder /);
+        expect(allocation.libopus).to.equal(libopus);
+      });
+      dec.decodeInt16(960);
+      expect(utils.getLiveAllocations(libopus)).to.have.length(3);
+      dec.destroy();
+      expect(utils.getLiveAllocations(libopus)).to.be.empty;
+    });
+    it('should free earlier allocations when a later one fails', function() {
+      [2, 3].forEach(function(failing) {
+        var libopus = Object.create(createModule.instance);
+        var mallocs = 0;
+        libopus._malloc = function(size) {
+          return ++mallocs === failing ? 0 : createModule.instance._malloc(size);
+        };
+        expect(function(){ new Decoder({ libopus: libopus, unsafe: true }); })
+          .to.throw(OpusError).with.property('codeName', 'OPUS_ALLOC_FAIL');
+        expect(utils.getLiveAllocations(libopus)).to.be.empty;
+      });
+    });
+    it('should be called automatically when garbage collected', function(done) {
+      var gc = exposeGC();
+      if (!gc || typeof FinalizationRegistry === 'undefined') {
+        return this.skip();
+      }
+      this.timeout(10000);
+      var libopus = createModule();
+      (function() {
+        new Decoder({ libopus: libopus, unsafe: true });
+      })();
+      expect(utils.getLiveAllocations(libopus)).to.have.length(3);
+      (function check(attempts) {
+        gc();
+        if (utils.getLiveAllocations(libopus).length === 0) {
+          return done();
+        }
+        if (attempts === 0) {
+          return done(new Error('decoder has not been freed'));
+        }
+        setTimeout(check, 10, attempts - 1);
+      })(100);
+    });
+  });
+  describe('libopus module', function() {
+    it('should decode in a separate instance', function() {
+      var packets = encodeSine(3);
+      var isolated = new Decoder({ libopus: createModule, unsafe: true });
+      var shared = new Decoder({ unsafe: true });
+      expect(isolated._libopus).to.not.equal(shared._libopus);
+      packets.forEach(function(packet) {
+        expect(isolated.decodeInt16(packet)).to.deep.equal(shared.decodeInt16(packet));
+      });
+      isolated.destroy();
+      shared.destroy();
+    });
+    it('should use an injected module for everything', function() {
+      var mock = Object.create(createModule.instance);
+      var allocated = 0;
+      mock._malloc = function(size) {
+        allocated++;
+        return createModule.instance._malloc(size);
+      };
+      mock._free = function(p) {
+        allocated--;
+        return createModule.instance._free(p);
+      };
+      var dec = new Decoder({ libopus: mock });
+      dec.decodeInt16(encodeSine(1)[0]);
+      dec.decodeFloat32(null);
+      dec.getGain();
+      expect(allocated).to.equal(0);
+      expect(Decoder.getNumberOfSamples(encodeSine(1)[0], 48000, mock)).to.equal(960);
+      expect(allocated).to.equal(0);
+    });
   });
   describe('decodeFloat32', function() {
     it('should handle lost packets', function() {
@@ -61,6 +205,252 @@ describe('Decoder', function() {
       expect(function(){ new Decoder().decodeInt16({}); }).to.throw(/data/);
     });
   });
+  describe('decodeInto', function() {
+    var packets = encodeSine(5, { channels: 2 });
+    it('should write the same samples as decodeInt16', function() {
+      [false, true].forEach(function(unsafe) {
+        var d = new Decoder({ channels: 2, unsafe: unsafe });
+        var ref = new Decoder({ channels: 2 });
+        var out = new Int16Array(5760 * 2);
+        packets.forEach(function(packet) {
+          var samples = d.decodeInto(packet, out);
+          expect(samples).to.equal(960);
+          expect(out.subarray(0, samples * 2)).to.deep.equal(ref.decodeInt16(packet));
+        });
+        expect(d.decodeInto(480, out)).to.equal(480);
+        d.destroy();
+      });
+    });
+    it('should write the same samples as decodeFloat32', function() {
+      var d = new Decoder({ channels: 2 });
+      var ref = new Decoder({ channels: 2 });
+      var out = new Float32Array(960 * 2);
+      expect(d.decodeInto(packets[0], out)).to.equal(960);
+      expect(out).to.deep.equal(ref.decodeFloat32(packets[0]));
+    });
+    it('should error when the output array is too small', function() {
+      var out = new Int16Array(959 * 2);
+      expect(function(){ new Decoder({ channels: 2 }).decodeInto(packets[0], out); }).to.throw(/too small/);
+      expect(function(){ new Decoder({ channels: 2 }).decodeInto(960, out); }).to.throw(/lost/);
+    });
+    it('should refuse invalid output arrays', function() {
+      expect(function(){ new Decoder().decodeInto(960, []); }).to.throw(TypeError);
+      expect(function(){ new Decoder().decodeInto(960, Buffer.alloc(1920)); }).to.throw(TypeError);
+    });
+  });
+  describe('decodeBatch', function() {
+    var packets = encodeSine(4);
+    it('should decode the same as decodeInt16 and decodeFloat32', function() {
+      [false, true].forEach(function(unsafe) {
+        var input = [packets[0], packets[1], 960, packets[3]];
+        var d = new Decoder({ unsafe: unsafe });
+        var ref = new Decoder();
+        expect(d.decodeBatch(input, 'Int16')).to.deep.equal(input.map(function(data) {
+          return ref.decodeInt16(data);
+        }));
+        expect(d.decodeBatch(input, 'Float32')).to.deep.equal(input.map(function(data) {
+          return ref.decodeFloat32(data);
+        }));
+        d.destroy();
+      });
+    });
+    it('should refuse invalid arguments', function() {
+      expect(function(){ new Decoder().decodeBatch(packets[0], 'Int16'); }).to.throw(TypeError);
+      expect(function(){ new Decoder().decodeBatch(packets, 'Int32'); }).to.throw(TypeError);
+      expect(function(){ new Decoder().decodeBatch(['asd'], 'Int16'); }).to.throw(/data/);
+    });
+  });
+  describe('decodePlanarFloat32', function() {
+    it('should split the output of decodeFloat32 into channels', function() {
+      var packets = encodeSine(2, { channels: 2 });
+      var planar = new Decoder({ channels: 2 });
+      var interleaved = new Decoder({ channels: 2 });
+      packets.forEach(function(packet) {
+        var planes = planar.decodePlanarFloat32(packet);
+        var pcm = interleaved.decodeFloat32(packet);
+        expect(planes).to.have.lengthOf(2);
+        expect(planes[0]).to.be.an.instanceof(Float32Array);
+        expect(planes[0]).to.have.lengthOf(960);
+        expect(planes[1][17]).to.equal(pcm[35]);
+      });
+    });
+  });
+  describe('decode', function() {
+    var packets = encodeSine(1, { channels: 2 });
+    it('should convert the output to the specified format', function() {
+      var int16 = new Decoder({ channels: 2 }).decodeInt16(packets[0]);
+      var float = new Decoder({ channels: 2 }).decodeFloat32(packets[0]);
+      var int8 = new Decoder({ channels: 2 }).decode(packets[0], 'Int8');
+      expect(int8).to.be.an.instanceof(Int8Array);
+      expect(int8[100]).to.equal(Math.round(int16[100] / 256));
+      var uint8 = new Decoder({ channels: 2 }).decode(packets[0], 'Uint8');
+      expect(uint8).to.be.an.instanceof(Uint8Array);
+      expect(uint8[100]).to.equal(int8[100] + 128);
+      var int24 = new Decoder({ channels: 2 }).decode(packets[0], 'Int24');
+      expect(int24).to.be.an.instanceof(Buffer);
+      expect(int24).to.have.lengthOf(960 * 2 * 3);
+      expect(int24.readIntLE(300, 3)).to.equal(Math.round(float[100] * 8388608));
+      var float64 = new Decoder({ channels: 2 }).decode(packets[0], 'Float64');
+      expect(float64).to.be.an.instanceof(Float64Array);
+      expect(float64[100]).to.equal(float[100]);
+    });
+    it('should refuse unknown formats', function() {
+      expect(function(){ new Decoder().decode(960, 'Int12'); }).to.throw(TypeError);
+    });
+  });
+  describe('with resampling', function() {
+    var packets = encodeSine(10, { channels: 2 });
+    it('should resample the decoded output', function() {
+      var dec = new Decoder({ rate: 44100, channels: 2 });
+      var total = 0;
+      packets.forEach(function(packet) {
+        total += dec.decodeInt16(packet).length / 2;
+      });
+      expect(total).to.equal(8820);
+      expect(dec.getLastPacketDuration()).to.equal(882);
+    });
+    it('should convert the number of lost samples', function() {
+      var dec = new Decoder({ rate: 44100 });
+      expect(dec.decodeFloat32(882)).to.have.lengthOf(882);
+      expect(dec.decodeFloat32(441)).to.have.lengthOf(441);
+      expect(dec.decodeFloat32(null)).to.have.lengthOf(441);
+    });
+    it('should only decode into arrays the resampled output fits in', function() {
+      var dec = new Decoder({ rate: 44100, channels: 2 });
+      expect(function(){
+        dec.decodeInto(packets[0], new Int16Array(881 * 2));
+      }).to.throw();
+      var out = new Int16Array(882 * 2);
+      expect(dec.decodeInto(packets[0], out)).to.equal(882);
+    });
+    it('should skip the delay and flush the rest in streams', function(done) {
+      var dec = new Decoder({ rate: 44100, channels: 2 });
+      var stream = dec.stream('Int16');
+      var length = 0;
+      stream.on('data', function(chunk) {
+        length += chunk.length;
+      });
+      stream.on('end', function() {
+        expect(length / 4).to.be.within(8819, 8821);
+        done();
+      });
+      packets.forEach(function(packet) {
+        stream.write(packet);
+      });
+      stream.end();
+    });
+  });
+  describe('decodeFECInt16', function() {
+    var packets = encodeSine(10, { application: Encoder.Application.VOIP,
+        bitrate: 24000, inbandFEC: true, packetLossPerc: 20 });
+    it('should recover the lost frame', function() {
+      var d = new Decoder();
+      for (var i = 0; i < 5; i++) {
+        d.decodeInt16(packets[i]);
+      }
+      // packets[5] is lost
+      expect(d.decodeFECInt16(packets[6])).to.have.lengthOf(960);
+      expect(d.decodeInt16(packets[6])).to.have.lengthOf(960);
+    });
+    it('should accept the number of lost samples', function() {
+      var d = new Decoder();
+      d.decodeInt16(packets[0]);
+      expect(d.decodeFECInt16(packets[2], 480)).to.have.lengthOf(480);
+    });
+    it('should error when data is invalid', function() {
+      expect(function(){ new Decoder().decodeFECInt16(480); }).to.throw(/data/);
+      expect(function(){ new Decoder().decodeFECInt16(null); }).to.throw(/data/);
+    });
+  });
+  describe('decodeFECFloat32', function() {
+    it('should recover the lost frame', function() {
+      var packets = encodeSine(3, { channels: 2, inbandFEC: true,
+          packetLossPerc: 20 });
+      var d = new Decoder({ channels: 2 });
+      d.decodeFloat32(packets[0]);
+      expect(d.decodeFECFloat32(packets[2])).to.have.lengthOf(960 * 2);
+    });
+  });
+  describe('controls', function() {
+    var packets = encodeSine(2);
+    [false, true].forEach(function(unsafe) {
+      it('should work in ' + (unsafe ? 'unsafe' : 'safe') + ' mode', function() {
+        var d = new Decoder({ unsafe: unsafe });
+        d.setGain(-256);
+        expect(d.getGain()).to.equal(-256);
+        d.decodeInt16(packets[0]);
+        expect(d.getLastPacketDuration()).to.equal(960);
+        expect(d.getFinalRange()).to.be.at.least(0);
+        expect(d.getLastBandwidth()).to.be.within(1101, 1105);
+        expect(d.getPitch()).to.be.a('number');
+        d.resetState();
+        expect(d.getGain()).to.equal(-256);
+        d.destroy();
+      });
+    });
+    it('should reject out-of-range gain', function() {
+      expect(function(){ new Decoder().setGain(32768); })
+        .to.throw(OpusError).with.property('code', OpusError.Code.BAD_ARG);
+      expect(function(){ new Decoder().setGain(0.5); }).to.throw(OpusError);
+    });
+  });
+  describe('snapshot', function() {
+    var packets = encodeSine(4);
+    it('should restore the state of the decoder', function() {
+      [false, true].forEach(function(unsafe) {
+        var d = new Decoder({ unsafe: unsafe });
+        d.decodeInt16(packets[0]);
+        var snap = d.snapshot();
+        var expected = d.decodeInt16(packets[1]);
+        d.restore(snap);
+        expect(d.decodeInt16(packets[1])).to.deep.equal(expected);
+        d.destroy();
+      });
+    });
+    it('should be restorable in a new decoder', function() {
+      var d = new Decoder({ rate: 16000, channels: 2 });
+      var restored = Decoder.fromSnapshot(d.snapshot(), { unsafe: true });
+      expect(restored._rate).to.equal(16000);
+      expect(restored._channels).to.equal(2);
+      restored.destroy();
+    });
+    it('should not be restorable in a different decoder', function() {
+      var snap = new Decoder().snapshot();
+      expect(function(){ new Decoder({ channels: 2 }).restore(snap); })
+        .to.throw(OpusError, /configuration/).with.property('code', OpusError.Code.INVALID_STATE);
+      expect(function(){ new Decoder().restore(new Encoder().snapshot()); })
+        .to.throw(OpusError, /decoder/).with.property('code', OpusError.Code.BAD_ARG);
+      var resampled = new Decoder({ rate: 44100 }).snapshot();
+      expect(function(){
+        new Decoder({ rate: 44100, resampleQuality: 3 }).restore(resampled);
+      }).to.throw(/configuration/);
+    });
+  });
+  describe('clone', function() {
+    it('should allow trying different ways of recovering a lost packet', function() {
+      var packets = encodeSine(4, { inbandFEC: true, packetLossPerc: 20 });
+      var d = new Decoder();
+      var ref = new Decoder();
+      d.decodeInt16(packets[0]);
+      ref.decodeInt16(packets[0]);
+      // packets[1] is lost
+      var fork = d.clone();
+      expect(fork.decodeFECInt16(packets[2])).to.have.lengthOf(960);
+      expect(d.decodeInt16(960)).to.deep.equal(ref.decodeInt16(960));
+      expect(d.decodeInt16(packets[2])).to.deep.equal(ref.decodeInt16(packets[2]));
+    });
+    it('should continue seamlessly when resampling', function() {
+      var packets = encodeSine(4);
+      var d = new Decoder({ rate: 44100, resampleQuality: 8 });
+      packets.slice(0, 3).forEach(function(packet) {
+        d.decodeFloat32(packet);
+      });
+      var copy = d.clone();
+      expect(copy._resampler._quality).to.equal(8);
+      expect(copy.decodeFloat32(packets[3])).to.deep.equal(d.decodeFloat32(packets[3]));
+      copy.destroy();
+    });
+  });
   describe('stream', function() {
     it('should accept Int16 and Float32 modes', function() {
       expect(new Decoder().stream('Int16')).to.be.an.instanceof(Transform);
@@ -85,5 +475,220 @@ describe('Decoder', function() {
         done();
       });
     });
+    it('should conceal lost samples in batches of 120ms', function(done) {
+      var dec = new Decoder({ rate: 16000 });
+      var calls = [];
+      dec.decodeInt16 = function(data) {
+        calls.push(data);
+        return Int16Array.from([0]);
+      };
+      var stream = dec.stream('Int16');
+      stream.on('data', function() {});
+      stream.on('end', function() {
+        // 300ms at 48kHz are 4800 samples at 16kHz, 1000 is rounded to 2.5ms
+        expect(calls).to.deep.equal([1920, 1920, 960, 320, null]);
+        done();
+      });
+      stream.write(14400);
+      stream.write(1000);
+      stream.write(Buffer.alloc(0));
+      stream.end();
+    });
+    it('should convert the output to other formats', function(done) {
+      var dec = new Decoder({ channels: 2 });
+      dec.decodeFloat32 = function() {
+        return Float32Array.from([0.5, -1]);
+      };
+      var stream = dec.stream('Int24');
+      stream.write(Buffer.from([1]), function(err) {
+        if (err) throw err;
+        expect(stream.read()).to.deep.equal(Buffer.from([0, 0, 0x40, 0, 0, 0x80]));
+        done();
+      });
+    });
+    it('should estimate the length of empty packets', function() {
+      var d = new Decoder();
+      d.decodeInt16(new Encoder().encode(new Int16Array(480)));
+      expect(d.decodeInt16(Buffer.alloc(0))).to.have.lengthOf(480);
+    });
+    it('should recover lost packets in fec mode', function(done) {
+      var dec = new Decoder();
+      var calls = [];
+      dec.decodeInt16 = function(buf) {
+        calls.push(buf ? 'decode ' + buf[0] : 'conceal');
+        return Int16Array.from([0]);
+      };
+      dec.decodeFECInt16 = function(buf) {
+        calls.push('fec ' + buf[0]);
+        return Int16Array.from([0]);
+      };
+      var stream = dec.stream('Int16', { fec: true });
+      stream.on('data', function() {});
+      stream.on('end', function() {
+        expect(calls).to.deep.equal(['decode 1', 'conceal', 'fec 2',
+            'decode 2', 'conceal']);
+        done();
+      });
+      stream.write(Buffer.from([1]));
+      stream.write(Buffer.alloc(0));
+      stream.write(Buffer.alloc(0));
+      stream.write(Buffer.from([2]));
+      stream.write(Buffer.alloc(0));
+      stream.end();
+    });
+    it('should ignore gaps which round to no samples in fec mode', function(done) {
+      var dec = new Decoder();
+      var calls = [];
+      dec.decodeInt16 = function(data) {
+        calls.push(typeof data === 'number' ? 'conceal ' + data : 'decode ' + data[0]);
+        return Int16Array.from([0]);
+      };
+      dec.decodeFECInt16 = function(buf, samples) {
+        calls.push('fec ' + buf[0] + ' ' + samples);
+        return Int16Array.from([0]);
+      };
+      var stream = dec.stream('Int16', { fec: true });
+      stream.on('data', function() {});
+      stream.on('end', function() {
+        expect(calls).to.deep.equal(['decode 1', 'decode 2']);
+        done();
+      });
+      stream.write(Buffer.from([1]));
+      stream.write(50);
+      stream.write(Buffer.from([2]));
+      stream.end();
+    });
+    it('should fail on corrupt packets', function(done) {
+      var stream = new Decoder().stream('Int16');
+      stream.on('error', function(err) {
+        expect(err).to.be.an.instanceof(OpusError);
+        expect(err.code).to.equal(OpusError.Code.INVALID_PACKET);
+        done();
+      });
+      stream.write(Buffer.from([0xff]));
+    });
+    it('should conceal corrupt packets with concealCorrupt', function(done) {
+      var packets = encodeSine(3);
+      var stream = new Decoder().stream('Int16', { concealCorrupt: true });
+      var warnings = [];
+      var output = 0;
+      stream.on('warning', function(err) { warnings.push(err.codeName); });
+      stream.on('data', function(chunk) { output += chunk.length / 2; });
+      stream.on('end', function() {
+        expect(warnings).to.deep.equal(['OPUS_INVALID_PACKET']);
+        // The corrupt packet is concealed with the duration of the last one
+        expect(output).to.equal(960 * 3);
+        done();
+      });
+      stream.write(packets[0]);
+      stream.write(Buffer.from([0xff]));
+      stream.write(packets[2]);
+      stream.end();
+    });
+    it('should keep lost packets before corrupt ones for FEC', function(done) {
+      var dec = new Decoder();
+      var calls = [];
+      dec.decodeInt16 = function(buf) {
+        calls.push(buf ? 'decode ' + buf[0] : 'conceal');
+        return Int16Array.from([0]);
+      };
+      dec.decodeFECInt16 = function(buf) {
+        if (buf[0] === 0xff) {
+          throw new OpusError(OpusError.Code.INVALID_PACKET);
+        }
+        calls.push('fec ' + buf[0]);
+        return Int16Array.from([0]);
+      };
+      var stream = dec.stream('Int16', { fec: true, concealCorrupt: true });
+      stream.on('data', function() {});
+      stream.on('end', function() {
+        expect(calls).to.deep.equal(['decode 1', 'conceal', 'fec 2', 'decode 2']);
+        done();
+      });
+      stream.write(Buffer.from([1]));
+      stream.write(Buffer.alloc(0));
+      stream.write(Buffer.from([0xff]));
+      stream.write(Buffer.from([2]));
+      stream.end();
+    });
+    it('should not conceal other errors', function(done) {
+      var dec = new Decoder();
+      dec.decodeInt16 = function() {
+        throw new OpusError(OpusError.Code.INTERNAL_ERROR);
+      };
+      var stream = dec.stream('Int16', { concealCorrupt: true });
+      stream.on('warning', function() { done(new Error('unexpected warning')); });
+      stream.on('error', function(err) {
+        expect(err.codeName).to.equal('OPUS_INTERNAL_ERROR');
+        done();
+      });
+      stream.write(Buffer.from([1]));
+    });
+  });
+  describe('transformStream', function() {
+    it('should decode to typed arrays', function() {
+      var packets = encodeSine(3, { channels: 2 });
+      var dec = new Decoder({ channels: 2 });
+      var packet = new Uint8Array(packets[1]);
+      return pipeThrough(dec.transformStream('Int32'), [packets[0], packet, packets[2].buffer.slice(
+        packets[2].byteOffset, packets[2].byteOffset + packets[2].length)]).then(function(output) {
+        expect(output).to.have.lengthOf(3);
+        output.forEach(function(samples) {
+          expect(samples).to.be.an.instanceof(Int32Array);
+          expect(samples).to.have.lengthOf(960 * 2);
+        });
+      });
+    });
+    it('should conceal lost packets', function() {
+      var packets = encodeSine(2);
+      return pipeThrough(new Decoder().transformStream('Float32'), [
+        packets[0], null, new Uint8Array(0), 480, packets[1]
+      ]).then(function(output) {
+        expect(output.map(function(samples) { return samples.length; }))
+          .to.deep.equal([960, 960, 960, 480, 960]);
+      });
+    });
+    it('should error on invalid chunks', function() {
+      return pipeThrough(new Decoder().transformStream('Int16'), ['abc']).then(function() {
+        throw new Error('expected an error');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(TypeError);
+        expect(err.message).to.match(/Uint8Array/);
+      });
+    });
+  });
+
+  describe('decodeAll', function() {
+    it('should decode all packets', function() {
+      var packets = encodeSine(3);
+      var expected = new Decoder().decodeBatch(packets, 'Int16');
+      return collect(new Decoder().decodeAll(packets, 'Int16')).then(function(output) {
+        expect(output).to.deep.equal(expected);
+      });
+    });
+    it('should recover lost packets using FEC', function() {
+      var dec = new Decoder();
+      var calls = [];
+      dec.decodeInt16 = function(buf) {
+        calls.push(buf ? 'decode ' + buf[0] : 'conceal');
+        return Int16Array.from([0]);
+      };
+      dec.decodeFECInt16 = function(buf) {
+        calls.push('fec ' + buf[0]);
+        return Int16Array.from([0]);
+      };
+      var input = [Buffer.from([1]), null, Buffer.from([2])];
+      return collect(dec.decodeAll(input, 'Int16', { fec: true })).then(function(output) {
+        expect(output).to.have.lengthOf(3);
+        expect(calls).to.deep.equal(['decode 1', 'fec 2', 'decode 2']);
+      });
+    });
+    it('should reject on invalid packets', function() {
+      return collect(new Decoder().decodeAll([Buffer.from([0xff])], 'Int16')).then(function() {
+        throw new Error('expected an error');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(Error);
+      });
+    });
   });
 });
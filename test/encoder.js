@@ -3,8 +3,52 @@
 var expect = require('chai').expect;
 var Transform = require('stream').Transform;
 var Encoder = require('../lib/encoder.js');
+var Decoder = require('../lib/decoder.js');
+var OpusError = require('../lib/opuserror.js');
 var utils = require('../lib/utils.js');
+var createModule = require('../build/libopus.js');
+var frame = require('./helpers/sine.js').frame;
+
+// Get the gc function, enabling it if necessary (returns null if that fails)
+function exposeGC() {
+  if (typeof global.gc === 'function') {
+    return global.gc;
+  }
+  try {
+    require('v8').setFlagsFromString('--expose-gc');
+    return require('vm').runInNewContext('gc');
+  } catch (err) {
+    return null;
+  }
+}
 var Application = Encoder.Application;
+var Bandwidth = Encoder.Bandwidth;
+var Signal = Encoder.Signal;
+
+// Collects all values of an async iterable
+function collect(iterable) {
+  var iterator = iterable[Symbol.asyncIterator]();
+  var values = [];
+  function next() {
+    return iterator.next().then(function(result) {
+      if (result.done) return values;
+      values.push(result.value);
+      return next();
+    });
+  }
+  return next();
+}
+
+// Writes the chunks through a TransformStream and collects its output
+function pipeThrough(transform, chunks) {
+  var readable = new ReadableStream({
+    start: function(controller) {
+      chunks.forEach(function(chunk) { controller.enqueue(chunk); });
+      controller.close();
+    }
+  });
+  return collect(readable.pipeThrough(transform));
+}
 
 describe('Encoder', function() {
   describe('Encoder()', function () {
@@ -24,8 +68,16 @@ describe('Encoder', function() {
         expect(new Encoder({ rate: rate })).to.be.ok;
       });
     });
+    it('should resample any other sampling rate', function() {
+      expect(new Encoder({ rate: 44100 })._codecRate).to.equal(48000);
+      expect(new Encoder({ rate: 22050 })._codecRate).to.equal(24000);
+      expect(new Encoder({ rate: 4000 })._codecRate).to.equal(8000);
+      expect(new Encoder({ rate: 96000 })._codecRate).to.equal(48000);
+      expect(new Encoder({ rate: 48000 })._resampler).to.be.null;
+    });
     it('should not accept invalid sampling rates', function() {
       expect(function(){ new Encoder({ rate: 42 });}).to.throw(/rate/);
+      expect(function(){ new Encoder({ rate: 44100.5 });}).to.throw(/rate/);
       expect(function(){ new Encoder({ rate: 0 });}).to.throw(/rate/);
       expect(function(){ new Encoder({ rate: '123' });}).to.throw(/rate/);
     });
@@ -37,6 +89,12 @@ describe('Encoder', function() {
     it('should not accept invalid application types', function() {
       expect(function(){ new Encoder({ application: 123 });}).to.throw(/application/);
     });
+    it('should throw OpusErrors with the code OPUS_BAD_ARG', function() {
+      expect(function(){ new Encoder({ channels: 3 });}).to.throw(OpusError)
+        .with.property('code', OpusError.Code.BAD_ARG);
+      expect(function(){ new Encoder({ application: 123 });}).to.throw(OpusError)
+        .with.property('codeName', 'OPUS_BAD_ARG');
+    });
   });
   describe('destroy', function() {
     it('should be a noop when unsafe mode is not enabled', function() {
@@ -47,6 +105,209 @@ describe('Encoder', function() {
       // There isn't actually any good way to check this, so for now
       // we'll just assume that not throwing any error equals success
     });
+    it('should do nothing when called twice', function() {
+      [false, true].forEach(function(unsafe) {
+        var enc = new Encoder({ unsafe: unsafe });
+        enc.destroy();
+        enc.destroy();
+      });
+    });
+    it('should make subsequent calls throw', function() {
+      [false, true].forEach(function(unsafe) {
+        var enc = new Encoder({ unsafe: unsafe });
+        enc.destroy();
+        expect(function(){ enc.encode(new Int16Array(960)); }).to.throw(/destroyed/);
+        expect(function(){ enc.getBitrate(); }).to.throw(/destroyed/);
+      });
+    });
+    it('should free all live allocations', function() {
+      var libopus = createModule();
+      var enc = new Encoder({ libopus: libopus, unsafe: true });
+      var live = utils.getLiveAllocations(libopus);
+      expect(live).to.have.length(3);
+      live.forEach(function(allocation) {
+        expect(allocation.owner).to.match(/^Encoder /);
+        expect(allocation.libopus).to.equal(libopus);
+      });
+      enc.encode(new Int16Array(960));
+      expect(utils.getLiveAllocations(libopus)).to.have.length(3);
+      enc.destroy();
+      expect(utils.getLiveAllocations(libopus)).to.be.empty;
+    });
+    it('should free earlier allocations when a later one fails', function() {
+      [2, 3].forEach(function(failing) {
+        var libopus = Object.create(createModule.instance);
+        var mallocs = 0;
+        libopus._malloc = function(size) {
+          return ++mallocs === failing ? 0 : createModule.instance._malloc(size);
+        };
+        expect(function(){ new Encoder({ libopus: libopus, unsafe: true }); })
+          .to.throw(OpusError).with.property('codeName', 'OPUS_ALLOC_FAIL');
+        expect(utils.getLiveAllocations(libopus)).to.be.empty;
+      });
+    });
+    it('should be called automatically when garbage collected', function(done) {
+      var gc = exposeGC();
+      if (!gc || typeof FinalizationRegistry === 'undefined') {
+        return this.skip();
+      }
+      this.timeout(10000);
+      var libopus = createModule();
+      (function() {
+        new Encoder({ libopus: libopus, unsafe: true });
+      })();
+      expect(utils.getLiveAllocations(libopus)).to.have.length(3);
+      (function check(attempts) {
+        gc();
+        if (utils.getLiveAllocations(libopus).length === 0) {
+          return done();
+        }
+        if (attempts === 0) {
+          return done(new Error('encoder has not been freed'));
+        }
+        setTimeout(check, 10, attempts - 1);
+      })(100);
+    });
+  });
+  describe('libopus module', function() {
+    // Wraps the default module, counting allocations
+    function mockModule() {
+      var mock = Object.create(createModule.instance);
+      mock.allocated = 0;
+      mock._malloc = function(size) {
+        mock.allocated++;
+        return createModule.instance._malloc(size);
+      };
+      mock._free = function(p) {
+        mock.allocated--;
+        return createModule.instance._free(p);
+      };
+      return mock;
+    }
+    it('should use the shared instance by default', function() {
+      expect(new Encoder()._libopus).to.equal(createModule.instance);
+    });
+    it('should accept a factory for a fresh instance', function() {
+      var enc = new Encoder({ libopus: createModule });
+      expect(enc._libopus).to.not.equal(createModule.instance);
+      var pcm = new Int16Array(960);
+      expect(enc.encode(pcm)).to.deep.equal(new Encoder().encode(pcm));
+    });
+    it('should use an injected module for everything', function() {
+      var mock = mockModule();
+      var calls = 0;
+      mock._opus_encode = function() {
+        calls++;
+        return createModule.instance._opus_encode.apply(null, arguments);
+      };
+      var enc = new Encoder({ libopus: mock });
+      enc.encode(new Int16Array(960));
+      enc.setBitrate(32000);
+      expect(calls).to.equal(1);
+      // Safe mode does not keep anything allocated between calls
+      expect(mock.allocated).to.equal(0);
+      mock._opus_encode = function() { return -1; };
+      expect(function(){ enc.encode(new Int16Array(960)); }).to.throw(OpusError, /invalid argument/)
+        .with.property('code', OpusError.Code.BAD_ARG);
+      expect(mock.allocated).to.equal(0);
+    });
+    it('should own its buffers in unsafe mode', function() {
+      var mock = mockModule();
+      var enc = new Encoder({ libopus: mock, unsafe: true });
+      expect(mock.allocated).to.equal(3);
+      enc.encode(new Int16Array(960));
+      expect(mock.allocated).to.equal(3);
+      enc.destroy();
+      expect(mock.allocated).to.equal(0);
+    });
+    it('should reject invalid modules', function() {
+      expect(function(){ new Encoder({ libopus: {} }); }).to.throw(TypeError);
+      expect(function(){ new Encoder({ libopus: function() {} }); }).to.throw(TypeError);
+    });
+  });
+  describe('settings', function() {
+    [false, true].forEach(function(unsafe) {
+      describe(unsafe ? 'in unsafe mode' : 'in safe mode', function() {
+        var enc;
+        beforeEach(function() {
+          enc = new Encoder({ channels: 2, unsafe: unsafe });
+        });
+        afterEach(function() {
+          enc.destroy();
+        });
+        it('should set and get the bitrate', function() {
+          enc.setBitrate(24000);
+          expect(enc.getBitrate()).to.equal(24000);
+          enc.setBitrate(Encoder.BITRATE_MAX);
+          expect(enc.getBitrate()).to.be.above(24000);
+        });
+        it('should set and get the complexity', function() {
+          enc.setComplexity(3);
+          expect(enc.getComplexity()).to.equal(3);
+        });
+        it('should set and get boolean settings', function() {
+          ['VBR', 'VBRConstraint', 'DTX', 'InbandFEC'].forEach(function(name) {
+            enc['set' + name](true);
+            expect(enc['get' + name]()).to.equal(true);
+            enc['set' + name](false);
+            expect(enc['get' + name]()).to.equal(false);
+          });
+        });
+        it('should set and get the signal type', function() {
+          enc.setSignal(Signal.VOICE);
+          expect(enc.getSignal()).to.equal(Signal.VOICE);
+          enc.setSignal(Encoder.AUTO);
+          expect(enc.getSignal()).to.equal(Encoder.AUTO);
+        });
+        it('should set and get the bandwidth', function() {
+          enc.setMaxBandwidth(Bandwidth.WIDEBAND);
+          expect(enc.getMaxBandwidth()).to.equal(Bandwidth.WIDEBAND);
+          enc.setBandwidth(Bandwidth.NARROWBAND);
+          enc.encode(new Int16Array(960 * 2));
+          expect(enc.getBandwidth()).to.equal(Bandwidth.NARROWBAND);
+        });
+        it('should set and get the packet loss percentage', function() {
+          enc.setPacketLossPerc(15);
+          expect(enc.getPacketLossPerc()).to.equal(15);
+        });
+        it('should set and get the forced channels', function() {
+          enc.setForceChannels(1);
+          expect(enc.getForceChannels()).to.equal(1);
+        });
+        it('should get the same final range as the decoder', function() {
+          var dec = new Decoder({ channels: 2 });
+          for (var i = 0; i < 3; i++) {
+            dec.decodeInt16(enc.encode(frame(i)));
+            expect(enc.getFinalRange()).to.equal(dec.getFinalRange());
+          }
+        });
+      });
+    });
+    it('should accept settings as constructor options', function() {
+      var enc = new Encoder({ bitrate: 16000, complexity: 5, dtx: true,
+          inbandFEC: true, packetLossPerc: 10 });
+      expect(enc.getBitrate()).to.equal(16000);
+      expect(enc.getComplexity()).to.equal(5);
+      expect(enc.getDTX()).to.equal(true);
+      expect(enc.getInbandFEC()).to.equal(true);
+      expect(enc.getPacketLossPerc()).to.equal(10);
+    });
+    it('should reject out-of-range values', function() {
+      var enc = new Encoder();
+      expect(function(){ enc.setBitrate(100); }).to.throw(OpusError);
+      expect(function(){ enc.setBitrate(1000000); }).to.throw(OpusError);
+      expect(function(){ enc.setComplexity(11); }).to.throw(OpusError);
+      expect(function(){ enc.setComplexity(1.5); }).to.throw(OpusError);
+      expect(function(){ enc.setSignal(42); }).to.throw(OpusError);
+      expect(function(){ enc.setMaxBandwidth(Encoder.AUTO); }).to.throw(OpusError);
+      expect(function(){ enc.setBandwidth(1100); }).to.throw(OpusError);
+      expect(function(){ enc.setPacketLossPerc(101); }).to.throw(OpusError);
+      expect(function(){ enc.setForceChannels(2); }).to.throw(OpusError);
+      expect(function(){ new Encoder({ complexity: -1 }); }).to.throw(OpusError);
+      // Just like invalid options of the constructor
+      expect(function(){ enc.setBitrate(1); })
+        .to.throw(OpusError).with.property('code', OpusError.Code.BAD_ARG);
+    });
   });
   describe('encode', function() {
     describe('with Float32Array', function() {
@@ -79,8 +340,202 @@ describe('Encoder', function() {
       expect(function(){ new Encoder().encode(new Buffer(42)); }).to.throw;
       expect(function(){ new Encoder().encode(new ArrayBuffer(7)); }).to.throw;
     });
+    describe('with other formats', function() {
+      it('should encode planar input like interleaved input', function() {
+        var left = new Float32Array(960);
+        var right = new Float32Array(960);
+        var interleaved = new Float32Array(960 * 2);
+        for (var i = 0; i < 960; i++) {
+          left[i] = interleaved[i * 2] = Math.sin(i / 10) * 0.3;
+          right[i] = interleaved[i * 2 + 1] = Math.cos(i / 10) * 0.3;
+        }
+        expect(new Encoder({ channels: 2 }).encode([left, right]))
+          .to.deep.equal(new Encoder({ channels: 2 }).encode(interleaved));
+        expect(function(){
+          new Encoder({ channels: 2 }).encode([left]);
+        }).to.throw(OpusError);
+      });
+      it('should convert samples before encoding them', function() {
+        var pcm = frame(0);
+        var int8 = Int8Array.from(pcm, function(x) { return x >> 8; });
+        expect(new Encoder().encode(int8)).to.deep.equal(
+            new Encoder().encode(Int16Array.from(int8, function(x) { return x * 256; })));
+        var float = Float32Array.from(pcm, function(x) { return x / 32768; });
+        var int24 = Buffer.alloc(960 * 3);
+        pcm.forEach(function(x, i) { int24.writeIntLE(x * 256, i * 3, 3); });
+        expect(new Encoder().encode(int24, 'Int24'))
+          .to.deep.equal(new Encoder().encode(float));
+        expect(new Encoder().encode(Float64Array.from(float)))
+          .to.deep.equal(new Encoder().encode(float));
+      });
+      it('should require the format of Buffers', function() {
+        expect(function(){ new Encoder().encode(Buffer.alloc(960 * 3)); }).to.throw(TypeError);
+        expect(function(){ new Encoder().encode(new Int16Array(960), 'Int12'); }).to.throw(TypeError);
+      });
+    });
+    describe('with resampling', function() {
+      it('should encode frames of the resampled size', function() {
+        var enc = new Encoder({ rate: 44100, channels: 2 });
+        for (var i = 0; i < 5; i++) {
+          var packet = enc.encode(new Int16Array(882 * 2));
+          expect(Decoder.getNumberOfSamples(packet, 48000)).to.equal(960);
+        }
+      });
+      it('should refuse frames of any other size', function() {
+        expect(function(){
+          new Encoder({ rate: 44100 }).encode(new Int16Array(960));
+        }).to.throw(OpusError);
+      });
+      it('should include the delay of the resampler in the lookahead', function() {
+        var lookahead = new Encoder().getLookahead();
+        expect(new Encoder({ rate: 44100 }).getLookahead())
+          .to.be.above(Math.round(lookahead * 44100 / 48000));
+      });
+    });
     // Due to the lack of small test vectors, this is currently missing tests
   });
+  describe('encodeInto', function() {
+    it('should write the same packet as encode', function() {
+      [false, true].forEach(function(unsafe) {
+        var enc = new Encoder({ unsafe: unsafe });
+        var ref = new Encoder();
+        var out = Buffer.alloc(1500);
+        for (var i = 0; i < 5; i++) {
+          var pcm = frame(i);
+          var len = enc.encodeInto(pcm, out);
+          expect(out.slice(0, len)).to.deep.equal(ref.encode(pcm));
+        }
+        enc.destroy();
+      });
+    });
+    it('should limit the packet to the size of the buffer', function() {
+      var enc = new Encoder({ bitrate: 128000 });
+      var out = new Uint8Array(20);
+      expect(enc.encodeInto(frame(0), out)).to.be.at.most(20);
+    });
+    it('should refuse invalid output buffers', function() {
+      expect(function(){ new Encoder().encodeInto(frame(0), [0, 0]); }).to.throw(TypeError);
+      expect(function(){ new Encoder().encodeInto(frame(0), new Int16Array(100)); }).to.throw(TypeError);
+    });
+  });
+  describe('encodeBatch', function() {
+    it('should encode the same as encode', function() {
+      [false, true].forEach(function(unsafe) {
+        var enc = new Encoder({ unsafe: unsafe });
+        var ref = new Encoder();
+        var frames = [frame(0), frame(1), frame(2)];
+        expect(enc.encodeBatch(frames)).to.deep.equal(frames.map(function(pcm) {
+          return ref.encode(pcm);
+        }));
+        enc.destroy();
+      });
+    });
+    it('should only load the state once', function() {
+      var libopus = Object.create(createModule.instance);
+      var mallocs = 0;
+      libopus._malloc = function(size) {
+        mallocs++;
+        return createModule.instance._malloc(size);
+      };
+      var enc = new Encoder({ libopus: libopus });
+      mallocs = 0;
+      enc.encodeBatch([frame(0), frame(1), frame(2), frame(3)]);
+      // State and buffers
+      expect(mallocs).to.equal(2);
+    });
+    it('should refuse anything but arrays', function() {
+      expect(function(){ new Encoder().encodeBatch(frame(0)); }).to.throw(TypeError);
+      expect(function(){ new Encoder().encodeBatch(['123']); }).to.throw(TypeError);
+    });
+  });
+  describe('snapshot', function() {
+    it('should restore the state of the encoder', function() {
+      [false, true].forEach(function(unsafe) {
+        var enc = new Encoder({ unsafe: unsafe, bitrate: 32000 });
+        enc.encode(frame(0));
+        var snap = enc.snapshot();
+        expect(snap).to.be.an.instanceof(Buffer);
+        var expected = [enc.encode(frame(1)), enc.encode(frame(2))];
+        enc.restore(snap);
+        expect([enc.encode(frame(1)), enc.encode(frame(2))]).to.deep.equal(expected);
+        enc.destroy();
+      });
+    });
+    it('should be restorable in a new encoder', function() {
+      var enc = new Encoder({ rate: 24000, channels: 2,
+          application: Application.VOIP, complexity: 3 });
+      var snap = enc.snapshot();
+      var restored = Encoder.fromSnapshot(snap, { libopus: createModule });
+      expect(restored._rate).to.equal(24000);
+      expect(restored._channels).to.equal(2);
+      expect(restored._application).to.equal(Application.VOIP);
+      expect(restored.getComplexity()).to.equal(3);
+    });
+    it('should not be restorable in a different encoder', function() {
+      var snap = new Encoder().snapshot();
+      expect(function(){ new Encoder({ channels: 2 }).restore(snap); })
+        .to.throw(OpusError, /configuration/).with.property('code', OpusError.Code.INVALID_STATE);
+      expect(function(){ new Encoder({ rate: 8000 }).restore(snap); }).to.throw(/configuration/);
+      expect(function(){
+        new Encoder({ application: Application.VOIP }).restore(snap);
+      }).to.throw(/configuration/);
+    });
+    it('should restore the state of the resampler', function() {
+      var enc = new Encoder({ rate: 44100, bitrate: 32000 });
+      enc.encode(frame(0).subarray(0, 882));
+      var snap = enc.snapshot();
+      var expected = enc.encode(frame(1).subarray(0, 882));
+      enc.encode(frame(2).subarray(0, 882));
+      enc.restore(snap);
+      expect(enc.encode(frame(1).subarray(0, 882))).to.deep.equal(expected);
+    });
+    it('should refuse invalid snapshots', function() {
+      var snap = new Encoder().snapshot();
+      var enc = new Encoder();
+      expect(function(){ enc.restore('snapshot'); }).to.throw(TypeError);
+      expect(function(){ enc.restore(snap.slice(0, snap.length - 1)); }).to.throw(/invalid/);
+      expect(function(){ enc.restore(Buffer.alloc(snap.length)); })
+        .to.throw(OpusError, /invalid/).with.property('code', OpusError.Code.BAD_ARG);
+      var other = Buffer.from(snap);
+      other[4] = 2;
+      expect(function(){ enc.restore(other); }).to.throw(/version/);
+      var Decoder = require('../lib/decoder.js');
+      expect(function(){ enc.restore(new Decoder().snapshot()); }).to.throw(/encoder/);
+    });
+  });
+  describe('clone', function() {
+    it('should create an independent copy', function() {
+      [false, true].forEach(function(unsafe) {
+        var enc = new Encoder({ unsafe: unsafe });
+        enc.encode(frame(0));
+        var copy = enc.clone();
+        expect(copy._unsafe).to.equal(unsafe);
+        expect(copy.encode(frame(1))).to.deep.equal(enc.encode(frame(1)));
+        copy.setBitrate(6000);
+        expect(enc.getBitrate()).to.not.equal(6000);
+        enc.destroy();
+        copy.destroy();
+      });
+    });
+    it('should accept different options', function() {
+      var enc = new Encoder();
+      var copy = enc.clone({ unsafe: true, libopus: createModule });
+      expect(copy._unsafe).to.be.true;
+      expect(copy._libopus).to.not.equal(enc._libopus);
+      expect(copy.encode(frame(0))).to.deep.equal(enc.encode(frame(0)));
+      copy.destroy();
+    });
+    it('should continue seamlessly when resampling', function() {
+      var enc = new Encoder({ rate: 44100 });
+      for (var i = 0; i < 3; i++) {
+        enc.encode(frame(i).subarray(0, 882));
+      }
+      var copy = enc.clone();
+      var next = frame(3).subarray(0, 882);
+      expect(copy.encode(next)).to.deep.equal(enc.encode(next));
+      copy.destroy();
+    });
+  });
   describe('stream', function() {
     it('should accept Int16 and Float32 modes', function() {
       expect(new Encoder().stream('Int16')).to.be.an.instanceof(Transform);
@@ -106,5 +561,218 @@ describe('Encoder', function() {
         done();
       });
     });
+    describe('with frameDuration', function() {
+      it('should not accept invalid durations', function() {
+        expect(function(){ new Encoder().stream('Int16', { frameDuration: 30 }); })
+          .to.throw(OpusError);
+        // 2.5ms are not a whole number of samples at 11.025kHz
+        expect(function(){
+          new Encoder({ rate: 11025 }).stream('Int16', { frameDuration: 2.5 });
+        }).to.throw(OpusError);
+      });
+      it('should encode full frames from arbitrary chunks', function(done) {
+        var enc = new Encoder({ rate: 8000, channels: 2 });
+        var frames = [];
+        enc.encode = function(pcm) {
+          frames.push(pcm);
+          return Buffer.from([frames.length]);
+        };
+        enc.getLookahead = function() {
+          return 60;
+        };
+        var stream = enc.stream('Int16', { frameDuration: 10 });
+        var packets = [];
+        var padding, rate;
+        stream.on('data', function(packet) { packets.push(packet[0]); });
+        stream.on('padding', function(samples, r) {
+          padding = samples;
+          rate = r;
+        });
+        stream.on('end', function() {
+          // 2 full frames + 30 samples, padded and then one more frame for the lookahead
+          expect(packets).to.deep.equal([1, 2, 3, 4]);
+          expect(frames.every(function(pcm) {
+            return pcm instanceof Int16Array && pcm.length === 160;
+          })).to.be.true;
+          expect(frames[0][0]).to.equal(0x0201);
+          expect(frames[1][159]).to.equal(-1);
+          expect(frames[2][59]).to.equal(7);
+          expect(frames[2][60]).to.equal(0);
+          expect(padding).to.equal(80 - 30 + 80);
+          expect(rate).to.equal(8000);
+          expect(stream.padding).to.equal(padding);
+          done();
+        });
+        var input = Buffer.alloc((80 * 2 + 30) * 4);
+        input.writeInt16LE(0x0201, 0);
+        input.writeInt16LE(-1, 159 * 2 + 160 * 2);
+        input.writeInt16LE(7, 160 * 4 + 59 * 2);
+        // Write in chunks which do not line up with samples
+        for (var i = 0; i < input.length; i += 7) {
+          stream.write(input.slice(i, i + 7));
+        }
+        stream.end();
+      });
+      it('should encode frame-aligned input into one packet per frame', function(done) {
+        var enc = new Encoder({ rate: 8000 });
+        var stream = enc.stream('Int16', { frameDuration: 10 });
+        var packets = 0;
+        stream.on('data', function() { packets++; });
+        stream.on('end', function() {
+          expect(packets).to.equal(3);
+          expect(stream.padding).to.equal(0);
+          done();
+        });
+        stream.end(Buffer.alloc(80 * 3 * 2));
+      });
+      it('should flush the lookahead of frame-aligned input with flush', function(done) {
+        var enc = new Encoder({ rate: 8000 });
+        var stream = enc.stream('Int16', { frameDuration: 10, flush: true });
+        var packets = 0;
+        stream.on('data', function() { packets++; });
+        stream.on('end', function() {
+          var extra = Math.ceil(enc.getLookahead() / 80);
+          expect(packets).to.equal(3 + extra);
+          expect(stream.padding).to.equal(extra * 80);
+          done();
+        });
+        stream.end(Buffer.alloc(80 * 3 * 2));
+      });
+      it('should convert samples of other formats', function(done) {
+        var enc = new Encoder({ channels: 2 });
+        var frames = [];
+        enc.encode = function(pcm) {
+          frames.push(pcm);
+          return Buffer.from([frames.length]);
+        };
+        var stream = enc.stream('Int24', { frameDuration: 20 });
+        stream.resume();
+        stream.on('end', function() {
+          expect(frames[0]).to.be.an.instanceof(Float32Array);
+          expect(frames[0]).to.have.lengthOf(960 * 2);
+          expect(frames[0][1]).to.equal(-1);
+          done();
+        });
+        var input = Buffer.alloc(960 * 2 * 3);
+        input.writeIntLE(-8388608, 3, 3);
+        stream.end(input);
+      });
+      it('should pad unsigned samples with silence', function(done) {
+        var enc = new Encoder();
+        var frames = [];
+        enc.encode = function(pcm) {
+          frames.push(pcm);
+          return Buffer.from([frames.length]);
+        };
+        var stream = enc.stream('Uint8', { frameDuration: 20 });
+        stream.resume();
+        stream.on('end', function() {
+          expect(frames[0][0]).to.equal(32512);
+          expect(Array.from(frames[0].subarray(1))).to.deep.equal(
+              Array.from(new Int16Array(959)));
+          done();
+        });
+        stream.end(Buffer.from([255]));
+      });
+      it('should error when input ends in the middle of a sample', function(done) {
+        var stream = new Encoder().stream('Float32', { frameDuration: 20 });
+        stream.on('error', function(err) {
+          expect(err).to.match(/sample/);
+          done();
+        });
+        stream.resume();
+        stream.end(Buffer.alloc(6));
+      });
+    });
+  });
+  describe('transformStream', function() {
+    it('should encode typed arrays', function() {
+      var enc = new Encoder({ channels: 2 });
+      var frame = new Float32Array(960 * 2);
+      return pipeThrough(enc.transformStream('Float32', { frameDuration: 10 }), [
+        frame.subarray(0, 1000), frame.subarray(1000), [new Float32Array(240), new Float32Array(240)]
+      ]).then(function(packets) {
+        // 25ms and the lookahead, padded to 10ms frames
+        expect(packets).to.have.lengthOf(4);
+        packets.forEach(function(packet) {
+          expect(packet).to.be.an.instanceof(Uint8Array);
+          expect(new Decoder({ channels: 2 }).decodeFloat32(packet)).to.have.lengthOf(480 * 2);
+        });
+      });
+    });
+    it('should produce the same packets as encode', function() {
+      var pcm = [frame(0), frame(1)];
+      var reference = new Encoder();
+      var expected = pcm.map(function(frame) { return reference.encode(frame); });
+      return pipeThrough(new Encoder().transformStream('Int16'), pcm).then(function(packets) {
+        expect(packets).to.deep.equal(expected);
+      });
+    });
+    it('should error on samples of the wrong type', function() {
+      var transform = new Encoder().transformStream('Float32', { frameDuration: 20 });
+      return pipeThrough(transform, [new Int16Array(960)]).then(function() {
+        throw new Error('expected an error');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(TypeError);
+        expect(err.message).to.match(/Float32Array/);
+      });
+    });
+  });
+
+  describe('encodeAll', function() {
+    it('should encode sync and async iterables', function() {
+      var enc = new Encoder();
+      var asyncIterable = {};
+      asyncIterable[Symbol.asyncIterator] = function() {
+        var index = 0;
+        return {
+          next: function() {
+            return Promise.resolve(index < 3 ? { value: frame(index++), done: false } : { done: true });
+          }
+        };
+      };
+      return collect(enc.encodeAll([frame(0), frame(1)], 'Int16')).then(function(packets) {
+        expect(packets).to.have.lengthOf(2);
+        return collect(enc.encodeAll(asyncIterable, 'Int16', { frameDuration: 20 }));
+      }).then(function(packets) {
+        // The input ends on a frame boundary
+        expect(packets).to.have.lengthOf(3);
+      });
+    });
+    it('should stop reading the input when stopped early', function() {
+      var read = 0;
+      var input = {};
+      input[Symbol.iterator] = function() {
+        return {
+          next: function() {
+            read++;
+            return { value: frame(0), done: false };
+          },
+          return: function() {
+            read = -1;
+            return { done: true };
+          }
+        };
+      };
+      var iterator = new Encoder().encodeAll(input, 'Int16')[Symbol.asyncIterator]();
+      return iterator.next().then(function(result) {
+        expect(result.done).to.be.false;
+        expect(read).to.equal(1);
+        return iterator.return();
+      }).then(function(result) {
+        expect(result.done).to.be.true;
+        expect(read).to.equal(-1);
+        return iterator.next();
+      }).then(function(result) {
+        expect(result.done).to.be.true;
+      });
+    });
+    it('should reject on invalid input', function() {
+      return collect(new Encoder().encodeAll([new Int16Array(961)], 'Int16')).then(function() {
+        throw new Error('expected an error');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(Error);
+      });
+    });
   });
 });
@@ -0,0 +1,119 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var formats = require('../lib/formats.js');
+var OpusError = require('../lib/opuserror.js');
+
+describe('formats', function() {
+  describe('get', function() {
+    it('should refuse unknown formats', function() {
+      expect(formats.get('Int24').bytes).to.equal(3);
+      expect(function(){ formats.get('Int12'); }).to.throw(TypeError);
+      expect(function(){ formats.get('hasOwnProperty'); }).to.throw(TypeError);
+    });
+  });
+
+  describe('detect', function() {
+    it('should determine the format by the type of the array', function() {
+      expect(formats.detect(new Int8Array(1))).to.equal('Int8');
+      expect(formats.detect(new Uint8Array(1))).to.equal('Uint8');
+      expect(formats.detect(new Int16Array(1))).to.equal('Int16');
+      expect(formats.detect(new Int32Array(1))).to.equal('Int32');
+      expect(formats.detect(new Float32Array(1))).to.equal('Float32');
+      expect(formats.detect(new Float64Array(1))).to.equal('Float64');
+    });
+    it('should not guess the format of Buffers or other values', function() {
+      expect(formats.detect(Buffer.alloc(3))).to.be.null;
+      expect(formats.detect(new Uint16Array(1))).to.be.null;
+      expect(formats.detect([1, 2])).to.be.null;
+    });
+  });
+
+  describe('toNative', function() {
+    it('should convert 8 bit samples to Int16', function() {
+      expect(formats.toNative(Int8Array.from([-128, 0, 127]), 'Int8'))
+        .to.deep.equal(Int16Array.from([-32768, 0, 32512]));
+      expect(formats.toNative(Uint8Array.from([0, 128, 255]), 'Uint8'))
+        .to.deep.equal(Int16Array.from([-32768, 0, 32512]));
+    });
+    it('should convert other samples to Float32', function() {
+      expect(formats.toNative(Buffer.from([0, 0, 0x80, 0xff, 0xff, 0x3f]), 'Int24'))
+        .to.deep.equal(Float32Array.from([-1, 0.5 - 1 / 8388608]));
+      expect(formats.toNative(Int32Array.from([-2147483648, 1073741824]), 'Int32'))
+        .to.deep.equal(Float32Array.from([-1, 0.5]));
+      expect(formats.toNative(Float64Array.from([0.25]), 'Float64'))
+        .to.deep.equal(Float32Array.from([0.25]));
+    });
+    it('should not copy native samples', function() {
+      var pcm = new Int16Array(2);
+      expect(formats.toNative(pcm, 'Int16')).to.equal(pcm);
+    });
+    it('should refuse arrays of the wrong type', function() {
+      expect(function(){ formats.toNative(new Int16Array(2), 'Float32'); }).to.throw(TypeError);
+      expect(function(){ formats.toNative(Buffer.alloc(4), 'Int24'); }).to.throw(OpusError);
+    });
+  });
+
+  describe('fromNative', function() {
+    it('should convert to all formats and back', function() {
+      var pcm = Float32Array.from([-1, -0.5, 0, 0.25, 0.5]);
+      ['Int24', 'Int32', 'Float32', 'Float64'].forEach(function(name) {
+        var converted = formats.fromNative(pcm, name);
+        expect(formats.detect(converted) || 'Int24').to.equal(name);
+        expect(formats.toNative(converted, name)).to.deep.equal(pcm);
+      });
+      var pcm16 = Int16Array.from([-32768, -256, 0, 256, 32512]);
+      ['Int8', 'Uint8', 'Int16'].forEach(function(name) {
+        expect(formats.toNative(formats.fromNative(pcm16, name), name)).to.deep.equal(pcm16);
+      });
+    });
+    it('should clip samples out of range', function() {
+      expect(formats.fromNative(Float32Array.from([-2, 2]), 'Int32'))
+        .to.deep.equal(Int32Array.from([-2147483648, 2147483647]));
+      expect(formats.fromNative(Float32Array.from([-2, 2]), 'Int24'))
+        .to.deep.equal(Buffer.from([0, 0, 0x80, 0xff, 0xff, 0x7f]));
+      expect(formats.fromNative(Int16Array.from([32767]), 'Int8'))
+        .to.deep.equal(Int8Array.from([127]));
+    });
+  });
+
+  describe('fromBuffer', function() {
+    it('should copy unaligned samples', function() {
+      var buf = Buffer.from([0, 1, 0, 2, 0]).slice(1);
+      expect(formats.fromBuffer(buf, 'Int16')).to.deep.equal(Int16Array.from([1, 2]));
+      expect(function(){ formats.fromBuffer(buf.slice(1), 'Int16'); }).to.throw(/sample/);
+    });
+  });
+
+  describe('interleave', function() {
+    it('should be reverted by deinterleave', function() {
+      var planes = [Float32Array.from([1, 2]), Float32Array.from([3, 4])];
+      var interleaved = formats.interleave(planes);
+      expect(interleaved).to.deep.equal(Float32Array.from([1, 3, 2, 4]));
+      expect(formats.deinterleave(interleaved, 2)).to.deep.equal(planes);
+    });
+    it('should refuse channels of different types or lengths', function() {
+      expect(function(){
+        formats.interleave([new Float32Array(2), new Int16Array(2)]);
+      }).to.throw(TypeError);
+      expect(function(){
+        formats.interleave([new Float32Array(2), new Float32Array(3)]);
+      }).to.throw(TypeError);
+    });
+  });
+
+  describe('toInterleavedNative', function() {
+    it('should accept planar input', function() {
+      var planes = [Int8Array.from([1, 2]), Int8Array.from([3, 4])];
+      expect(formats.toInterleavedNative(planes, null, 2))
+        .to.deep.equal(Int16Array.from([256, 768, 512, 1024]));
+      expect(function(){ formats.toInterleavedNative(planes, null, 1); }).to.throw(OpusError);
+    });
+    it('should require the format of Buffers', function() {
+      expect(function(){
+        formats.toInterleavedNative(Buffer.alloc(6), null, 1);
+      }).to.throw(TypeError);
+      expect(formats.toInterleavedNative(Buffer.alloc(6), 'Int24', 1)).to.have.lengthOf(2);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+var extend = require('extend');
+var Encoder = require('../../lib/encoder.js');
+
+// Sine waves used as input by the tests
+
+/**
+ * Creates (interleaved) samples of a sine wave.
+ *
+ * @param {number} samples - Number of samples (per channel)
+ * @param {object} [opts={}] - Options for the wave
+ * @param {function} [opts.type=Int16Array] - Type of the samples
+ * @param {number} [opts.channels=1] - Number of channels
+ * @param {number} [opts.rate=48000] - Sampling rate
+ * @param {number} [opts.frequency=440] - Frequency (Hz)
+ * @param {number} [opts.amplitude] - Amplitude, 10000 for Int16Array and 0.3
+ *    for floating point samples by default
+ * @param {number} [opts.start=0] - Index of the first sample, to continue the
+ *    wave of an earlier call
+ * @param {number} [opts.channelShift=0] - Number of samples each channel is
+ *    ahead of the previous one
+ * @returns {Int16Array|Float32Array} The samples
+ */
+function sine(samples, opts) {
+  opts = extend({
+    type: Int16Array,
+    channels: 1,
+    rate: 48000,
+    frequency: 440,
+    start: 0,
+    channelShift: 0
+  }, opts);
+  var amplitude = opts.amplitude;
+  if (amplitude === undefined) {
+    amplitude = opts.type === Int16Array ? 10000 : 0.3;
+  }
+  var channels = opts.channels;
+  var pcm = new opts.type(samples * channels);
+  for (var i = 0; i < pcm.length; i++) {
+    var t = opts.start + Math.floor(i / channels) + (i % channels) * opts.channelShift;
+    pcm[i] = Math.sin(t / opts.rate * opts.frequency * 2 * Math.PI) * amplitude;
+  }
+  return pcm;
+}
+
+/**
+ * Creates a 20ms frame (at 48kHz) of a sine wave, continuing with every frame.
+ *
+ * @param {number} index - Index of the frame
+ * @param {object} [opts={}] - Options for the wave, see {@link sine}
+ * @returns {Int16Array|Float32Array} The samples
+ */
+function frame(index, opts) {
+  return sine(960, extend({}, opts, { start: index * 960 }));
+}
+
+/**
+ * Creates a chord of sin(t / 7) and sin(t / 31) at 48kHz, as interleaved
+ * Float32Array samples with each channel 10 samples ahead of the previous one.
+ *
+ * @param {number} samples - Number of samples (per channel)
+ * @param {number} [channels=1] - Number of channels
+ * @returns {Float32Array} The samples
+ */
+function chord(samples, channels) {
+  var opts = { type: Float32Array, channels: channels || 1, channelShift: 10 };
+  var pcm = sine(samples, extend({ frequency: 24000 / (7 * Math.PI), amplitude: 0.3 }, opts));
+  var low = sine(samples, extend({ frequency: 24000 / (31 * Math.PI), amplitude: 0.2 }, opts));
+  for (var i = 0; i < pcm.length; i++) {
+    pcm[i] += low[i];
+  }
+  return pcm;
+}
+
+/**
+ * Encodes a number of 20ms frames of a sine wave.
+ *
+ * @param {number} count - Number of frames
+ * @param {object} [opts={}] - Options for the {@link Encoder}
+ * @param {object} [wave={}] - Options for the wave, see {@link sine}
+ * @returns {Buffer[]} The packets
+ */
+function encodeSine(count, opts, wave) {
+  var enc = new Encoder(opts);
+  wave = extend({}, wave, { channels: enc._channels });
+  var packets = [];
+  for (var i = 0; i < count; i++) {
+    packets.push(enc.encode(frame(i, wave)));
+  }
+  return packets;
+}
+
+module.exports = {
+  sine: sine,
+  frame: frame,
+  chord: chord,
+  encodeSine: encodeSine
+};
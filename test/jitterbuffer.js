@@ -0,0 +1,183 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var JitterBuffer = require('../lib/jitterbuffer.js');
+var Encoder = require('../lib/encoder.js');
+var Decoder = require('../lib/decoder.js');
+var OpusError = require('../lib/opuserror.js');
+var encodeSine = require('./helpers/sine.js').encodeSine;
+
+describe('JitterBuffer', function() {
+  // Silence would not contain any FEC data
+  var payloads = encodeSine(20, { inbandFEC: true, packetLossPerc: 20 });
+  function packet(i) {
+    return { payload: payloads[i], sequenceNumber: (65530 + i) & 0xffff,
+        timestamp: 1000 + i * 960 };
+  }
+
+  it('should work without new', function() {
+    expect(JitterBuffer(new Decoder(), 'Int16')).to.be.an.instanceof(JitterBuffer);
+  });
+  it('should not accept invalid modes', function() {
+    expect(function(){ new JitterBuffer(new Decoder(), 'asd'); }).to.throw(TypeError);
+  });
+  it('should not accept invalid delays', function() {
+    expect(function(){ new JitterBuffer(new Decoder(), 'Int16',
+        { minDelay: 100, maxDelay: 50 }); }).to.throw(RangeError);
+  });
+  it('should wait until the target delay is buffered', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 40 });
+    expect(jb.read()).to.be.null;
+    jb.put(packet(0), 0);
+    expect(jb.read()).to.be.null;
+    jb.put(packet(1), 20);
+    expect(jb.read()).to.have.lengthOf(960);
+  });
+  it('should play packets in order', function() {
+    var dec = new Decoder();
+    var order = [];
+    var decode = dec.decodeFloat32.bind(dec);
+    dec.decodeFloat32 = function(data) {
+      order.push(payloads.indexOf(data));
+      return decode(data);
+    };
+    var jb = new JitterBuffer(dec, 'Float32', { minDelay: 60 });
+    [2, 0, 1, 3, 3, 4].forEach(function(i) { jb.put(packet(i), 0); });
+    for (var i = 0; i < 5; i++) {
+      expect(jb.read()).to.be.an.instanceof(Float32Array).with.lengthOf(960);
+    }
+    expect(order).to.deep.equal([0, 1, 2, 3, 4]);
+    expect(jb.stats.duplicate).to.equal(1);
+    expect(jb.stats.received).to.equal(6);
+  });
+  it('should drop late packets', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 20 });
+    jb.put(packet(1), 0);
+    jb.read();
+    jb.put(packet(0), 0);
+    expect(jb.stats.late).to.equal(1);
+  });
+  it('should recover a single lost packet with FEC', function() {
+    var dec = new Decoder();
+    var fec = [];
+    var decodeFEC = dec.decodeFECInt16.bind(dec);
+    dec.decodeFECInt16 = function(data, samples) {
+      fec.push([payloads.indexOf(data), samples]);
+      return decodeFEC(data, samples);
+    };
+    var jb = new JitterBuffer(dec, 'Int16', { minDelay: 20 });
+    [0, 2, 3].forEach(function(i) { jb.put(packet(i), 0); });
+    var samples = 0;
+    for (var i = 0; i < 4; i++) {
+      samples += jb.read().length;
+    }
+    expect(samples).to.equal(960 * 4);
+    expect(fec).to.deep.equal([[2, 960]]);
+    expect(jb.stats.lost).to.equal(1);
+    expect(jb.stats.recovered).to.equal(1);
+  });
+  it('should only count packets with FEC data as recovered', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 20 });
+    var plain = encodeSine(3);
+    [0, 2].forEach(function(i) {
+      jb.put({ payload: plain[i], sequenceNumber: i, timestamp: i * 960 }, 0);
+    });
+    jb.read();
+    expect(jb.read()).to.have.lengthOf(960);
+    expect(jb.stats.lost).to.equal(1);
+    expect(jb.stats.recovered).to.equal(0);
+    expect(jb.stats.concealed).to.equal(960);
+  });
+  it('should advance by the duration recovered with FEC', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 40 });
+    jb.put(packet(0), 0);
+    // Recovering the missing 1010 samples yields 960 of them
+    var next = packet(2);
+    next.timestamp += 50;
+    jb.put(next, 0);
+    var lengths = [];
+    for (var i = 0; i < 4; i++) {
+      lengths.push(jb.read().length);
+    }
+    expect(lengths).to.deep.equal([960, 960, 120, 960]);
+    expect(jb.stats.recovered).to.equal(1);
+  });
+  it('should treat packets with malformed payloads as lost', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 20, fec: false });
+    var warnings = [];
+    jb.on('warning', function(err) { warnings.push(err); });
+    jb.put(packet(0), 0);
+    jb.put({ payload: Buffer.from([0x0b, 0x00]), sequenceNumber: packet(1).sequenceNumber,
+        timestamp: packet(1).timestamp }, 0);
+    jb.put(packet(2), 0);
+    expect(warnings).to.have.lengthOf(1);
+    expect(warnings[0]).to.be.an.instanceof(OpusError)
+        .with.property('code', OpusError.Code.INVALID_PACKET);
+    for (var i = 0; i < 3; i++) {
+      expect(jb.read()).to.have.lengthOf(960);
+    }
+    expect(jb.stats.lost).to.equal(1);
+    expect(jb.stats.concealed).to.equal(960);
+  });
+  it('should conceal multiple lost packets', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 60 });
+    [0, 4].forEach(function(i) { jb.put(packet(i), 0); });
+    var samples = 0;
+    while (jb.stats.lost < 3 || samples < 960 * 5) {
+      samples += jb.read().length;
+    }
+    expect(samples).to.equal(960 * 5);
+    expect(jb.stats.lost).to.equal(3);
+    expect(jb.stats.recovered).to.equal(1);
+    expect(jb.stats.concealed).to.equal(960 * 2);
+  });
+  it('should conceal in batches of at most 120ms', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 200, fec: false });
+    [0, 19].forEach(function(i) { jb.put(packet(i), 0); });
+    expect(jb.read()).to.have.lengthOf(960);
+    var output;
+    while ((output = jb.read()).length !== 960 || jb.stats.lost < 18) {
+      expect(output.length).to.be.at.most(5760);
+    }
+    expect(jb.stats.concealed).to.equal(960 * 18);
+  });
+  it('should conceal underruns', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 20 });
+    jb.put(packet(0), 0);
+    jb.read();
+    expect(jb.read()).to.have.lengthOf(960);
+    expect(jb.stats.concealed).to.equal(960);
+    // The next packet arrives too late to be played
+    jb.put(packet(1), 40);
+    expect(jb.stats.late).to.equal(1);
+  });
+  it('should adapt the target delay to the jitter', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 20 });
+    for (var i = 0; i < 20; i++) {
+      jb.put(packet(i), i * 20 + (i % 2) * 30);
+    }
+    expect(jb.stats.jitter).to.be.above(10);
+    expect(jb.stats.targetDelay).to.be.above(40);
+  });
+  it('should drop packets when too much audio is buffered', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 20 });
+    for (var i = 0; i < 10; i++) {
+      jb.put(packet(i), 0);
+    }
+    jb.read();
+    expect(jb.stats.dropped).to.be.above(0);
+  });
+  it('should play all remaining packets once ended', function() {
+    var jb = new JitterBuffer(new Decoder(), 'Int16', { minDelay: 100 });
+    for (var i = 0; i < 10; i++) {
+      jb.put(packet(i), 0);
+    }
+    jb.end();
+    for (i = 0; i < 10; i++) {
+      expect(jb.read()).to.have.lengthOf(960);
+    }
+    expect(jb.read()).to.be.null;
+    expect(jb.stats.dropped).to.equal(0);
+    expect(jb.stats.concealed).to.equal(0);
+  });
+});
@@ -0,0 +1,243 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var extend = require('extend');
+var Mixer = require('../lib/mixer.js');
+var Decoder = require('../lib/decoder.js');
+var OpusError = require('../lib/opuserror.js');
+var encodeSine = require('./helpers/sine.js').encodeSine;
+
+// A sine wave of sin(t / 10) at 48kHz
+var WAVE = { type: Float32Array, frequency: 24000 / (10 * Math.PI), amplitude: 0.5 };
+var FEC = { inbandFEC: true, packetLossPerc: 20 };
+
+// Root mean square of the decoded packets
+function rms(packets) {
+  var dec = new Decoder();
+  var sum = 0;
+  var samples = 0;
+  packets.forEach(function(packet) {
+    dec.decodeFloat32(packet).forEach(function(sample) {
+      sum += sample * sample;
+      samples++;
+    });
+  });
+  return Math.sqrt(sum / samples);
+}
+
+describe('Mixer', function() {
+  var packets = encodeSine(10, FEC, WAVE);
+  var mixers = [];
+
+  // Creates a mixer which is destroyed after each test
+  function mixer(opts) {
+    var result = new Mixer(opts);
+    mixers.push(result);
+    return result;
+  }
+
+  afterEach(function() {
+    mixers.forEach(function(m) { m.destroy(); });
+    mixers = [];
+  });
+
+  describe('Mixer()', function() {
+    it('should work without new', function() {
+      var m = Mixer();
+      mixers.push(m);
+      expect(m).to.be.an.instanceof(Mixer);
+    });
+    it('should reject invalid options', function() {
+      expect(function(){ new Mixer({ frameDuration: 30 }); }).to.throw(RangeError);
+      expect(function(){ new Mixer({ rate: 44100, frameDuration: 2.5 }); })
+        .to.throw(/whole number/);
+      expect(function(){ new Mixer({ maxDelay: 10 }); }).to.throw(/maxDelay/);
+      expect(function(){ new Mixer({ maxConceal: -1 }); }).to.throw(/maxConceal/);
+      expect(function(){ new Mixer({ channels: 3 }); }).to.throw(OpusError);
+    });
+    it('should pass other options to the encoders', function() {
+      var m = mixer({ bitrate: 16000 });
+      m.addSource('a');
+      m.addSource('b', { encoder: { bitrate: 32000 } });
+      expect(m._encoder.getBitrate()).to.equal(16000);
+      expect(m._sources.a.encoder.getBitrate()).to.equal(16000);
+      expect(m._sources.b.encoder.getBitrate()).to.equal(32000);
+    });
+  });
+
+  describe('sources', function() {
+    it('should be added and removed', function() {
+      var m = mixer();
+      m.addSource('a');
+      m.addSource(42);
+      expect(m.getSources()).to.deep.equal(['42', 'a']);
+      expect(function(){ m.addSource('a'); }).to.throw(/already exists/);
+      m.removeSource(42);
+      expect(m.getSources()).to.deep.equal(['a']);
+      expect(function(){ m.removeSource(42); }).to.throw(/unknown source/);
+      expect(function(){ m.write(42, packets[0]); }).to.throw(/unknown source/);
+      expect(function(){ m.getStats(42); }).to.throw(/unknown source/);
+    });
+    it('should only get a mix-minus unless disabled', function() {
+      var m = mixer();
+      m.addSource('a');
+      m.addSource('b', { mixMinus: false });
+      expect(Object.keys(m.mix().mixMinus)).to.deep.equal(['a']);
+    });
+  });
+
+  describe('mix', function() {
+    it('should mix silence without sources', function() {
+      var result = mixer().mix();
+      expect(result.mix).to.be.an.instanceof(Buffer);
+      expect(Decoder.getNumberOfSamples(result.mix, 48000)).to.equal(960);
+      expect(result.mixMinus).to.deep.equal({});
+    });
+    it('should leave each source out of its mix-minus', function() {
+      var m = mixer();
+      m.addSource('a');
+      m.addSource('b');
+      var mixes = [];
+      var minusA = [];
+      var minusB = [];
+      packets.forEach(function(packet) {
+        m.write('a', packet);
+        var result = m.mix();
+        mixes.push(result.mix);
+        minusA.push(result.mixMinus.a);
+        minusB.push(result.mixMinus.b);
+      });
+      expect(rms(mixes)).to.be.above(0.2);
+      expect(rms(minusB)).to.be.above(0.2);
+      expect(rms(minusA)).to.be.below(0.01);
+    });
+    it('should add up all sources', function() {
+      var m = mixer({ limiter: false });
+      var quiet = encodeSine(10, FEC, extend({}, WAVE, { amplitude: 0.2 }));
+      m.addSource('a');
+      m.addSource('b');
+      var single = [];
+      var both = [];
+      quiet.forEach(function(packet) {
+        m.write('a', packet);
+        m.write('b', packet);
+        var result = m.mix();
+        single.push(result.mixMinus.a);
+        both.push(result.mix);
+      });
+      expect(rms(both) / rms(single)).to.be.within(1.8, 2.2);
+    });
+    it('should start sources once a frame is available', function() {
+      var m = mixer({ frameDuration: 40 });
+      m.addSource('a');
+      m.write('a', packets[0]);
+      expect(m._sources.a.read()).to.be.null;
+      m.write('a', packets[1]);
+      expect(m._sources.a.read()).to.have.lengthOf(1920);
+    });
+    it('should conceal sources which ran out of audio for a while', function() {
+      var m = mixer({ maxConceal: 60 });
+      m.addSource('a');
+      m.write('a', packets[0]);
+      for (var i = 0; i < 10; i++) {
+        m.mix();
+      }
+      expect(m.getStats('a').concealed).to.equal(2880);
+      expect(m._sources.a._playing).to.be.false;
+      // It continues with the next packet
+      m.write('a', packets[1]);
+      m.mix();
+      expect(m.getStats('a')).to.include({ received: 2, concealed: 2880 });
+    });
+    it('should drop audio beyond the maximum delay', function() {
+      var m = mixer({ maxDelay: 100 });
+      m.addSource('a');
+      packets.slice(0, 8).forEach(function(packet) {
+        m.write('a', packet);
+      });
+      expect(m.getStats('a').dropped).to.equal(960 * 3);
+      expect(m._sources.a._buffered).to.equal(4800);
+    });
+    it('should recover and conceal lost packets', function() {
+      var m = mixer();
+      m.addSource('a');
+      m.write('a', packets[0]);
+      m.write('a', 960);
+      m.write('a', packets[2]);
+      m.write('a', Buffer.alloc(0));
+      m.write('a', 960);
+      m.write('a', packets[5]);
+      expect(m.getStats('a')).to.deep.equal({
+        received: 3,
+        lost: 3,
+        recovered: 2,
+        concealed: 960,
+        dropped: 0
+      });
+      expect(m._sources.a._buffered).to.equal(960 * 6);
+    });
+    it('should conceal lost packets without FEC', function() {
+      var m = mixer({ fec: false });
+      m.addSource('a');
+      m.write('a', packets[0]);
+      m.write('a', 1920);
+      expect(m.getStats('a')).to.include({ lost: 1, recovered: 0, concealed: 1920 });
+      expect(m._sources.a._buffered).to.equal(960 * 3);
+    });
+    it('should conceal corrupt packets and throw their errors', function() {
+      var m = mixer({ fec: false });
+      m.addSource('a');
+      m.write('a', packets[0]);
+      expect(function(){ m.write('a', Buffer.from([0xff])); }).to.throw(OpusError)
+        .with.property('code', OpusError.Code.INVALID_PACKET);
+      expect(m.getStats('a')).to.include({ received: 1, lost: 1, concealed: 960 });
+      expect(function(){ m.write('a', 'packet'); }).to.throw(TypeError);
+    });
+    it('should work at other rates and with stereo', function() {
+      var m = mixer({ rate: 16000, channels: 2, frameDuration: 10 });
+      m.addSource('a');
+      m.write('a', packets[0]);
+      var result = m.mix();
+      expect(Decoder.getNumberOfSamples(result.mix, 48000)).to.equal(480);
+      expect(m._sources.a._buffered).to.equal(160);
+    });
+  });
+
+  describe('limiter', function() {
+    function loud() {
+      var pcm = new Float32Array(960 * 2);
+      for (var i = 0; i < pcm.length; i++) {
+        pcm[i] = Math.sin(i / 10) * (i < 960 ? 1.8 : 0.45);
+      }
+      return pcm;
+    }
+
+    it('should keep the mix below the threshold', function() {
+      var m = mixer();
+      var state = { _limiterGain: 1 };
+      var pcm = m._limit(loud(), state);
+      var peak = pcm.reduce(function(max, sample) { return Math.max(max, Math.abs(sample)); }, 0);
+      expect(peak).to.be.at.most(0.9);
+      expect(state._limiterGain).to.be.below(1);
+      // The gain is released slowly
+      expect(Math.abs(pcm[960 + 15])).to.be.below(0.45 * Math.abs(Math.sin(975 / 10)));
+      expect(state._limiterGain).to.be.above(0.5);
+    });
+    it('should clip the mix if disabled', function() {
+      var pcm = mixer({ limiter: false })._limit(loud(), {});
+      expect(Math.max.apply(null, pcm)).to.equal(1);
+      expect(Math.min.apply(null, pcm)).to.equal(-1);
+      expect(pcm[1000]).to.equal(Math.fround(Math.sin(1000 / 10) * 0.45));
+    });
+  });
+
+  describe('destroy', function() {
+    it('should free all codecs', function() {
+      var m = new Mixer();
+      m.addSource('a');
+      m.destroy();
+      expect(m.getSources()).to.be.empty;
+      expect(function(){ m.mix(); }).to.throw(/destroyed/);
+    });
+  });
+});
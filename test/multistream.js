@@ -0,0 +1,75 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var multistream = require('../lib/multistream.js');
+
+describe('multistream', function() {
+  describe('resolveMapping', function() {
+    it('should use family 0 for mono and stereo', function() {
+      expect(multistream.resolveMapping({ channels: 2 })).to.deep.equal({
+        channels: 2, mappingFamily: 0, streamCount: 1, coupledCount: 1,
+        mapping: [0, 1]
+      });
+      expect(multistream.resolveMapping({ channels: 1 }).coupledCount).to.equal(0);
+    });
+    it('should use family 1 for surround', function() {
+      var m = multistream.resolveMapping({ channels: 6 });
+      expect(m.mappingFamily).to.equal(1);
+      expect(m.streamCount).to.equal(4);
+      expect(m.coupledCount).to.equal(2);
+      expect(m.mapping).to.deep.equal([0, 4, 1, 2, 3, 5]);
+      expect(multistream.resolveMapping({ channels: 2, mappingFamily: 1 }).mappingFamily)
+          .to.equal(1);
+    });
+    it('should accept explicit mappings', function() {
+      var m = multistream.resolveMapping({ channels: 3, streamCount: 2,
+          coupledCount: 0, mapping: [1, 255, 0] });
+      expect(m.mappingFamily).to.equal(255);
+      expect(m.mapping).to.deep.equal([1, 255, 0]);
+    });
+    it('should reject invalid mappings', function() {
+      expect(function(){ multistream.resolveMapping({ channels: 3, mappingFamily: 0 }); })
+          .to.throw(/family 0/);
+      expect(function(){ multistream.resolveMapping({ channels: 9 }); })
+          .to.throw(/family 1/);
+      expect(function(){ multistream.resolveMapping({ channels: 0 }); })
+          .to.throw(/channels/);
+      expect(function(){ multistream.resolveMapping({ channels: 2, streamCount: 1,
+          coupledCount: 0, mapping: [0] }); }).to.throw(/one entry per channel/);
+      expect(function(){ multistream.resolveMapping({ channels: 2, streamCount: 1,
+          coupledCount: 0, mapping: [0, 1] }); }).to.throw(/mapping entry/);
+      expect(function(){ multistream.resolveMapping({ channels: 2, streamCount: 1,
+          coupledCount: 2, mapping: [0, 1] }); }).to.throw(/coupledCount/);
+    });
+  });
+  describe('locateChannel', function() {
+    it('should place coupled streams first', function() {
+      var m = multistream.resolveMapping({ channels: 6 });
+      expect(multistream.locateChannel(m, 3)).to.deep.equal([1, 1]);
+      expect(multistream.locateChannel(m, 4)).to.deep.equal([2, 0]);
+      expect(multistream.locateChannel(m, 5)).to.deep.equal([3, 0]);
+    });
+  });
+  describe('joinPackets', function() {
+    it('should self-delimit all but the last packet', function() {
+      var packets = [Buffer.from([0x08, 1, 2]), Buffer.from([0x09, 3, 4]),
+          Buffer.from([0x08, 5])];
+      var joined = multistream.joinPackets(packets);
+      expect(joined).to.deep.equal(Buffer.from([0x08, 2, 1, 2, 0x09, 1, 3, 4, 0x08, 5]));
+      expect(multistream.splitPackets(joined, 3)).to.deep.equal(packets);
+    });
+    it('should keep DTX packets', function() {
+      var packets = [Buffer.from([0x08]), Buffer.from([0x08])];
+      var split = multistream.splitPackets(multistream.joinPackets(packets), 2);
+      expect(split).to.deep.equal(packets);
+    });
+  });
+  describe('splitPackets', function() {
+    it('should reject missing streams', function() {
+      expect(function(){ multistream.splitPackets(Buffer.from([0x08, 1, 2]), 2); })
+          .to.throw(/last stream/);
+      expect(function(){ multistream.splitPackets(Buffer.from([0x08, 5, 2]), 2); })
+          .to.throw(/longer/);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Transform = require('stream').Transform;
+var MultistreamDecoder = require('../lib/multistreamdecoder.js');
+var MultistreamEncoder = require('../lib/multistreamencoder.js');
+var OggOpusWriter = require('../lib/oggwriter.js');
+var OggOpusReader = require('../lib/oggreader.js');
+var multistream = require('../lib/multistream.js');
+var OpusError = require('../lib/opuserror.js');
+var frame = require('./helpers/sine.js').frame;
+
+// Encodes 20ms frames in which only one channel contains a sine wave
+function encodeChannel(enc, channel, count) {
+  var channels = enc._channels;
+  var packets = [];
+  for (var i = 0; i < count; i++) {
+    var pcm = new Int16Array(960 * channels);
+    var wave = frame(i);
+    for (var j = 0; j < 960; j++) {
+      pcm[j * channels + channel] = wave[j];
+    }
+    packets.push(enc.encode(pcm));
+  }
+  return packets;
+}
+
+// Calculates the energy of each channel
+function energy(pcm, channels) {
+  var result = [];
+  for (var c = 0; c < channels; c++) {
+    result.push(0);
+  }
+  for (var i = 0; i < pcm.length; i++) {
+    result[i % channels] += pcm[i] * pcm[i];
+  }
+  return result;
+}
+
+describe('MultistreamDecoder', function() {
+  describe('MultistreamDecoder()', function() {
+    it('should work without new', function() {
+      expect(MultistreamDecoder()).to.be.an.instanceof(MultistreamDecoder);
+    });
+    it('should accept a parsed OpusHead header', function() {
+      var dec = new MultistreamDecoder(OggOpusReader.parseHead(
+          new OggOpusWriter({ channels: 6 })._opusHead()));
+      expect(dec.getMapping()).to.deep.equal({ channels: 6, mappingFamily: 1,
+          streamCount: 4, coupledCount: 2, mapping: [0, 4, 1, 2, 3, 5] });
+    });
+  });
+  describe('decode', function() {
+    [false, true].forEach(function(unsafe) {
+      it('should route every channel ' + (unsafe ? 'in unsafe mode' : 'in safe mode'), function() {
+        var enc = new MultistreamEncoder({ channels: 6, unsafe: unsafe });
+        var dec = new MultistreamDecoder({ channels: 6, unsafe: unsafe });
+        for (var channel = 0; channel < 6; channel++) {
+          var packets = encodeChannel(enc, channel, 5);
+          var pcm;
+          packets.forEach(function(packet) {
+            pcm = dec.decodeInt16(packet);
+          });
+          expect(pcm).to.have.lengthOf(960 * 6);
+          var e = energy(pcm, 6);
+          e.forEach(function(value, i) {
+            if (i !== channel) {
+              expect(value).to.be.below(e[channel] / 100);
+            }
+          });
+        }
+        enc.destroy();
+        dec.destroy();
+      });
+    });
+    it('should output silence for unmapped channels', function() {
+      var enc = new MultistreamEncoder({ channels: 2, streamCount: 2,
+          coupledCount: 0, mapping: [0, 1] });
+      var dec = new MultistreamDecoder({ channels: 3, streamCount: 2,
+          coupledCount: 0, mapping: [1, 255, 0] });
+      var packets = encodeChannel(enc, 0, 5);
+      var pcm;
+      packets.forEach(function(packet) {
+        pcm = dec.decodeFloat32(packet);
+      });
+      expect(pcm).to.be.an.instanceof(Float32Array);
+      var e = energy(pcm, 3);
+      expect(e[1]).to.equal(0);
+      expect(e[2]).to.be.above(e[0] * 100);
+    });
+    it('should conceal lost packets in all streams', function() {
+      var enc = new MultistreamEncoder({ channels: 3 });
+      var dec = new MultistreamDecoder({ channels: 3 });
+      dec.decodeInt16(encodeChannel(enc, 0, 1)[0]);
+      expect(dec.decodeInt16(480)).to.have.lengthOf(480 * 3);
+      expect(dec.decodeInt16(null)).to.have.lengthOf(480 * 3);
+      expect(dec.decodeFECInt16(encodeChannel(enc, 0, 1)[0], 960)).to.have.lengthOf(960 * 3);
+    });
+    it('should reject malformed packets', function() {
+      var dec = new MultistreamDecoder({ channels: 3 });
+      expect(function(){ dec.decodeInt16(Buffer.from([0x08, 5, 1])); }).to.throw(/invalid packet/);
+      expect(function(){ dec.decodeFECInt16(480); }).to.throw(TypeError);
+    });
+    it('should not decode any stream of a packet with a corrupt stream', function() {
+      var enc = new MultistreamEncoder({ channels: 2, streamCount: 2,
+          coupledCount: 0, mapping: [0, 1] });
+      var dec = new MultistreamDecoder({ channels: 2, streamCount: 2,
+          coupledCount: 0, mapping: [0, 1] });
+      var packets = multistream.splitPackets(encodeChannel(enc, 0, 1)[0], 2);
+      var range = dec.getDecoder(0).getFinalRange();
+      var corrupt = multistream.joinPackets([packets[0], Buffer.from([0x09, 5])]);
+      expect(function(){ dec.decodeInt16(corrupt); }).to.throw(OpusError);
+      expect(dec.getDecoder(0).getFinalRange()).to.equal(range);
+    });
+  });
+  describe('settings', function() {
+    it('should set the gain of all streams', function() {
+      var dec = new MultistreamDecoder({ channels: 4 });
+      dec.setGain(256);
+      expect(dec.getDecoder(1).getGain()).to.equal(256);
+      expect(dec.getGain()).to.equal(256);
+    });
+    it('should combine the final ranges', function() {
+      var enc = new MultistreamEncoder({ channels: 4 });
+      var dec = new MultistreamDecoder({ channels: 4 });
+      dec.decodeInt16(encodeChannel(enc, 0, 1)[0]);
+      expect(dec.getFinalRange()).to.equal(
+          (dec.getDecoder(0).getFinalRange() ^ dec.getDecoder(1).getFinalRange()) >>> 0);
+      expect(dec.getLastPacketDuration()).to.equal(960);
+    });
+  });
+  describe('stream', function() {
+    it('should decode an Ogg Opus file', function(done) {
+      var enc = new MultistreamEncoder({ channels: 6 });
+      var dec = new MultistreamDecoder({ channels: 6 });
+      var writer = new OggOpusWriter({ encoder: enc });
+      var reader = new OggOpusReader();
+      var decoder = dec.stream('Int16');
+      expect(decoder).to.be.an.instanceof(Transform);
+      var length = 0;
+      var input = enc.stream('Int16', { frameDuration: 20 });
+      input.pipe(writer).pipe(reader).pipe(decoder);
+      reader.on('head', function(head) {
+        expect(head.mappingFamily).to.equal(1);
+        expect(head.streamCount).to.equal(4);
+        expect(head.coupledCount).to.equal(2);
+        expect(head.mapping).to.deep.equal([0, 4, 1, 2, 3, 5]);
+      });
+      decoder.on('data', function(chunk) { length += chunk.length; });
+      decoder.on('end', function() {
+        expect(length).to.equal(1000 * 6 * 2);
+        done();
+      });
+      decoder.on('error', done);
+      input.end(Buffer.alloc(1000 * 6 * 2));
+    });
+    it('should fail if the channel mapping of the stream differs', function(done) {
+      var writer = new OggOpusWriter({ channels: 6 });
+      var stream = new MultistreamDecoder({ channels: 4 }).stream('Int16');
+      writer.pipe(new OggOpusReader()).pipe(stream);
+      stream.resume();
+      stream.on('error', function(err) {
+        expect(err).to.be.an.instanceof(OpusError);
+        expect(err.message).to.match(/channel mapping/);
+        done();
+      });
+      writer.end();
+    });
+    it('should skip the delay and flush the rest when resampling', function(done) {
+      var enc = new MultistreamEncoder({ channels: 3 });
+      var packets = encodeChannel(enc, 1, 10);
+      var dec = new MultistreamDecoder({ channels: 3, rate: 44100 });
+      var delay = dec._getResamplerDelay();
+      var direct = new MultistreamDecoder({ channels: 3, rate: 44100 });
+      var expected = [];
+      packets.forEach(function(packet) {
+        Array.prototype.push.apply(expected, direct.decodeInt16(packet));
+      });
+      var stream = dec.stream('Int16');
+      var output = [];
+      stream.on('data', function(chunk) { output.push(chunk); });
+      stream.on('end', function() {
+        var pcm = new Int16Array(new Uint8Array(Buffer.concat(output)).buffer);
+        expect(delay).to.be.above(0);
+        expect(pcm.length / 3).to.be.within(8819, 8821);
+        expect(Array.from(pcm.subarray(0, expected.length - delay * 3)))
+            .to.deep.equal(expected.slice(delay * 3));
+        done();
+      });
+      stream.on('error', done);
+      packets.forEach(function(packet) {
+        stream.write(packet);
+      });
+      stream.end();
+    });
+  });
+  describe('transformStream', function() {
+    it('should decode multistream packets', function() {
+      var enc = new MultistreamEncoder({ channels: 4 });
+      var dec = new MultistreamDecoder({ channels: 4 });
+      var readable = new ReadableStream({
+        start: function(controller) {
+          encodeChannel(enc, 2, 2).forEach(function(packet) { controller.enqueue(packet); });
+          controller.close();
+        }
+      });
+      var reader = readable.pipeThrough(dec.transformStream('Int16')).getReader();
+      return reader.read().then(function(result) {
+        expect(result.value).to.be.an.instanceof(Int16Array);
+        expect(result.value).to.have.lengthOf(960 * 4);
+        return reader.read();
+      }).then(function(result) {
+        var channels = energy(result.value, 4);
+        expect(channels[2]).to.be.above(channels[0] * 100);
+      });
+    });
+  });
+});
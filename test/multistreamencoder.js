@@ -0,0 +1,174 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Transform = require('stream').Transform;
+var MultistreamEncoder = require('../lib/multistreamencoder.js');
+var Encoder = require('../lib/encoder.js');
+var MultistreamDecoder = require('../lib/multistreamdecoder.js');
+var OggOpusWriter = require('../lib/oggwriter.js');
+var OggOpusReader = require('../lib/oggreader.js');
+var Packet = require('../lib/packet.js');
+var multistream = require('../lib/multistream.js');
+var OpusError = require('../lib/opuserror.js');
+var sine = require('./helpers/sine.js').sine;
+
+describe('MultistreamEncoder', function() {
+  describe('MultistreamEncoder()', function() {
+    it('should work without new', function() {
+      expect(MultistreamEncoder()).to.be.an.instanceof(MultistreamEncoder);
+    });
+    it('should create one encoder per stream', function() {
+      var enc = new MultistreamEncoder({ channels: 6 });
+      expect(enc.getEncoder(0)._channels).to.equal(2);
+      expect(enc.getEncoder(1)._channels).to.equal(2);
+      expect(enc.getEncoder(2)._channels).to.equal(1);
+      expect(enc.getEncoder(3)._channels).to.equal(1);
+      expect(function(){ enc.getEncoder(4); }).to.throw(OpusError);
+      expect(enc.getMapping()).to.deep.equal({ channels: 6, mappingFamily: 1,
+          streamCount: 4, coupledCount: 2, mapping: [0, 4, 1, 2, 3, 5] });
+    });
+    it('should reject streams without input channels', function() {
+      expect(function(){ new MultistreamEncoder({ channels: 2, streamCount: 2,
+          coupledCount: 0, mapping: [0, 255] }); }).to.throw(/no input channel/);
+    });
+    it('should reject more than 8 channels without explicit mapping', function() {
+      expect(function(){ new MultistreamEncoder({ channels: 9 }); }).to.throw(/channels/);
+    });
+  });
+  describe('destroy', function() {
+    it('should destroy all encoders in unsafe mode', function() {
+      var enc = new MultistreamEncoder({ channels: 4, unsafe: true });
+      var destroyed = 0;
+      enc._encoders.forEach(function(encoder) {
+        var destroy = encoder.destroy;
+        encoder.destroy = function() {
+          destroyed++;
+          destroy.call(this);
+        };
+      });
+      enc.destroy();
+      expect(destroyed).to.equal(2);
+    });
+  });
+  describe('settings', function() {
+    [false, true].forEach(function(unsafe) {
+      describe(unsafe ? 'in unsafe mode' : 'in safe mode', function() {
+        var enc;
+        beforeEach(function() {
+          enc = new MultistreamEncoder({ channels: 6, unsafe: unsafe });
+        });
+        afterEach(function() {
+          enc.destroy();
+        });
+        it('should distribute the bitrate by channel count', function() {
+          enc.setBitrate(192000);
+          expect(enc.getEncoder(0).getBitrate()).to.equal(64000);
+          expect(enc.getEncoder(3).getBitrate()).to.equal(32000);
+          expect(enc.getBitrate()).to.equal(192000);
+        });
+        it('should apply settings to all streams', function() {
+          enc.setComplexity(3);
+          enc.setInbandFEC(true);
+          enc._encoders.forEach(function(encoder) {
+            expect(encoder.getComplexity()).to.equal(3);
+            expect(encoder.getInbandFEC()).to.be.true;
+          });
+          expect(enc.getComplexity()).to.equal(3);
+        });
+      });
+    });
+    it('should accept settings as constructor options', function() {
+      var enc = new MultistreamEncoder({ channels: 3, complexity: 5, vbr: false });
+      expect(enc.getComplexity()).to.equal(5);
+      expect(enc.getVBR()).to.be.false;
+    });
+    it('should reject out-of-range values', function() {
+      var enc = new MultistreamEncoder({ channels: 6 });
+      expect(function(){ enc.setBitrate(1000); }).to.throw(OpusError);
+      expect(function(){ enc.setComplexity(11); }).to.throw(OpusError);
+    });
+  });
+  describe('encode', function() {
+    it('should produce multistream packets', function() {
+      var enc = new MultistreamEncoder({ channels: 6 });
+      var packet = enc.encode(new Int16Array(960 * 6));
+      var packets = multistream.splitPackets(packet, 4);
+      expect(packets).to.have.lengthOf(4);
+      expect(new Packet(packets[0]).stereo).to.be.true;
+      expect(new Packet(packets[3]).stereo).to.be.false;
+      packets.forEach(function(p) {
+        expect(new Packet(p).duration).to.equal(960);
+      });
+    });
+    it('should accept Float32Array', function() {
+      var enc = new MultistreamEncoder({ channels: 3 });
+      expect(enc.encode(new Float32Array(480 * 3))).to.be.an.instanceof(Buffer);
+    });
+    it('should refuse any types other than Int16-/Float32Array', function() {
+      var enc = new MultistreamEncoder({ channels: 3 });
+      expect(function(){ enc.encode([0, 0, 0]); }).to.throw(TypeError);
+    });
+  });
+  describe('stream', function() {
+    it('should produce an encoder stream', function(done) {
+      var enc = new MultistreamEncoder({ channels: 6 });
+      var stream = enc.stream('Int16', { frameDuration: 20 });
+      expect(stream).to.be.an.instanceof(Transform);
+      var packets = [];
+      stream.on('data', function(packet) { packets.push(packet); });
+      stream.on('end', function() {
+        expect(packets).to.have.lengthOf(2);
+        expect(stream.padding).to.equal(960 * 2 - 1000);
+        done();
+      });
+      stream.end(Buffer.alloc(1000 * 6 * 2));
+    });
+    it('should keep the signal aligned when resampling', function(done) {
+      var enc = new MultistreamEncoder({ channels: 3, rate: 44100 });
+      var dec = new MultistreamDecoder({ channels: 3, rate: 44100 });
+      // Ends with a partial frame, so the lookahead is flushed
+      var wave = sine(4500, { rate: 44100 });
+      var input = new Int16Array(4500 * 3);
+      for (var i = 0; i < 4500; i++) {
+        input[i * 3 + 1] = wave[i];
+      }
+      var output = [];
+      var stream = enc.stream('Int16', { frameDuration: 20 });
+      var decoder = dec.stream('Int16');
+      stream.pipe(new OggOpusWriter({ encoder: enc }))
+        .pipe(new OggOpusReader()).pipe(decoder);
+      decoder.on('data', function(chunk) { output.push(chunk); });
+      decoder.on('end', function() {
+        var pcm = new Int16Array(new Uint8Array(Buffer.concat(output)).buffer);
+        expect(pcm).to.have.lengthOf(input.length);
+        var signal = 0;
+        var error = 0;
+        for (var i = 0; i < pcm.length; i++) {
+          signal += input[i] * input[i];
+          error += (pcm[i] - input[i]) * (pcm[i] - input[i]);
+        }
+        expect(error).to.be.below(signal / 10);
+        done();
+      });
+      decoder.on('error', done);
+      stream.end(Buffer.from(input.buffer));
+    });
+  });
+  describe('encodeAll', function() {
+    it('should encode planar samples', function() {
+      var enc = new MultistreamEncoder({ channels: 3 });
+      var planes = [new Float32Array(960), new Float32Array(960), new Float32Array(960)];
+      var iterator = enc.encodeAll([planes], 'Float32')[Symbol.asyncIterator]();
+      return iterator.next().then(function(result) {
+        expect(new Packet(result.value, true).duration).to.equal(960);
+        return iterator.next();
+      }).then(function(result) {
+        expect(result.done).to.be.true;
+      });
+    });
+  });
+  it('should expose the encoder constants', function() {
+    expect(MultistreamEncoder.Application).to.equal(Encoder.Application);
+    expect(MultistreamEncoder.AUTO).to.equal(Encoder.AUTO);
+  });
+});
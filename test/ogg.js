@@ -0,0 +1,55 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var ogg = require('../lib/ogg.js');
+
+describe('ogg', function() {
+  describe('crc32', function() {
+    it('should calculate the Ogg checksum', function() {
+      expect(ogg.crc32(Buffer.from('123456789'))).to.equal(0x89a1897f);
+      expect(ogg.crc32(Buffer.alloc(0))).to.equal(0);
+    });
+    it('should continue a previous checksum', function() {
+      var crc = ogg.crc32(Buffer.from('1234'));
+      expect(ogg.crc32(Buffer.from('56789'), crc)).to.equal(0x89a1897f);
+    });
+  });
+  describe('lacing', function() {
+    it('should split packets into segments', function() {
+      expect(ogg.lacing(0)).to.deep.equal([0]);
+      expect(ogg.lacing(254)).to.deep.equal([254]);
+      expect(ogg.lacing(255)).to.deep.equal([255, 0]);
+      expect(ogg.lacing(600)).to.deep.equal([255, 255, 90]);
+    });
+  });
+  describe('writePage', function() {
+    it('should serialize a page', function() {
+      var page = ogg.writePage({
+        flags: ogg.Flags.BOS,
+        granule: 0x100000002,
+        serial: 0x12345678,
+        sequence: 3,
+        segments: [2],
+        data: Buffer.from([0xaa, 0xbb])
+      });
+      expect(page).to.have.lengthOf(27 + 1 + 2);
+      expect(page.toString('ascii', 0, 4)).to.equal('OggS');
+      expect(page[5]).to.equal(ogg.Flags.BOS);
+      expect(page.readUInt32LE(6)).to.equal(2);
+      expect(page.readUInt32LE(10)).to.equal(1);
+      expect(page.readUInt32LE(14)).to.equal(0x12345678);
+      expect(page.readUInt32LE(18)).to.equal(3);
+      expect(page[26]).to.equal(1);
+      expect(page.slice(28)).to.deep.equal(Buffer.from([0xaa, 0xbb]));
+
+      var crc = page.readUInt32LE(22);
+      page.writeUInt32LE(0, 22);
+      expect(ogg.crc32(page)).to.equal(crc);
+    });
+    it('should encode granule position -1', function() {
+      var page = ogg.writePage({ flags: 0, granule: -1, serial: 0, sequence: 0,
+          segments: [], data: Buffer.alloc(0) });
+      expect(page.slice(6, 14)).to.deep.equal(Buffer.alloc(8, 0xff));
+    });
+  });
+});
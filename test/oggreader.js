@@ -0,0 +1,168 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Transform = require('stream').Transform;
+var OggOpusReader = require('../lib/oggreader.js');
+var OggOpusWriter = require('../lib/oggwriter.js');
+var Encoder = require('../lib/encoder.js');
+var Decoder = require('../lib/decoder.js');
+var OpusError = require('../lib/opuserror.js');
+var ogg = require('../lib/ogg.js');
+
+var head = Buffer.from('4f707573486561640102380180bb000000ff00', 'hex');
+var tags = Buffer.concat([Buffer.from('OpusTags'), Buffer.from([3, 0, 0, 0]),
+    Buffer.from('abc'), Buffer.from([1, 0, 0, 0, 5, 0, 0, 0]), Buffer.from('a=b=c')]);
+
+function page(flags, sequence, packets, granule) {
+  var segments = [];
+  packets.forEach(function(packet) {
+    Array.prototype.push.apply(segments, ogg.lacing(packet.length));
+  });
+  return ogg.writePage({ flags: flags, granule: granule || 0, serial: 7,
+      sequence: sequence, segments: segments, data: Buffer.concat(packets) });
+}
+
+function readAll(reader, input, done) {
+  var packets = [];
+  reader.on('data', function(packet) { packets.push(packet); });
+  reader.on('error', done);
+  reader.on('end', function() { done(null, packets); });
+  input.forEach(function(chunk) { reader.write(chunk); });
+  reader.end();
+}
+
+describe('OggOpusReader', function() {
+  it('should work without new', function() {
+    expect(OggOpusReader()).to.be.an.instanceof(OggOpusReader);
+  });
+  it('should be a transform stream', function() {
+    expect(new OggOpusReader()).to.be.an.instanceof(Transform);
+  });
+  it('should parse the headers', function(done) {
+    var reader = new OggOpusReader();
+    var events = [];
+    reader.on('head', function(h) { events.push(h); });
+    reader.on('tags', function(t) { events.push(t); });
+    readAll(reader, [page(ogg.Flags.BOS, 0, [head]), page(0, 1, [tags])],
+        function(err, packets) {
+      if (err) return done(err);
+      expect(packets).to.be.empty;
+      expect(events).to.deep.equal([{
+        version: 1,
+        channels: 2,
+        preSkip: 312,
+        inputSampleRate: 48000,
+        outputGain: -256,
+        mappingFamily: 0
+      }, {
+        vendor: 'abc',
+        comments: { A: ['b=c'] }
+      }]);
+      expect(reader.head).to.equal(events[0]);
+      expect(reader.tags).to.equal(events[1]);
+      done();
+    });
+  });
+  it('should reassemble packets split across pages and chunks', function(done) {
+    var big = Buffer.alloc(600, 1);
+    var data = Buffer.concat([
+      Buffer.from('garbage'),
+      page(ogg.Flags.BOS, 0, [head]),
+      page(0, 1, [tags]),
+      ogg.writePage({ flags: 0, granule: -1, serial: 7, sequence: 2,
+          segments: [255, 255], data: big.slice(0, 510) }),
+      ogg.writePage({ flags: ogg.Flags.CONTINUED | ogg.Flags.EOS, granule: 1272,
+          serial: 7, sequence: 3, segments: [90, 1],
+          data: Buffer.concat([big.slice(510), Buffer.from([2])]) })
+    ]);
+    var chunks = [];
+    for (var i = 0; i < data.length; i += 13) {
+      chunks.push(data.slice(i, i + 13));
+    }
+    var reader = new OggOpusReader();
+    var duration;
+    reader.on('duration', function(d) { duration = d; });
+    readAll(reader, chunks, function(err, packets) {
+      if (err) return done(err);
+      expect(packets).to.deep.equal([big, Buffer.from([2])]);
+      expect(duration).to.equal(1272 - 312);
+      done();
+    });
+  });
+  it('should ignore pages of other streams', function(done) {
+    var other = ogg.writePage({ flags: ogg.Flags.BOS, granule: 0, serial: 8,
+        sequence: 0, segments: [1], data: Buffer.from([9]) });
+    readAll(new OggOpusReader(), [page(ogg.Flags.BOS, 0, [head]), other,
+        page(0, 1, [tags]), page(0, 2, [Buffer.from([1])])],
+        function(err, packets) {
+      if (err) return done(err);
+      expect(packets).to.deep.equal([Buffer.from([1])]);
+      done();
+    });
+  });
+  it('should error on invalid checksums', function(done) {
+    var corrupt = page(ogg.Flags.BOS, 0, [head]);
+    corrupt[30] ^= 1;
+    readAll(new OggOpusReader(), [corrupt], function(err) {
+      expect(err).to.match(/checksum/);
+      done();
+    });
+  });
+  it('should error on missing headers', function(done) {
+    readAll(new OggOpusReader(), [page(ogg.Flags.BOS, 0, [tags])], function(err) {
+      expect(err).to.match(/OpusHead/);
+      done();
+    });
+  });
+  describe('parseHead', function() {
+    it('should parse channel mappings', function() {
+      var buf = Buffer.concat([head, Buffer.from([2, 1, 0, 1, 2])]);
+      buf[9] = 3;
+      buf[18] = 1;
+      expect(OggOpusReader.parseHead(buf)).to.include({ channels: 3,
+          mappingFamily: 1, streamCount: 2, coupledCount: 1 });
+      expect(OggOpusReader.parseHead(buf).mapping).to.deep.equal([0, 1, 2]);
+    });
+    it('should reject unsupported versions', function() {
+      var buf = Buffer.from(head);
+      buf[8] = 0x10;
+      expect(function(){ OggOpusReader.parseHead(buf); }).to.throw(/version/);
+    });
+  });
+  describe('with DecoderStream', function() {
+    it('should decode sample-accurately', function(done) {
+      var samples = 960 * 5 + 100;
+      var enc = new Encoder();
+      var writer = new OggOpusWriter({ encoder: enc, outputGain: 256 });
+      var reader = new OggOpusReader();
+      var dec = new Decoder();
+      var output = 0;
+      writer.pipe(reader).pipe(dec.stream('Int16'))
+        .on('data', function(chunk) { output += chunk.length / 2; })
+        .on('end', function() {
+          expect(output).to.equal(samples);
+          expect(dec.getGain()).to.equal(256);
+          done();
+        });
+      for (var i = 0; i < 6; i++) {
+        writer.write(enc.encode(new Int16Array(960)));
+      }
+      // The lookahead has to be flushed out of the encoder as well
+      writer.write(enc.encode(new Int16Array(960)));
+      writer.setEndTrim(960 * 7 - enc.getLookahead() - samples);
+      writer.end();
+    });
+    it('should fail on multichannel streams', function(done) {
+      var writer = new OggOpusWriter({ channels: 6 });
+      var stream = new Decoder({ channels: 2 }).stream('Int16');
+      writer.pipe(new OggOpusReader()).pipe(stream);
+      stream.resume();
+      stream.on('error', function(err) {
+        expect(err).to.be.an.instanceof(OpusError);
+        expect(err.message).to.match(/MultistreamDecoder/);
+        done();
+      });
+      writer.end();
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Transform = require('stream').Transform;
+var OggOpusWriter = require('../lib/oggwriter.js');
+var Encoder = require('../lib/encoder.js');
+var ogg = require('../lib/ogg.js');
+
+// Splits an Ogg bitstream into pages
+function parsePages(buf) {
+  var pages = [];
+  var offset = 0;
+  while (offset < buf.length) {
+    expect(buf.toString('ascii', offset, offset + 4)).to.equal('OggS');
+    var count = buf[offset + 26];
+    var segments = Array.prototype.slice.call(buf, offset + 27, offset + 27 + count);
+    var length = segments.reduce(function(a, b) { return a + b; }, 0);
+    var end = offset + 27 + count + length;
+    var raw = Buffer.from(buf.slice(offset, end));
+    var crc = raw.readUInt32LE(22);
+    raw.writeUInt32LE(0, 22);
+    expect(ogg.crc32(raw)).to.equal(crc);
+    pages.push({
+      flags: buf[offset + 5],
+      granule: buf.readUInt32LE(offset + 6) + buf.readInt32LE(offset + 10) * 0x100000000,
+      sequence: buf.readUInt32LE(offset + 18),
+      segments: segments,
+      data: buf.slice(offset + 27 + count, end)
+    });
+    offset = end;
+  }
+  return pages;
+}
+
+function writeAll(writer, packets, done) {
+  var chunks = [];
+  writer.on('data', function(chunk) { chunks.push(chunk); });
+  writer.on('end', function() { done(parsePages(Buffer.concat(chunks))); });
+  packets.forEach(function(packet) { writer.write(packet); });
+  writer.end();
+}
+
+describe('OggOpusWriter', function() {
+  var enc = new Encoder();
+  var packets = [];
+  for (var i = 0; i < 10; i++) {
+    packets.push(enc.encode(new Int16Array(960)));
+  }
+
+  it('should work without new', function() {
+    expect(OggOpusWriter()).to.be.an.instanceof(OggOpusWriter);
+  });
+  it('should be a transform stream', function() {
+    expect(new OggOpusWriter()).to.be.an.instanceof(Transform);
+  });
+  it('should reject invalid options', function() {
+    expect(function(){ new OggOpusWriter({ channels: 3, mappingFamily: 0 }); }).to.throw(/channel/);
+    expect(function(){ new OggOpusWriter({ channels: 9 }); }).to.throw(/channel/);
+    expect(function(){ new OggOpusWriter({ preSkip: -1 }); }).to.throw(/preSkip/);
+  });
+  it('should write the headers on their own pages', function(done) {
+    var writer = new OggOpusWriter({ channels: 2, preSkip: 312,
+        inputSampleRate: 44100, outputGain: -256, serial: 42,
+        comments: { TITLE: 'Test', ARTIST: ['A', 'B'] } });
+    writeAll(writer, [], function(pages) {
+      expect(pages).to.have.lengthOf(3);
+      expect(pages[0].flags).to.equal(ogg.Flags.BOS);
+      expect(pages[0].granule).to.equal(0);
+      var head = pages[0].data;
+      expect(head.toString('ascii', 0, 8)).to.equal('OpusHead');
+      expect(head[8]).to.equal(1);
+      expect(head[9]).to.equal(2);
+      expect(head.readUInt16LE(10)).to.equal(312);
+      expect(head.readUInt32LE(12)).to.equal(44100);
+      expect(head.readInt16LE(16)).to.equal(-256);
+      expect(head[18]).to.equal(0);
+
+      var tags = pages[1].data;
+      expect(pages[1].flags).to.equal(0);
+      expect(tags.toString('ascii', 0, 8)).to.equal('OpusTags');
+      var vendorLength = tags.readUInt32LE(8);
+      expect(tags.toString('utf8', 12, 12 + vendorLength)).to.equal('libopus.js');
+      expect(tags.readUInt32LE(12 + vendorLength)).to.equal(3);
+      expect(tags.toString('utf8')).to.contain('TITLE=Test')
+          .and.contain('ARTIST=A').and.contain('ARTIST=B');
+
+      expect(pages[2].flags).to.equal(ogg.Flags.EOS);
+      expect(pages[2].granule).to.equal(0);
+      pages.forEach(function(page, i) {
+        expect(page.sequence).to.equal(i);
+      });
+      done();
+    });
+  });
+  it('should derive defaults from the encoder', function(done) {
+    var writer = new OggOpusWriter({ encoder: new Encoder({ rate: 16000, channels: 2 }) });
+    writeAll(writer, [], function(pages) {
+      var head = pages[0].data;
+      expect(head[9]).to.equal(2);
+      expect(head.readUInt16LE(10)).to.equal(312);
+      expect(head.readUInt32LE(12)).to.equal(16000);
+      done();
+    });
+  });
+  it('should write the channel mapping table', function(done) {
+    var writer = new OggOpusWriter({ channels: 3, streamCount: 2, coupledCount: 1,
+        mapping: [0, 255, 2] });
+    writeAll(writer, [], function(pages) {
+      var head = pages[0].data;
+      expect(head).to.have.lengthOf(24);
+      expect(head[18]).to.equal(255);
+      expect(head[19]).to.equal(2);
+      expect(head[20]).to.equal(1);
+      expect(Array.prototype.slice.call(head, 21)).to.deep.equal([0, 255, 2]);
+      done();
+    });
+  });
+  it('should write packets with granule positions', function(done) {
+    var writer = new OggOpusWriter({ preSkip: 312, maxPageDuration: 960 * 4 });
+    writeAll(writer, packets, function(pages) {
+      var audio = pages.slice(2);
+      expect(audio).to.have.lengthOf(3);
+      expect(audio[0].segments).to.have.lengthOf(4);
+      expect(audio[0].granule).to.equal(960 * 4);
+      expect(audio[1].granule).to.equal(960 * 8);
+      expect(audio[2].granule).to.equal(960 * 10);
+      expect(audio[2].flags).to.equal(ogg.Flags.EOS);
+      expect(audio[0].data.slice(0, packets[0].length)).to.deep.equal(packets[0]);
+      done();
+    });
+  });
+  it('should trim the end of the stream', function(done) {
+    var writer = new OggOpusWriter({ preSkip: 312 });
+    writer.setEndTrim(500);
+    writeAll(writer, packets, function(pages) {
+      expect(pages[pages.length - 1].granule).to.equal(960 * 10 - 500);
+      done();
+    });
+  });
+  it('should trim less than the pre-skip from the end', function(done) {
+    var writer = new OggOpusWriter({ preSkip: 312 });
+    writer.setEndTrim(100);
+    writeAll(writer, packets, function(pages) {
+      expect(pages[pages.length - 1].granule).to.equal(960 * 10 - 100);
+      done();
+    });
+  });
+  it('should start a new page when the segment table is full', function(done) {
+    var writer = new OggOpusWriter();
+    writer.on('error', done);
+    // Code 3 packet with 20 CELT frames of 2.5ms
+    var big = Buffer.alloc(2 + 20 * 1275);
+    big[0] = 0x83;
+    big[1] = 20;
+    writeAll(writer, [big, big, big], function(pages) {
+      var audio = pages.slice(2);
+      expect(audio).to.have.lengthOf(2);
+      expect(audio[0].segments).to.have.lengthOf(202);
+      expect(audio[0].granule).to.equal(2400 * 2);
+      expect(audio[1].flags).to.equal(ogg.Flags.EOS);
+      expect(audio[1].granule).to.equal(2400 * 3);
+      done();
+    });
+  });
+  it('should continue large packets on the next page', function(done) {
+    var writer = new OggOpusWriter();
+    writer.on('error', done);
+    // Code 3 packet with a single 20ms CELT frame and lots of padding
+    var padding = 255 * 300;
+    var big = Buffer.alloc(2 + Math.ceil(padding / 254) + padding);
+    big[0] = 0xfb;
+    big[1] = 0x41;
+    big.fill(255, 2, 2 + Math.floor(padding / 254));
+    big[2 + Math.floor(padding / 254)] = padding % 254;
+    writeAll(writer, [big], function(pages) {
+      var audio = pages.slice(2);
+      expect(audio).to.have.lengthOf(2);
+      expect(audio[0].segments).to.have.lengthOf(255);
+      expect(audio[0].granule).to.equal(-1);
+      expect(audio[1].flags).to.equal(ogg.Flags.CONTINUED | ogg.Flags.EOS);
+      expect(audio[1].granule).to.equal(960);
+      expect(Buffer.concat([audio[0].data, audio[1].data])).to.deep.equal(big);
+      done();
+    });
+  });
+  it('should reject invalid packets', function(done) {
+    var writer = new OggOpusWriter();
+    writer.on('error', function(err) {
+      expect(err).to.match(/invalid packet/);
+      done();
+    });
+    writer.write(Buffer.alloc(0));
+  });
+  it('should trim the padding of an EncoderStream', function(done) {
+    var enc = new Encoder({ rate: 16000 });
+    var writer = new OggOpusWriter({ encoder: enc });
+    var stream = enc.stream('Int16', { frameDuration: 20 });
+    var chunks = [];
+    stream.pipe(writer);
+    writer.on('data', function(chunk) { chunks.push(chunk); });
+    writer.on('end', function() {
+      var pages = parsePages(Buffer.concat(chunks));
+      var last = pages[pages.length - 1];
+      // Pre-skip and 1000 samples at 16kHz
+      expect(last.granule).to.equal(enc.getLookahead() * 3 + 1000 * 3);
+      done();
+    });
+    stream.end(Buffer.alloc(1000 * 2));
+  });
+  it('should convert padding at the rate emitted along with it', function(done) {
+    var writer = new OggOpusWriter({ preSkip: 312 });
+    var source = new Transform({
+      transform: function(chunk, encoding, callback) { callback(null, chunk); }
+    });
+    source.pipe(writer);
+    // 500 samples at 16kHz after those flushed out of the lookahead
+    source.emit('padding', 312 / 3 + 500, 16000);
+    writeAll(writer, packets, function(pages) {
+      expect(pages[pages.length - 1].granule).to.equal(960 * 10 - 500 * 3);
+      done();
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var OpusError = require('../lib/opuserror.js');
+var utils = require('../lib/utils.js');
+
+var Code = OpusError.Code;
+
+describe('OpusError', function() {
+  it('should work without new', function() {
+    expect(OpusError(Code.BAD_ARG)).to.be.an.instanceof(OpusError);
+  });
+  it('should be an Error', function() {
+    var err = new OpusError(Code.BAD_ARG);
+    expect(err).to.be.an.instanceof(Error);
+    expect(err.name).to.equal('OpusError');
+    expect(err.stack).to.match(/^OpusError: invalid argument/);
+    expect(String(err)).to.equal('OpusError: invalid argument');
+  });
+  it('should carry the code and its name', function() {
+    var err = new OpusError(Code.INVALID_PACKET, 'invalid packet: packet is empty');
+    expect(err.code).to.equal(-4);
+    expect(err.codeName).to.equal('OPUS_INVALID_PACKET');
+    expect(err.message).to.equal('invalid packet: packet is empty');
+  });
+  it('should describe the codes like libopus', function() {
+    var libopus = utils.resolveModule();
+    Object.keys(Code).forEach(function(name) {
+      var err = new OpusError(Code[name]);
+      expect(err.codeName).to.equal('OPUS_' + name);
+      expect(err.message).to.equal(libopus.Pointer_stringify(libopus._opus_strerror(Code[name])));
+    });
+  });
+  it('should handle unknown codes', function() {
+    var err = new OpusError(-42);
+    expect(err.codeName).to.equal('OPUS_UNKNOWN_ERROR');
+    expect(err.message).to.equal('unknown error');
+  });
+});
@@ -0,0 +1,201 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Packet = require('../lib/packet.js');
+var OpusError = require('../lib/opuserror.js');
+var Decoder = require('../lib/decoder.js');
+var Encoder = require('../lib/encoder.js');
+var encodeSine = require('./helpers/sine.js').encodeSine;
+var Bandwidth = Encoder.Bandwidth;
+var Mode = Packet.Mode;
+
+function packet(bytes) {
+  return new Packet(Buffer.from(bytes));
+}
+
+describe('Packet', function() {
+  describe('Packet()', function() {
+    it('should work without new', function() {
+      expect(Packet(Buffer.from([0]))).to.be.an.instanceof(Packet);
+    });
+    it('should only accept Buffers', function() {
+      expect(function(){ new Packet([0]); }).to.throw(TypeError);
+      expect(function(){ new Packet(); }).to.throw(TypeError);
+    });
+    it('should reject empty packets', function() {
+      expect(function(){ packet([]); }).to.throw(OpusError, /empty/)
+        .with.property('code', OpusError.Code.INVALID_PACKET);
+    });
+  });
+  describe('TOC', function() {
+    it('should parse the configuration', function() {
+      var p = packet([(1 << 3) | 0x04]);
+      expect(p.config).to.equal(1);
+      expect(p.mode).to.equal(Mode.SILK);
+      expect(p.bandwidth).to.equal(Bandwidth.NARROWBAND);
+      expect(p.frameSize).to.equal(960);
+      expect(p.frameDuration).to.equal(20);
+      expect(p.stereo).to.be.true;
+
+      p = packet([13 << 3]);
+      expect(p.mode).to.equal(Mode.HYBRID);
+      expect(p.bandwidth).to.equal(Bandwidth.SUPERWIDEBAND);
+      expect(p.frameDuration).to.equal(20);
+      expect(p.stereo).to.be.false;
+
+      p = packet([16 << 3]);
+      expect(p.mode).to.equal(Mode.CELT);
+      expect(p.bandwidth).to.equal(Bandwidth.NARROWBAND);
+      expect(p.frameDuration).to.equal(2.5);
+
+      p = packet([(20 + 3) << 3]);
+      expect(p.bandwidth).to.equal(Bandwidth.WIDEBAND);
+      expect(p.frameDuration).to.equal(20);
+
+      p = packet([31 << 3]);
+      expect(p.bandwidth).to.equal(Bandwidth.FULLBAND);
+    });
+    it('should agree with libopus on the number of samples', function() {
+      for (var config = 0; config < 32; config++) {
+        [[0], [1, 0], [2, 0], [3, 0x02]].forEach(function(rest) {
+          var data = Buffer.from([(config << 3) | rest[0]].concat(rest.slice(1)));
+          var p;
+          try {
+            p = new Packet(data);
+          } catch (err) {
+            // Some of these are too long, skip them
+            return;
+          }
+          [8000, 48000].forEach(function(rate) {
+            expect(p.getNumberOfSamples(rate))
+              .to.equal(Decoder.getNumberOfSamples(data, rate));
+          });
+        });
+      }
+    });
+  });
+  describe('code 0', function() {
+    it('should contain one frame', function() {
+      var p = packet([0, 1, 2, 3]);
+      expect(p.frameCount).to.equal(1);
+      expect(p.frameLengths).to.deep.equal([3]);
+      expect(p.getFrames()).to.deep.equal([Buffer.from([1, 2, 3])]);
+      expect(p.duration).to.equal(480);
+    });
+    it('should reject frames longer than 1275 bytes', function() {
+      expect(function(){ packet(new Array(1277)); }).to.throw(/1275/);
+    });
+  });
+  describe('code 1', function() {
+    it('should contain two equal frames', function() {
+      var p = packet([1, 1, 2, 3, 4]);
+      expect(p.frameLengths).to.deep.equal([2, 2]);
+      expect(p.getFrames()).to.deep.equal([Buffer.from([1, 2]), Buffer.from([3, 4])]);
+    });
+    it('should reject odd payload lengths', function() {
+      expect(function(){ packet([1, 1, 2, 3]); }).to.throw(/odd/);
+    });
+  });
+  describe('code 2', function() {
+    it('should contain two frames', function() {
+      var p = packet([2, 1, 9, 8, 7]);
+      expect(p.frameLengths).to.deep.equal([1, 2]);
+      expect(p.getFrames()).to.deep.equal([Buffer.from([9]), Buffer.from([8, 7])]);
+    });
+    it('should parse two byte lengths', function() {
+      var data = [2, 252, 1].concat(new Array(256 + 3));
+      expect(packet(data).frameLengths).to.deep.equal([256, 3]);
+    });
+    it('should allow empty frames', function() {
+      expect(packet([2, 0]).frameLengths).to.deep.equal([0, 0]);
+    });
+    it('should reject invalid lengths', function() {
+      expect(function(){ packet([2]); }).to.throw(/length/);
+      expect(function(){ packet([2, 253]); }).to.throw(/length/);
+      expect(function(){ packet([2, 3, 1, 2]); }).to.throw(/longer/);
+    });
+  });
+  describe('code 3', function() {
+    it('should contain CBR frames', function() {
+      var p = packet([3, 3, 1, 2, 3]);
+      expect(p.vbr).to.be.false;
+      expect(p.frameLengths).to.deep.equal([1, 1, 1]);
+      expect(p.frameOffsets).to.deep.equal([2, 3, 4]);
+    });
+    it('should contain VBR frames', function() {
+      var p = packet([3, 0x83, 1, 2, 9, 8, 7, 6, 5]);
+      expect(p.vbr).to.be.true;
+      expect(p.frameLengths).to.deep.equal([1, 2, 2]);
+      expect(p.getFrames()[2]).to.deep.equal(Buffer.from([6, 5]));
+    });
+    it('should parse padding', function() {
+      var p = packet([3, 0x42, 2, 1, 2, 0, 0]);
+      expect(p.padding).to.equal(2);
+      expect(p.frameLengths).to.deep.equal([1, 1]);
+      var data = [3, 0x41, 255, 1, 7].concat(new Array(255));
+      p = packet(data);
+      expect(p.padding).to.equal(255);
+      expect(p.frameLengths).to.deep.equal([1]);
+      expect(p.getFrames()[0]).to.deep.equal(Buffer.from([7]));
+    });
+    it('should reject malformed packets', function() {
+      expect(function(){ packet([3]); }).to.throw(/count/);
+      expect(function(){ packet([3, 0]); }).to.throw(/one frame/);
+      // 49 frames of 2.5ms exceed 120ms
+      expect(function(){ packet([16 << 3 | 3, 49]); }).to.throw(/120ms/);
+      expect(function(){ packet([3, 0x41]); }).to.throw(/padding/);
+      expect(function(){ packet([3, 0x41, 5, 1]); }).to.throw(/padding/);
+      expect(function(){ packet([3, 2, 1, 2, 3]); }).to.throw(/equal/);
+      expect(function(){ packet([3, 0x82, 5, 1]); }).to.throw(/longer/);
+    });
+  });
+  describe('self-delimited', function() {
+    function sd(bytes) {
+      return new Packet(Buffer.from(bytes), true);
+    }
+    it('should read the explicit frame length', function() {
+      var p = sd([0, 2, 7, 8, 9, 9]);
+      expect(p.selfDelimited).to.be.true;
+      expect(p.frameLengths).to.deep.equal([2]);
+      expect(p.data).to.deep.equal(Buffer.from([0, 2, 7, 8]));
+      expect(sd([1, 1, 7, 8, 9]).frameLengths).to.deep.equal([1, 1]);
+      expect(sd([2, 1, 2, 7, 8, 9, 9]).frameLengths).to.deep.equal([1, 2]);
+      expect(sd([3, 3, 1, 1, 2, 3, 9]).frameLengths).to.deep.equal([1, 1, 1]);
+      p = sd([3, 0x82, 2, 1, 7, 8, 9, 9]);
+      expect(p.frameLengths).to.deep.equal([2, 1]);
+      expect(p.data).to.have.lengthOf(7);
+    });
+    it('should include padding after the frames', function() {
+      var p = sd([3, 0x41, 2, 1, 7, 0, 0, 9]);
+      expect(p.padding).to.equal(2);
+      expect(p.data).to.deep.equal(Buffer.from([3, 0x41, 2, 1, 7, 0, 0]));
+    });
+    it('should allow empty frames', function() {
+      expect(sd([0, 0]).frameLengths).to.deep.equal([0]);
+    });
+    it('should reject truncated packets', function() {
+      expect(function(){ sd([0]); }).to.throw(/length/);
+      expect(function(){ sd([0, 3, 1, 2]); }).to.throw(/longer/);
+      expect(function(){ sd([3, 0x41, 2, 1, 7, 0]); }).to.throw(/longer/);
+    });
+  });
+  it('should parse encoder output', function() {
+    var enc = new Encoder({ channels: 2 });
+    var p = new Packet(enc.encode(new Int16Array(960 * 2)));
+    expect(p.frameCount).to.equal(1);
+    expect(p.duration).to.equal(960);
+    expect(p.stereo).to.be.true;
+  });
+  describe('hasFEC', function() {
+    it('should detect the LBRR flag', function() {
+      var packets = encodeSine(3, { inbandFEC: true, packetLossPerc: 20 });
+      expect(new Packet(packets[2]).hasFEC()).to.be.true;
+      packets = encodeSine(3, { inbandFEC: true, packetLossPerc: 20, channels: 2, bitrate: 24000 });
+      expect(new Packet(packets[2]).hasFEC()).to.be.true;
+      expect(new Packet(encodeSine(3)[2]).hasFEC()).to.be.false;
+    });
+    it('should be false for CELT packets', function() {
+      expect(packet([0xf8, 0xff]).hasFEC()).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Writable = require('stream').Writable;
+var OpusPlayerNode = require('../lib/playernode.js');
+var OpusError = require('../lib/opuserror.js');
+var Encoder = require('../lib/encoder.js');
+var worklet = require('../lib/worklet.js');
+
+// Stand-in for AudioWorkletNode, running the processor of lib/worklet.js on
+// the same thread. Messages are cloned and delivered asynchronously.
+var processorPort = null;
+function StubProcessor() {
+  this.port = processorPort;
+}
+var processors = worklet.createProcessors(StubProcessor, 48000);
+
+function link(from, to) {
+  from.postMessage = function(data, transfer) {
+    var clone = structuredClone(data, { transfer: transfer });
+    setImmediate(function() {
+      if (to.onmessage) to.onmessage({ data: clone });
+    });
+  };
+}
+
+function StubAudioWorkletNode(context, name, options) {
+  expect(name).to.equal('libopus-player');
+  this.port = { onmessage: null };
+  processorPort = { onmessage: null };
+  link(this.port, processorPort);
+  link(processorPort, this.port);
+  this.options = options;
+  this.processor = new processors.PlayerProcessor(structuredClone(options));
+  this.connections = [];
+}
+StubAudioWorkletNode.prototype.connect = function(destination) {
+  this.connections.push(destination);
+  return destination;
+};
+StubAudioWorkletNode.prototype.disconnect = function() {
+  this.connections = [];
+};
+
+// Renders blocks of output until the processor stops (at most count blocks)
+function render(player, count) {
+  var blocks = 0;
+  var running = true;
+  while (running && blocks < count) {
+    running = player.node.processor.process([], [[new Float32Array(128)]]);
+    blocks++;
+  }
+  return blocks;
+}
+
+// Waits until all posted messages have been delivered
+function flush(callback) {
+  setImmediate(function() { setImmediate(callback); });
+}
+
+var context = { sampleRate: 48000 };
+
+describe('OpusPlayerNode', function() {
+  var enc = new Encoder();
+  var packets = [];
+  for (var i = 0; i < 3; i++) {
+    packets.push(enc.encode(new Float32Array(960)));
+  }
+
+  before(function() {
+    global.AudioWorkletNode = StubAudioWorkletNode;
+  });
+  after(function() {
+    delete global.AudioWorkletNode;
+  });
+
+  it('should work without new', function() {
+    expect(OpusPlayerNode(context)).to.be.an.instanceof(OpusPlayerNode);
+  });
+  it('should be a writable stream', function() {
+    expect(new OpusPlayerNode(context)).to.be.an.instanceof(Writable);
+  });
+  it('should create the processor with the decoder options', function() {
+    var player = new OpusPlayerNode(context, { channels: 2, minDelay: 60 });
+    expect(player.node.options).to.deep.equal({
+      numberOfInputs: 0,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      processorOptions: { channels: 2, minDelay: 60 }
+    });
+    expect(player.node.processor._player._channels).to.equal(2);
+  });
+  it('should connect and disconnect its node', function() {
+    var player = new OpusPlayerNode(context);
+    var destination = {};
+    expect(player.connect(destination)).to.equal(destination);
+    expect(player.node.connections).to.deep.equal([destination]);
+    player.disconnect();
+    expect(player.node.connections).to.be.empty;
+  });
+  it('should finish once all packets have been played', function(done) {
+    var player = new OpusPlayerNode(context, { minDelay: 100 });
+    player.connect({});
+    var finished = false;
+    player.on('finish', function() {
+      finished = true;
+    });
+    packets.forEach(function(packet) { player.write(packet); });
+    player.end();
+    flush(function() {
+      // 2880 samples fill 22.5 blocks
+      expect(render(player, 30)).to.equal(23);
+      flush(function() {
+        expect(finished).to.be.true;
+        expect(player.stats).to.include({ received: 3, concealed: 0 });
+        expect(player.node.connections).to.be.empty;
+        done();
+      });
+    });
+  });
+  it('should accept lost packets and RTP packets', function(done) {
+    var player = new OpusPlayerNode(context);
+    player.write(packets[0]);
+    player.write(960);
+    player.write({ payload: packets[1], sequenceNumber: 2, timestamp: 1920 });
+    player.end();
+    player.on('finish', function() {
+      expect(player.stats).to.include({ received: 2, lost: 1 });
+      done();
+    });
+    flush(function() {
+      render(player, 100);
+    });
+  });
+  it('should emit warnings for corrupt packets', function(done) {
+    var player = new OpusPlayerNode(context);
+    player.on('warning', function(err) {
+      expect(err).to.be.an.instanceof(OpusError);
+      expect(err.code).to.equal(OpusError.Code.INVALID_PACKET);
+      done();
+    });
+    player.write(Buffer.from([0xff]));
+  });
+  it('should reject invalid packets', function(done) {
+    var player = new OpusPlayerNode(context);
+    player.on('error', function(err) {
+      expect(err).to.be.an.instanceof(TypeError);
+      done();
+    });
+    player.write({});
+  });
+  it('should emit an error if the processor fails', function(done) {
+    var player = new OpusPlayerNode(context);
+    player.connect({});
+    player.on('error', function(err) {
+      expect(err.message).to.match(/processor failed/);
+      expect(player.node.connections).to.be.empty;
+      done();
+    });
+    player.node.onprocessorerror({});
+  });
+});
@@ -0,0 +1,146 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var extend = require('extend');
+var Readable = require('stream').Readable;
+var OpusRecorderNode = require('../lib/recordernode.js');
+var OggOpusWriter = require('../lib/oggwriter.js');
+var OggOpusReader = require('../lib/oggreader.js');
+var Decoder = require('../lib/decoder.js');
+var worklet = require('../lib/worklet.js');
+var sine = require('./helpers/sine.js').sine;
+
+// A sine wave of sin(t / 10) at 48kHz
+var WAVE = { type: Float32Array, frequency: 24000 / (10 * Math.PI), amplitude: 0.5 };
+
+// Stand-in for AudioWorkletNode, running the processor of lib/worklet.js on
+// the same thread. Messages are cloned and delivered asynchronously.
+var processorPort = null;
+function StubProcessor() {
+  this.port = processorPort;
+}
+var processors = worklet.createProcessors(StubProcessor, 48000);
+
+function link(from, to) {
+  from.postMessage = function(data, transfer) {
+    var clone = structuredClone(data, { transfer: transfer });
+    setImmediate(function() {
+      if (to.onmessage) to.onmessage({ data: clone });
+    });
+  };
+}
+
+function StubAudioWorkletNode(context, name, options) {
+  expect(name).to.equal('libopus-recorder');
+  this.port = { onmessage: null };
+  processorPort = { onmessage: null };
+  link(this.port, processorPort);
+  link(processorPort, this.port);
+  this.options = options;
+  this.processor = new processors.RecorderProcessor(structuredClone(options));
+}
+
+function stubContext() {
+  return {
+    sampleRate: 48000,
+    createMediaStreamSource: function(mediaStream) {
+      var source = {
+        mediaStream: mediaStream,
+        connection: null,
+        connect: function(node) { source.connection = node; },
+        disconnect: function(node) {
+          expect(node).to.equal(source.connection);
+          source.connection = null;
+        }
+      };
+      this.source = source;
+      return source;
+    }
+  };
+}
+
+// Renders blocks of a sine wave through the processor of a recorder
+function render(recorder, count) {
+  for (var i = 0; i < count; i++) {
+    var samples = sine(128, extend({}, WAVE, { start: i * 128 }));
+    recorder.node.processor.process([[samples]], []);
+  }
+}
+
+describe('OpusRecorderNode', function() {
+  before(function() {
+    global.AudioWorkletNode = StubAudioWorkletNode;
+  });
+  after(function() {
+    delete global.AudioWorkletNode;
+  });
+
+  it('should work without new', function() {
+    expect(OpusRecorderNode(stubContext())).to.be.an.instanceof(OpusRecorderNode);
+  });
+  it('should be a readable stream', function() {
+    expect(new OpusRecorderNode(stubContext())).to.be.an.instanceof(Readable);
+  });
+  it('should create the processor with the encoder options', function() {
+    var recorder = new OpusRecorderNode(stubContext(), { channels: 2, bitrate: 24000 });
+    expect(recorder.node.options).to.deep.equal({
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers',
+      processorOptions: { channels: 2, frameDuration: 20, bitrate: 24000 }
+    });
+    expect(recorder.node.processor._recorder._encoder.getBitrate()).to.equal(24000);
+  });
+  it('should record a MediaStream until stopped', function(done) {
+    var context = stubContext();
+    var mediaStream = {};
+    var recorder = new OpusRecorderNode(context, { mediaStream: mediaStream });
+    expect(context.source.mediaStream).to.equal(mediaStream);
+    expect(context.source.connection).to.equal(recorder.node);
+    var events = [];
+    var packets = [];
+    recorder.on('start', function() { events.push('start ' + recorder.preSkip); });
+    recorder.on('padding', function(padding, rate) {
+      events.push('padding ' + padding + ' at ' + rate);
+    });
+    recorder.on('data', function(packet) { packets.push(packet); });
+    recorder.on('end', function() {
+      expect(events).to.deep.equal(['start 312', 'padding ' + (960 * 2 - 1408) + ' at 48000']);
+      expect(packets).to.have.lengthOf(2);
+      expect(Buffer.isBuffer(packets[0])).to.be.true;
+      expect(context.source).to.have.property('connection', null);
+      done();
+    });
+    // 1408 samples, the second frame is padded
+    render(recorder, 11);
+    recorder.stop();
+  });
+  it('should record sample-accurate Ogg Opus files', function(done) {
+    var recorder = new OpusRecorderNode(stubContext());
+    recorder.once('start', function() {
+      var writer = new OggOpusWriter({ preSkip: recorder.preSkip });
+      var reader = new OggOpusReader();
+      var samples = 0;
+      recorder.pipe(writer).pipe(reader).pipe(new Decoder().stream('Float32'))
+        .on('data', function(chunk) { samples += chunk.length / 4; })
+        .on('end', function() {
+          expect(samples).to.equal(128 * 20);
+          done();
+        });
+      render(recorder, 20);
+      recorder.stop();
+    });
+  });
+  it('should emit an error if the processor fails', function(done) {
+    var context = stubContext();
+    var recorder = new OpusRecorderNode(context, { mediaStream: {} });
+    recorder.on('error', function(err) {
+      expect(err.message).to.match(/processor failed/);
+      expect(context.source.connection).to.be.null;
+      done();
+    });
+    recorder.node.onprocessorerror({});
+  });
+});
@@ -0,0 +1,131 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Repacketizer = require('../lib/repacketizer.js');
+var Packet = require('../lib/packet.js');
+var Decoder = require('../lib/decoder.js');
+var encodeSine = require('./helpers/sine.js').encodeSine;
+
+function decodeAll(packets) {
+  var dec = new Decoder();
+  return packets.map(function(packet) {
+    return Array.prototype.slice.call(dec.decodeInt16(packet));
+  }).reduce(function(a, b) { return a.concat(b); }, []);
+}
+
+describe('Repacketizer', function() {
+  var packets = encodeSine(6);
+
+  it('should work without new', function() {
+    expect(Repacketizer()).to.be.an.instanceof(Repacketizer);
+  });
+  describe('cat', function() {
+    it('should count frames', function() {
+      var rp = new Repacketizer();
+      rp.cat(packets[0]);
+      rp.cat(new Packet(packets[1]));
+      expect(rp.getNumberOfFrames()).to.equal(2);
+      rp.reset();
+      expect(rp.getNumberOfFrames()).to.equal(0);
+    });
+    it('should reject packets with a different configuration', function() {
+      var rp = new Repacketizer();
+      rp.cat(Buffer.from([0x08, 1]));
+      expect(function(){ rp.cat(Buffer.from([0x0c, 1])); }).to.throw(/configuration/);
+      expect(function(){ rp.cat(Buffer.from([0x10, 1])); }).to.throw(/configuration/);
+    });
+    it('should reject more than 120ms', function() {
+      var rp = new Repacketizer();
+      for (var i = 0; i < 6; i++) {
+        rp.cat(packets[i]);
+      }
+      expect(function(){ rp.cat(packets[0]); }).to.throw(/120ms/);
+    });
+    it('should reject malformed packets', function() {
+      expect(function(){ new Repacketizer().cat(Buffer.alloc(0)); }).to.throw(/invalid/);
+    });
+  });
+  describe('out', function() {
+    it('should use the smallest frame count code', function() {
+      var rp = new Repacketizer();
+      rp.cat(Buffer.from([0x08, 1, 2]));
+      rp.cat(Buffer.from([0x08, 3, 4]));
+      rp.cat(Buffer.from([0x08, 5]));
+      expect(rp.out(0, 1)).to.deep.equal(Buffer.from([0x08, 1, 2]));
+      expect(rp.out(0, 2)).to.deep.equal(Buffer.from([0x09, 1, 2, 3, 4]));
+      expect(rp.out(1, 3)).to.deep.equal(Buffer.from([0x0a, 2, 3, 4, 5]));
+      expect(rp.out()).to.deep.equal(Buffer.from([0x0b, 0x83, 2, 2, 1, 2, 3, 4, 5]));
+    });
+    it('should produce CBR code 3 packets', function() {
+      var rp = new Repacketizer();
+      rp.cat(Buffer.from([0x09, 1, 2]));
+      rp.cat(Buffer.from([0x08, 3]));
+      expect(rp.out()).to.deep.equal(Buffer.from([0x0b, 3, 1, 2, 3]));
+    });
+    it('should encode long frame lengths', function() {
+      var rp = new Repacketizer();
+      rp.cat(Buffer.concat([Buffer.from([0x08]), Buffer.alloc(300, 1)]));
+      rp.cat(Buffer.from([0x08, 2]));
+      var packet = new Packet(rp.out());
+      expect(packet.frameLengths).to.deep.equal([300, 1]);
+    });
+    it('should produce self-delimited packets', function() {
+      var rp = new Repacketizer();
+      rp.cat(Buffer.from([0x08, 1, 2]));
+      rp.cat(Buffer.from([0x08, 3, 4]));
+      rp.cat(Buffer.from([0x08, 5]));
+      expect(rp.out(0, 1, null, true)).to.deep.equal(Buffer.from([0x08, 2, 1, 2]));
+      expect(rp.out(0, 2, null, true)).to.deep.equal(Buffer.from([0x09, 2, 1, 2, 3, 4]));
+      expect(rp.out(1, 3, null, true)).to.deep.equal(Buffer.from([0x0a, 2, 1, 3, 4, 5]));
+      expect(rp.out(0, 3, null, true)).to.deep.equal(
+          Buffer.from([0x0b, 0x83, 2, 2, 1, 1, 2, 3, 4, 5]));
+      var padded = rp.out(0, 2, 10, true);
+      expect(padded).to.have.lengthOf(10);
+      var packet = new Packet(Buffer.concat([padded, Buffer.from([42])]), true);
+      expect(packet.data).to.deep.equal(padded);
+      expect(packet.frameLengths).to.deep.equal([2, 2]);
+    });
+    it('should reject invalid ranges', function() {
+      var rp = new Repacketizer();
+      rp.cat(packets[0]);
+      expect(function(){ rp.out(0, 2); }).to.throw(RangeError);
+      expect(function(){ rp.out(1, 1); }).to.throw(RangeError);
+    });
+  });
+  describe('merge', function() {
+    it('should decode the same as the original packets', function() {
+      var merged = Repacketizer.merge(packets.slice(0, 3));
+      var packet = new Packet(merged);
+      expect(packet.code).to.equal(3);
+      expect(packet.frameCount).to.equal(3);
+      expect(packet.duration).to.equal(2880);
+      expect(decodeAll([merged])).to.deep.equal(decodeAll(packets.slice(0, 3)));
+    });
+  });
+  describe('split', function() {
+    it('should restore the original packets', function() {
+      var merged = Repacketizer.merge(packets.slice(0, 3));
+      expect(Repacketizer.split(merged)).to.deep.equal(packets.slice(0, 3));
+    });
+  });
+  describe('pad', function() {
+    it('should pad packets to the requested size', function() {
+      [packets[0].length, packets[0].length + 1, packets[0].length + 2,
+          packets[0].length + 300, 1275].forEach(function(length) {
+        var padded = Repacketizer.pad(packets[0], length);
+        expect(padded).to.have.lengthOf(length);
+        expect(new Packet(padded).getFrames()).to.deep.equal(new Packet(packets[0]).getFrames());
+        expect(decodeAll([padded])).to.deep.equal(decodeAll([packets[0]]));
+      });
+    });
+    it('should refuse to shrink packets', function() {
+      expect(function(){ Repacketizer.pad(packets[0], 1); }).to.throw(RangeError);
+    });
+  });
+  describe('unpad', function() {
+    it('should remove padding', function() {
+      var padded = Repacketizer.pad(packets[0], 1000);
+      expect(Repacketizer.unpad(padded)).to.deep.equal(packets[0]);
+    });
+  });
+});
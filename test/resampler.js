@@ -0,0 +1,102 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Resampler = require('../lib/resampler.js');
+var sine = require('./helpers/sine.js').sine;
+
+describe('Resampler', function() {
+  describe('Resampler()', function() {
+    it('should work without new', function() {
+      expect(Resampler({ from: 44100, to: 48000 })).to.be.an.instanceof(Resampler);
+    });
+    it('should not accept invalid options', function() {
+      expect(function(){ new Resampler({ to: 48000 }); }).to.throw(/rate/);
+      expect(function(){ new Resampler({ from: 0, to: 48000 }); }).to.throw(/rate/);
+      expect(function(){ new Resampler({ from: 44100.5, to: 48000 }); }).to.throw(/rate/);
+      expect(function(){
+        new Resampler({ from: 44100, to: 48000, channels: 0 });
+      }).to.throw(/channels/);
+      expect(function(){
+        new Resampler({ from: 44100, to: 48000, quality: 11 });
+      }).to.throw(/quality/);
+    });
+  });
+
+  describe('process', function() {
+    it('should return exactly the expected number of samples', function() {
+      [[44100, 48000], [48000, 44100], [22050, 24000], [16000, 48000],
+          [48000, 8000], [11025, 12000]].forEach(function(rates) {
+        var resampler = new Resampler({ from: rates[0], to: rates[1], channels: 2 });
+        var total = 0;
+        var output = 0;
+        [1, 100, 441, 882, 7, 3000].forEach(function(samples) {
+          total += samples;
+          expect(resampler.getOutputLength(samples)).to.equal(
+              Math.ceil(total * rates[1] / rates[0]) - output);
+          output += resampler.process(new Float32Array(samples * 2)).length / 2;
+          expect(output).to.equal(Math.ceil(total * rates[1] / rates[0]));
+        });
+      });
+    });
+    it('should return the type of its input', function() {
+      var resampler = new Resampler({ from: 44100, to: 48000 });
+      expect(resampler.process(new Int16Array(441))).to.be.an.instanceof(Int16Array);
+      expect(resampler.process(new Float32Array(441))).to.be.an.instanceof(Float32Array);
+      expect(function(){ resampler.process([0, 0]); }).to.throw(TypeError);
+      expect(function(){
+        new Resampler({ from: 44100, to: 48000, channels: 2 }).process(new Int16Array(3));
+      }).to.throw(/channels/);
+    });
+    it('should convert a sine wave accurately', function() {
+      [[44100, 48000], [48000, 44100], [22050, 48000]].forEach(function(rates) {
+        var resampler = new Resampler({ from: rates[0], to: rates[1] });
+        var output = resampler.process(sine(rates[0] / 10,
+            { type: Float32Array, rate: rates[0], frequency: 1000 }));
+        // The exact delay is usually not a whole number of output samples
+        var delay = resampler._half / rates[0];
+        var error = 0;
+        var power = 0;
+        for (var i = resampler.getDelay(); i < output.length; i++) {
+          var expected = Math.sin((i / rates[1] - delay) * 1000 * 2 * Math.PI) * 0.3;
+          error += Math.pow(output[i] - expected, 2);
+          power += Math.pow(expected, 2);
+        }
+        // Better than -50dB
+        expect(10 * Math.log10(error / power)).to.be.below(-50);
+      });
+    });
+    it('should not depend on the size of the chunks', function() {
+      var input = sine(4410, { type: Int16Array, rate: 44100, frequency: 440, channels: 2 });
+      var whole = new Resampler({ from: 44100, to: 48000, channels: 2 }).process(input);
+      var resampler = new Resampler({ from: 44100, to: 48000, channels: 2 });
+      var chunks = [];
+      for (var i = 0; i < input.length; i += 2 * 123) {
+        chunks.push(Array.from(resampler.process(input.subarray(i, i + 2 * 123))));
+      }
+      expect([].concat.apply([], chunks)).to.deep.equal(Array.from(whole));
+    });
+  });
+
+  describe('flush', function() {
+    it('should return the delayed samples and reset', function() {
+      var resampler = new Resampler({ from: 48000, to: 44100 });
+      var output = resampler.process(sine(960, { type: Float32Array, frequency: 440 }));
+      var rest = resampler.flush(Float32Array);
+      expect(rest).to.be.an.instanceof(Float32Array);
+      // The delayed signal is complete once the delay is skipped
+      expect(output.length + rest.length - resampler.getDelay()).to.be.within(881, 883);
+      expect(resampler.getOutputLength(960)).to.equal(882);
+    });
+  });
+
+  describe('reset', function() {
+    it('should discard any buffered input', function() {
+      var resampler = new Resampler({ from: 44100, to: 48000 });
+      var input = sine(882, { type: Int16Array, rate: 44100, frequency: 440 });
+      var first = resampler.process(input);
+      resampler.process(input);
+      resampler.reset();
+      expect(resampler.process(input)).to.deep.equal(first);
+    });
+  });
+});
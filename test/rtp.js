@@ -0,0 +1,57 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var rtp = require('../lib/rtp.js');
+
+describe('rtp', function() {
+  describe('serialize', function() {
+    it('should serialize a minimal packet', function() {
+      var buf = rtp.serialize({ marker: true, payloadType: 111,
+          sequenceNumber: 0x1234, timestamp: 0x89abcdef, ssrc: 0x01020304,
+          payload: Buffer.from([0xaa]) });
+      expect(buf).to.deep.equal(Buffer.from('80ef123489abcdef01020304aa', 'hex'));
+    });
+  });
+  describe('parse', function() {
+    it('should parse what serialize produced', function() {
+      var packet = {
+        marker: false,
+        payloadType: 96,
+        sequenceNumber: 65535,
+        timestamp: 4294967295,
+        ssrc: 42,
+        csrcs: [1, 2],
+        extension: { profile: 0xbede, data: Buffer.from([1, 2, 3, 4]) },
+        payload: Buffer.from([5, 6, 7])
+      };
+      expect(rtp.parse(rtp.serialize(packet))).to.deep.equal(packet);
+    });
+    it('should remove padding', function() {
+      var buf = Buffer.from('a0ef123489abcdef01020304aabb000003', 'hex');
+      expect(rtp.parse(buf).payload).to.deep.equal(Buffer.from([0xaa, 0xbb]));
+    });
+    it('should reject invalid packets', function() {
+      expect(function(){ rtp.parse(Buffer.alloc(11)); }).to.throw(/short/);
+      expect(function(){ rtp.parse(Buffer.alloc(12)); }).to.throw(/version/);
+      var buf = Buffer.from('82ef123489abcdef01020304aa', 'hex');
+      expect(function(){ rtp.parse(buf); }).to.throw(/short/);
+      buf = Buffer.from('a0ef123489abcdef01020304aa05', 'hex');
+      expect(function(){ rtp.parse(buf); }).to.throw(/padding/);
+      expect(function(){ rtp.parse('abc'); }).to.throw(TypeError);
+    });
+  });
+  describe('sequenceDiff', function() {
+    it('should handle wrap around', function() {
+      expect(rtp.sequenceDiff(5, 3)).to.equal(2);
+      expect(rtp.sequenceDiff(3, 5)).to.equal(-2);
+      expect(rtp.sequenceDiff(1, 65535)).to.equal(2);
+      expect(rtp.sequenceDiff(65535, 1)).to.equal(-2);
+    });
+  });
+  describe('timestampDiff', function() {
+    it('should handle wrap around', function() {
+      expect(rtp.timestampDiff(960, 0)).to.equal(960);
+      expect(rtp.timestampDiff(100, 4294967000)).to.equal(396);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Transform = require('stream').Transform;
+var RtpDepacketizer = require('../lib/rtpdepacketizer.js');
+var RtpPacketizer = require('../lib/rtppacketizer.js');
+var Encoder = require('../lib/encoder.js');
+var Decoder = require('../lib/decoder.js');
+var OpusError = require('../lib/opuserror.js');
+var rtp = require('../lib/rtp.js');
+
+// 20ms CELT packet with the given sequence number and timestamp
+function packet(seq, ts, opts) {
+  opts = opts || {};
+  return rtp.serialize({ payloadType: opts.payloadType || 111,
+      sequenceNumber: seq, timestamp: ts, ssrc: opts.ssrc || 1,
+      payload: opts.payload || Buffer.from([0xf8, seq & 0xff]) });
+}
+
+function depacketize(depacketizer, packets, done) {
+  var output = [];
+  depacketizer.on('data', function(chunk) {
+    output.push(typeof chunk === 'number' ? chunk : 'packet ' + chunk[1]);
+  });
+  depacketizer.on('error', done);
+  depacketizer.on('end', function() { done(null, output); });
+  packets.forEach(function(p) { depacketizer.write(p); });
+  depacketizer.end();
+}
+
+describe('RtpDepacketizer', function() {
+  it('should work without new', function() {
+    expect(RtpDepacketizer()).to.be.an.instanceof(RtpDepacketizer);
+  });
+  it('should be a transform stream', function() {
+    expect(new RtpDepacketizer()).to.be.an.instanceof(Transform);
+  });
+  it('should emit packets in order', function(done) {
+    var dep = new RtpDepacketizer();
+    depacketize(dep, [packet(1, 0), packet(3, 1920), packet(2, 960), packet(4, 2880)],
+        function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 1', 'packet 2', 'packet 3', 'packet 4']);
+      expect(dep.stats).to.deep.equal({ received: 4, lost: 0, late: 0, duplicate: 0 });
+      done();
+    });
+  });
+  it('should handle sequence number wrap around', function(done) {
+    depacketize(new RtpDepacketizer(), [packet(65535, 0), packet(0, 960)],
+        function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 255', 'packet 0']);
+      done();
+    });
+  });
+  it('should signal lost samples', function(done) {
+    var dep = new RtpDepacketizer({ reorderWindow: 1 });
+    depacketize(dep, [packet(1, 0), packet(4, 2880), packet(5, 3840), packet(3, 1920)],
+        function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 1', 1920, 'packet 4', 'packet 5']);
+      expect(dep.stats).to.deep.equal({ received: 4, lost: 2, late: 1, duplicate: 0 });
+      done();
+    });
+  });
+  it('should signal DTX gaps', function(done) {
+    depacketize(new RtpDepacketizer(), [packet(1, 0), packet(2, 9600)],
+        function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 1', 8640, 'packet 2']);
+      done();
+    });
+  });
+  it('should drop duplicates', function(done) {
+    var dep = new RtpDepacketizer();
+    depacketize(dep, [packet(1, 0), packet(3, 1920), packet(3, 1920), packet(1, 0)],
+        function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 1', 960, 'packet 3']);
+      expect(dep.stats.duplicate).to.equal(1);
+      expect(dep.stats.late).to.equal(1);
+      done();
+    });
+  });
+  it('should ignore other sources and payload types', function(done) {
+    depacketize(new RtpDepacketizer({ payloadType: 111 }), [packet(1, 0),
+        packet(2, 960, { ssrc: 2 }), packet(3, 960, { payloadType: 8 }),
+        packet(2, 960)], function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 1', 'packet 2']);
+      done();
+    });
+  });
+  it('should count malformed packets as lost', function(done) {
+    var dep = new RtpDepacketizer();
+    var warnings = [];
+    dep.on('warning', function(err) { warnings.push(err); });
+    // Code 3 packet without frame count
+    depacketize(dep, [packet(1, 0), packet(2, 960, { payload: Buffer.from([0xfb]) }),
+        packet(3, 1920)], function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 1', 960, 'packet 3']);
+      expect(dep.stats).to.deep.equal({ received: 3, lost: 1, late: 0, duplicate: 0 });
+      expect(warnings).to.have.lengthOf(1);
+      expect(warnings[0]).to.be.an.instanceof(OpusError);
+      expect(warnings[0].code).to.equal(OpusError.Code.INVALID_PACKET);
+      done();
+    });
+  });
+  it('should resynchronize after a large jump of the sequence number', function(done) {
+    var dep = new RtpDepacketizer();
+    depacketize(dep, [packet(1, 0), packet(2, 960), packet(40000, 500000),
+        packet(40001, 500960), packet(40002, 501920)], function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 1', 'packet 2', 'packet 64',
+          'packet 65', 'packet 66']);
+      expect(dep.stats).to.deep.equal({ received: 5, lost: 0, late: 0, duplicate: 0 });
+      done();
+    });
+  });
+  it('should ignore single packets far off the sequence', function(done) {
+    depacketize(new RtpDepacketizer(), [packet(1, 0), packet(20000, 500000),
+        packet(2, 960), packet(3, 1920)], function(err, output) {
+      if (err) return done(err);
+      expect(output).to.deep.equal(['packet 1', 'packet 2', 'packet 3']);
+      done();
+    });
+  });
+  it('should feed a DecoderStream', function(done) {
+    var enc = new Encoder();
+    var packetizer = new RtpPacketizer();
+    var dep = new RtpDepacketizer();
+    var samples = 0;
+    var count = 0;
+    packetizer.on('data', function(packet) {
+      // Drop the third packet
+      if (++count !== 3) dep.write(packet);
+    });
+    packetizer.on('end', function() { dep.end(); });
+    dep.pipe(new Decoder().stream('Int16'))
+      .on('data', function(chunk) { samples += chunk.length / 2; })
+      .on('end', function() {
+        expect(samples).to.equal(960 * 5);
+        done();
+      });
+    for (var i = 0; i < 5; i++) {
+      packetizer.write(enc.encode(new Int16Array(960)));
+    }
+    packetizer.end();
+  });
+});
@@ -0,0 +1,54 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Transform = require('stream').Transform;
+var RtpPacketizer = require('../lib/rtppacketizer.js');
+var rtp = require('../lib/rtp.js');
+
+describe('RtpPacketizer', function() {
+  it('should work without new', function() {
+    expect(RtpPacketizer()).to.be.an.instanceof(RtpPacketizer);
+  });
+  it('should be a transform stream', function() {
+    expect(new RtpPacketizer()).to.be.an.instanceof(Transform);
+  });
+  it('should reject invalid payload types', function() {
+    expect(function(){ new RtpPacketizer({ payloadType: 128 }); }).to.throw(RangeError);
+  });
+  it('should wrap packets', function(done) {
+    var packetizer = new RtpPacketizer({ payloadType: 100, ssrc: 1234,
+        sequenceNumber: 65535, timestamp: 4294967000 });
+    var packets = [];
+    packetizer.on('data', function(packet) { packets.push(rtp.parse(packet)); });
+    packetizer.on('end', function() {
+      expect(packets.map(function(p) { return p.sequenceNumber; }))
+        .to.deep.equal([65535, 0, 1]);
+      expect(packets.map(function(p) { return p.timestamp; }))
+        .to.deep.equal([4294967000, 4294967960 - 4294967296, 664 + 960 * 3]);
+      expect(packets.map(function(p) { return p.marker; }))
+        .to.deep.equal([false, false, true]);
+      packets.forEach(function(p) {
+        expect(p.payloadType).to.equal(100);
+        expect(p.ssrc).to.equal(1234);
+      });
+      expect(packets[0].payload).to.deep.equal(Buffer.from([0xf8, 1, 2]));
+      done();
+    });
+    // 20ms CELT packets
+    packetizer.write(Buffer.from([0xf8, 1, 2]));
+    packetizer.write(Buffer.from([0xf8, 3, 4]));
+    // DTX frames (of one or two bytes) are not transmitted
+    packetizer.write(Buffer.from([0xf8]));
+    packetizer.write(Buffer.from([0xf8, 0]));
+    packetizer.write(Buffer.from([0xf8, 5, 6]));
+    packetizer.end();
+  });
+  it('should error on invalid packets', function(done) {
+    var packetizer = new RtpPacketizer();
+    packetizer.on('error', function(err) {
+      expect(err).to.match(/invalid packet/);
+      done();
+    });
+    packetizer.write(Buffer.alloc(0));
+  });
+});
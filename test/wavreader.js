@@ -0,0 +1,248 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Transform = require('stream').Transform;
+var WavReader = require('../lib/wavreader.js');
+var Encoder = require('../lib/encoder.js');
+var wav = require('../lib/wav.js');
+
+// Creates a RIFF file of the specified chunks ([id, data] pairs)
+function riff(chunks, size) {
+  var parts = [];
+  chunks.forEach(function(chunk) {
+    var header = Buffer.alloc(8);
+    header.write(chunk[0], 0, 'latin1');
+    header.writeUInt32LE(chunk[2] !== undefined ? chunk[2] : chunk[1].length, 4);
+    parts.push(header, chunk[1]);
+    if (chunk[1].length & 1) {
+      parts.push(Buffer.alloc(1));
+    }
+  });
+  var body = Buffer.concat(parts);
+  var header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(size !== undefined ? size : body.length + 4, 4);
+  header.write('WAVE', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function fmt(audioFormat, channels, rate, bits) {
+  var buf = Buffer.alloc(16);
+  buf.writeUInt16LE(audioFormat, 0);
+  buf.writeUInt16LE(channels, 2);
+  buf.writeUInt32LE(rate, 4);
+  buf.writeUInt32LE(rate * channels * bits / 8, 8);
+  buf.writeUInt16LE(channels * bits / 8, 12);
+  buf.writeUInt16LE(bits, 14);
+  return buf;
+}
+
+function extensible(subFormat, channels, rate, bits, validBits, channelMask) {
+  var buf = Buffer.alloc(40);
+  fmt(wav.Format.EXTENSIBLE, channels, rate, bits).copy(buf);
+  buf.writeUInt16LE(22, 16);
+  buf.writeUInt16LE(validBits, 18);
+  buf.writeUInt32LE(channelMask, 20);
+  buf.writeUInt16LE(subFormat, 24);
+  // Rest of the KSDATAFORMAT_SUBTYPE GUID
+  Buffer.from('000000001000800000aa00389b71', 'hex').copy(buf, 26);
+  return buf;
+}
+
+function int16(values) {
+  var buf = Buffer.alloc(values.length * 2);
+  values.forEach(function(value, i) { buf.writeInt16LE(value, i * 2); });
+  return buf;
+}
+
+function readAll(reader, input, done) {
+  var chunks = [];
+  reader.on('data', function(chunk) { chunks.push(chunk); });
+  reader.on('error', done);
+  reader.on('end', function() { done(null, Buffer.concat(chunks)); });
+  input.forEach(function(chunk) { reader.write(chunk); });
+  reader.end();
+}
+
+function toArray(Type, buf) {
+  return Array.prototype.slice.call(new Type(buf.buffer, buf.byteOffset,
+      buf.length / Type.BYTES_PER_ELEMENT));
+}
+
+describe('WavReader', function() {
+  it('should work without new', function() {
+    expect(WavReader()).to.be.an.instanceof(WavReader);
+  });
+  it('should be a transform stream', function() {
+    expect(new WavReader()).to.be.an.instanceof(Transform);
+  });
+  it('should not accept invalid modes', function() {
+    expect(function(){ new WavReader({ mode: 'Int32' }); }).to.throw(TypeError);
+  });
+  it('should read 16 bit samples', function(done) {
+    var reader = new WavReader();
+    var formats = [];
+    reader.on('format', function(format) { formats.push(format); });
+    var file = riff([['fmt ', fmt(1, 2, 44100, 16)],
+        ['data', int16([1, -1, 1000, -32768])]]);
+    readAll(reader, [file], function(err, output) {
+      if (err) return done(err);
+      expect(formats).to.deep.equal([{
+        audioFormat: wav.Format.PCM,
+        channels: 2,
+        sampleRate: 44100,
+        byteRate: 44100 * 4,
+        blockAlign: 4,
+        bitsPerSample: 16,
+        validBitsPerSample: 16,
+        channelMask: 0,
+        mode: 'Int16'
+      }]);
+      expect(reader.format).to.equal(formats[0]);
+      expect(toArray(Int16Array, output)).to.deep.equal([1, -1, 1000, -32768]);
+      done();
+    });
+  });
+  it('should only emit complete samples', function(done) {
+    var reader = new WavReader();
+    var file = riff([['fmt ', fmt(1, 2, 48000, 16)],
+        ['data', int16([1, 2, 3, 4, 5, 6])]]);
+    var lengths = [];
+    reader.on('data', function(chunk) { lengths.push(chunk.length); });
+    reader.on('error', done);
+    reader.on('end', function() {
+      lengths.forEach(function(length) {
+        expect(length % 4).to.equal(0);
+      });
+      expect(lengths.reduce(function(a, b) { return a + b; })).to.equal(12);
+      done();
+    });
+    for (var i = 0; i < file.length; i++) {
+      reader.write(file.slice(i, i + 1));
+    }
+    reader.end();
+  });
+  it('should convert 24 bit samples', function(done) {
+    var data = Buffer.from([0x00, 0x00, 0x40, 0x00, 0x00, 0xc0, 0xff, 0xff, 0x7f]);
+    readAll(new WavReader(), [riff([['fmt ', fmt(1, 1, 48000, 24)], ['data', data]])],
+        function(err, output) {
+      if (err) return done(err);
+      var samples = toArray(Float32Array, output);
+      expect(samples.slice(0, 2)).to.deep.equal([0.5, -0.5]);
+      expect(samples[2]).to.be.closeTo(1, 1e-6);
+      readAll(new WavReader({ mode: 'Int16' }),
+          [riff([['fmt ', fmt(1, 1, 48000, 24)], ['data', data]])], function(err, output) {
+        if (err) return done(err);
+        expect(toArray(Int16Array, output)).to.deep.equal([16384, -16384, 32767]);
+        done();
+      });
+    });
+  });
+  it('should convert 8 bit samples', function(done) {
+    var data = Buffer.from([128, 0, 255]);
+    readAll(new WavReader(), [riff([['fmt ', fmt(1, 1, 8000, 8)], ['data', data]])],
+        function(err, output) {
+      if (err) return done(err);
+      expect(toArray(Int16Array, output)).to.deep.equal([0, -32768, 32512]);
+      done();
+    });
+  });
+  it('should read float samples', function(done) {
+    var data = Buffer.from(new Float32Array([0.25, -2, 1]).buffer);
+    var file = riff([['fmt ', fmt(3, 1, 48000, 32)], ['fact', Buffer.alloc(4)],
+        ['data', data]]);
+    readAll(new WavReader(), [file], function(err, output) {
+      if (err) return done(err);
+      expect(toArray(Float32Array, output)).to.deep.equal([0.25, -2, 1]);
+      readAll(new WavReader({ mode: 'Int16' }), [file], function(err, output) {
+        if (err) return done(err);
+        expect(toArray(Int16Array, output)).to.deep.equal([8192, -32768, 32767]);
+        done();
+      });
+    });
+  });
+  it('should read WAVE_FORMAT_EXTENSIBLE files', function(done) {
+    var reader = new WavReader();
+    var data = Buffer.from([0x00, 0x00, 0x40, 0x00, 0x00, 0xc0]);
+    var file = riff([['fmt ', extensible(1, 2, 48000, 24, 20, 3)], ['data', data]]);
+    readAll(reader, [file], function(err, output) {
+      if (err) return done(err);
+      expect(reader.format.audioFormat).to.equal(wav.Format.PCM);
+      expect(reader.format.validBitsPerSample).to.equal(20);
+      expect(reader.format.channelMask).to.equal(3);
+      expect(toArray(Float32Array, output)).to.deep.equal([0.5, -0.5]);
+      done();
+    });
+  });
+  it('should skip other chunks, including odd-sized ones', function(done) {
+    var file = riff([
+      ['LIST', Buffer.from('INFOabc')],
+      ['fmt ', fmt(1, 1, 8000, 8)],
+      ['JUNK', Buffer.alloc(3)],
+      ['data', Buffer.from([128, 129, 130])],
+      ['LIST', Buffer.from('trailing data')]
+    ]);
+    readAll(new WavReader(), [file], function(err, output) {
+      if (err) return done(err);
+      expect(toArray(Int16Array, output)).to.deep.equal([0, 256, 512]);
+      done();
+    });
+  });
+  it('should read data chunks of unknown size until the end', function(done) {
+    var file = riff([['fmt ', fmt(1, 1, 48000, 16)],
+        ['data', int16([1, 2, 3]), wav.UNKNOWN_SIZE]], wav.UNKNOWN_SIZE);
+    readAll(new WavReader(), [file], function(err, output) {
+      if (err) return done(err);
+      expect(toArray(Int16Array, output)).to.deep.equal([1, 2, 3]);
+      file = riff([['fmt ', fmt(1, 1, 48000, 16)], ['data', int16([1, 2]), 0]], 0);
+      readAll(new WavReader(), [file], function(err, output) {
+        if (err) return done(err);
+        expect(toArray(Int16Array, output)).to.deep.equal([1, 2]);
+        done();
+      });
+    });
+  });
+  it('should error on invalid files', function(done) {
+    var files = [
+      [Buffer.from('RIFF\0\0\0\0AVI LIST')],
+      [riff([['data', int16([1])], ['fmt ', fmt(1, 1, 48000, 16)]])],
+      [riff([['fmt ', fmt(0x55, 1, 48000, 16)], ['data', int16([1])]])],
+      [riff([['fmt ', fmt(1, 1, 48000, 12)], ['data', int16([1])]])],
+      [riff([['fmt ', fmt(1, 1, 48000, 16)]])]
+    ];
+    var messages = [];
+    var count = 0;
+    files.forEach(function(input, i) {
+      readAll(new WavReader(), input, function(err) {
+        messages[i] = err && err.message;
+        if (++count === files.length) {
+          expect(messages).to.deep.equal([
+            'not a WAVE file',
+            'data chunk before fmt chunk',
+            'unsupported WAVE format 0x55',
+            'unsupported sample size of 12 bits',
+            'stream ended before the data chunk'
+          ]);
+          done();
+        }
+      });
+    });
+  });
+  it('should feed an EncoderStream', function(done) {
+    var reader = new WavReader();
+    var packets = [];
+    reader.on('format', function(format) {
+      var enc = new Encoder({ rate: format.sampleRate, channels: format.channels });
+      reader.pipe(enc.stream(format.mode, { frameDuration: 20 }))
+          .on('data', function(packet) { packets.push(packet); })
+          .on('end', function() {
+            // 30ms of input, padded and flushed
+            expect(packets.length).to.be.at.least(2);
+            done();
+          });
+    });
+    reader.on('error', done);
+    reader.end(riff([['fmt ', fmt(1, 2, 48000, 24)],
+        ['data', Buffer.alloc(1440 * 2 * 3)]]));
+  });
+});
@@ -0,0 +1,151 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Transform = require('stream').Transform;
+var WavWriter = require('../lib/wavwriter.js');
+var WavReader = require('../lib/wavreader.js');
+var Encoder = require('../lib/encoder.js');
+var Decoder = require('../lib/decoder.js');
+var wav = require('../lib/wav.js');
+
+function writeAll(writer, input, done) {
+  var chunks = [];
+  writer.on('data', function(chunk) { chunks.push(chunk); });
+  writer.on('error', done);
+  writer.on('end', function() { done(null, chunks); });
+  input.forEach(function(chunk) { writer.write(chunk); });
+  writer.end();
+}
+
+function int16(values) {
+  return Buffer.from(Int16Array.from(values).buffer);
+}
+
+describe('WavWriter', function() {
+  it('should work without new', function() {
+    expect(WavWriter()).to.be.an.instanceof(WavWriter);
+  });
+  it('should be a transform stream', function() {
+    expect(new WavWriter()).to.be.an.instanceof(Transform);
+  });
+  it('should not accept invalid modes', function() {
+    expect(function(){ new WavWriter({ mode: 'Int8' }); }).to.throw(TypeError);
+  });
+  it('should write a header of unknown size first', function(done) {
+    var writer = new WavWriter({ channels: 2, sampleRate: 16000 });
+    var headers = [];
+    writer.on('header', function(header) { headers.push(header); });
+    writeAll(writer, [int16([1, 2]), int16([3, 4, 5, 6])], function(err, chunks) {
+      if (err) return done(err);
+      expect(chunks[0]).to.deep.equal(wav.writeHeader({ audioFormat: wav.Format.PCM,
+          channels: 2, sampleRate: 16000, bitsPerSample: 16 }));
+      expect(chunks[0].readUInt32LE(40)).to.equal(wav.UNKNOWN_SIZE);
+      expect(Buffer.concat(chunks.slice(1))).to.deep.equal(int16([1, 2, 3, 4, 5, 6]));
+      expect(headers).to.deep.equal([writer.header]);
+      expect(writer.header.length).to.equal(44);
+      expect(writer.header.readUInt32LE(4)).to.equal(36 + 12);
+      expect(writer.header.readUInt32LE(40)).to.equal(12);
+      done();
+    });
+  });
+  it('should pad odd-length data to an even size', function(done) {
+    var writer = new WavWriter({ mode: 'Uint8' });
+    writeAll(writer, [Buffer.from([1, 2, 3])], function(err, chunks) {
+      if (err) return done(err);
+      expect(Buffer.concat(chunks.slice(1))).to.deep.equal(Buffer.from([1, 2, 3, 0]));
+      expect(writer.header.readUInt32LE(4)).to.equal(36 + 3);
+      expect(writer.header.readUInt32LE(40)).to.equal(3);
+      done();
+    });
+  });
+  it('should write files readable by WavReader', function(done) {
+    var writer = new WavWriter({ mode: 'Float32', sampleRate: 24000 });
+    var samples = Float32Array.from([0.5, -0.25, 1]);
+    writeAll(writer, [Buffer.from(samples.buffer)], function(err, chunks) {
+      if (err) return done(err);
+      chunks[0] = writer.header;
+      var reader = new WavReader();
+      var output = [];
+      reader.on('data', function(chunk) { output.push(chunk); });
+      reader.on('error', done);
+      reader.on('end', function() {
+        expect(reader.format.audioFormat).to.equal(wav.Format.IEEE_FLOAT);
+        expect(reader.format.sampleRate).to.equal(24000);
+        expect(Buffer.concat(output)).to.deep.equal(Buffer.from(samples.buffer));
+        done();
+      });
+      reader.end(Buffer.concat(chunks));
+    });
+  });
+  it('should use the format of a DecoderStream', function(done) {
+    var enc = new Encoder({ rate: 16000, channels: 2 });
+    var dec = new Decoder({ rate: 16000, channels: 2 });
+    var stream = dec.stream('Float32');
+    var writer = new WavWriter();
+    var chunks = [];
+    stream.pipe(writer);
+    writer.on('data', function(chunk) { chunks.push(chunk); });
+    writer.on('end', function() {
+      var header = writer.header;
+      expect(header.readUInt16LE(20)).to.equal(wav.Format.IEEE_FLOAT);
+      expect(header.readUInt16LE(22)).to.equal(2);
+      expect(header.readUInt32LE(24)).to.equal(16000);
+      // 20ms of stereo float samples
+      expect(header.readUInt32LE(header.length - 4)).to.equal(320 * 2 * 4);
+      done();
+    });
+    stream.end(enc.encode(new Int16Array(320 * 2)));
+  });
+  it('should write 24 bit samples readable by WavReader', function(done) {
+    var writer = new WavWriter({ mode: 'Int24' });
+    var samples = Buffer.from([1, 2, 3, 0xff, 0xff, 0xff]);
+    writeAll(writer, [samples], function(err, chunks) {
+      if (err) return done(err);
+      expect(writer.header.readUInt16LE(34)).to.equal(24);
+      var reader = new WavReader({ mode: 'Float32' });
+      var output = [];
+      reader.on('data', function(chunk) { output.push(chunk); });
+      reader.on('end', function() {
+        var float = new Float32Array(Uint8Array.from(Buffer.concat(output)).buffer);
+        expect(Array.from(float)).to.deep.equal([0x030201 / 8388608, -1 / 8388608]);
+        done();
+      });
+      reader.end(Buffer.concat([writer.header, chunks[1]]));
+    });
+  });
+  it('should refuse formats WAVE files cannot hold', function(done) {
+    var stream = new Decoder().stream('Int8');
+    var writer = new WavWriter();
+    stream.pipe(writer);
+    writer.on('error', function(err) {
+      expect(err).to.be.an.instanceof(TypeError);
+      done();
+    });
+    stream.end(new Encoder().encode(new Int16Array(960)));
+  });
+  it('should take the defaults from a decoder', function(done) {
+    var writer = new WavWriter({ decoder: new Decoder({ rate: 8000 }), channels: 2 });
+    writeAll(writer, [], function(err, chunks) {
+      if (err) return done(err);
+      expect(chunks[0].readUInt16LE(22)).to.equal(2);
+      expect(chunks[0].readUInt32LE(24)).to.equal(8000);
+      expect(writer.header.readUInt32LE(40)).to.equal(0);
+      done();
+    });
+  });
+  it('should fix the header of files', function() {
+    var file = path.join(os.tmpdir(), 'libopus-wavwriter-' + process.pid + '.wav');
+    var writer = new WavWriter();
+    var result = writer.toFile(file);
+    writer.end(int16([1, 2, 3]));
+    return result.then(function() {
+      var content = fs.readFileSync(file);
+      fs.unlinkSync(file);
+      expect(content.slice(0, 44)).to.deep.equal(writer.header);
+      expect(content.slice(44)).to.deep.equal(int16([1, 2, 3]));
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var Transform = require('stream').Transform;
+var WebmOpusReader = require('../lib/webmreader.js');
+var WebmOpusWriter = require('../lib/webmwriter.js');
+var Encoder = require('../lib/encoder.js');
+var Decoder = require('../lib/decoder.js');
+var webm = require('../lib/webm.js');
+
+var ID = webm.ID;
+var head = Buffer.from('4f707573486561640102380180bb000000ff00', 'hex');
+
+function ebml(docType) {
+  return webm.element(ID.EBML, [webm.stringElement(ID.DocType, docType || 'webm')]);
+}
+
+function trackEntry(number, codecId, codecPrivate) {
+  var children = [
+    webm.uintElement(ID.TrackNumber, number),
+    webm.stringElement(ID.CodecID, codecId)
+  ];
+  if (codecPrivate) {
+    children.push(webm.element(ID.CodecPrivate, codecPrivate));
+  }
+  return webm.element(ID.TrackEntry, children);
+}
+
+function simpleBlock(track, flags, data) {
+  return webm.element(ID.SimpleBlock, [webm.writeVint(track), Buffer.from([0, 0, flags]), data]);
+}
+
+// A live file with the specified tracks and a single cluster
+function file(tracks, blocks) {
+  return Buffer.concat([
+    ebml(), webm.writeId(ID.Segment), webm.UNKNOWN_SIZE,
+    webm.element(ID.Tracks, tracks),
+    webm.writeId(ID.Cluster), webm.UNKNOWN_SIZE, webm.uintElement(ID.Timecode, 0)
+  ].concat(blocks));
+}
+
+function readAll(reader, input, done) {
+  var packets = [];
+  reader.on('data', function(packet) { packets.push(packet); });
+  reader.on('error', done);
+  reader.on('end', function() { done(null, packets); });
+  input.forEach(function(chunk) { reader.write(chunk); });
+  reader.end();
+}
+
+function writeAll(writer, packets, done) {
+  var chunks = [];
+  writer.on('data', function(chunk) { chunks.push(chunk); });
+  writer.on('end', function() {
+    var output = Buffer.concat(chunks);
+    writer.header.copy(output);
+    done(output);
+  });
+  packets.forEach(function(packet) { writer.write(packet); });
+  writer.end();
+}
+
+describe('WebmOpusReader', function() {
+  var enc = new Encoder({ channels: 2 });
+  var packets = [];
+  for (var i = 0; i < 10; i++) {
+    packets.push(enc.encode(new Int16Array(960 * 2)));
+  }
+
+  it('should work without new', function() {
+    expect(WebmOpusReader()).to.be.an.instanceof(WebmOpusReader);
+  });
+  it('should be a transform stream', function() {
+    expect(new WebmOpusReader()).to.be.an.instanceof(Transform);
+  });
+  it('should read files written by WebmOpusWriter', function(done) {
+    var writer = new WebmOpusWriter({ encoder: enc, maxClusterDuration: 100 });
+    writeAll(writer, packets, function(output) {
+      var reader = new WebmOpusReader();
+      var events = [];
+      reader.on('track', function(track) {
+        expect(track).to.deep.equal({ number: 1, codecDelay: 6500000,
+            seekPreRoll: 80000000, channels: 2, samplingFrequency: 48000 });
+        events.push('track');
+      });
+      reader.on('head', function(head) {
+        expect(head).to.include({ channels: 2, preSkip: 312, mappingFamily: 0 });
+        expect(reader.head).to.equal(head);
+        events.push('head');
+      });
+      reader.on('duration', function() { events.push('duration'); });
+      readAll(reader, [output], function(err, result) {
+        expect(err).to.not.exist;
+        expect(events).to.deep.equal(['track', 'head']);
+        expect(result).to.deep.equal(packets);
+        done();
+      });
+    });
+  });
+  it('should read live files split into arbitrary chunks', function(done) {
+    var writer = new WebmOpusWriter({ encoder: enc, live: true, maxClusterDuration: 100 });
+    writeAll(writer, packets, function(output) {
+      var chunks = [];
+      for (var i = 0; i < output.length; i += 7) {
+        chunks.push(output.slice(i, i + 7));
+      }
+      readAll(new WebmOpusReader(), chunks, function(err, result) {
+        expect(err).to.not.exist;
+        expect(result).to.deep.equal(packets);
+        done();
+      });
+    });
+  });
+  it('should emit the duration of trimmed files', function(done) {
+    var writer = new WebmOpusWriter({ encoder: enc });
+    writer.setEndTrim(100);
+    writeAll(writer, packets, function(output) {
+      var reader = new WebmOpusReader();
+      var duration;
+      reader.on('duration', function(samples) { duration = samples; });
+      readAll(reader, [output], function(err) {
+        expect(err).to.not.exist;
+        expect(duration).to.equal(960 * 10 - 312 - 100);
+        done();
+      });
+    });
+  });
+  it('should split laced blocks', function(done) {
+    var a = packets[0];
+    var b = packets[1];
+    var c = packets[2];
+    var xiph = Buffer.concat([Buffer.from([2]), Buffer.from(ogg(a.length)),
+        Buffer.from(ogg(b.length)), a, b, c]);
+    var sizes = Buffer.concat([webm.writeVint(a.length),
+        webm.writeVint(b.length - a.length + 63, 1)]);
+    var ebmlLaced = Buffer.concat([Buffer.from([2]), sizes, a, b, c]);
+    var fixed = Buffer.concat([Buffer.from([1]), a, a]);
+    var input = file([trackEntry(1, 'A_OPUS', head)], [
+      simpleBlock(1, 0x82, xiph),
+      simpleBlock(1, 0x86, ebmlLaced),
+      simpleBlock(1, 0x84, fixed)
+    ]);
+    readAll(new WebmOpusReader(), [input], function(err, result) {
+      expect(err).to.not.exist;
+      expect(result).to.deep.equal([a, b, c, a, b, c, a, a]);
+      done();
+    });
+
+    function ogg(length) {
+      var lacing = [];
+      for (; length >= 255; length -= 255) {
+        lacing.push(255);
+      }
+      lacing.push(length);
+      return lacing;
+    }
+  });
+  it('should ignore other tracks', function(done) {
+    var input = file([
+      trackEntry(1, 'A_VORBIS', Buffer.alloc(4)),
+      trackEntry(2, 'A_OPUS', head)
+    ], [
+      simpleBlock(1, 0x80, Buffer.from([1, 2, 3])),
+      simpleBlock(2, 0x80, packets[0]),
+      webm.element(ID.Void, Buffer.alloc(3)),
+      simpleBlock(2, 0x80, packets[1])
+    ]);
+    var reader = new WebmOpusReader();
+    readAll(reader, [input], function(err, result) {
+      expect(err).to.not.exist;
+      expect(reader.track.number).to.equal(2);
+      // Without a CodecDelay, the pre-skip of the OpusHead is used
+      expect(reader.head.preSkip).to.equal(0x138);
+      expect(result).to.deep.equal([packets[0], packets[1]]);
+      done();
+    });
+  });
+  it('should error on files other than WebM', function(done) {
+    readAll(new WebmOpusReader(), [Buffer.from('OggS\0\0\0\0')], function(err) {
+      expect(err).to.match(/not a WebM file/);
+      readAll(new WebmOpusReader(), [ebml('mp4')], function(err) {
+        expect(err).to.match(/document type/);
+        done();
+      });
+    });
+  });
+  it('should error on files without Opus track', function(done) {
+    readAll(new WebmOpusReader(), [file([trackEntry(1, 'A_VORBIS')], [])], function(err) {
+      expect(err).to.match(/no Opus track/);
+      readAll(new WebmOpusReader(), [file([trackEntry(1, 'A_OPUS')], [])], function(err) {
+        expect(err).to.match(/OpusHead/);
+        readAll(new WebmOpusReader(), [ebml()], function(err) {
+          expect(err).to.match(/track header/);
+          done();
+        });
+      });
+    });
+  });
+  describe('with DecoderStream', function() {
+    it('should decode sample-accurately', function(done) {
+      var samples = 960 * 5 + 100;
+      var enc = new Encoder();
+      var writer = new WebmOpusWriter({ encoder: enc, outputGain: 256 });
+      var reader = new WebmOpusReader();
+      var dec = new Decoder();
+      var output = 0;
+      writer.pipe(reader).pipe(dec.stream('Int16'))
+        .on('data', function(chunk) { output += chunk.length / 2; })
+        .on('end', function() {
+          expect(output).to.equal(samples);
+          expect(dec.getGain()).to.equal(256);
+          done();
+        });
+      for (var i = 0; i < 5; i++) {
+        writer.write(enc.encode(new Int16Array(960)));
+      }
+      // The lookahead has to be flushed out of the encoder as well
+      writer.write(enc.encode(new Int16Array(960)));
+      writer.setEndTrim(960 * 6 - enc.getLookahead() - samples);
+      writer.end();
+    });
+  });
+});
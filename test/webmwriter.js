@@ -0,0 +1,197 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Transform = require('stream').Transform;
+var WebmOpusWriter = require('../lib/webmwriter.js');
+var Encoder = require('../lib/encoder.js');
+var webm = require('../lib/webm.js');
+
+var ID = webm.ID;
+
+function writeAll(writer, packets, done) {
+  var chunks = [];
+  writer.on('data', function(chunk) { chunks.push(chunk); });
+  writer.on('end', function() { done(chunks); });
+  packets.forEach(function(packet) { writer.write(packet); });
+  writer.end();
+}
+
+function findAll(children, id) {
+  return children.filter(function(child) {
+    return child.id === id;
+  }).map(function(child) {
+    return child.data;
+  });
+}
+
+// Parses a finished file into the children of its Segment
+function parseSegment(buf) {
+  var top = webm.readChildren(buf);
+  expect(top.map(function(child) { return child.id; })).to.deep.equal([ID.EBML, ID.Segment]);
+  return webm.readChildren(top[1].data);
+}
+
+describe('WebmOpusWriter', function() {
+  var enc = new Encoder();
+  var packets = [];
+  for (var i = 0; i < 10; i++) {
+    packets.push(enc.encode(new Int16Array(960)));
+  }
+
+  it('should work without new', function() {
+    expect(WebmOpusWriter()).to.be.an.instanceof(WebmOpusWriter);
+  });
+  it('should be a transform stream', function() {
+    expect(new WebmOpusWriter()).to.be.an.instanceof(Transform);
+  });
+  it('should reject invalid options', function() {
+    expect(function(){ new WebmOpusWriter({ channels: 3, mappingFamily: 0 }); }).to.throw(/channel/);
+    expect(function(){ new WebmOpusWriter({ preSkip: -1 }); }).to.throw(/preSkip/);
+    expect(function(){ new WebmOpusWriter({ maxClusterDuration: 40000 }); }).to.throw(/maxClusterDuration/);
+  });
+  it('should take the defaults from the encoder', function(done) {
+    var writer = new WebmOpusWriter({ encoder: new Encoder({ channels: 2 }) });
+    writeAll(writer, packets, function(chunks) {
+      var file = Buffer.concat(chunks);
+      writer.header.copy(file);
+      var tracks = findAll(parseSegment(file), ID.Tracks);
+      var entry = webm.readChildren(findAll(webm.readChildren(tracks[0]), ID.TrackEntry)[0]);
+      expect(findAll(entry, ID.CodecID)[0].toString()).to.equal('A_OPUS');
+      expect(findAll(entry, ID.CodecPrivate)[0].toString('ascii', 0, 8)).to.equal('OpusHead');
+      expect(findAll(entry, ID.CodecPrivate)[0][9]).to.equal(2);
+      expect(webm.readUint(findAll(entry, ID.CodecDelay)[0])).to.equal(312 * 1e9 / 48000);
+      var audio = webm.readChildren(findAll(entry, ID.Audio)[0]);
+      expect(webm.readUint(findAll(audio, ID.Channels)[0])).to.equal(2);
+      done();
+    });
+  });
+  it('should emit a final header of the same length', function(done) {
+    var writer = new WebmOpusWriter({ preSkip: 480 });
+    var emitted;
+    writer.on('header', function(header) { emitted = header; });
+    writeAll(writer, packets, function(chunks) {
+      expect(emitted).to.equal(writer.header);
+      expect(writer.header).to.have.lengthOf(chunks[0].length);
+      var file = Buffer.concat(chunks);
+      writer.header.copy(file);
+      var segment = parseSegment(file);
+      expect(segment.map(function(child) { return child.id; })).to.deep.equal([
+        ID.SeekHead, ID.Info, ID.Tracks, ID.Cluster, ID.Cues
+      ]);
+      var info = webm.readChildren(findAll(segment, ID.Info)[0]);
+      expect(webm.readFloat(findAll(info, ID.Duration)[0])).to.equal(190);
+      done();
+    });
+  });
+  it('should point the SeekHead and Cues at the right positions', function(done) {
+    var writer = new WebmOpusWriter({ maxClusterDuration: 60 });
+    writeAll(writer, packets, function(chunks) {
+      var file = Buffer.concat(chunks);
+      writer.header.copy(file);
+      var start = file.length - webm.readChildren(file)[1].data.length;
+      var segment = parseSegment(file);
+      var clusters = findAll(segment, ID.Cluster);
+      expect(clusters).to.have.lengthOf(4);
+      expect(webm.readChildren(clusters[1]).map(function(child) { return child.id; }))
+        .to.deep.equal([ID.Timecode, ID.SimpleBlock, ID.SimpleBlock, ID.SimpleBlock]);
+
+      var seeks = findAll(webm.readChildren(findAll(segment, ID.SeekHead)[0]), ID.Seek);
+      expect(seeks).to.have.lengthOf(3);
+      seeks.forEach(function(seek) {
+        var children = webm.readChildren(seek);
+        var id = webm.readUint(findAll(children, ID.SeekID)[0]);
+        var position = webm.readUint(findAll(children, ID.SeekPosition)[0]);
+        expect(webm.readHeader(file, start + position).id).to.equal(id);
+      });
+
+      var cues = findAll(webm.readChildren(findAll(segment, ID.Cues)[0]), ID.CuePoint);
+      expect(cues.map(function(cue) {
+        var children = webm.readChildren(cue);
+        var positions = webm.readChildren(findAll(children, ID.CueTrackPositions)[0]);
+        var position = webm.readUint(findAll(positions, ID.CueClusterPosition)[0]);
+        var cluster = webm.readChildren(file.slice(start + position))[0];
+        expect(cluster.id).to.equal(ID.Cluster);
+        return webm.readUint(findAll(children, ID.CueTime)[0]);
+      })).to.deep.equal([0, 60, 120, 180]);
+      done();
+    });
+  });
+  it('should write the end trim as DiscardPadding of the last block', function(done) {
+    var writer = new WebmOpusWriter({ preSkip: 312 });
+    writer.setEndTrim(480);
+    writeAll(writer, packets, function(chunks) {
+      var file = Buffer.concat(chunks);
+      writer.header.copy(file);
+      var cluster = webm.readChildren(findAll(parseSegment(file), ID.Cluster)[0]);
+      expect(findAll(cluster, ID.SimpleBlock)).to.have.lengthOf(9);
+      var group = webm.readChildren(findAll(cluster, ID.BlockGroup)[0]);
+      expect(webm.readInt(findAll(group, ID.DiscardPadding)[0])).to.equal(10000000);
+      expect(findAll(group, ID.Block)[0].slice(4)).to.deep.equal(packets[9]);
+      done();
+    });
+  });
+  it('should write elements of unknown size in live mode', function(done) {
+    var writer = new WebmOpusWriter({ live: true, maxClusterDuration: 100 });
+    var chunks = [];
+    writer.on('data', function(chunk) { chunks.push(chunk); });
+    writer.write(packets[0]);
+    writer.write(packets[1]);
+    // Blocks are written as soon as the next packet is available
+    expect(chunks).to.have.lengthOf(3);
+    writeAll(writer, packets.slice(2), function() {
+      var file = Buffer.concat(chunks);
+      expect(writer.header).to.deep.equal(chunks[0]);
+      var ebml = webm.readHeader(file, 0);
+      var segment = webm.readHeader(file, ebml.headerLength + ebml.size);
+      expect(segment).to.include({ id: ID.Segment, size: -1 });
+      var clusters = 0;
+      var offset = writer.header.length;
+      while (offset < file.length) {
+        var header = webm.readHeader(file, offset);
+        if (header.id === ID.Cluster) {
+          expect(header.size).to.equal(-1);
+          clusters++;
+          offset += header.headerLength;
+        } else {
+          expect([ID.Timecode, ID.SimpleBlock]).to.include(header.id);
+          offset += header.headerLength + header.size;
+        }
+      }
+      expect(clusters).to.equal(2);
+      done();
+    });
+  });
+  it('should trim the padding of an EncoderStream', function(done) {
+    var enc = new Encoder({ rate: 16000 });
+    var writer = new WebmOpusWriter({ encoder: enc });
+    var stream = enc.stream('Int16', { frameDuration: 20 });
+    var chunks = [];
+    stream.pipe(writer);
+    writer.on('data', function(chunk) { chunks.push(chunk); });
+    writer.on('end', function() {
+      var file = Buffer.concat(chunks);
+      writer.header.copy(file);
+      var info = webm.readChildren(findAll(parseSegment(file), ID.Info)[0]);
+      // 1000 samples at 16kHz
+      expect(webm.readFloat(findAll(info, ID.Duration)[0])).to.equal(62.5);
+      done();
+    });
+    stream.end(Buffer.alloc(1000 * 2));
+  });
+  it('should fix the header of files', function() {
+    var file = path.join(os.tmpdir(), 'libopus-webmwriter-' + process.pid + '.webm');
+    var writer = new WebmOpusWriter();
+    var result = writer.toFile(file);
+    packets.forEach(function(packet) { writer.write(packet); });
+    writer.end();
+    return result.then(function() {
+      var content = fs.readFileSync(file);
+      fs.unlinkSync(file);
+      expect(content.slice(0, writer.header.length)).to.deep.equal(writer.header);
+      expect(parseSegment(content)).to.have.lengthOf(5);
+    });
+  });
+});
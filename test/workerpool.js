@@ -0,0 +1,105 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var path = require('path');
+var Worker = require('worker_threads').Worker;
+var WorkerPool = require('../lib/workerpool.js');
+var AsyncEncoder = require('../lib/asyncencoder.js');
+
+// Wraps a worker_threads worker in the Web Worker interface
+function webWorker() {
+  var worker = new Worker(path.join(__dirname, '../lib/worker.js'));
+  worker.unref();
+  return {
+    postMessage: worker.postMessage.bind(worker),
+    addEventListener: function(type, listener) {
+      worker.on(type, function(data) {
+        listener(type === 'message' ? { data: data } : data);
+      });
+    },
+    terminate: worker.terminate.bind(worker)
+  };
+}
+
+describe('WorkerPool', function() {
+  // Starting a worker includes loading libopus
+  this.timeout(10000);
+
+  it('should work without new', function() {
+    expect(WorkerPool({ size: 1 })).to.be.an.instanceof(WorkerPool);
+  });
+  it('should reject invalid sizes', function() {
+    expect(function(){ new WorkerPool({ size: 0 }); }).to.throw(RangeError);
+  });
+  it('should start workers lazily up to its size', function() {
+    var pool = new WorkerPool({ size: 2 });
+    expect(pool.getNumberOfWorkers()).to.equal(0);
+    var encoders = [];
+    for (var i = 0; i < 4; i++) {
+      encoders.push(new AsyncEncoder({ pool: pool }));
+    }
+    expect(pool.getNumberOfWorkers()).to.equal(2);
+    expect(encoders[0]._codec.entry).to.equal(encoders[2]._codec.entry);
+    expect(encoders[1]._codec.entry).to.equal(encoders[3]._codec.entry);
+    return Promise.all(encoders.map(function(enc) { return enc.ready; })).then(function() {
+      return pool.terminate();
+    });
+  });
+  it('should reuse workers of destroyed codecs', function() {
+    var pool = new WorkerPool({ size: 1 });
+    var enc = new AsyncEncoder({ pool: pool });
+    return enc.destroy().then(function() {
+      new AsyncEncoder({ pool: pool });
+      expect(pool.getNumberOfWorkers()).to.equal(1);
+      return pool.terminate();
+    });
+  });
+  it('should reject pending requests when terminated', function() {
+    var pool = new WorkerPool({ size: 1 });
+    var enc = new AsyncEncoder({ pool: pool });
+    var result = enc.encode(new Int16Array(960));
+    pool.terminate();
+    expect(function(){ new AsyncEncoder({ pool: pool }); }).to.throw(/terminated/);
+    return result.then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err.message).to.match(/terminated/);
+    });
+  });
+  it('should support the Web Worker interface', function() {
+    var pool = new WorkerPool({ size: 1, createWorker: webWorker });
+    var enc = new AsyncEncoder({ pool: pool });
+    return enc.encode(new Int16Array(960)).then(function(packet) {
+      expect(packet).to.be.an.instanceof(Buffer);
+      return pool.terminate();
+    });
+  });
+  it('should not keep node running after a request failed to be sent', function() {
+    var referenced = false;
+    var pool = new WorkerPool({ size: 1, createWorker: function() {
+      var worker = new Worker(path.join(__dirname, '../lib/worker.js'));
+      worker.unref();
+      return {
+        postMessage: worker.postMessage.bind(worker),
+        on: worker.on.bind(worker),
+        ref: function() { referenced = true; },
+        unref: function() { referenced = false; },
+        terminate: worker.terminate.bind(worker)
+      };
+    } });
+    // Functions cannot be sent to the worker
+    var enc = new AsyncEncoder({ pool: pool, libopus: function() {} });
+    return enc.ready.then(function() {
+      throw new Error('should have been rejected');
+    }, function(err) {
+      expect(err.name).to.equal('DataCloneError');
+      expect(enc._codec.entry.pendingCount).to.equal(0);
+      expect(enc._codec.entry.pending).to.be.empty;
+      expect(referenced).to.be.false;
+      return pool.terminate();
+    });
+  });
+  it('should provide a shared default pool', function() {
+    expect(WorkerPool.getDefault()).to.equal(WorkerPool.getDefault());
+  });
+});
@@ -0,0 +1,285 @@
+/*jshint -W030*/
+
+var expect = require('chai').expect;
+var extend = require('extend');
+var worklet = require('../lib/worklet.js');
+var Encoder = require('../lib/encoder.js');
+var Decoder = require('../lib/decoder.js');
+var OpusError = require('../lib/opuserror.js');
+var helpers = require('./helpers/sine.js');
+
+var Recorder = worklet.Recorder;
+var Player = worklet.Player;
+
+// A sine wave of sin(t / 10) at 48kHz
+var WAVE = { type: Float32Array, frequency: 24000 / (10 * Math.PI), amplitude: 0.5 };
+
+// Blocks of 128 samples of a sine wave
+function blocks(count, channels) {
+  var result = [];
+  for (var i = 0; i < count; i++) {
+    var block = [];
+    for (var c = 0; c < (channels || 1); c++) {
+      block.push(helpers.sine(128, extend({}, WAVE, { start: i * 128 })));
+    }
+    result.push(block);
+  }
+  return result;
+}
+
+// Renders blocks of output until the player stops (at most count blocks)
+function render(player, count, channels) {
+  var output = [];
+  for (var i = 0; i < count; i++) {
+    var block = [];
+    for (var c = 0; c < (channels || 1); c++) {
+      block.push(new Float32Array(128));
+    }
+    var running = player.process(block);
+    output.push(block);
+    if (!running) break;
+  }
+  return output;
+}
+
+function isSilent(block) {
+  return block.every(function(samples) {
+    return samples.every(function(sample) { return sample === 0; });
+  });
+}
+
+describe('worklet', function() {
+  describe('Recorder', function() {
+    it('should encode blocks of 128 samples in frames', function() {
+      var messages = [];
+      var recorder = new Recorder({ rate: 48000 }, function(msg) { messages.push(msg); });
+      expect(messages).to.deep.equal([{ type: 'start', preSkip: 312 }]);
+      blocks(15).forEach(function(block) { recorder.process(block); });
+      // 1920 samples are exactly two frames
+      var packets = messages.slice(1);
+      expect(packets).to.have.lengthOf(2);
+      var dec = new Decoder();
+      packets.forEach(function(msg) {
+        expect(msg.type).to.equal('packet');
+        expect(msg.packet).to.be.an.instanceof(Uint8Array);
+        expect(dec.decodeFloat32(Buffer.from(msg.packet))).to.have.lengthOf(960);
+      });
+    });
+    it('should transfer the packets', function() {
+      var transfers = [];
+      var recorder = new Recorder({ rate: 48000, frameDuration: 2.5 }, function(msg, transfer) {
+        if (msg.type === 'packet') {
+          expect(transfer).to.deep.equal([msg.packet.buffer]);
+          transfers.push(transfer);
+        }
+      });
+      recorder.process(blocks(1)[0]);
+      expect(transfers).to.have.lengthOf(1);
+    });
+    it('should reject invalid frame durations', function() {
+      expect(function(){ new Recorder({ rate: 48000, frameDuration: 30 }, function() {}); })
+        .to.throw(RangeError);
+      expect(function(){ new Recorder({ rate: 44100, frameDuration: 2.5 }, function() {}); })
+        .to.throw(/whole number/);
+    });
+    it('should resample other rates', function() {
+      var messages = [];
+      var recorder = new Recorder({ rate: 44100 }, function(msg) { messages.push(msg); });
+      expect(messages[0].preSkip).to.equal(Math.round(307 * 48000 / 44100));
+      // 882 samples are one 20ms frame
+      blocks(7).forEach(function(block) { recorder.process(block); });
+      expect(messages).to.have.lengthOf(2);
+      expect(new Decoder().decodeFloat32(Buffer.from(messages[1].packet))).to.have.lengthOf(960);
+    });
+    it('should copy missing channels from the last one', function() {
+      var recorder = new Recorder({ rate: 48000, channels: 2, frameDuration: 2.5 }, function() {});
+      var frames = [];
+      recorder._encoder.encode = function(pcm) {
+        frames.push(Float32Array.from(pcm));
+        return Buffer.from([0]);
+      };
+      var block = blocks(1)[0];
+      recorder.process(block);
+      expect(frames).to.have.lengthOf(1);
+      for (var i = 0; i < 120; i++) {
+        expect(frames[0][i * 2]).to.equal(block[0][i]);
+        expect(frames[0][i * 2 + 1]).to.equal(block[0][i]);
+      }
+    });
+    it('should ignore blocks without input', function() {
+      var messages = [];
+      var recorder = new Recorder({ rate: 48000, frameDuration: 2.5 }, function(msg) {
+        messages.push(msg);
+      });
+      recorder.process([]);
+      expect(messages).to.have.lengthOf(1);
+    });
+    it('should pad the last frame and flush the lookahead when stopped', function() {
+      var messages = [];
+      var recorder = new Recorder({ rate: 48000 }, function(msg) { messages.push(msg); });
+      blocks(3).forEach(function(block) { recorder.process(block); });
+      recorder.stop();
+      // 384 samples plus 312 samples of lookahead fit into a single frame
+      expect(messages.map(function(msg) { return msg.type; }))
+        .to.deep.equal(['start', 'packet', 'end']);
+      expect(messages[2].padding).to.equal(960 - 384);
+      recorder.stop();
+      recorder.process(blocks(1)[0]);
+      expect(messages).to.have.lengthOf(3);
+    });
+  });
+
+  describe('Player', function() {
+    var packets = helpers.encodeSine(10, { inbandFEC: true, packetLossPerc: 20 }, WAVE);
+
+    it('should play silence until enough audio is buffered', function() {
+      var player = new Player({ rate: 48000, minDelay: 40 }, function() {});
+      expect(render(player, 1).every(isSilent)).to.be.true;
+      player.write(packets[0], 0);
+      expect(render(player, 1).every(isSilent)).to.be.true;
+      player.write(packets[1], 20);
+      var output = render(player, 15);
+      expect(output).to.have.lengthOf(15);
+      expect(output.every(isSilent)).to.be.false;
+    });
+    it('should conceal underruns', function() {
+      var player = new Player({ rate: 48000, minDelay: 20 }, function() {});
+      player.write(packets[0], 0);
+      render(player, 7);
+      expect(player._jitterBuffer.stats.concealed).to.equal(0);
+      var output = render(player, 8);
+      expect(output.every(isSilent)).to.be.false;
+      expect(player._jitterBuffer.stats.concealed).to.be.above(0);
+      // The input continues after the concealed audio
+      player.write(packets[1], 40);
+      expect(player._jitterBuffer.stats.late).to.equal(0);
+    });
+    it('should stop once all packets have been played', function() {
+      var messages = [];
+      var player = new Player({ rate: 48000, minDelay: 100 }, function(msg) {
+        messages.push(msg);
+      });
+      packets.slice(0, 3).forEach(function(packet) { player.write(packet, 0); });
+      player.end();
+      // 2880 samples fill 22.5 blocks
+      var output = render(player, 30);
+      expect(output).to.have.lengthOf(23);
+      expect(isSilent([output[22][0].subarray(0, 64)])).to.be.false;
+      expect(isSilent([output[22][0].subarray(64)])).to.be.true;
+      expect(messages).to.have.lengthOf(1);
+      expect(messages[0].type).to.equal('ended');
+      expect(messages[0].stats).to.include({ received: 3, concealed: 0 });
+    });
+    it('should recover lost packets', function() {
+      var messages = [];
+      var player = new Player({ rate: 48000 }, function(msg) { messages.push(msg); });
+      player.write(packets[0], 0);
+      player.write(960, 20);
+      player.write(Buffer.alloc(0), 40);
+      player.write(packets[3], 60);
+      player.end();
+      // 4 packets of 960 samples (the empty Buffer counts as one as well) and
+      // the block in which playback ends
+      expect(render(player, 40)).to.have.lengthOf(960 * 4 / 128 + 1);
+      expect(messages[0].stats).to.include({ received: 2, lost: 2, recovered: 1 });
+    });
+    it('should accept RTP packets', function() {
+      var player = new Player({ rate: 48000, minDelay: 20 }, function() {});
+      player.write({ payload: packets[0], sequenceNumber: 7, timestamp: 1000 }, 0);
+      player.end();
+      expect(render(player, 10)).to.have.lengthOf(8);
+    });
+    it('should warn about corrupt packets', function() {
+      var messages = [];
+      var player = new Player({ rate: 48000 }, function(msg) { messages.push(msg); });
+      player.write(Buffer.from([0xff]), 0);
+      expect(messages).to.have.lengthOf(1);
+      expect(messages[0].type).to.equal('warning');
+      expect(messages[0].error).to.include({ name: 'OpusError', code: OpusError.Code.INVALID_PACKET });
+      expect(function(){ player.write('packet'); }).to.throw(TypeError);
+    });
+    it('should fill all output channels', function() {
+      var player = new Player({ rate: 48000, minDelay: 20 }, function() {});
+      player.write(packets[0], 0);
+      var output = render(player, 2, 2);
+      expect(isSilent(output[1])).to.be.false;
+      expect(output[1][1]).to.deep.equal(output[1][0]);
+    });
+  });
+
+  describe('createProcessors', function() {
+    var ports = [];
+    function StubProcessor() {
+      this.port = { postMessage: function(msg) { ports.push(msg); }, onmessage: null };
+    }
+    var processors = worklet.createProcessors(StubProcessor, 48000);
+
+    beforeEach(function() {
+      ports = [];
+    });
+
+    it('should create processors extending AudioWorkletProcessor', function() {
+      var recorder = new processors.RecorderProcessor({ processorOptions: {} });
+      expect(recorder).to.be.an.instanceof(processors.RecorderProcessor);
+      expect(recorder).to.be.an.instanceof(StubProcessor);
+      expect(new processors.PlayerProcessor({ processorOptions: {} }))
+        .to.be.an.instanceof(StubProcessor);
+    });
+    it('should record until stopped', function() {
+      var recorder = new processors.RecorderProcessor({
+        processorOptions: { frameDuration: 10, bitrate: 16000 }
+      });
+      expect(recorder._recorder._encoder.getBitrate()).to.equal(16000);
+      blocks(4).forEach(function(block) {
+        expect(recorder.process([block], [])).to.be.true;
+      });
+      expect(ports.map(function(msg) { return msg.type; })).to.deep.equal(['start', 'packet']);
+      recorder.port.onmessage({ data: { type: 'stop' } });
+      expect(recorder.process(blocks(1), [])).to.be.false;
+      expect(ports[ports.length - 1].type).to.equal('end');
+    });
+    it('should play packets until ended', function() {
+      var player = new processors.PlayerProcessor({
+        processorOptions: { channels: 2, minDelay: 20 }
+      });
+      var packet = new Encoder({ channels: 2 }).encode(new Float32Array(960 * 2));
+      // Packets arrive as plain Uint8Arrays
+      player.port.onmessage({ data: { type: 'packet', packet: new Uint8Array(packet) } });
+      player.port.onmessage({ data: { type: 'packet', packet: {
+        payload: new Uint8Array(packet), sequenceNumber: 1, timestamp: 960
+      } } });
+      player.port.onmessage({ data: { type: 'end' } });
+      var running = true;
+      var blockCount = 0;
+      while (running && blockCount < 100) {
+        running = player.process([], [[new Float32Array(128), new Float32Array(128)]]);
+        blockCount++;
+      }
+      // The end is only noticed when the next block is due
+      expect(blockCount).to.equal(16);
+      expect(ports.map(function(msg) { return msg.type; })).to.deep.equal(['ended']);
+      expect(ports[0].stats.received).to.equal(2);
+    });
+    it('should be registered in an AudioWorkletGlobalScope', function() {
+      var path = require.resolve('../lib/worklet.js');
+      var registered = {};
+      global.AudioWorkletProcessor = StubProcessor;
+      global.registerProcessor = function(name, processor) {
+        registered[name] = processor;
+      };
+      global.sampleRate = 16000;
+      delete require.cache[path];
+      try {
+        require('../lib/worklet.js');
+      } finally {
+        delete global.AudioWorkletProcessor;
+        delete global.registerProcessor;
+        delete global.sampleRate;
+        delete require.cache[path];
+      }
+      expect(Object.keys(registered)).to.deep.equal(['libopus-recorder', 'libopus-player']);
+      var recorder = new registered['libopus-recorder']({ processorOptions: {} });
+      expect(recorder._recorder._frameSize).to.equal(320);
+    });
+  });
+});